@@ -76,12 +76,82 @@ const config = {
     keyPrefix: env('REDIS_KEY_PREFIX', 'storage:'),
   },
 
+  // Cache, session state and job queues: redis, or memory for a single node
+  // without Redis (nothing is shared between processes or kept across restarts)
+  cache: {
+    provider: env('CACHE_PROVIDER', 'redis'),
+  },
+
   // JWT
   jwt: {
     accessSecret: env('JWT_ACCESS_SECRET'),
     refreshSecret: env('JWT_REFRESH_SECRET'),
     accessExpiresIn: env('JWT_ACCESS_EXPIRES_IN', '15m'),
     refreshExpiresIn: env('JWT_REFRESH_EXPIRES_IN', '7d'),
+    // Signed-in sessions (devices) per user; the least recently used is signed out
+    maxSessions: envInt('JWT_MAX_SESSIONS', 10),
+  },
+
+  // OpenID Connect single sign-on (authorization code + PKCE)
+  oidc: {
+    enabled: envBool('OIDC_ENABLED', false),
+    issuer: env('OIDC_ISSUER', ''), // Discovery at <issuer>/.well-known/openid-configuration
+    clientId: env('OIDC_CLIENT_ID', ''),
+    clientSecret: env('OIDC_CLIENT_SECRET', '') || null, // Empty for public clients
+    redirectUri: env('OIDC_REDIRECT_URI', 'http://localhost:3000/api/auth/oidc/callback'),
+    scopes: env('OIDC_SCOPES', 'openid email profile'),
+    // Where the browser is sent after login, with the tokens in the URL fragment
+    // (empty = the callback answers with JSON)
+    successRedirect: env('OIDC_SUCCESS_REDIRECT', '') || null,
+    createUsers: envBool('OIDC_CREATE_USERS', true),
+    allowedDomains: envArray('OIDC_ALLOWED_DOMAINS', []), // Email domains allowed to sign in (empty = any)
+    groupsClaim: env('OIDC_GROUPS_CLAIM', 'groups'),
+    // "group:role" pairs; when set, the IdP groups decide the role of SSO users
+    groupRoles: envArray('OIDC_GROUP_ROLES', []),
+    stateTtl: envInt('OIDC_STATE_TTL', 600), // Seconds to finish login at the IdP
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: env('TWO_FACTOR_ISSUER', 'Storage Service'), // Shown in authenticator apps
+    // Roles that must enable 2FA before using their privileges (e.g. "admin")
+    requiredRoles: envArray('TWO_FACTOR_REQUIRED_ROLES', []),
+    challengeTtl: envInt('TWO_FACTOR_CHALLENGE_TTL', 300), // Seconds to enter the code at login
+    maxAttempts: envInt('TWO_FACTOR_MAX_ATTEMPTS', 5), // Wrong codes per login challenge
+    recoveryCodes: envInt('TWO_FACTOR_RECOVERY_CODES', 10),
+    // Encrypts stored TOTP secrets (defaults to a key derived from JWT_ACCESS_SECRET)
+    secretEncryptionKey: env('TWO_FACTOR_SECRET_KEY', '') || null,
+  },
+
+  // Account emails (password reset, email verification)
+  accounts: {
+    // Base URL of the web app; links in emails point to /reset-password and /verify-email
+    appUrl: env('APP_URL', 'http://localhost:3000'),
+    passwordResetTtl: envInt('PASSWORD_RESET_TTL', 3600), // 1 hour
+    emailVerificationTtl: envInt('EMAIL_VERIFICATION_TTL', 86400), // 24 hours
+    requireVerifiedEmailForUploads: envBool('REQUIRE_VERIFIED_EMAIL_FOR_UPLOADS', false),
+  },
+
+  // Outgoing email
+  mail: {
+    transport: env('MAIL_TRANSPORT', 'console'), // smtp | file | console
+    from: env('MAIL_FROM', 'Storage Service <no-reply@localhost>'),
+    smtp: {
+      host: env('SMTP_HOST', 'localhost'),
+      port: envInt('SMTP_PORT', 587),
+      secure: envBool('SMTP_SECURE', false),
+      user: env('SMTP_USER', '') || null,
+      password: env('SMTP_PASSWORD', '') || null,
+    },
+    // Where the file transport writes .eml files
+    outputPath: resolve(__dirname, '../../', env('MAIL_OUTPUT_PATH', './storage/mail')),
+  },
+
+  // API keys for scripts and CI
+  apiKeys: {
+    maxKeysPerUser: envInt('API_KEYS_MAX_PER_USER', 20),
+    // Longest allowed lifetime in days (0 = keys may never expire)
+    maxLifetimeDays: envInt('API_KEYS_MAX_LIFETIME_DAYS', 0),
   },
 
   // Storage
@@ -91,6 +161,18 @@ const config = {
     hddPath: resolve(__dirname, '../../', env('STORAGE_HDD_PATH', './storage/hdd')),
     tempPath: resolve(__dirname, '../../', env('STORAGE_TEMP_PATH', './storage/ssd/temp')),
     provider: env('STORAGE_PROVIDER', 'local'),
+    s3: {
+      endpoint: env('S3_ENDPOINT', '') || undefined,
+      region: env('S3_REGION', 'us-east-1'),
+      bucket: env('S3_BUCKET', ''),
+      coldBucket: env('S3_COLD_BUCKET', '') || null,
+      accessKeyId: env('S3_ACCESS_KEY_ID', ''),
+      secretAccessKey: env('S3_SECRET_ACCESS_KEY', ''),
+      forcePathStyle: envBool('S3_FORCE_PATH_STYLE', false),
+      keyPrefix: env('S3_KEY_PREFIX', ''),
+      hotStorageClass: env('S3_HOT_STORAGE_CLASS', 'STANDARD'),
+      coldStorageClass: env('S3_COLD_STORAGE_CLASS', 'STANDARD_IA'),
+    },
   },
 
   // Upload
@@ -99,6 +181,27 @@ const config = {
     maxFileSizeFree: envInt('UPLOAD_MAX_FILE_SIZE_FREE', 10737418240), // 10GB
     maxFileSizePremium: envInt('UPLOAD_MAX_FILE_SIZE_PREMIUM', -1), // Unlimited
     sessionTtl: envInt('UPLOAD_SESSION_TTL', 86400), // 24 hours
+    instantUploadEnabled: envBool('UPLOAD_INSTANT_ENABLED', true),
+    instantProofBytes: envInt('UPLOAD_INSTANT_PROOF_BYTES', 65536), // 64KB
+  },
+
+  // S3-compatible API gateway (buckets = top-level folders)
+  s3Gateway: {
+    enabled: envBool('S3_GATEWAY_ENABLED', true),
+    prefix: env('S3_GATEWAY_PREFIX', '/s3'),
+    region: env('S3_GATEWAY_REGION', 'us-east-1'),
+    maxPartSize: envInt('S3_GATEWAY_MAX_PART_SIZE', 67108864), // 64MB
+    maxKeysPerUser: envInt('S3_GATEWAY_MAX_KEYS_PER_USER', 10),
+    // Encrypts stored secret keys (defaults to a key derived from JWT_ACCESS_SECRET)
+    secretEncryptionKey: env('S3_GATEWAY_SECRET_KEY', '') || null,
+  },
+
+  // WebDAV endpoint (class 1 and 2) over the folder tree
+  webdav: {
+    enabled: envBool('WEBDAV_ENABLED', true),
+    prefix: env('WEBDAV_PREFIX', '/webdav'),
+    lockTimeout: envInt('WEBDAV_LOCK_TIMEOUT', 3600), // 1 hour, when the client asks for none
+    maxLockTimeout: envInt('WEBDAV_MAX_LOCK_TIMEOUT', 86400), // 24 hours
   },
 
   // Rate Limiting
@@ -121,12 +224,73 @@ const config = {
     },
   },
 
+  // Download bandwidth (bytes, -1 = unlimited; users can have overrides in their quota)
+  bandwidth: {
+    free: {
+      daily: envInt('BANDWIDTH_FREE_DAILY', 10737418240), // 10GB
+      monthly: envInt('BANDWIDTH_FREE_MONTHLY', 107374182400), // 100GB
+    },
+    premium: {
+      daily: envInt('BANDWIDTH_PREMIUM_DAILY', -1),
+      monthly: envInt('BANDWIDTH_PREMIUM_MONTHLY', -1),
+    },
+    admin: {
+      daily: envInt('BANDWIDTH_ADMIN_DAILY', -1),
+      monthly: envInt('BANDWIDTH_ADMIN_MONTHLY', -1),
+    },
+    // Per-connection speed caps by bandwidth priority (bytes/second, 0 = uncapped)
+    speeds: {
+      low: envInt('BANDWIDTH_SPEED_LOW', 2097152), // 2MB/s
+      high: envInt('BANDWIDTH_SPEED_HIGH', 20971520), // 20MB/s
+      highest: envInt('BANDWIDTH_SPEED_HIGHEST', 0),
+    },
+    // Past the limit: 'reject' downloads, or 'throttle' them to overLimitSpeed
+    overLimitAction: env('BANDWIDTH_OVER_LIMIT_ACTION', 'reject'),
+    overLimitSpeed: envInt('BANDWIDTH_OVER_LIMIT_SPEED', 131072), // 128KB/s
+  },
+
   // File Expiry
   expiry: {
     daysFree: envInt('FILE_EXPIRY_DAYS_FREE', 5),
     extensionDays: envInt('FILE_EXPIRY_EXTENSION_DAYS', 5),
   },
 
+  // ZIP archive downloads
+  archive: {
+    maxFiles: envInt('ARCHIVE_MAX_FILES', 10000),
+  },
+
+  // Trash
+  trash: {
+    retentionDays: envInt('TRASH_RETENTION_DAYS', 30),
+  },
+
+  // File versioning (uploading over an existing name keeps the old content as a version)
+  versioning: {
+    enabled: envBool('VERSIONING_ENABLED', false),
+    maxVersions: envInt('VERSIONING_MAX_VERSIONS', 20), // Previous versions kept per file (0 = unlimited)
+    maxAgeDays: envInt('VERSIONING_MAX_AGE_DAYS', 0), // Drop older versions (0 = keep forever)
+  },
+
+  // Quota reconciliation (usage counters recomputed from stored files)
+  quotaReconciliation: {
+    // Drift must still be there after this pause (uploads and deletes update files before quotas)
+    confirmDelay: envInt('QUOTA_RECONCILE_CONFIRM_DELAY', 5) * 1000,
+    reportRetentionDays: envInt('QUOTA_DRIFT_RETENTION_DAYS', 90),
+  },
+
+  // Post-upload processing (type sniffing, metadata, virus scanning)
+  processing: {
+    enabled: envBool('PROCESSING_ENABLED', true),
+    headBytes: envInt('PROCESSING_HEAD_BYTES', 65536), // Leading bytes handed to every processor
+    staleAfter: envInt('PROCESSING_STALE_AFTER', 900) * 1000, // Re-queue files stuck this long
+    maxWait: envInt('PROCESSING_MAX_WAIT', 30) * 1000, // Longest status long-poll
+    pollInterval: envInt('PROCESSING_POLL_INTERVAL', 1000),
+    clamavHost: env('CLAMAV_HOST', ''), // Empty = scanning skipped
+    clamavPort: envInt('CLAMAV_PORT', 3310),
+    clamavTimeout: envInt('CLAMAV_TIMEOUT', 60) * 1000,
+  },
+
   // Tier Migration
   tierMigration: {
     hotToColdDays: envInt('TIER_MIGRATION_HOT_TO_COLD_DAYS', 7),
@@ -138,13 +302,27 @@ const config = {
     expiryInterval: envInt('WORKER_EXPIRY_INTERVAL', 3600) * 1000,
     migrationInterval: envInt('WORKER_MIGRATION_INTERVAL', 3600) * 1000,
     cleanupInterval: envInt('WORKER_CLEANUP_INTERVAL', 3600) * 1000,
+    trashInterval: envInt('WORKER_TRASH_INTERVAL', 3600) * 1000,
+    quotaInterval: envInt('WORKER_QUOTA_INTERVAL', 86400) * 1000,
+    processingInterval: envInt('WORKER_PROCESSING_INTERVAL', 600) * 1000,
     batchSize: envInt('WORKER_BATCH_SIZE', 100),
+    expiryConcurrency: envInt('WORKER_EXPIRY_CONCURRENCY', 4),
+    migrationConcurrency: envInt('WORKER_MIGRATION_CONCURRENCY', 2),
+    cleanupConcurrency: envInt('WORKER_CLEANUP_CONCURRENCY', 4),
+    trashConcurrency: envInt('WORKER_TRASH_CONCURRENCY', 4),
+    quotaConcurrency: envInt('WORKER_QUOTA_CONCURRENCY', 2),
+    processingConcurrency: envInt('WORKER_PROCESSING_CONCURRENCY', 2),
+    jobAttempts: envInt('WORKER_JOB_ATTEMPTS', 3),
+    jobBackoff: envInt('WORKER_JOB_BACKOFF', 2000),
+    schedulerLockTtl: envInt('WORKER_SCHEDULER_LOCK_TTL', 30) * 1000,
   },
 
   // Security
   security: {
     allowedMimeTypes: envArray('ALLOWED_MIME_TYPES', []),
     maxFilenameLength: envInt('MAX_FILENAME_LENGTH', 255),
+    // Upload whose content is not of its declared type: flag (store the detected type) | reject
+    contentTypeMismatch: env('CONTENT_TYPE_MISMATCH', 'flag'),
   },
 
   // Features
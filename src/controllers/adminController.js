@@ -45,6 +45,88 @@ export async function setUserQuota(req, res, next) {
     }
 }
 
+export async function getQuotaDriftReport(req, res, next) {
+    try {
+        const { page, limit, since, userId } = req.query;
+        const result = await adminService.getQuotaDriftReport({
+            page: parseInt(page, 10) || 1,
+            limit: parseInt(limit, 10) || 20,
+            since,
+            userId,
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getQueues(req, res, next) {
+    try {
+        const result = await adminService.getQueues();
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getFailedJobs(req, res, next) {
+    try {
+        const { page, limit } = req.query;
+        const result = await adminService.getFailedJobs(req.params.queue, {
+            page: parseInt(page, 10) || 1,
+            limit: Math.min(parseInt(limit, 10) || 20, 100),
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function retryJob(req, res, next) {
+    try {
+        const result = await adminService.retryJob(req.params.queue, req.params.jobId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function removeJob(req, res, next) {
+    try {
+        const result = await adminService.removeJob(req.params.queue, req.params.jobId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function pauseQueue(req, res, next) {
+    try {
+        const result = await adminService.pauseQueue(req.params.queue);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function resumeQueue(req, res, next) {
+    try {
+        const result = await adminService.resumeQueue(req.params.queue);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function runWorker(req, res, next) {
+    try {
+        const result = await adminService.runWorker(req.params.queue);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
 export async function forceDeleteFile(req, res, next) {
     try {
         const result = await adminService.forceDeleteFile(req.params.fileId);
@@ -3,13 +3,33 @@
  * With security audit logging
  */
 import authService from '../services/AuthService.js';
+import accessKeyService from '../services/AccessKeyService.js';
+import apiKeyService from '../services/ApiKeyService.js';
+import twoFactorService from '../services/TwoFactorService.js';
+import oidcService from '../services/OidcService.js';
+import config from '../config/index.js';
 import { ValidationError } from '../utils/errors.js';
 import { logAuth } from '../utils/logger.js';
 
+/**
+ * Device info recorded on the session (parsed by requestLogger)
+ */
+function sessionClient(req) {
+    const context = req.logContext || {};
+    return {
+        ip: context.ip || req.ip || null,
+        country: context.geo?.country || null,
+        city: context.geo?.city || null,
+        browser: context.ua?.browser || null,
+        os: context.ua?.os || null,
+        device: context.ua?.device || null,
+    };
+}
+
 export async function register(req, res, next) {
     try {
         const { email, password } = req.body;
-        const result = await authService.register(email, password);
+        const result = await authService.register(email, password, sessionClient(req));
 
         logAuth('register_success', {
             message: 'New user registered',
@@ -36,7 +56,17 @@ export async function register(req, res, next) {
 export async function login(req, res, next) {
     try {
         const { email, password } = req.body;
-        const result = await authService.login(email, password);
+        const result = await authService.login(email, password, sessionClient(req));
+
+        if (result.twoFactorRequired) {
+            logAuth('login_2fa_challenge', {
+                message: 'Password accepted, two-factor code required',
+                email,
+                ip: req.logContext?.ip,
+                country: req.logContext?.geo?.country,
+            });
+            return res.json(result);
+        }
 
         logAuth('login_success', {
             message: 'User logged in',
@@ -65,10 +95,47 @@ export async function login(req, res, next) {
     }
 }
 
+export async function loginTwoFactor(req, res, next) {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+        const result = await authService.completeTwoFactorLogin(
+            challengeToken,
+            { code, recoveryCode },
+            sessionClient(req)
+        );
+
+        logAuth('login_success', {
+            message: 'User logged in with two-factor authentication',
+            email: result.user.email,
+            userId: result.user.id,
+            role: result.user.role,
+            twoFactorMethod: result.twoFactorMethod,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+            city: req.logContext?.geo?.city,
+            browser: req.logContext?.ua?.browser,
+            os: req.logContext?.ua?.os,
+            device: req.logContext?.ua?.device,
+        });
+
+        res.json(result);
+    } catch (error) {
+        logAuth('login_2fa_failed', {
+            message: 'Two-factor login step failed',
+            error: error.message,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+        next(error);
+    }
+}
+
 export async function logout(req, res, next) {
     try {
-        const refreshToken = req.body.refreshToken;
-        await authService.logout(req.user._id, refreshToken);
+        await authService.logout(req.user._id, {
+            refreshToken: req.body?.refreshToken,
+            accessToken: req.token,
+        });
 
         logAuth('logout', {
             message: 'User logged out',
@@ -86,7 +153,7 @@ export async function refresh(req, res, next) {
     try {
         const { refreshToken } = req.body;
         if (!refreshToken) throw new ValidationError('Refresh token required');
-        const result = await authService.refreshToken(refreshToken);
+        const result = await authService.refreshToken(refreshToken, sessionClient(req));
         res.json(result);
     } catch (error) {
         logAuth('refresh_failed', {
@@ -137,3 +204,381 @@ export async function changePassword(req, res, next) {
         next(error);
     }
 }
+
+// ==================== Password Reset & Email Verification ====================
+
+export async function forgotPassword(req, res, next) {
+    try {
+        await authService.requestPasswordReset(req.body?.email);
+
+        logAuth('password_reset_requested', {
+            message: 'Password reset requested',
+            email: req.body?.email,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        // Same answer whether or not the account exists
+        res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function resetPassword(req, res, next) {
+    try {
+        const { token, password } = req.body || {};
+        const result = await authService.resetPassword(token, password);
+
+        logAuth('password_reset', {
+            message: 'Password reset with emailed token',
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.json(result);
+    } catch (error) {
+        logAuth('password_reset_failed', {
+            message: 'Password reset failed',
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
+export async function verifyEmail(req, res, next) {
+    try {
+        const result = await authService.verifyEmail(req.body?.token);
+
+        logAuth('email_verified', {
+            message: 'Email address verified',
+            userId: result.user.id,
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function resendVerification(req, res, next) {
+    try {
+        const result = await authService.sendVerificationEmail(req.user);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== Single Sign-On (OIDC) ====================
+
+/**
+ * Cookie binding a login to the browser that started it (Lax: the IdP
+ * redirects back with a top-level cross-site navigation)
+ */
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+function oidcStateCookieOptions() {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.env === 'production',
+        path: '/api/auth/oidc',
+    };
+}
+
+function readCookie(req, name) {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0 && pair.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(index + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+export async function oidcLogin(req, res, next) {
+    try {
+        const { url, state } = await oidcService.createAuthorizationUrl();
+        res.cookie(OIDC_STATE_COOKIE, state, {
+            ...oidcStateCookieOptions(),
+            maxAge: config.oidc.stateTtl * 1000,
+        });
+        res.redirect(302, url);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * IdP callback: JSON result, or a redirect to the web app with the result in the
+ * URL fragment (fragments aren't sent to servers or kept in their logs)
+ */
+export async function oidcCallback(req, res, next) {
+    try {
+        const browserState = readCookie(req, OIDC_STATE_COOKIE);
+        res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions());
+
+        const user = await oidcService.handleCallback(req.query, browserState);
+        const result = await authService.loginExternal(user, sessionClient(req));
+
+        logAuth(result.twoFactorRequired ? 'login_2fa_challenge' : 'login_success', {
+            message: 'User signed in with single sign-on',
+            email: user.email,
+            userId: user._id.toString(),
+            role: user.role,
+            method: 'oidc',
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+            browser: req.logContext?.ua?.browser,
+        });
+
+        if (!config.oidc.successRedirect) {
+            return res.json(result);
+        }
+
+        const fragment = new URLSearchParams(
+            result.twoFactorRequired
+                ? { twoFactorRequired: 'true', challengeToken: result.challengeToken, expiresIn: String(result.expiresIn) }
+                : { accessToken: result.accessToken, refreshToken: result.refreshToken, expiresIn: String(result.expiresIn) }
+        );
+        res.redirect(302, `${config.oidc.successRedirect}#${fragment.toString()}`);
+    } catch (error) {
+        logAuth('login_failed', {
+            message: 'Single sign-on failed',
+            method: 'oidc',
+            error: error.message,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+        next(error);
+    }
+}
+
+// ==================== Two-Factor Authentication ====================
+
+export async function getTwoFactorStatus(req, res, next) {
+    try {
+        const result = await twoFactorService.getStatus(req.user._id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function setupTwoFactor(req, res, next) {
+    try {
+        const result = await twoFactorService.beginSetup(req.user._id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function enableTwoFactor(req, res, next) {
+    try {
+        const result = await twoFactorService.enable(
+            req.user._id,
+            req.body?.code,
+            authService.getSessionId(req.token)
+        );
+
+        logAuth('2fa_enabled', {
+            message: 'Two-factor authentication enabled',
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function disableTwoFactor(req, res, next) {
+    try {
+        const { password, code, recoveryCode } = req.body || {};
+        await twoFactorService.disable(req.user._id, { password, code, recoveryCode });
+
+        logAuth('2fa_disabled', {
+            message: 'Two-factor authentication disabled',
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        logAuth('2fa_disable_failed', {
+            message: 'Failed to disable two-factor authentication',
+            userId: req.user._id.toString(),
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
+export async function regenerateRecoveryCodes(req, res, next) {
+    try {
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body?.code);
+
+        logAuth('2fa_recovery_codes_regenerated', {
+            message: 'Recovery codes regenerated',
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== Sessions ====================
+
+export async function listSessions(req, res, next) {
+    try {
+        const result = await authService.listSessions(req.user._id, authService.getSessionId(req.token));
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeSession(req, res, next) {
+    try {
+        const { sessionId } = req.params;
+        await authService.revokeSession(req.user._id, sessionId);
+
+        logAuth('session_revoked', {
+            message: 'Session revoked',
+            userId: req.user._id.toString(),
+            sessionId,
+            ip: req.logContext?.ip,
+        });
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeAllSessions(req, res, next) {
+    try {
+        await authService.logoutAll(req.user._id, req.token);
+
+        logAuth('logout_all', {
+            message: 'User logged out from all devices',
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.json({ message: 'All sessions revoked' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== S3 Access Keys ====================
+
+export async function listAccessKeys(req, res, next) {
+    try {
+        const result = await accessKeyService.listKeys(req.user._id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function createAccessKey(req, res, next) {
+    try {
+        const result = await accessKeyService.createKey(req.user._id, { name: req.body?.name });
+
+        logAuth('access_key_created', {
+            message: 'S3 access key created',
+            userId: req.user._id.toString(),
+            accessKeyId: result.accessKeyId,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeAccessKey(req, res, next) {
+    try {
+        const result = await accessKeyService.revokeKey(req.user._id, req.params.keyId);
+
+        logAuth('access_key_revoked', {
+            message: 'S3 access key revoked',
+            userId: req.user._id.toString(),
+            accessKeyId: result.accessKeyId,
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== API Keys ====================
+
+export async function listApiKeys(req, res, next) {
+    try {
+        const result = await apiKeyService.listKeys(req.user._id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function createApiKey(req, res, next) {
+    try {
+        const { name, scopes, expiresAt, allowedIps } = req.body || {};
+        const result = await apiKeyService.createKey(req.user, { name, scopes, expiresAt, allowedIps });
+
+        logAuth('api_key_created', {
+            message: 'API key created',
+            userId: req.user._id.toString(),
+            keyId: result.id.toString(),
+            scopes: result.scopes,
+            expiresAt: result.expiresAt,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeApiKey(req, res, next) {
+    try {
+        const result = await apiKeyService.revokeKey(req.user._id, req.params.keyId);
+
+        logAuth('api_key_revoked', {
+            message: 'API key revoked',
+            userId: req.user._id.toString(),
+            keyId: result.id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
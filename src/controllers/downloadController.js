@@ -3,6 +3,11 @@
  * With comprehensive download logging
  */
 import downloadService from '../services/DownloadService.js';
+import trashService from '../services/TrashService.js';
+import archiveService from '../services/ArchiveService.js';
+import versionService from '../services/VersionService.js';
+import fileProcessingService from '../services/FileProcessingService.js';
+import { pipeline } from 'stream';
 import { logDownload } from '../utils/logger.js';
 
 export async function downloadFile(req, res, next) {
@@ -112,10 +117,11 @@ export async function getUserFiles(req, res, next) {
 export async function deleteFile(req, res, next) {
     try {
         const { fileId } = req.params;
-        const result = await downloadService.deleteFile(fileId, req.user._id);
+        const permanent = req.query.permanent === 'true';
+        const result = await downloadService.deleteFile(fileId, req.user._id, permanent);
 
-        logDownload('file_deleted', {
-            message: 'File deleted',
+        logDownload(permanent ? 'file_deleted' : 'file_trashed', {
+            message: permanent ? 'File deleted' : 'File moved to trash',
             fileId,
             userId: req.user._id.toString(),
             size: result.size,
@@ -143,3 +149,196 @@ export async function renameFile(req, res, next) {
         next(error);
     }
 }
+
+export async function getTrash(req, res, next) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const result = await trashService.listTrash(req.user._id, { page, limit });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function emptyTrash(req, res, next) {
+    try {
+        const result = await trashService.emptyTrash(req.user._id);
+
+        logDownload('trash_emptied', {
+            message: 'Trash emptied',
+            userId: req.user._id.toString(),
+            files: result.files,
+            size: result.bytesFreed,
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function restoreFile(req, res, next) {
+    try {
+        const { fileId } = req.params;
+        const result = await trashService.restoreFile(req.user._id, fileId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function listVersions(req, res, next) {
+    try {
+        const result = await versionService.listVersions(req.user._id, req.params.fileId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getProcessingStatus(req, res, next) {
+    try {
+        const wait = parseInt(req.query.wait) || 0;
+        const result = await fileProcessingService.getStatus(req.user._id, req.params.fileId, { wait });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function downloadVersion(req, res, next) {
+    try {
+        const { fileId, versionId } = req.params;
+
+        const metadata = await versionService.getVersionMetadata(req.user._id, fileId, versionId);
+        const { stream, headers, statusCode } = await downloadService.streamFile(metadata, {
+            rangeHeader: req.headers.range,
+            bandwidthUserId: req.user._id,
+        });
+
+        logDownload('started', {
+            message: 'Version download started',
+            fileId,
+            version: metadata.version,
+            size: metadata.size,
+            userId: req.user._id.toString(),
+            isRange: !!req.headers.range,
+            ip: req.logContext?.ip,
+        });
+
+        for (const [key, value] of Object.entries(headers)) {
+            res.set(key, value);
+        }
+        res.set('X-File-Version', String(metadata.version));
+        res.status(statusCode);
+
+        pipeline(stream, res, (err) => {
+            if (err) {
+                logDownload('error', {
+                    message: 'Version download stream error',
+                    fileId,
+                    error: err.message,
+                    ip: req.logContext?.ip,
+                });
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function restoreVersion(req, res, next) {
+    try {
+        const { fileId, versionId } = req.params;
+        const result = await versionService.restoreVersion(req.user._id, fileId, versionId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Prune previous versions by count (?keep=N) and/or age (?olderThanDays=N)
+ */
+export async function pruneVersions(req, res, next) {
+    try {
+        const { keep, olderThanDays } = req.query;
+        const result = await versionService.pruneVersions(req.user._id, req.params.fileId, {
+            keep: keep !== undefined ? Number(keep) : null,
+            olderThanDays: olderThanDays !== undefined ? Number(olderThanDays) : null,
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Stream a ZIP of a folder (folderId) or a selection of files (fileIds)
+ * Accepts the parameters in the query string (GET) or JSON body (POST)
+ */
+export async function downloadArchive(req, res, next) {
+    try {
+        const params = req.method === 'POST' ? req.body : req.query;
+        const { folderId } = params;
+        let { fileIds } = params;
+
+        if (typeof fileIds === 'string') {
+            fileIds = fileIds.split(',').map(id => id.trim()).filter(Boolean);
+        }
+
+        const { stream, headers, metadata } = folderId
+            ? await archiveService.prepareFolderArchive(folderId, { userId: req.user._id })
+            : await archiveService.prepareSelectionArchive(req.user._id, fileIds);
+
+        sendArchive(req, res, stream, headers, metadata, { folderId, userId: req.user._id.toString() });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Pipe an archive to the response (shared with link-share archive downloads)
+ */
+export function sendArchive(req, res, stream, headers, metadata, context = {}) {
+    const startTime = Date.now();
+
+    logDownload('archive_started', {
+        message: 'Archive download started',
+        ...context,
+        filename: metadata.filename,
+        size: metadata.size,
+        entries: metadata.entries,
+        ip: req.logContext?.ip,
+    });
+
+    for (const [key, value] of Object.entries(headers)) {
+        res.set(key, value);
+    }
+
+    res.status(200);
+
+    // pipeline tears down the archive (and open storage streams) if the client goes away
+    pipeline(stream, res, (err) => {
+        if (err) {
+            logDownload('error', {
+                message: 'Archive stream error',
+                ...context,
+                error: err.message,
+                ip: req.logContext?.ip,
+            });
+            return;
+        }
+
+        logDownload('archive_completed', {
+            message: 'Archive download completed',
+            ...context,
+            filename: metadata.filename,
+            size: metadata.size,
+            duration: Date.now() - startTime,
+            ip: req.logContext?.ip,
+        });
+    });
+}
@@ -2,6 +2,8 @@
  * Folder Controller
  */
 import folderService from '../services/FolderService.js';
+import trashService from '../services/TrashService.js';
+import folderShareService from '../services/FolderShareService.js';
 import { ValidationError } from '../utils/errors.js';
 
 export async function createFolder(req, res, next) {
@@ -84,11 +86,11 @@ export async function moveFolder(req, res, next) {
 export async function deleteFolder(req, res, next) {
     try {
         const { folderId } = req.params;
-        const { cascade } = req.query;
+        const { permanent } = req.query;
         const result = await folderService.deleteFolder(
             req.user._id,
             folderId,
-            cascade === 'true'
+            permanent === 'true'
         );
         res.json(result);
     } catch (error) {
@@ -96,6 +98,16 @@ export async function deleteFolder(req, res, next) {
     }
 }
 
+export async function restoreFolder(req, res, next) {
+    try {
+        const { folderId } = req.params;
+        const result = await trashService.restoreFolder(req.user._id, folderId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
 export async function moveFile(req, res, next) {
     try {
         const { fileId } = req.params;
@@ -106,3 +118,48 @@ export async function moveFile(req, res, next) {
         next(error);
     }
 }
+
+export async function shareFolder(req, res, next) {
+    try {
+        const { folderId } = req.params;
+        const { type, email, permission, expiresAt } = req.body;
+        const result = await folderShareService.shareFolder(req.user._id, folderId, {
+            type,
+            email,
+            permission,
+            expiresAt,
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function listShares(req, res, next) {
+    try {
+        const { folderId } = req.params;
+        const result = await folderShareService.listShares(req.user._id, folderId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeShare(req, res, next) {
+    try {
+        const { shareId } = req.params;
+        const result = await folderShareService.revokeShare(req.user._id, shareId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getSharedWithMe(req, res, next) {
+    try {
+        const result = await folderShareService.listSharedWithMe(req.user._id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,606 @@
+/**
+ * S3 Controller
+ * S3 REST API subset (path-style) on top of S3Service, with XML responses
+ */
+import crypto from 'crypto';
+import { pipeline } from 'stream';
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import config from '../config/index.js';
+import s3Service from '../services/S3Service.js';
+import { AppError, S3Error, RateLimitError } from '../utils/errors.js';
+import { PayloadHash, AwsChunkedDecoder, createChunkSigner, uriEncode } from '../utils/sigv4.js';
+import logger, { logUpload, logDownload } from '../utils/logger.js';
+
+const S3_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+
+/**
+ * Largest XML request body (DeleteObjects, CompleteMultipartUpload)
+ */
+const MAX_XML_BODY = 2 * 1024 * 1024;
+
+/**
+ * Sub-resources this gateway doesn't implement
+ */
+const UNSUPPORTED_SUBRESOURCES = [
+    'acl', 'policy', 'versioning', 'versions', 'lifecycle', 'cors', 'tagging', 'website',
+    'logging', 'notification', 'replication', 'encryption', 'object-lock', 'retention',
+    'legal-hold', 'torrent', 'restore', 'select', 'attributes', 'accelerate', 'requestPayment',
+];
+
+/**
+ * Status codes of S3 error codes we map generic errors to
+ */
+const GENERIC_ERROR_CODES = {
+    400: 'InvalidArgument',
+    401: 'AccessDenied',
+    403: 'AccessDenied',
+    404: 'NoSuchKey',
+    409: 'OperationAborted',
+    410: 'NoSuchUpload',
+    413: 'EntityTooLarge',
+    415: 'InvalidArgument',
+};
+
+const xmlBuilder = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: '@_' });
+const xmlParser = new XMLParser({
+    parseTagValue: false,
+    isArray: name => ['Part', 'Object'].includes(name),
+});
+
+function sendXml(res, statusCode, document) {
+    const xml = xmlBuilder.build({
+        '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+        ...document,
+    });
+
+    res.status(statusCode);
+    res.set('Content-Type', 'application/xml');
+    res.send(xml);
+}
+
+function objectKey(req) {
+    return req.params[0] || '';
+}
+
+function notImplemented() {
+    return new S3Error('NotImplemented', 'A header or query you provided implies functionality that is not implemented', 501);
+}
+
+function checkSubresources(req) {
+    if (UNSUPPORTED_SUBRESOURCES.some(name => name in req.query)) {
+        throw notImplemented();
+    }
+}
+
+/**
+ * Read a small request body (XML documents)
+ */
+async function readBody(req) {
+    const buffers = [];
+    let size = 0;
+
+    for await (const data of req) {
+        size += data.length;
+        if (size > MAX_XML_BODY) {
+            throw new S3Error('MaxMessageLengthExceeded', 'Your request was too big', 400);
+        }
+        buffers.push(data);
+    }
+
+    return Buffer.concat(buffers, size).toString('utf8');
+}
+
+function parseXml(text) {
+    try {
+        return xmlParser.parse(text);
+    } catch {
+        throw new S3Error('MalformedXML', 'The XML you provided was not well-formed', 400);
+    }
+}
+
+/**
+ * x-amz-checksum-* algorithm the client sent (as a header or trailer)
+ */
+function checksumAlgorithm(headers) {
+    const trailer = String(headers['x-amz-trailer'] || '').toLowerCase();
+    if (trailer.startsWith('x-amz-checksum-')) {
+        return trailer.slice('x-amz-checksum-'.length);
+    }
+
+    const header = Object.keys(headers).find(name =>
+        name.startsWith('x-amz-checksum-') && !['x-amz-checksum-type', 'x-amz-checksum-mode'].includes(name)
+    );
+    return header ? header.slice('x-amz-checksum-'.length) : null;
+}
+
+/**
+ * Request body, decoded size and what to verify it against
+ * aws-chunked bodies are decoded (and their chunk signatures checked) on the fly.
+ */
+function readPayload(req) {
+    const { payloadHash, signing } = req.s3;
+    const streaming = payloadHash.startsWith('STREAMING-');
+
+    let body = req;
+    let decoder = null;
+
+    if (streaming) {
+        const signed = payloadHash === PayloadHash.STREAMING_SIGNED || payloadHash === PayloadHash.STREAMING_SIGNED_TRAILER;
+        decoder = new AwsChunkedDecoder({ signer: signed ? createChunkSigner(signing) : null });
+        body = decoder;
+
+        pipeline(req, decoder, (err) => {
+            if (err) logger.debug('S3 chunked body ended early', { error: err.message });
+        });
+    }
+
+    const sizeHeader = streaming ? req.headers['x-amz-decoded-content-length'] : req.headers['content-length'];
+    const size = Number(sizeHeader);
+
+    if (sizeHeader === undefined || !Number.isSafeInteger(size) || size < 0) {
+        throw new S3Error('MissingContentLength', 'You must provide the Content-Length HTTP header', 411);
+    }
+
+    const algorithm = checksumAlgorithm(req.headers);
+
+    return {
+        body,
+        size,
+        contentType: req.headers['content-type'],
+        expect: {
+            contentMd5: req.headers['content-md5'],
+            sha256: /^[0-9a-f]{64}$/i.test(payloadHash) ? payloadHash : null,
+            checksumAlgorithm: algorithm,
+            checksum: () => req.headers[`x-amz-checksum-${algorithm}`] || decoder?.trailers[`x-amz-checksum-${algorithm}`],
+        },
+    };
+}
+
+function setObjectHeaders(res, object) {
+    res.set('Content-Type', object.mimeType);
+    res.set('ETag', object.etag);
+    res.set('Last-Modified', new Date(object.lastModified).toUTCString());
+    res.set('Accept-Ranges', 'bytes');
+}
+
+/**
+ * Tag every response with a request ID, as S3 does
+ */
+export function setRequestId(req, res, next) {
+    req.s3RequestId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    res.set('x-amz-request-id', req.s3RequestId);
+    next();
+}
+
+// ==================== Service ====================
+
+export async function listBuckets(req, res, next) {
+    try {
+        const buckets = await s3Service.listBuckets(req.user._id);
+
+        sendXml(res, 200, {
+            ListAllMyBucketsResult: {
+                '@_xmlns': S3_NAMESPACE,
+                Owner: { ID: req.user._id.toString(), DisplayName: req.user.email },
+                Buckets: {
+                    Bucket: buckets.map(b => ({ Name: b.name, CreationDate: new Date(b.createdAt).toISOString() })),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== Buckets ====================
+
+export async function headBucket(req, res, next) {
+    try {
+        await s3Service.headBucket(req.user._id, req.params.bucket);
+        res.set('x-amz-bucket-region', config.s3Gateway.region);
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET on a bucket: ListObjects (V1 or V2) or GetBucketLocation
+ */
+export async function getBucket(req, res, next) {
+    try {
+        const { bucket } = req.params;
+
+        if ('location' in req.query) {
+            await s3Service.headBucket(req.user._id, bucket);
+            const region = config.s3Gateway.region;
+
+            return sendXml(res, 200, {
+                LocationConstraint: {
+                    '@_xmlns': S3_NAMESPACE,
+                    // us-east-1 is reported as an empty constraint
+                    '#text': region === 'us-east-1' ? '' : region,
+                },
+            });
+        }
+
+        checkSubresources(req);
+        if ('uploads' in req.query) throw notImplemented();
+
+        const isV2 = req.query['list-type'] === '2';
+        const prefix = req.query.prefix || '';
+        const delimiter = req.query.delimiter || '';
+        const maxKeys = req.query['max-keys'] !== undefined ? parseInt(req.query['max-keys'], 10) : 1000;
+        const urlEncoded = req.query['encoding-type'] === 'url';
+
+        if (isNaN(maxKeys) || maxKeys < 0) {
+            throw new S3Error('InvalidArgument', 'max-keys must be a non-negative integer', 400);
+        }
+
+        let marker = req.query.marker || '';
+        if (isV2) {
+            const token = req.query['continuation-token'];
+            marker = token ? Buffer.from(token, 'base64').toString('utf8') : (req.query['start-after'] || '');
+        }
+
+        const result = await s3Service.listObjects(req.user._id, bucket, { prefix, delimiter, maxKeys, marker });
+        const encode = value => (urlEncoded ? uriEncode(value, false) : value);
+
+        const listing = {
+            '@_xmlns': S3_NAMESPACE,
+            Name: bucket,
+            Prefix: encode(prefix),
+            ...(delimiter && { Delimiter: encode(delimiter) }),
+            MaxKeys: maxKeys,
+            ...(urlEncoded && { EncodingType: 'url' }),
+            IsTruncated: result.isTruncated,
+        };
+
+        if (isV2) {
+            listing.KeyCount = result.objects.length + result.commonPrefixes.length;
+            if (req.query['continuation-token']) listing.ContinuationToken = req.query['continuation-token'];
+            if (req.query['start-after']) listing.StartAfter = encode(req.query['start-after']);
+            if (result.isTruncated) listing.NextContinuationToken = Buffer.from(result.nextMarker).toString('base64');
+        } else {
+            listing.Marker = encode(marker);
+            if (result.isTruncated) listing.NextMarker = encode(result.nextMarker);
+        }
+
+        listing.Contents = result.objects.map(o => ({
+            Key: encode(o.key),
+            LastModified: new Date(o.lastModified).toISOString(),
+            ETag: o.etag,
+            Size: o.size,
+            StorageClass: 'STANDARD',
+        }));
+        listing.CommonPrefixes = result.commonPrefixes.map(p => ({ Prefix: encode(p) }));
+
+        sendXml(res, 200, { ListBucketResult: listing });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function createBucket(req, res, next) {
+    try {
+        checkSubresources(req);
+        const { bucket } = req.params;
+
+        await s3Service.createBucket(req.user._id, bucket);
+
+        logUpload('s3_bucket_created', {
+            message: 'S3 bucket created',
+            bucket,
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        res.set('Location', `/${bucket}`);
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function deleteBucket(req, res, next) {
+    try {
+        checkSubresources(req);
+        await s3Service.deleteBucket(req.user._id, req.params.bucket);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST on a bucket: DeleteObjects
+ */
+export async function postBucket(req, res, next) {
+    try {
+        if (!('delete' in req.query)) throw notImplemented();
+
+        const document = parseXml(await readBody(req)).Delete;
+        if (!document) {
+            throw new S3Error('MalformedXML', 'The XML you provided was not well-formed', 400);
+        }
+
+        const keys = (document.Object || []).map(o => String(o.Key ?? ''));
+        const quiet = String(document.Quiet).toLowerCase() === 'true';
+
+        const result = await s3Service.deleteObjects(req.user._id, req.params.bucket, keys);
+
+        sendXml(res, 200, {
+            DeleteResult: {
+                '@_xmlns': S3_NAMESPACE,
+                Deleted: quiet ? [] : result.deleted.map(key => ({ Key: key })),
+                Error: result.errors.map(e => ({ Key: e.key, Code: e.code, Message: e.message })),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ==================== Objects ====================
+
+export async function headObject(req, res, next) {
+    try {
+        checkSubresources(req);
+        const object = await s3Service.headObject(req.user._id, req.params.bucket, objectKey(req));
+
+        setObjectHeaders(res, object);
+        res.set('Content-Length', String(object.size));
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getObject(req, res, next) {
+    try {
+        checkSubresources(req);
+        if (req.query.uploadId) throw notImplemented();
+
+        const { bucket } = req.params;
+        const key = objectKey(req);
+
+        const { object, stream, statusCode, contentRange, contentLength } = await s3Service.getObject(
+            req.user._id,
+            bucket,
+            key,
+            { rangeHeader: req.headers.range }
+        );
+
+        setObjectHeaders(res, object);
+
+        if (!stream) {
+            res.set('Content-Length', '0');
+            return res.status(200).end();
+        }
+
+        res.set('Content-Length', String(contentLength));
+        if (contentRange) res.set('Content-Range', contentRange);
+        res.status(statusCode);
+
+        logDownload('started', {
+            message: 'S3 object download started',
+            fileId: object.fileId.toString(),
+            bucket,
+            key,
+            size: object.size,
+            isRange: statusCode === 206,
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        pipeline(stream, res, (err) => {
+            if (err) {
+                logDownload('error', {
+                    message: 'S3 object download stream error',
+                    fileId: object.fileId.toString(),
+                    error: err.message,
+                    ip: req.logContext?.ip,
+                });
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * PUT on an object: PutObject or UploadPart
+ */
+export async function putObject(req, res, next) {
+    try {
+        checkSubresources(req);
+        if (req.headers['x-amz-copy-source']) throw notImplemented();
+
+        const { bucket } = req.params;
+        const key = objectKey(req);
+        const payload = readPayload(req);
+
+        if (req.query.uploadId) {
+            const { etag } = await s3Service.uploadPart(
+                req.user._id,
+                bucket,
+                key,
+                req.query.uploadId,
+                Number(req.query.partNumber),
+                payload
+            );
+
+            res.set('ETag', etag);
+            return res.status(200).end();
+        }
+
+        const { etag, fileId } = await s3Service.putObject(req.user._id, bucket, key, payload);
+
+        if (fileId) {
+            logUpload('completed', {
+                message: 'S3 object uploaded',
+                fileId: fileId.toString(),
+                bucket,
+                key,
+                size: payload.size,
+                userId: req.user._id.toString(),
+                protocol: 's3',
+                ip: req.logContext?.ip,
+            });
+        }
+
+        res.set('ETag', etag);
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST on an object: CreateMultipartUpload or CompleteMultipartUpload
+ */
+export async function postObject(req, res, next) {
+    try {
+        checkSubresources(req);
+
+        const { bucket } = req.params;
+        const key = objectKey(req);
+
+        if ('uploads' in req.query) {
+            const { uploadId } = await s3Service.createMultipartUpload(req.user._id, bucket, key, {
+                contentType: req.headers['content-type'],
+            });
+
+            return sendXml(res, 200, {
+                InitiateMultipartUploadResult: {
+                    '@_xmlns': S3_NAMESPACE,
+                    Bucket: bucket,
+                    Key: key,
+                    UploadId: uploadId,
+                },
+            });
+        }
+
+        if (!req.query.uploadId) throw notImplemented();
+
+        const document = parseXml(await readBody(req)).CompleteMultipartUpload;
+        if (!document) {
+            throw new S3Error('MalformedXML', 'The XML you provided was not well-formed', 400);
+        }
+
+        const parts = (document.Part || []).map(p => ({
+            partNumber: parseInt(p.PartNumber, 10),
+            etag: p.ETag,
+        }));
+
+        const { etag, fileId } = await s3Service.completeMultipartUpload(
+            req.user._id,
+            bucket,
+            key,
+            req.query.uploadId,
+            parts
+        );
+
+        logUpload('completed', {
+            message: 'S3 multipart upload completed',
+            fileId: fileId.toString(),
+            bucket,
+            key,
+            parts: parts.length,
+            userId: req.user._id.toString(),
+            protocol: 's3',
+            ip: req.logContext?.ip,
+        });
+
+        sendXml(res, 200, {
+            CompleteMultipartUploadResult: {
+                '@_xmlns': S3_NAMESPACE,
+                Location: `${config.s3Gateway.prefix}/${bucket}/${uriEncode(key, false)}`,
+                Bucket: bucket,
+                Key: key,
+                ETag: etag,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * DELETE on an object: DeleteObject or AbortMultipartUpload
+ */
+export async function deleteObject(req, res, next) {
+    try {
+        checkSubresources(req);
+
+        const { bucket } = req.params;
+        const key = objectKey(req);
+
+        if (req.query.uploadId) {
+            await s3Service.abortMultipartUpload(req.user._id, bucket, key, req.query.uploadId);
+        } else {
+            await s3Service.deleteObject(req.user._id, bucket, key);
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Error handler: S3-style XML errors
+ */
+export function handleError(err, req, res, _next) {
+    let code;
+    let statusCode;
+
+    if (err instanceof S3Error) {
+        code = err.code;
+        statusCode = err.statusCode;
+    } else if (err instanceof RateLimitError) {
+        // S3 clients back off and retry on SlowDown
+        code = 'SlowDown';
+        statusCode = 503;
+    } else if (err instanceof AppError) {
+        statusCode = err.statusCode;
+        code = GENERIC_ERROR_CODES[statusCode] || 'InternalError';
+        // Quota checks are reported as permission errors
+        if (err.fields?.reasons) {
+            code = 'AccessDenied';
+            statusCode = 403;
+        }
+    } else if (['SignatureDoesNotMatch', 'IncompleteBody'].includes(err.code)) {
+        code = err.code;
+        statusCode = err.code === 'SignatureDoesNotMatch' ? 403 : 400;
+    } else {
+        code = 'InternalError';
+        statusCode = 500;
+    }
+
+    if (statusCode >= 500) {
+        logger.error('S3 request failed', { code, error: err.message, stack: err.stack, path: req.path });
+    } else {
+        logger.warn('S3 request rejected', { code, message: err.message, path: req.path });
+    }
+
+    if (res.headersSent) {
+        return res.destroy(err);
+    }
+
+    // Unread request bodies would otherwise keep the connection busy
+    res.set('Connection', 'close');
+
+    if (req.method === 'HEAD') {
+        return res.status(statusCode).end();
+    }
+
+    sendXml(res, statusCode, {
+        Error: {
+            Code: code,
+            Message: statusCode >= 500 && !config.isDev && !(err instanceof AppError) ? 'We encountered an internal error' : err.message,
+            Resource: req.path,
+            RequestId: req.s3RequestId,
+        },
+    });
+}
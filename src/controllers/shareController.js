@@ -0,0 +1,210 @@
+/**
+ * Share Controller
+ * Share link management and public link downloads
+ */
+import shareLinkService from '../services/ShareLinkService.js';
+import archiveService from '../services/ArchiveService.js';
+import { sendArchive } from './downloadController.js';
+import { logDownload } from '../utils/logger.js';
+
+export async function createLink(req, res, next) {
+    try {
+        const { fileId, password, expiresAt, expiresIn, maxDownloads } = req.body;
+        const result = await shareLinkService.createLink(req.user._id, fileId, {
+            password,
+            expiresAt,
+            expiresIn,
+            maxDownloads,
+        });
+
+        logDownload('share_link_created', {
+            message: 'Share link created',
+            fileId,
+            linkId: result.id.toString(),
+            userId: req.user._id.toString(),
+            hasPassword: result.hasPassword,
+            maxDownloads: result.maxDownloads,
+            ip: req.logContext?.ip,
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function listLinks(req, res, next) {
+    try {
+        const { page, limit, fileId } = req.query;
+        const result = await shareLinkService.listLinks(req.user._id, {
+            fileId,
+            page: parseInt(page, 10) || 1,
+            limit: Math.min(parseInt(limit, 10) || 20, 100),
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function revokeLink(req, res, next) {
+    try {
+        const { linkId } = req.params;
+        const result = await shareLinkService.revokeLink(req.user._id, linkId);
+
+        logDownload('share_link_revoked', {
+            message: 'Share link revoked',
+            linkId,
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function getLinkInfo(req, res, next) {
+    try {
+        const result = await shareLinkService.getLinkInfo(req.params.slug);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function downloadLink(req, res, next) {
+    try {
+        const { slug } = req.params;
+        const password = req.headers['x-file-password'] || req.query.password;
+        const startTime = Date.now();
+
+        const { stream, headers, statusCode, metadata, link } = await shareLinkService.prepareDownload(slug, {
+            rangeHeader: req.headers.range,
+            password,
+        });
+
+        logDownload('started', {
+            message: 'Share link download started',
+            fileId: metadata.id,
+            linkId: link._id.toString(),
+            size: metadata.size,
+            linkDownloads: link.downloadCount,
+            isRange: statusCode === 206,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+            browser: req.logContext?.ua?.browser,
+            os: req.logContext?.ua?.os,
+        });
+
+        for (const [key, value] of Object.entries(headers)) {
+            res.set(key, value);
+        }
+
+        res.status(statusCode);
+
+        stream.on('end', () => {
+            logDownload('completed', {
+                message: 'Share link download completed',
+                fileId: metadata.id,
+                linkId: link._id.toString(),
+                size: metadata.size,
+                duration: Date.now() - startTime,
+                ip: req.logContext?.ip,
+            });
+        });
+
+        stream.on('error', (err) => {
+            logDownload('error', {
+                message: 'Share link download stream error',
+                fileId: metadata.id,
+                linkId: link._id.toString(),
+                error: err.message,
+                ip: req.logContext?.ip,
+            });
+            if (!res.headersSent) {
+                next(err);
+            }
+        });
+
+        stream.pipe(res);
+    } catch (error) {
+        logDownload('failed', {
+            message: 'Share link download failed',
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
+export async function getSharedFolder(req, res, next) {
+    try {
+        const { slug } = req.params;
+        const { folderId, page, limit, sort } = req.query;
+        const result = await shareLinkService.getFolderContents(slug, folderId, {
+            page: parseInt(page, 10) || 1,
+            limit: Math.min(parseInt(limit, 10) || 50, 100),
+            sort,
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function downloadSharedFolderFile(req, res, next) {
+    try {
+        const { slug, fileId } = req.params;
+
+        const { stream, headers, statusCode, metadata } = await shareLinkService.prepareFolderDownload(slug, fileId, {
+            rangeHeader: req.headers.range,
+        });
+
+        logDownload('started', {
+            message: 'Shared folder download started',
+            fileId,
+            size: metadata.size,
+            isRange: statusCode === 206,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        for (const [key, value] of Object.entries(headers)) {
+            res.set(key, value);
+        }
+
+        res.status(statusCode);
+
+        stream.on('error', (err) => {
+            logDownload('error', {
+                message: 'Shared folder download stream error',
+                fileId,
+                error: err.message,
+                ip: req.logContext?.ip,
+            });
+            if (!res.headersSent) {
+                next(err);
+            }
+        });
+
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function downloadSharedFolderArchive(req, res, next) {
+    try {
+        const { slug } = req.params;
+        const share = await shareLinkService.getFolderLink(slug);
+        const folderId = req.query.folderId || share.folderId.toString();
+
+        const { stream, headers, metadata } = await archiveService.prepareFolderArchive(folderId, { slug });
+
+        sendArchive(req, res, stream, headers, metadata, { folderId, shareId: share._id.toString() });
+    } catch (error) {
+        next(error);
+    }
+}
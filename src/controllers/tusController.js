@@ -0,0 +1,160 @@
+/**
+ * Tus Controller
+ * tus 1.0 resumable uploads (creation, termination, checksum, expiration)
+ */
+import config from '../config/index.js';
+import tusService, { TUS_VERSION, TUS_EXTENSIONS, TUS_CHECKSUM_ALGORITHMS } from '../services/TusService.js';
+import { ValidationError, UploadError } from '../utils/errors.js';
+import { logUpload } from '../utils/logger.js';
+
+function setExpires(res, expiresAt) {
+    if (expiresAt) {
+        res.set('Upload-Expires', new Date(expiresAt).toUTCString());
+    }
+}
+
+export function getOptions(req, res) {
+    res.set('Tus-Version', TUS_VERSION);
+    res.set('Tus-Extension', TUS_EXTENSIONS.join(','));
+    res.set('Tus-Checksum-Algorithm', Object.keys(TUS_CHECKSUM_ALGORITHMS).join(','));
+    res.status(204).end();
+}
+
+export async function createUpload(req, res, next) {
+    try {
+        const length = req.headers['upload-length'];
+        if (length === undefined) {
+            throw new ValidationError('Upload-Length header is required');
+        }
+
+        const metadata = tusService.parseMetadata(req.headers['upload-metadata']);
+        const result = await tusService.createUpload(req.user._id, { length, metadata });
+
+        logUpload('started', {
+            message: 'Tus upload created',
+            sessionId: result.sessionId,
+            userId: req.user._id.toString(),
+            userRole: req.user.role,
+            filename: metadata.filename || metadata.name,
+            size: Number(length),
+            protocol: 'tus',
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+            browser: req.logContext?.ua?.browser,
+            os: req.logContext?.ua?.os,
+        });
+
+        res.set('Location', `${config.apiPrefix}/tus/${result.sessionId}`);
+        setExpires(res, result.expiresAt);
+
+        if (result.completed) {
+            res.set('Upload-Offset', '0');
+            res.set('X-File-Id', result.file.fileId.toString());
+
+            logUpload('completed', {
+                message: 'Tus upload completed',
+                sessionId: result.sessionId,
+                fileId: result.file.fileId.toString(),
+                userId: req.user._id.toString(),
+                filename: result.file.filename,
+                size: result.file.size,
+                protocol: 'tus',
+                ip: req.logContext?.ip,
+            });
+        }
+
+        res.status(201).end();
+    } catch (error) {
+        logUpload('init_failed', {
+            message: 'Tus upload creation failed',
+            userId: req.user?._id?.toString(),
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
+export async function getUploadInfo(req, res, next) {
+    try {
+        const info = await tusService.getUploadInfo(req.params.id, req.user._id);
+
+        res.set('Upload-Offset', String(info.offset));
+        res.set('Upload-Length', String(info.length));
+        res.set('Cache-Control', 'no-store');
+        setExpires(res, info.expiresAt);
+        if (info.fileId) {
+            res.set('X-File-Id', info.fileId.toString());
+        }
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function appendData(req, res, next) {
+    try {
+        const { id } = req.params;
+
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            throw new UploadError('Content-Type must be application/offset+octet-stream', 415, 'UNSUPPORTED_MEDIA_TYPE');
+        }
+
+        const offset = req.headers['upload-offset'];
+        if (offset === undefined || !/^\d+$/.test(offset)) {
+            throw new ValidationError('Upload-Offset header is required');
+        }
+
+        const result = await tusService.appendData(id, req.user._id, req, {
+            offset,
+            checksum: req.headers['upload-checksum'],
+        });
+
+        res.set('Upload-Offset', String(result.offset));
+        setExpires(res, result.expiresAt);
+
+        if (result.completed) {
+            res.set('X-File-Id', result.file.fileId.toString());
+
+            logUpload('completed', {
+                message: 'Tus upload completed',
+                sessionId: id,
+                fileId: result.file.fileId.toString(),
+                userId: req.user._id.toString(),
+                filename: result.file.filename,
+                size: result.file.size,
+                protocol: 'tus',
+                ip: req.logContext?.ip,
+            });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        logUpload('chunk_failed', {
+            message: 'Tus PATCH failed',
+            sessionId: req.params.id,
+            userId: req.user?._id?.toString(),
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
+export async function terminateUpload(req, res, next) {
+    try {
+        const { id } = req.params;
+        await tusService.terminateUpload(id, req.user._id);
+
+        logUpload('aborted', {
+            message: 'Tus upload terminated',
+            sessionId: id,
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
@@ -8,7 +8,7 @@ import { logUpload } from '../utils/logger.js';
 
 export async function initUpload(req, res, next) {
     try {
-        const { filename, size, hash, mimeType, folderId } = req.body;
+        const { filename, size, hash, mimeType, folderId, shareToken } = req.body;
 
         if (!filename || !size) {
             throw new ValidationError('Filename and size are required');
@@ -20,6 +20,7 @@ export async function initUpload(req, res, next) {
             hash,
             mimeType,
             folderId: folderId || null,
+            shareToken,
         });
 
         logUpload('started', {
@@ -134,6 +135,37 @@ export async function completeUpload(req, res, next) {
     }
 }
 
+export async function completeInstantUpload(req, res, next) {
+    try {
+        const { sessionId } = req.params;
+        const { proof } = req.body;
+        const result = await uploadService.completeInstantUpload(sessionId, req.user._id, proof);
+
+        logUpload('completed_instant', {
+            message: 'Instant upload completed (content already stored)',
+            sessionId,
+            fileId: result.fileId?.toString(),
+            userId: req.user._id.toString(),
+            filename: result.filename,
+            size: result.size,
+            hash: result.hash,
+            ip: req.logContext?.ip,
+            country: req.logContext?.geo?.country,
+        });
+
+        res.json(result);
+    } catch (error) {
+        logUpload('instant_failed', {
+            message: 'Instant upload failed',
+            sessionId: req.params?.sessionId,
+            userId: req.user?._id?.toString(),
+            error: error.message,
+            ip: req.logContext?.ip,
+        });
+        next(error);
+    }
+}
+
 export async function abortUpload(req, res, next) {
     try {
         const { sessionId } = req.params;
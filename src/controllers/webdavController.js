@@ -0,0 +1,659 @@
+/**
+ * WebDAV Controller
+ * RFC 4918 class 1 and 2 methods over the user's folder tree
+ */
+import { pipeline } from 'stream';
+import config from '../config/index.js';
+import webDavService, { ResourceType } from '../services/WebDavService.js';
+import webDavLockService, { LockScope, lockApplies } from '../services/WebDavLockService.js';
+import downloadService from '../services/DownloadService.js';
+import {
+    AppError,
+    AuthenticationError,
+    ValidationError,
+    WebDavError,
+} from '../utils/errors.js';
+import {
+    DAV_NS,
+    parseDavXml,
+    findChild,
+    serializeElement,
+    emptyElement,
+    escapeXml,
+    davDocument,
+} from '../utils/davXml.js';
+import logger, { logUpload, logDownload } from '../utils/logger.js';
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK';
+
+/**
+ * Largest XML request body (PROPFIND, PROPPATCH, LOCK)
+ */
+const MAX_XML_BODY = 1024 * 1024;
+
+/**
+ * Live properties returned by allprop (quota properties must be asked for)
+ */
+const ALLPROP_PROPERTIES = [
+    'creationdate', 'displayname', 'getcontentlength', 'getcontenttype', 'getetag',
+    'getlastmodified', 'resourcetype', 'supportedlock', 'lockdiscovery',
+];
+
+const SUPPORTED_LOCK = [LockScope.EXCLUSIVE, LockScope.SHARED]
+    .map(scope => `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`)
+    .join('');
+
+/**
+ * Live property values as XML (null when the property doesn't apply to the resource)
+ */
+const LIVE_PROPERTIES = {
+    creationdate: r => (r.folder || r.file) && escapeXml(new Date((r.file || r.folder).createdAt).toISOString()),
+    displayname: r => (r.file ? escapeXml(r.file.originalName) : r.folder && r.type === ResourceType.FOLDER ? escapeXml(r.folder.name) : null),
+    getcontentlength: r => (r.file ? String(r.file.size) : null),
+    getcontenttype: r => (r.file ? escapeXml(r.file.mimeType) : null),
+    getetag: r => (r.file ? escapeXml(webDavService.etag(r.file)) : null),
+    getlastmodified: r => {
+        if (r.file) return new Date(r.file.createdAt).toUTCString();
+        return r.type === ResourceType.FOLDER ? new Date(r.folder.updatedAt).toUTCString() : null;
+    },
+    resourcetype: r => (r.file ? '' : '<D:collection/>'),
+    supportedlock: () => SUPPORTED_LOCK,
+    lockdiscovery: (r, context) => context.locks
+        .filter(lock => lockApplies(lock, r.path))
+        .map(lock => renderActiveLock(context.baseUrl, lock))
+        .join(''),
+    'quota-used-bytes': (r, context) => (r.file ? null : String(context.quota.used)),
+    'quota-available-bytes': (r, context) => (r.file || context.quota.available === null ? null : String(context.quota.available)),
+};
+
+const STATUS_TEXT = {
+    200: 'OK',
+    403: 'Forbidden',
+    404: 'Not Found',
+};
+
+// ==================== Request helpers ====================
+
+/**
+ * Decoded resource path of a request URL path ("/" for the root)
+ */
+function toResourcePath(urlPath) {
+    const segments = [];
+
+    for (const segment of urlPath.split('/')) {
+        if (!segment) continue;
+
+        let name;
+        try {
+            name = decodeURIComponent(segment);
+        } catch {
+            throw new WebDavError('Malformed URL', 400);
+        }
+
+        if (name === '.' || name === '..' || name.includes('/')) {
+            throw new WebDavError('Invalid path segment', 400);
+        }
+        segments.push(name);
+    }
+
+    return `/${segments.join('/')}`;
+}
+
+function resourcePath(req) {
+    return toResourcePath(req.path);
+}
+
+/**
+ * URL of a resource (collections end in "/")
+ */
+function hrefFor(baseUrl, path, isCollection) {
+    const encoded = path
+        .split('/')
+        .map(segment => encodeURIComponent(segment))
+        .join('/');
+
+    if (path === '/') return `${baseUrl}/`;
+    return `${baseUrl}${encoded}${isCollection ? '/' : ''}`;
+}
+
+/**
+ * Resource path of the Destination header (MOVE, COPY)
+ */
+function destinationPath(req) {
+    const header = req.headers.destination;
+    if (!header) {
+        throw new WebDavError('Destination header is required', 400);
+    }
+
+    let pathname;
+    try {
+        pathname = new URL(header, `${req.protocol}://${req.headers.host}`).pathname;
+    } catch {
+        throw new WebDavError('Malformed Destination header', 400);
+    }
+
+    if (pathname !== req.baseUrl && !pathname.startsWith(`${req.baseUrl}/`)) {
+        throw new WebDavError('Destination is outside this WebDAV share', 502);
+    }
+
+    return toResourcePath(pathname.slice(req.baseUrl.length));
+}
+
+/**
+ * Lock tokens submitted in the If header
+ */
+function submittedTokens(req) {
+    const header = req.headers.if || '';
+    return [...header.matchAll(/<(opaquelocktoken:[^>]+)>/g)].map(match => match[1]);
+}
+
+function depthHeader(req, allowed, defaultValue) {
+    const depth = (req.headers.depth ?? defaultValue).toLowerCase();
+    if (!allowed.includes(depth)) {
+        throw new WebDavError(`Invalid Depth header "${depth}"`, 400);
+    }
+    return depth;
+}
+
+/**
+ * Requested lock timeout in seconds (null = server default)
+ */
+function timeoutHeader(req) {
+    for (const value of String(req.headers.timeout || '').split(',')) {
+        const option = value.trim();
+        if (option.toLowerCase() === 'infinite') return config.webdav.maxLockTimeout;
+
+        const match = /^Second-(\d+)$/i.exec(option);
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+}
+
+function hasBody(req) {
+    return parseInt(req.headers['content-length'], 10) > 0 || !!req.headers['transfer-encoding'];
+}
+
+/**
+ * Read a small XML request body
+ */
+async function readXmlBody(req) {
+    const buffers = [];
+    let size = 0;
+
+    for await (const data of req) {
+        size += data.length;
+        if (size > MAX_XML_BODY) {
+            throw new WebDavError('Request body too large', 413);
+        }
+        buffers.push(data);
+    }
+
+    return parseDavXml(Buffer.concat(buffers, size).toString('utf8'));
+}
+
+async function getResource(req, path) {
+    const resource = await webDavService.resolve(req.user._id, path);
+    if (!resource) {
+        throw new WebDavError('Resource not found', 404);
+    }
+    return resource;
+}
+
+// ==================== Response helpers ====================
+
+function sendXml(res, statusCode, xml) {
+    res.status(statusCode);
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.send(xml);
+}
+
+function renderActiveLock(baseUrl, lock) {
+    const remaining = Math.max(Math.ceil((lock.expiresAt - Date.now()) / 1000), 0);
+
+    return '<D:activelock>' +
+        `<D:locktype><D:write/></D:locktype>` +
+        `<D:lockscope><D:${lock.scope}/></D:lockscope>` +
+        `<D:depth>${lock.depth}</D:depth>` +
+        (lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '') +
+        `<D:timeout>Second-${remaining}</D:timeout>` +
+        `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>` +
+        `<D:lockroot><D:href>${escapeXml(hrefFor(baseUrl, lock.path, false))}</D:href></D:lockroot>` +
+        '</D:activelock>';
+}
+
+function renderPropstat(props, statusCode) {
+    return `<D:propstat><D:prop>${props.join('')}</D:prop>` +
+        `<D:status>HTTP/1.1 ${statusCode} ${STATUS_TEXT[statusCode]}</D:status></D:propstat>`;
+}
+
+function renderProperty(ns, name, value) {
+    if (ns !== DAV_NS) return emptyElement(ns, name);
+    return value === '' ? `<D:${name}/>` : `<D:${name}>${value}</D:${name}>`;
+}
+
+/**
+ * One <response> of a PROPFIND multistatus
+ * @param {Object} request - { mode ('allprop' | 'propname' | 'prop'), props: [{ ns, name }] }
+ */
+function renderPropfindResponse(resource, request, context) {
+    const isCollection = resource.type !== ResourceType.FILE;
+    const href = `<D:href>${escapeXml(hrefFor(context.baseUrl, resource.path, isCollection))}</D:href>`;
+
+    const value = name => (LIVE_PROPERTIES[name] ? LIVE_PROPERTIES[name](resource, context) : null);
+
+    if (request.mode === 'propname') {
+        const names = Object.keys(LIVE_PROPERTIES).filter(name => value(name) !== null);
+        return `<D:response>${href}${renderPropstat(names.map(name => `<D:${name}/>`), 200)}</D:response>`;
+    }
+
+    const wanted = request.mode === 'allprop'
+        ? [...ALLPROP_PROPERTIES.map(name => ({ ns: DAV_NS, name })), ...request.props]
+        : request.props;
+
+    const found = [];
+    const missing = [];
+
+    for (const { ns, name } of wanted) {
+        const propertyValue = ns === DAV_NS ? value(name) : null;
+
+        if (propertyValue !== null && propertyValue !== undefined) {
+            found.push(renderProperty(ns, name, propertyValue));
+        } else if (request.mode === 'prop') {
+            missing.push(emptyElement(ns, name));
+        }
+    }
+
+    return '<D:response>' +
+        href +
+        (found.length > 0 ? renderPropstat(found, 200) : '') +
+        (missing.length > 0 ? renderPropstat(missing, 404) : '') +
+        '</D:response>';
+}
+
+/**
+ * What a PROPFIND body asks for
+ */
+function parsePropfind(root) {
+    if (!root) return { mode: 'allprop', props: [] };
+
+    if (root.ns !== DAV_NS || root.name !== 'propfind') {
+        throw new WebDavError('Expected a propfind element', 400);
+    }
+
+    if (findChild(root, 'propname')) return { mode: 'propname', props: [] };
+
+    const include = findChild(root, 'include');
+    if (findChild(root, 'allprop')) {
+        return { mode: 'allprop', props: include ? include.children.map(({ ns, name }) => ({ ns, name })) : [] };
+    }
+
+    const prop = findChild(root, 'prop');
+    if (!prop) {
+        throw new WebDavError('Expected allprop, propname or prop', 400);
+    }
+
+    return { mode: 'prop', props: prop.children.map(({ ns, name }) => ({ ns, name })) };
+}
+
+// ==================== Handlers ====================
+
+export function options(req, res) {
+    res.set('DAV', '1, 2');
+    res.set('MS-Author-Via', 'DAV');
+    res.set('Allow', ALLOWED_METHODS);
+    res.set('Content-Length', '0');
+    res.status(200).end();
+}
+
+export async function propfind(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const depth = (req.headers.depth ?? 'infinity').toLowerCase();
+
+        if (!['0', '1'].includes(depth)) {
+            throw new WebDavError('Depth infinity PROPFIND is not supported', 403, 'propfind-finite-depth');
+        }
+
+        const request = parsePropfind(await readXmlBody(req));
+        const resource = await getResource(req, path);
+
+        const resources = [resource];
+        if (depth === '1' && resource.type !== ResourceType.FILE) {
+            resources.push(...await webDavService.listMembers(req.user._id, resource));
+        }
+
+        const wantsQuota = request.mode === 'propname' || request.props.some(p => p.ns === DAV_NS && p.name.startsWith('quota-'));
+
+        const context = {
+            baseUrl: req.baseUrl,
+            locks: await webDavLockService.getLocks(req.user._id, path, { descendants: true }),
+            quota: wantsQuota ? await webDavService.getQuota(req.user._id) : null,
+        };
+
+        const responses = resources.map(r => renderPropfindResponse(r, request, context)).join('');
+        sendXml(res, 207, davDocument('multistatus', responses));
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * PROPPATCH: all properties are live or unsupported, so every change is refused
+ */
+export async function proppatch(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const root = await readXmlBody(req);
+
+        if (!root || root.ns !== DAV_NS || root.name !== 'propertyupdate') {
+            throw new WebDavError('Expected a propertyupdate element', 400);
+        }
+
+        const resource = await getResource(req, path);
+        await webDavLockService.checkWrite(req.user._id, path, submittedTokens(req));
+
+        const props = root.children
+            .filter(c => c.ns === DAV_NS && ['set', 'remove'].includes(c.name))
+            .flatMap(c => findChild(c, 'prop')?.children || [])
+            .map(({ ns, name }) => emptyElement(ns, name));
+
+        const href = hrefFor(req.baseUrl, path, resource.type !== ResourceType.FILE);
+        const response = `<D:response><D:href>${escapeXml(href)}</D:href>${renderPropstat(props, 403)}</D:response>`;
+
+        sendXml(res, 207, davDocument('multistatus', response));
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function head(req, res, next) {
+    try {
+        const resource = await getResource(req, resourcePath(req));
+
+        if (resource.file) {
+            res.set('Content-Type', resource.file.mimeType);
+            res.set('Content-Length', String(resource.file.size));
+            res.set('ETag', webDavService.etag(resource.file));
+            res.set('Last-Modified', new Date(resource.file.createdAt).toUTCString());
+            res.set('Accept-Ranges', 'bytes');
+        }
+
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function get(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const resource = await getResource(req, path);
+
+        if (!resource.file) {
+            res.set('Allow', ALLOWED_METHODS);
+            throw new WebDavError('GET is not supported on collections', 405);
+        }
+
+        const { stream, headers, statusCode } = await downloadService.prepareDownload(resource.file._id.toString(), {
+            userId: req.user._id,
+            rangeHeader: req.headers.range,
+        });
+
+        res.status(statusCode);
+        res.set(headers);
+        res.set('ETag', webDavService.etag(resource.file));
+        res.set('Last-Modified', new Date(resource.file.createdAt).toUTCString());
+
+        logDownload('started', {
+            message: 'WebDAV download started',
+            fileId: resource.file._id.toString(),
+            path,
+            size: resource.file.size,
+            isRange: statusCode === 206,
+            userId: req.user._id.toString(),
+            ip: req.logContext?.ip,
+        });
+
+        pipeline(stream, res, (err) => {
+            if (err) {
+                logDownload('error', {
+                    message: 'WebDAV download stream error',
+                    fileId: resource.file._id.toString(),
+                    error: err.message,
+                    ip: req.logContext?.ip,
+                });
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * PUT: the body is streamed into an upload session, never buffered whole
+ */
+export async function put(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        await webDavLockService.checkWrite(req.user._id, path, submittedTokens(req));
+
+        // Chunked uploads (macOS Finder) announce their size in X-Expected-Entity-Length
+        const sizeHeader = req.headers['content-length'] ?? req.headers['x-expected-entity-length'];
+        const size = Number(sizeHeader);
+
+        if (sizeHeader === undefined || !Number.isSafeInteger(size) || size < 0) {
+            throw new WebDavError('Content-Length is required', 411);
+        }
+
+        const { created, fileId } = await webDavService.putFile(req.user._id, path, {
+            body: req,
+            size,
+            contentType: req.headers['content-type'],
+        });
+
+        logUpload('completed', {
+            message: 'WebDAV file uploaded',
+            fileId: fileId.toString(),
+            path,
+            size,
+            userId: req.user._id.toString(),
+            protocol: 'webdav',
+            ip: req.logContext?.ip,
+        });
+
+        res.status(created ? 201 : 204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function mkcol(req, res, next) {
+    try {
+        if (hasBody(req)) {
+            throw new WebDavError('MKCOL request bodies are not supported', 415);
+        }
+
+        const path = resourcePath(req);
+        await webDavLockService.checkWrite(req.user._id, path, submittedTokens(req));
+        await webDavService.createCollection(req.user._id, path);
+
+        res.status(201).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function remove(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const resource = await getResource(req, path);
+
+        await webDavLockService.checkWrite(req.user._id, path, submittedTokens(req), { descendants: true });
+        await webDavService.remove(req.user._id, resource);
+
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function move(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const destination = destinationPath(req);
+        const tokens = submittedTokens(req);
+
+        const resource = await getResource(req, path);
+
+        await webDavLockService.checkWrite(req.user._id, path, tokens, { descendants: true });
+        await webDavLockService.checkWrite(req.user._id, destination, tokens, { descendants: true });
+
+        const { created } = await webDavService.move(req.user._id, resource, destination, {
+            overwrite: String(req.headers.overwrite || 'T').toUpperCase() !== 'F',
+        });
+
+        res.status(created ? 201 : 204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function copy(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const destination = destinationPath(req);
+        const depth = depthHeader(req, ['0', 'infinity'], 'infinity');
+
+        const resource = await getResource(req, path);
+
+        await webDavLockService.checkWrite(req.user._id, destination, submittedTokens(req), { descendants: true });
+
+        const { created } = await webDavService.copy(req.user._id, resource, destination, {
+            overwrite: String(req.headers.overwrite || 'T').toUpperCase() !== 'F',
+            depth,
+        });
+
+        res.status(created ? 201 : 204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * LOCK: create a lock (locking an unmapped URL creates an empty file), or refresh one
+ */
+export async function lock(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const root = await readXmlBody(req);
+        const timeout = timeoutHeader(req);
+
+        let activeLock;
+        let created = false;
+
+        if (!root) {
+            await getResource(req, path);
+            activeLock = await webDavLockService.refresh(req.user._id, path, submittedTokens(req), timeout);
+        } else {
+            if (root.ns !== DAV_NS || root.name !== 'lockinfo') {
+                throw new WebDavError('Expected a lockinfo element', 400);
+            }
+
+            const scope = findChild(findChild(root, 'lockscope'), LockScope.SHARED)
+                ? LockScope.SHARED
+                : LockScope.EXCLUSIVE;
+
+            if (!findChild(findChild(root, 'locktype'), 'write')) {
+                throw new WebDavError('Only write locks are supported', 422);
+            }
+
+            const owner = findChild(root, 'owner');
+            const resource = await webDavService.resolve(req.user._id, path);
+
+            activeLock = await webDavLockService.lock(req.user._id, path, {
+                scope,
+                depth: depthHeader(req, ['0', 'infinity'], 'infinity'),
+                owner: owner ? owner.children.map(serializeElement).join('') + escapeXml(owner.text) : null,
+                timeout,
+            });
+
+            if (!resource) {
+                try {
+                    await webDavService.putFile(req.user._id, path, { body: [], size: 0 });
+                    created = true;
+                } catch (error) {
+                    await webDavLockService.unlock(req.user._id, path, activeLock.token).catch(() => { });
+                    throw error;
+                }
+            }
+        }
+
+        res.set('Lock-Token', `<${activeLock.token}>`);
+        sendXml(
+            res,
+            created ? 201 : 200,
+            davDocument('prop', `<D:lockdiscovery>${renderActiveLock(req.baseUrl, activeLock)}</D:lockdiscovery>`)
+        );
+    } catch (error) {
+        next(error);
+    }
+}
+
+export async function unlock(req, res, next) {
+    try {
+        const path = resourcePath(req);
+        const token = /^<(.+)>$/.exec(String(req.headers['lock-token'] || '').trim())?.[1];
+
+        if (!token) {
+            throw new WebDavError('Lock-Token header is required', 400);
+        }
+
+        await webDavLockService.unlock(req.user._id, path, token);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Error handler: WebDAV status codes, with a DAV:error body for precondition failures
+ */
+export function handleError(err, req, res, _next) {
+    let statusCode = err instanceof AppError ? err.statusCode : 500;
+
+    // Quota checks map to Insufficient Storage
+    if (err instanceof ValidationError && err.fields?.reasons) {
+        statusCode = 507;
+    }
+
+    if (statusCode >= 500 && statusCode !== 507) {
+        logger.error('WebDAV request failed', { error: err.message, stack: err.stack, method: req.method, path: req.path });
+    } else {
+        logger.debug('WebDAV request rejected', { statusCode, message: err.message, method: req.method, path: req.path });
+    }
+
+    if (res.headersSent) {
+        return res.destroy(err);
+    }
+
+    if (err instanceof AuthenticationError) {
+        res.set('WWW-Authenticate', 'Basic realm="WebDAV", charset="UTF-8"');
+    }
+
+    // Unread request bodies would otherwise keep the connection busy
+    if (!req.complete) {
+        res.set('Connection', 'close');
+    }
+
+    if (req.method === 'HEAD') {
+        return res.status(statusCode).end();
+    }
+
+    if (err.condition) {
+        return sendXml(res, statusCode, davDocument('error', `<D:${err.condition}/>`));
+    }
+
+    res.status(statusCode);
+    res.type('text/plain');
+    res.send(statusCode >= 500 && !(err instanceof AppError) && !config.isDev ? 'Internal server error' : err.message);
+}
@@ -7,10 +7,14 @@ import cors from 'cors';
 import helmet from 'helmet';
 
 import config from './config/index.js';
-import database from './database.js';
-import redis from './redis.js';
-import storageProvider from './index.js';
+import database from './config/database.js';
+import redis from './config/redis.js';
+import storageProvider from './providers/storage/index.js';
+import cacheProvider from './providers/cache/index.js';
+import queueProvider from './providers/queue/index.js';
 import routes from './routes/index.js';
+import s3Routes from './routes/s3.js';
+import webdavRoutes from './routes/webdav.js';
 import workerManager from './workers/index.js';
 import uploadCleanupService from './services/UploadCleanupService.js';
 import logger from './utils/logger.js';
@@ -26,10 +30,41 @@ app.set('trust proxy', 1);
 
 // Security middleware
 app.use(helmet());
-app.use(cors({
+const corsMiddleware = cors({
     origin: config.cors.origin,
     credentials: config.cors.credentials,
-}));
+    // Headers browsers may read (tus resumable uploads, file IDs, S3 ETags)
+    exposedHeaders: [
+        'Location',
+        'Upload-Offset',
+        'Upload-Length',
+        'Upload-Expires',
+        'Tus-Resumable',
+        'Tus-Version',
+        'Tus-Extension',
+        'Tus-Checksum-Algorithm',
+        'X-File-Id',
+        'ETag',
+    ],
+});
+
+// Only real preflights are answered by CORS; plain OPTIONS reach the routes (tus discovery)
+app.use((req, res, next) => {
+    if (req.method === 'OPTIONS' && !req.headers['access-control-request-method']) {
+        return next();
+    }
+    corsMiddleware(req, res, next);
+});
+
+// S3-compatible gateway, ahead of the body parsers (object bodies are streamed as-is)
+if (config.s3Gateway.enabled) {
+    app.use(config.s3Gateway.prefix, requestLogger(), s3Routes);
+}
+
+// WebDAV, also ahead of the body parsers (PUT bodies are streamed into uploads)
+if (config.webdav.enabled) {
+    app.use(config.webdav.prefix, requestLogger(), webdavRoutes);
+}
 
 // Body parsing
 app.use(express.json({ limit: '1mb' }));
@@ -46,11 +81,11 @@ app.use(detectAbuse);
 // Health check
 app.get('/health', async (req, res) => {
     const dbStatus = database.getStatus();
-    const redisStatus = redis.getStatus();
+    const cacheStatus = cacheProvider.getStatus();
     const storageHealthy = await storageProvider.healthCheck();
 
     const healthy = dbStatus.isConnected &&
-        redisStatus.cache === 'ready' &&
+        cacheStatus === 'ready' &&
         storageHealthy;
 
     res.status(healthy ? 200 : 503).json({
@@ -58,7 +93,7 @@ app.get('/health', async (req, res) => {
         timestamp: new Date().toISOString(),
         services: {
             database: dbStatus.isConnected ? 'connected' : 'disconnected',
-            redis: redisStatus.cache,
+            cache: cacheStatus,
             storage: storageHealthy ? 'healthy' : 'unhealthy',
         },
     });
@@ -96,6 +131,9 @@ app.use((err, req, res, next) => {
 
     // Send response
     const statusCode = err.statusCode || 500;
+    if (err.retryAfter) {
+        res.set('Retry-After', err.retryAfter);
+    }
     res.status(statusCode).json({
         error: {
             code: err.code || 'INTERNAL_ERROR',
@@ -110,8 +148,10 @@ async function start() {
         // Connect to MongoDB
         await database.connect();
 
-        // Connect to Redis
-        await redis.connect();
+        // Connect to Redis, unless everything is kept in memory
+        if (config.cache.provider === 'redis') {
+            await redis.connect();
+        }
 
         // Initialize storage
         await storageProvider.initialize();
@@ -140,8 +180,11 @@ async function shutdown(signal) {
     logger.info(`Received ${signal}, shutting down...`);
 
     uploadCleanupService.stop();
-    workerManager.stopAll();
-    await redis.disconnect();
+    await workerManager.stopAll();
+    await queueProvider.close();
+    if (config.cache.provider === 'redis') {
+        await redis.disconnect();
+    }
     await database.disconnect();
 
     process.exit(0);
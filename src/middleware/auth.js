@@ -1,32 +1,50 @@
 /**
  * Authentication Middleware
- * JWT verification and user extraction
+ * JWT and API key verification and user extraction
  */
 
 import authService from '../services/AuthService.js';
-import { AuthenticationError } from '../utils/errors.js';
+import apiKeyService from '../services/ApiKeyService.js';
+import { ApiKey } from '../models/index.js';
+import { AuthenticationError, AuthorizationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 /**
- * Extract token from Authorization header
+ * Extract token from Authorization header (or X-API-Key for API keys)
  */
 function extractToken(req) {
     const authHeader = req.headers.authorization;
 
-    if (!authHeader) {
-        return null;
+    if (authHeader?.startsWith('Bearer ')) {
+        return authHeader.slice(7);
     }
 
-    if (authHeader.startsWith('Bearer ')) {
-        return authHeader.slice(7);
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (typeof apiKeyHeader === 'string' && ApiKey.isApiKey(apiKeyHeader)) {
+        return apiKeyHeader;
     }
 
     return null;
 }
 
+/**
+ * Resolve a token (JWT or API key) and attach the user to the request
+ */
+async function attachUser(req, token) {
+    if (ApiKey.isApiKey(token)) {
+        const { apiKey, user } = await apiKeyService.authenticate(token, req.ip);
+        req.user = user;
+        req.apiKey = apiKey;
+        return;
+    }
+
+    req.user = await authService.getUserFromToken(token);
+    req.token = token;
+}
+
 /**
  * Authentication middleware
- * Requires valid JWT access token
+ * Requires valid JWT access token or API key
  */
 export async function authenticate(req, res, next) {
     try {
@@ -36,11 +54,7 @@ export async function authenticate(req, res, next) {
             throw new AuthenticationError('Authentication required');
         }
 
-        const user = await authService.getUserFromToken(token);
-
-        // Attach user to request
-        req.user = user;
-        req.token = token;
+        await attachUser(req, token);
 
         next();
     } catch (error) {
@@ -58,9 +72,7 @@ export async function optionalAuth(req, res, next) {
 
         if (token) {
             try {
-                const user = await authService.getUserFromToken(token);
-                req.user = user;
-                req.token = token;
+                await attachUser(req, token);
             } catch (error) {
                 // Token invalid, but that's okay for optional auth
                 logger.debug('Optional auth failed', { error: error.message });
@@ -73,4 +85,29 @@ export async function optionalAuth(req, res, next) {
     }
 }
 
+/**
+ * Require an API key scope (requests authenticated with a JWT pass)
+ * @param {...string} scopes - Accepted scopes (the key must have at least one)
+ */
+export function requireScope(...scopes) {
+    return (req, res, next) => {
+        if (req.apiKey && !scopes.some(scope => req.apiKey.hasScope(scope))) {
+            return next(new AuthorizationError(`API key scope required: ${scopes.join(' or ')}`));
+        }
+
+        next();
+    };
+}
+
+/**
+ * Refuse API keys (account and credential management needs a user session)
+ */
+export function requireSession(req, res, next) {
+    if (req.apiKey) {
+        return next(new AuthorizationError('Not available with an API key'));
+    }
+
+    next();
+}
+
 export default authenticate;
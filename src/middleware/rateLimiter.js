@@ -1,10 +1,10 @@
 /**
  * Rate Limiting Middleware
- * Redis-based sliding window rate limiting
+ * Sliding window rate limiting on the cache provider
  */
 
 import config from '../config/index.js';
-import { cacheClient } from '../config/redis.js';
+import cacheProvider from '../providers/cache/index.js';
 import { RateLimitError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
@@ -40,33 +40,14 @@ function getLimit(type, user) {
 async function checkRateLimit(identifier, type, limit, windowSeconds) {
     const key = `ratelimit:${type}:${identifier}`;
     const now = Date.now();
-    const windowStart = now - (windowSeconds * 1000);
 
     try {
-        // Use Redis sorted set for sliding window
-        const pipeline = cacheClient.pipeline();
-
-        // Remove old entries outside the window
-        pipeline.zremrangebyscore(key, 0, windowStart);
-
-        // Count entries in current window
-        pipeline.zcard(key);
-
-        // Add current request
-        pipeline.zadd(key, now, `${now}:${Math.random()}`);
-
-        // Set expiry on the key
-        pipeline.expire(key, windowSeconds);
-
-        const results = await pipeline.exec();
-        const count = results[1][1]; // Get zcard result
+        // Record this request; count the ones already in the window
+        const { count, oldest } = await cacheProvider.hitWindow(key, windowSeconds);
 
         if (count >= limit) {
             // Calculate retry after
-            const oldestEntry = await cacheClient.zrange(key, 0, 0, 'WITHSCORES');
-            const retryAfter = oldestEntry.length >= 2
-                ? Math.ceil((parseInt(oldestEntry[1]) + windowSeconds * 1000 - now) / 1000)
-                : windowSeconds;
+            const retryAfter = Math.ceil((oldest + windowSeconds * 1000 - now) / 1000);
 
             return {
                 allowed: false,
@@ -84,7 +65,7 @@ async function checkRateLimit(identifier, type, limit, windowSeconds) {
         };
     } catch (error) {
         logger.error('Rate limit check failed', { error: error.message, identifier, type });
-        // Fail open - allow request if Redis is down
+        // Fail open - allow request if the cache is down
         return { allowed: true, remaining: limit, retryAfter: 0, limit };
     }
 }
@@ -144,11 +125,11 @@ export async function detectAbuse(req, res, next) {
 
     try {
         // Check abuse score
-        const score = await cacheClient.get(key);
+        const score = await cacheProvider.get(key);
 
         if (score && parseInt(score) >= 100) {
             // IP is blocked
-            const ttl = await cacheClient.ttl(key);
+            const ttl = await cacheProvider.ttl(key);
             return res.status(403).json({
                 error: {
                     code: 'IP_BLOCKED',
@@ -162,8 +143,8 @@ export async function detectAbuse(req, res, next) {
         req.abuseKey = key;
         req.recordAbuse = async (points = 10) => {
             try {
-                const newScore = await cacheClient.incrby(key, points);
-                await cacheClient.expire(key, 3600); // 1 hour TTL
+                const newScore = await cacheProvider.increment(key, points);
+                await cacheProvider.expire(key, 3600); // 1 hour TTL
 
                 if (newScore >= 100) {
                     logger.warn('IP blocked due to abuse', { ip, score: newScore });
@@ -195,9 +176,9 @@ export async function trackChunkFailure(req, res, next) {
     res.json = function (data) {
         // If chunk upload failed, increment counter
         if (res.statusCode >= 400 && req.path.includes('/chunk')) {
-            cacheClient.incr(key)
+            cacheProvider.increment(key)
                 .then(count => {
-                    cacheClient.expire(key, 600); // 10 minute window
+                    cacheProvider.expire(key, 600); // 10 minute window
 
                     if (count >= 10) {
                         // Record abuse for too many failures
@@ -2,7 +2,18 @@
  * Role-Based Access Control Middleware
  */
 
-import { AuthorizationError } from '../utils/errors.js';
+import twoFactorService from '../services/TwoFactorService.js';
+import { AuthorizationError, TwoFactorRequiredError } from '../utils/errors.js';
+
+/**
+ * Roles that must have 2FA enabled can't use their privileges until they do
+ */
+function twoFactorPolicyError(user) {
+    if (!twoFactorService.satisfiesPolicy(user)) {
+        return new TwoFactorRequiredError(`Enable two-factor authentication to act as ${user.role}`);
+    }
+    return null;
+}
 
 /**
  * Require specific roles
@@ -18,7 +29,7 @@ export function requireRole(...roles) {
             return next(new AuthorizationError(`Required role: ${roles.join(' or ')}`));
         }
 
-        next();
+        next(twoFactorPolicyError(req.user) || undefined);
     };
 }
 
@@ -34,7 +45,7 @@ export function requireAdmin(req, res, next) {
         return next(new AuthorizationError('Admin access required'));
     }
 
-    next();
+    next(twoFactorPolicyError(req.user) || undefined);
 }
 
 /**
@@ -62,8 +73,8 @@ export function requireOwnership(getOwnerId) {
             return next(new AuthorizationError('Authentication required'));
         }
 
-        // Admins can access any resource
-        if (req.user.isAdmin()) {
+        // Admins can access any resource (once they meet the 2FA policy)
+        if (req.user.isAdmin() && twoFactorService.satisfiesPolicy(req.user)) {
             return next();
         }
 
@@ -0,0 +1,195 @@
+/**
+ * S3 Authentication Middleware
+ * AWS Signature V4 (Authorization header or presigned URL) against per-user access keys
+ */
+
+import accessKeyService from '../services/AccessKeyService.js';
+import { S3Error } from '../utils/errors.js';
+import {
+    SIGV4_ALGORITHM,
+    PayloadHash,
+    parseAuthorizationHeader,
+    parseCredential,
+    parseAmzDate,
+    canonicalRequest,
+    credentialScope,
+    stringToSign,
+    signingKey,
+    sign,
+    signaturesMatch,
+} from '../utils/sigv4.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Allowed difference between the request time and ours
+ */
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+
+/**
+ * Longest validity of a presigned URL (7 days, as on S3)
+ */
+const MAX_PRESIGNED_EXPIRES = 7 * 24 * 60 * 60;
+
+/**
+ * Extract signature details from the Authorization header or presigned query
+ */
+function parseRequestAuth(req) {
+    const header = req.headers.authorization;
+
+    if (header) {
+        if (!header.startsWith(SIGV4_ALGORITHM)) {
+            throw new S3Error('InvalidRequest', 'Only AWS Signature Version 4 is supported', 400);
+        }
+
+        const parsed = parseAuthorizationHeader(header);
+        if (!parsed) {
+            throw new S3Error('AuthorizationHeaderMalformed', 'The authorization header is malformed', 400);
+        }
+
+        const payloadHash = req.headers['x-amz-content-sha256'];
+        if (!payloadHash) {
+            throw new S3Error('InvalidRequest', 'Missing required header x-amz-content-sha256', 400);
+        }
+
+        return {
+            ...parsed,
+            amzDate: req.headers['x-amz-date'],
+            payloadHash,
+            presigned: false,
+        };
+    }
+
+    const query = req.query;
+
+    if (query['X-Amz-Algorithm']) {
+        const credential = parseCredential(query['X-Amz-Credential']);
+        const expires = parseInt(query['X-Amz-Expires'], 10);
+
+        if (
+            query['X-Amz-Algorithm'] !== SIGV4_ALGORITHM ||
+            !credential ||
+            !query['X-Amz-SignedHeaders'] ||
+            !query['X-Amz-Signature'] ||
+            !(expires > 0 && expires <= MAX_PRESIGNED_EXPIRES)
+        ) {
+            throw new S3Error('AuthorizationQueryParametersError', 'Invalid presigned URL parameters', 400);
+        }
+
+        return {
+            credential,
+            signedHeaders: String(query['X-Amz-SignedHeaders']).split(';'),
+            signature: query['X-Amz-Signature'],
+            amzDate: query['X-Amz-Date'],
+            payloadHash: query['X-Amz-Content-Sha256'] || PayloadHash.UNSIGNED,
+            presigned: true,
+            expires,
+        };
+    }
+
+    throw new S3Error('AccessDenied', 'Anonymous access is not allowed', 403);
+}
+
+/**
+ * Check the request time against the clock (and expiry for presigned URLs)
+ */
+function checkRequestTime(auth) {
+    const requestTime = parseAmzDate(auth.amzDate);
+
+    if (!requestTime || auth.amzDate.slice(0, 8) !== auth.credential.date) {
+        throw new S3Error('AccessDenied', 'Invalid or missing X-Amz-Date', 403);
+    }
+
+    const now = Date.now();
+
+    if (auth.presigned) {
+        if (requestTime.getTime() - now > MAX_CLOCK_SKEW_MS) {
+            throw new S3Error('AccessDenied', 'Request is not valid yet', 403);
+        }
+        if (now > requestTime.getTime() + auth.expires * 1000) {
+            throw new S3Error('AccessDenied', 'Request has expired', 403);
+        }
+    } else if (Math.abs(now - requestTime.getTime()) > MAX_CLOCK_SKEW_MS) {
+        throw new S3Error(
+            'RequestTimeTooSkewed',
+            'The difference between the request time and the current time is too large',
+            403
+        );
+    }
+}
+
+/**
+ * S3 authentication middleware
+ * Sets req.user and req.s3 ({ accessKeyId, payloadHash, presigned, signing })
+ */
+export async function s3Authenticate(req, res, next) {
+    try {
+        const auth = parseRequestAuth(req);
+        const { credential } = auth;
+
+        if (credential.service !== 's3' || !auth.signedHeaders.includes('host')) {
+            throw new S3Error('AuthorizationHeaderMalformed', 'The authorization header is malformed', 400);
+        }
+
+        checkRequestTime(auth);
+
+        const resolved = await accessKeyService.resolve(credential.accessKeyId);
+        if (!resolved) {
+            throw new S3Error(
+                'InvalidAccessKeyId',
+                'The access key ID you provided does not exist in our records',
+                403
+            );
+        }
+
+        const queryIndex = req.originalUrl.indexOf('?');
+        const path = queryIndex === -1 ? req.originalUrl : req.originalUrl.slice(0, queryIndex);
+        const rawQuery = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1);
+
+        const request = canonicalRequest({
+            method: req.method,
+            path,
+            rawQuery,
+            headers: req.headers,
+            signedHeaders: auth.signedHeaders,
+            payloadHash: auth.payloadHash,
+            excludeQuery: auth.presigned ? ['X-Amz-Signature'] : [],
+        });
+
+        const scope = credentialScope(credential);
+        const key = signingKey(resolved.secret, credential.date, credential.region, credential.service);
+        const expected = sign(key, stringToSign(auth.amzDate, scope, request));
+
+        if (!signaturesMatch(auth.signature, expected)) {
+            logger.warn('S3 signature mismatch', {
+                accessKeyId: credential.accessKeyId,
+                method: req.method,
+                path,
+                ip: req.ip,
+            });
+            throw new S3Error(
+                'SignatureDoesNotMatch',
+                'The request signature we calculated does not match the signature you provided',
+                403
+            );
+        }
+
+        req.user = resolved.user;
+        req.s3 = {
+            accessKeyId: credential.accessKeyId,
+            payloadHash: auth.payloadHash,
+            presigned: auth.presigned,
+            // Needed to verify chunk signatures of streaming uploads
+            signing: { key, amzDate: auth.amzDate, scope, seedSignature: auth.signature },
+        };
+
+        accessKeyService.touch(resolved.accessKey).catch(err => {
+            logger.debug('Failed to record access key usage', { error: err.message });
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default s3Authenticate;
@@ -6,6 +6,7 @@
 import path from 'path';
 import config from '../config/index.js';
 import { ValidationError } from '../utils/errors.js';
+import { inspectContentType } from '../utils/fileType.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -29,6 +30,7 @@ const DANGEROUS_MIME_TYPES = [
     'application/x-msdownload',
     'application/x-executable',
     'application/x-dosexec',
+    'application/x-mach-binary',
 ];
 
 /**
@@ -87,6 +89,34 @@ export function validateFileType(mimeType, filename) {
     return true;
 }
 
+/**
+ * Validate a file's content against its declared type
+ * The declared type can't be trusted (an .exe renamed to .pdf), so the type
+ * checks run again on what the leading bytes show the file to be.
+ * @param {string} declaredMimeType - Type given at upload
+ * @param {Buffer} head - Leading bytes of the content
+ * @returns {Object} { mimeType (type to store), declaredMimeType, detectedMimeType, mismatch }
+ */
+export function validateFileContent(declaredMimeType, head, filename) {
+    const { mimeType, detectedMimeType, mismatch } = inspectContentType(declaredMimeType, head);
+
+    if (mismatch && config.security.contentTypeMismatch === 'reject') {
+        logger.warn('File content type mismatch blocked', {
+            declaredMimeType,
+            detectedMimeType,
+            filename,
+        });
+        throw new ValidationError('File content does not match its type', {
+            declaredMimeType,
+            detectedMimeType,
+        });
+    }
+
+    validateFileType(mimeType, filename);
+
+    return { mimeType, declaredMimeType, detectedMimeType, mismatch };
+}
+
 /**
  * Path traversal protection middleware
  */
@@ -244,6 +274,7 @@ function formatBytes(bytes) {
 export default {
     sanitizeFilename,
     validateFileType,
+    validateFileContent,
     preventPathTraversal,
     limitRequestBody,
     validateObjectId,
@@ -0,0 +1,65 @@
+/**
+ * WebDAV Authentication Middleware
+ * HTTP Basic auth with an access key (ID as user name, secret as password),
+ * or a Bearer token (JWT or API key)
+ */
+
+import crypto from 'crypto';
+import accessKeyService from '../services/AccessKeyService.js';
+import { authenticate } from './auth.js';
+import { AuthenticationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+function secretsMatch(actual, expected) {
+    const a = crypto.createHash('sha256').update(actual).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse "Basic base64(id:secret)"
+ * @returns {Object|null} { accessKeyId, secret }
+ */
+function parseBasicAuth(header) {
+    if (!header || !header.startsWith('Basic ')) return null;
+
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const index = decoded.indexOf(':');
+    if (index === -1) return null;
+
+    return { accessKeyId: decoded.slice(0, index), secret: decoded.slice(index + 1) };
+}
+
+/**
+ * WebDAV authentication middleware
+ */
+export async function webdavAuthenticate(req, res, next) {
+    if (req.headers.authorization?.startsWith('Bearer ')) {
+        return authenticate(req, res, next);
+    }
+
+    try {
+        const credentials = parseBasicAuth(req.headers.authorization);
+        if (!credentials) {
+            throw new AuthenticationError('Authentication required');
+        }
+
+        const resolved = await accessKeyService.resolve(credentials.accessKeyId);
+        if (!resolved || !secretsMatch(credentials.secret, resolved.secret)) {
+            logger.warn('WebDAV authentication failed', { accessKeyId: credentials.accessKeyId, ip: req.ip });
+            throw new AuthenticationError('Invalid access key or secret');
+        }
+
+        req.user = resolved.user;
+
+        accessKeyService.touch(resolved.accessKey).catch(err => {
+            logger.debug('Failed to record access key usage', { error: err.message });
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default webdavAuthenticate;
@@ -0,0 +1,27 @@
+/**
+ * Migration: Drop Unique File Storage Key
+ * Deduplicated files share a storage key, but databases created before
+ * deduplication still have the unique index on it (removing `unique` from the
+ * schema does not drop it), so the second file with the same content fails
+ * with E11000. Replace it with the schema's plain index.
+ */
+import File from '../models/File.js';
+import logger from '../utils/logger.js';
+
+const INDEX_NAME = 'storageKey_1';
+
+export default {
+    name: 'drop-file-storage-key-unique',
+
+    async up() {
+        const indexes = await File.collection.indexes().catch(() => []);
+        const index = indexes.find(i => i.name === INDEX_NAME);
+
+        if (index?.unique) {
+            await File.collection.dropIndex(INDEX_NAME);
+            logger.info('Dropped unique index on file storage keys');
+        }
+
+        await File.collection.createIndex({ storageKey: 1 }, { name: INDEX_NAME });
+    },
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration: Hash File Passwords
+ * Download passwords used to be stored in plain text; hash the ones that still are
+ */
+import bcrypt from 'bcrypt';
+import File, { isPasswordHash } from '../models/File.js';
+import logger from '../utils/logger.js';
+
+export default {
+    name: 'hash-file-passwords',
+
+    async up() {
+        const cursor = File.find({ password: { $nin: [null, ''] } })
+            .select('+password')
+            .cursor();
+
+        let hashed = 0;
+        for await (const file of cursor) {
+            if (isPasswordHash(file.password)) continue;
+
+            const salt = await bcrypt.genSalt(10);
+            const result = await File.updateOne(
+                { _id: file._id, password: file.password },
+                { $set: { password: await bcrypt.hash(file.password, salt) } }
+            );
+            hashed += result.modifiedCount;
+        }
+
+        logger.info('File passwords hashed', { hashed });
+    },
+};
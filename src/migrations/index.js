@@ -0,0 +1,40 @@
+/**
+ * Migrations
+ * One-off data and index changes for existing databases, run in order with
+ * `npm run migrate`. Every migration is safe to run again.
+ */
+import database from '../config/database.js';
+import dropFileStorageKeyUnique from './dropFileStorageKeyUnique.js';
+import hashFilePasswords from './hashFilePasswords.js';
+import logger from '../utils/logger.js';
+
+const migrations = [
+    dropFileStorageKeyUnique,
+    hashFilePasswords,
+];
+
+/**
+ * Run all migrations in order, stopping at the first failure
+ */
+export async function runMigrations() {
+    for (const migration of migrations) {
+        logger.info(`Running migration: ${migration.name}`);
+        await migration.up();
+    }
+
+    logger.info('Migrations complete', { count: migrations.length });
+}
+
+// Allow running migrations standalone
+if (process.argv[1]?.endsWith('migrations/index.js')) {
+    database.connect()
+        .then(runMigrations)
+        .then(async () => {
+            await database.disconnect();
+            process.exit(0);
+        })
+        .catch((error) => {
+            logger.error('Migration failed', { error: error.message });
+            process.exit(1);
+        });
+}
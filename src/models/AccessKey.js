@@ -0,0 +1,125 @@
+/**
+ * Access Key Model
+ * Per-user credentials for the S3-compatible gateway (AWS Signature V4)
+ *
+ * SigV4 needs the plain secret to verify signatures, so it can't be hashed;
+ * it is stored encrypted (AES-256-GCM) and only shown once, at creation.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { encryptSecret, decryptSecret } from '../utils/hash.js';
+
+const ACCESS_KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ACCESS_KEY_PREFIX = 'AKCS';
+const SECRET_BYTES = 30; // 40 base64 characters
+
+/**
+ * Key source for encrypting stored secrets
+ */
+function encryptionKey() {
+    return config.s3Gateway.secretEncryptionKey || `s3-gateway:${config.jwt.accessSecret}`;
+}
+
+const accessKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    accessKeyId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    // iv:tag:ciphertext (base64)
+    secretEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    isRevoked: {
+        type: Boolean,
+        default: false,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+accessKeySchema.index({ userId: 1, isRevoked: 1 });
+
+/**
+ * Generate a new access key ID (AWS-style, 20 characters)
+ */
+accessKeySchema.statics.generateAccessKeyId = function () {
+    const bytes = crypto.randomBytes(16);
+    let id = ACCESS_KEY_PREFIX;
+    for (const byte of bytes) {
+        id += ACCESS_KEY_ALPHABET[byte % ACCESS_KEY_ALPHABET.length];
+    }
+    return id;
+};
+
+/**
+ * Generate a new secret access key
+ */
+accessKeySchema.statics.generateSecret = function () {
+    return crypto.randomBytes(SECRET_BYTES).toString('base64').replace(/\+/g, 'A').replace(/\//g, 'B');
+};
+
+/**
+ * Encrypt and store the secret
+ */
+accessKeySchema.methods.setSecret = function (secret) {
+    this.secretEncrypted = encryptSecret(secret, encryptionKey());
+};
+
+/**
+ * Decrypt the secret (requires secretEncrypted to be selected)
+ */
+accessKeySchema.methods.getSecret = function () {
+    return decryptSecret(this.secretEncrypted, encryptionKey());
+};
+
+/**
+ * Revoke the key
+ */
+accessKeySchema.methods.revoke = async function () {
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    await this.save();
+};
+
+// Transform to JSON (never includes the secret)
+accessKeySchema.methods.toJSON = function () {
+    return {
+        id: this._id,
+        accessKeyId: this.accessKeyId,
+        name: this.name,
+        lastUsedAt: this.lastUsedAt,
+        isRevoked: this.isRevoked,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+const AccessKey = mongoose.model('AccessKey', accessKeySchema);
+
+export default AccessKey;
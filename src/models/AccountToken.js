@@ -0,0 +1,93 @@
+/**
+ * Account Token Model
+ * Single-use, expiring tokens sent by email (password reset, email verification)
+ *
+ * Only a SHA-256 hash of the token is stored; the token itself only exists
+ * in the link sent to the user.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Token purposes
+ */
+export const AccountTokenType = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification',
+};
+
+const accountTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: Object.values(AccountTokenType),
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Address the token was sent to (verification only holds for that address)
+    email: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+accountTokenSchema.index({ userId: 1, type: 1 });
+// Remove tokens once expired
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a token, replacing the user's earlier tokens of the same type
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {Promise<string>} The token (to put in the emailed link)
+ */
+accountTokenSchema.statics.issue = async function (user, type, ttl) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await this.deleteMany({ userId: user._id, type });
+    await this.create({
+        userId: user._id,
+        type,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + ttl * 1000),
+    });
+
+    return token;
+};
+
+/**
+ * Use up a token
+ * @returns {Promise<Object|null>} The token record, null if unknown, used or expired
+ */
+accountTokenSchema.statics.consume = function (token, type) {
+    if (typeof token !== 'string' || !token) return null;
+
+    return this.findOneAndDelete({
+        tokenHash: hashToken(token),
+        type,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
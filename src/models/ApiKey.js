@@ -0,0 +1,154 @@
+/**
+ * API Key Model
+ * Long-lived, revocable credentials for scripts and CI
+ *
+ * Keys look like "sk_<prefix>_<secret>". Only a SHA-256 hash of the whole key
+ * is stored; the key itself is shown once, at creation. The prefix is kept in
+ * clear so users can tell their keys apart.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const KEY_TYPE = 'sk';
+const PREFIX_BYTES = 4; // 8 hex characters
+const SECRET_BYTES = 24; // 32 base64url characters
+
+/**
+ * What a key may be used for
+ */
+export const ApiKeyScope = {
+    UPLOAD: 'upload',
+    DOWNLOAD: 'download',
+    FILES_WRITE: 'files:write',
+    FOLDERS_WRITE: 'folders:write',
+    SHARES_WRITE: 'shares:write',
+    ADMIN: 'admin',
+};
+
+const apiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    prefix: {
+        type: String,
+        required: true,
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+    scopes: [{
+        type: String,
+        enum: Object.values(ApiKeyScope),
+    }],
+    // Single addresses or CIDR ranges; empty = any address
+    allowedIps: [{
+        type: String,
+    }],
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+        default: null,
+    },
+    isRevoked: {
+        type: Boolean,
+        default: false,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+apiKeySchema.index({ userId: 1, isRevoked: 1 });
+
+/**
+ * Whether a bearer token is an API key (rather than a JWT)
+ */
+apiKeySchema.statics.isApiKey = function (token) {
+    return typeof token === 'string' && token.startsWith(`${KEY_TYPE}_`);
+};
+
+/**
+ * Hash a key for storage and lookup
+ */
+apiKeySchema.statics.hashKey = function (key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generate a new key
+ * @returns {Object} { key, prefix, keyHash }
+ */
+apiKeySchema.statics.generateKey = function () {
+    const prefix = crypto.randomBytes(PREFIX_BYTES).toString('hex');
+    const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+    const key = `${KEY_TYPE}_${prefix}_${secret}`;
+
+    return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+/**
+ * Check if the key has expired
+ */
+apiKeySchema.methods.isExpired = function () {
+    return !!this.expiresAt && this.expiresAt < new Date();
+};
+
+/**
+ * Check if the key grants a scope
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+    return this.scopes.includes(scope);
+};
+
+/**
+ * Revoke the key
+ */
+apiKeySchema.methods.revoke = async function () {
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    await this.save();
+};
+
+// Transform to JSON (never includes the hash)
+apiKeySchema.methods.toJSON = function () {
+    return {
+        id: this._id,
+        name: this.name,
+        prefix: `${KEY_TYPE}_${this.prefix}`,
+        scopes: this.scopes,
+        allowedIps: this.allowedIps,
+        expiresAt: this.expiresAt,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        isRevoked: this.isRevoked,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -3,9 +3,101 @@
  * Stores file metadata and tracking information
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import bcrypt from 'bcrypt';
 import { StorageTier } from '../providers/storage/StorageProvider.js';
 
+/**
+ * Post-upload processing state of a file, and of each processor run on it
+ */
+export const ProcessingStatus = {
+    NONE: 'none',
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped', // Processor does not apply to this file
+};
+
+/**
+ * One processor's run on the current content
+ */
+const processingStepSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: Object.values(ProcessingStatus),
+        default: ProcessingStatus.PENDING,
+    },
+    error: {
+        type: String,
+    },
+    // Metadata keys the processor wrote (cleared when a new version is processed)
+    keys: {
+        type: [String],
+        default: [],
+    },
+    startedAt: {
+        type: Date,
+    },
+    completedAt: {
+        type: Date,
+    },
+}, { _id: false });
+
+/**
+ * Previous content of a file (the current content lives on the file itself)
+ */
+const fileVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+    },
+    storageKey: {
+        type: String,
+        required: true,
+    },
+    storageTier: {
+        type: String,
+        enum: Object.values(StorageTier),
+        default: StorageTier.HOT,
+    },
+    size: {
+        type: Number,
+        required: true,
+    },
+    hash: {
+        type: String,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+    },
+    declaredMimeType: {
+        type: String,
+    },
+    detectedMimeType: {
+        type: String,
+    },
+    contentTypeMismatch: {
+        type: Boolean,
+        default: false,
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
 const fileSchema = new mongoose.Schema({
     // Owner reference
     userId: {
@@ -14,6 +106,12 @@ const fileSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Uploader when someone else uploaded into a shared folder (null = owner)
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
 
     // Folder reference (null = root)
     folderId: {
@@ -23,11 +121,10 @@ const fileSchema = new mongoose.Schema({
         index: true,
     },
 
-    // File identification
+    // Physical blob location (shared by deduplicated files)
     storageKey: {
         type: String,
         required: true,
-        unique: true,
         index: true,
     },
 
@@ -45,6 +142,20 @@ const fileSchema = new mongoose.Schema({
         required: true,
     },
 
+    // Content type as declared at upload, and as sniffed from the content
+    // (mimeType is the one served; null = not sniffed, or no known signature)
+    declaredMimeType: {
+        type: String,
+    },
+    detectedMimeType: {
+        type: String,
+    },
+    // Content is not of its declared type (stored with the detected type instead)
+    contentTypeMismatch: {
+        type: Boolean,
+        default: false,
+    },
+
     // Integrity
     hash: {
         type: String,
@@ -86,6 +197,7 @@ const fileSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
+    // Download password (bcrypt hash; hashed on save)
     password: {
         type: String,
         select: false,
@@ -101,6 +213,37 @@ const fileSchema = new mongoose.Schema({
         type: Date,
     },
 
+    // Trash (deleted but restorable until purged; bytes are kept)
+    trashExpiresAt: {
+        type: Date,
+        index: true,
+    },
+    // Folder whose deletion trashed this file (null = trashed on its own)
+    trashRootId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null,
+    },
+
+    // Versioning (version is the current content's number)
+    version: {
+        type: Number,
+        default: 1,
+    },
+    versionCreatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Previous versions, oldest first
+    versions: {
+        type: [fileVersionSchema],
+        default: [],
+    },
+    // Total size of previous versions (counts toward quota)
+    versionsSize: {
+        type: Number,
+        default: 0,
+    },
     // Migration tracking
     migrationStatus: {
         type: String,
@@ -111,7 +254,33 @@ const fileSchema = new mongoose.Schema({
         type: Date,
     },
 
-    // Metadata
+    // Post-upload processing of the current content
+    processing: {
+        status: {
+            type: String,
+            enum: Object.values(ProcessingStatus),
+            default: ProcessingStatus.NONE,
+        },
+        // Content version being processed (a new version restarts processing)
+        version: {
+            type: Number,
+        },
+        steps: {
+            type: [processingStepSchema],
+            default: [],
+        },
+        queuedAt: {
+            type: Date,
+        },
+        startedAt: {
+            type: Date,
+        },
+        completedAt: {
+            type: Date,
+        },
+    },
+
+    // Metadata (processors add what they extract)
     metadata: {
         type: Map,
         of: String,
@@ -124,6 +293,7 @@ const fileSchema = new mongoose.Schema({
         transform: (doc, ret) => {
             delete ret.password;
             delete ret.__v;
+            delete ret.versions;
             return ret;
         },
     },
@@ -135,10 +305,34 @@ fileSchema.index({ userId: 1, isDeleted: 1 });
 fileSchema.index({ expiresAt: 1, isDeleted: 1 }); // For expiry worker
 fileSchema.index({ storageTier: 1, lastAccessAt: 1 }); // For migration worker
 fileSchema.index({ downloads: -1, storageTier: 1 }); // For hot file detection
+fileSchema.index({ userId: 1, trashExpiresAt: 1 }); // For trash listing
+fileSchema.index({ 'processing.status': 1, 'processing.queuedAt': 1 }); // For processing worker
 
 // TTL index for auto-deletion (handled by worker instead for safety)
 // fileSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+/**
+ * Hash the download password when it changes
+ */
+fileSchema.pre('save', async function (next) {
+    if (!this.isModified('password') || !this.password || isPasswordHash(this.password)) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(10);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Whether a stored password is already a bcrypt hash (older files stored it in plain text)
+ */
+export function isPasswordHash(value) {
+    return /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
 /**
  * Virtual: file URL
  */
@@ -153,6 +347,20 @@ fileSchema.virtual('isExpired').get(function () {
     return this.expiresAt && this.expiresAt < new Date();
 });
 
+/**
+ * Virtual: is in trash (restorable)
+ */
+fileSchema.virtual('isTrashed').get(function () {
+    return this.isDeleted && !!this.trashExpiresAt;
+});
+
+/**
+ * Virtual: bytes charged to quota (current content and previous versions)
+ */
+fileSchema.virtual('storedSize').get(function () {
+    return this.size + (this.versionsSize || 0);
+});
+
 /**
  * Virtual: friendly size
  */
@@ -190,6 +398,32 @@ fileSchema.methods.incrementDownload = async function (extensionDays = 5) {
     await this.save();
 };
 
+/**
+ * Compare a download password
+ * Requires the document to be loaded with +password. A password still stored
+ * in plain text is compared in constant time and hashed once it matched.
+ */
+fileSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.password || typeof candidatePassword !== 'string') return false;
+
+    if (isPasswordHash(this.password)) {
+        return bcrypt.compare(candidatePassword, this.password);
+    }
+
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(candidatePassword), digest(this.password))) {
+        return false;
+    }
+
+    // Not through save(): other fields of this document may not be loaded
+    const salt = await bcrypt.genSalt(10);
+    await this.constructor.updateOne(
+        { _id: this._id, password: this.password },
+        { $set: { password: await bcrypt.hash(candidatePassword, salt) } }
+    );
+    return true;
+};
+
 /**
  * Mark as deleted (soft delete)
  */
@@ -199,6 +433,42 @@ fileSchema.methods.softDelete = async function () {
     await this.save();
 };
 
+/**
+ * Move to trash (bytes are kept until the trash is purged)
+ * Conditional on the file not being deleted yet, so of parallel calls only one moves it
+ * @returns {Promise<boolean>} Whether this call moved the file
+ */
+fileSchema.methods.moveToTrash = async function (retentionDays, trashRootId = null) {
+    const now = new Date();
+    const changes = {
+        isDeleted: true,
+        deletedAt: now,
+        trashExpiresAt: new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000),
+        trashRootId,
+    };
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, isDeleted: false },
+        { $set: changes }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    Object.assign(this, changes);
+    return true;
+};
+
+/**
+ * Restore from trash
+ */
+fileSchema.methods.restoreFromTrash = async function (folderId = this.folderId) {
+    this.isDeleted = false;
+    this.deletedAt = null;
+    this.trashExpiresAt = null;
+    this.trashRootId = null;
+    this.folderId = folderId;
+    await this.save();
+};
+
 /**
  * Update storage tier
  */
@@ -281,20 +551,17 @@ fileSchema.statics.findHotMigrationCandidates = function (downloadThreshold, lim
 };
 
 /**
- * Static: Get user storage usage
+ * Static: Get user storage usage (trashed files still count)
  */
 fileSchema.statics.getUserStorageUsage = async function (userId) {
     const result = await this.aggregate([
         {
-            $match: {
-                userId: new mongoose.Types.ObjectId(userId),
-                isDeleted: false,
-            },
+            $match: this.storedFilesQuery(userId),
         },
         {
             $group: {
                 _id: '$userId',
-                totalSize: { $sum: '$size' },
+                totalSize: { $sum: { $add: ['$size', { $ifNull: ['$versionsSize', 0] }] } },
                 fileCount: { $sum: 1 },
             },
         },
@@ -303,6 +570,41 @@ fileSchema.statics.getUserStorageUsage = async function (userId) {
     return result[0] || { totalSize: 0, fileCount: 0 };
 };
 
+/**
+ * Static: Find files whose trash retention has passed
+ */
+fileSchema.statics.findPurgeableFiles = function (limit = 100) {
+    return this.find({
+        isDeleted: true,
+        trashExpiresAt: { $lte: new Date() },
+    })
+        .sort({ trashExpiresAt: 1 })
+        .limit(limit);
+};
+
+/**
+ * Static: Find files whose processing was queued long ago and never finished
+ */
+fileSchema.statics.findStaleProcessing = function (queuedBefore, limit = 100) {
+    return this.find({
+        'processing.status': { $in: [ProcessingStatus.PENDING, ProcessingStatus.RUNNING] },
+        'processing.queuedAt': { $lte: queuedBefore },
+        isDeleted: false,
+    })
+        .sort({ 'processing.queuedAt': 1 })
+        .limit(limit);
+};
+
+/**
+ * Static: Query matching files that still hold stored bytes (live or in trash)
+ */
+fileSchema.statics.storedFilesQuery = function (userId) {
+    return {
+        userId: new mongoose.Types.ObjectId(userId),
+        $or: [{ isDeleted: false }, { trashExpiresAt: { $ne: null } }],
+    };
+};
+
 /**
  * Static: Find by hash (for deduplication)
  */
@@ -34,6 +34,25 @@ const folderSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
+    // Trash
+    isDeleted: {
+        type: Boolean,
+        default: false,
+        index: true,
+    },
+    deletedAt: {
+        type: Date,
+    },
+    trashExpiresAt: {
+        type: Date,
+        index: true,
+    },
+    // Top-level folder of the deleted subtree (equals _id for the folder that was deleted)
+    trashRootId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -48,7 +67,11 @@ const folderSchema = new mongoose.Schema({
 
 // Compound indexes for efficient queries
 folderSchema.index({ userId: 1, parentId: 1 });
-folderSchema.index({ userId: 1, path: 1 }, { unique: true });
+// Trashed folders keep their path, so uniqueness only applies to live ones
+folderSchema.index(
+    { userId: 1, path: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false } }
+);
 
 // Virtual for child folders
 folderSchema.virtual('children', {
@@ -93,7 +116,17 @@ folderSchema.methods.getAncestors = async function () {
 
 // Get immediate children
 folderSchema.methods.getChildren = async function () {
-    return this.constructor.find({ parentId: this._id });
+    return this.constructor.find({ parentId: this._id, isDeleted: { $ne: true } });
+};
+
+// Get this folder and all descendants (including trashed ones)
+folderSchema.methods.getSubtree = async function () {
+    const escapedPath = this.path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const descendants = await this.constructor.find({
+        userId: this.userId,
+        path: { $regex: `^${escapedPath}/` },
+    });
+    return [this, ...descendants];
 };
 
 // Check if moving to target would create circular reference
@@ -135,6 +168,10 @@ folderSchema.methods.toJSON = function () {
         depth: this.depth,
         createdAt: this.createdAt,
         updatedAt: this.updatedAt,
+        ...(this.isDeleted && {
+            deletedAt: this.deletedAt,
+            trashExpiresAt: this.trashExpiresAt,
+        }),
     };
 };
 
@@ -0,0 +1,141 @@
+/**
+ * Folder Share Model
+ * Grants access to a folder (and everything below it) by link or to a user by email
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Share types
+ */
+export const FolderShareType = {
+    LINK: 'link',
+    USER: 'user',
+};
+
+/**
+ * Access levels (write implies read)
+ */
+export const SharePermission = {
+    READ: 'read',
+    WRITE: 'write',
+};
+
+/**
+ * Random bytes per link slug (24 base64url characters)
+ */
+const SLUG_BYTES = 18;
+
+const folderShareSchema = new mongoose.Schema({
+    folderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        required: true,
+        index: true,
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    type: {
+        type: String,
+        enum: Object.values(FolderShareType),
+        required: true,
+    },
+    permission: {
+        type: String,
+        enum: Object.values(SharePermission),
+        default: SharePermission.READ,
+    },
+
+    // Link shares
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+
+    // User shares (matched against the recipient's account email)
+    granteeEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        index: true,
+    },
+
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    isRevoked: {
+        type: Boolean,
+        default: false,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Virtual: Check if share can still be used
+ */
+folderShareSchema.virtual('isActive').get(function () {
+    return !this.isRevoked && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+/**
+ * Method: Revoke share
+ */
+folderShareSchema.methods.revoke = async function () {
+    if (this.isRevoked) return this;
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Static: Generate a random URL-safe slug
+ */
+folderShareSchema.statics.generateSlug = function () {
+    return crypto.randomBytes(SLUG_BYTES).toString('base64url');
+};
+
+/**
+ * Static: Query for shares that are neither revoked nor expired
+ */
+folderShareSchema.statics.activeQuery = function (query = {}) {
+    return {
+        ...query,
+        isRevoked: false,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+};
+
+// Transform to JSON
+folderShareSchema.methods.toJSON = function () {
+    return {
+        id: this._id,
+        folderId: this.folderId,
+        type: this.type,
+        permission: this.permission,
+        ...(this.type === FolderShareType.LINK && {
+            slug: this.slug,
+            url: `/api/share/folders/${this.slug}`,
+        }),
+        ...(this.type === FolderShareType.USER && { email: this.granteeEmail }),
+        expiresAt: this.expiresAt,
+        isRevoked: this.isRevoked,
+        isActive: this.isActive,
+        createdAt: this.createdAt,
+    };
+};
+
+const FolderShare = mongoose.model('FolderShare', folderShareSchema);
+
+export default FolderShare;
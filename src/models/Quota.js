@@ -1,12 +1,21 @@
 /**
  * Quota Model
- * Tracks and enforces user storage quotas
+ * Tracks and enforces user storage and bandwidth quotas
  */
 
 import mongoose from 'mongoose';
 import config from '../config/index.js';
 import { UserRole } from './User.js';
 
+/**
+ * Download speed classes (caps are in config.bandwidth.speeds)
+ */
+export const BandwidthPriority = {
+    LOW: 'low',
+    HIGH: 'high',
+    HIGHEST: 'highest',
+};
+
 /**
  * Default quotas by role
  */
@@ -15,22 +24,33 @@ export const DefaultQuotas = {
         maxStorage: 50 * 1024 * 1024 * 1024,      // 50 GB
         maxFileSize: config.upload.maxFileSizeFree, // 10 GB
         maxFiles: 1000,
-        bandwidthPriority: 'low',
+        maxBandwidthDaily: config.bandwidth.free.daily,
+        maxBandwidthMonthly: config.bandwidth.free.monthly,
+        bandwidthPriority: BandwidthPriority.LOW,
     },
     [UserRole.PREMIUM]: {
         maxStorage: -1,                              // Unlimited
         maxFileSize: config.upload.maxFileSizePremium, // Unlimited
         maxFiles: -1,                                // Unlimited
-        bandwidthPriority: 'high',
+        maxBandwidthDaily: config.bandwidth.premium.daily,
+        maxBandwidthMonthly: config.bandwidth.premium.monthly,
+        bandwidthPriority: BandwidthPriority.HIGH,
     },
     [UserRole.ADMIN]: {
         maxStorage: -1,
         maxFileSize: -1,
         maxFiles: -1,
-        bandwidthPriority: 'highest',
+        maxBandwidthDaily: config.bandwidth.admin.daily,
+        maxBandwidthMonthly: config.bandwidth.admin.monthly,
+        bandwidthPriority: BandwidthPriority.HIGHEST,
     },
 };
 
+/**
+ * Conditional updates tried before a reservation gives up on contention
+ */
+const RESERVE_ATTEMPTS = 3;
+
 const quotaSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -54,9 +74,22 @@ const quotaSchema = new mongoose.Schema({
             type: Number,
             default: null,
         },
+        maxBandwidthDaily: {
+            type: Number,
+            default: null,
+        },
+        maxBandwidthMonthly: {
+            type: Number,
+            default: null,
+        },
+        bandwidthPriority: {
+            type: String,
+            enum: [...Object.values(BandwidthPriority), null],
+            default: null,
+        },
     },
 
-    // Current usage
+    // Current usage (includes files in trash until they are purged)
     usage: {
         storage: {
             type: Number,
@@ -66,6 +99,11 @@ const quotaSchema = new mongoose.Schema({
             type: Number,
             default: 0,
         },
+        // Portion of the above that is in trash
+        trash: {
+            storage: { type: Number, default: 0 },
+            files: { type: Number, default: 0 },
+        },
         bandwidth: {
             daily: { type: Number, default: 0 },
             monthly: { type: Number, default: 0 },
@@ -73,6 +111,15 @@ const quotaSchema = new mongoose.Schema({
         },
     },
 
+    // Space held by uploads in progress (see reserve)
+    reservations: [{
+        _id: false,
+        sessionId: { type: String, required: true },
+        storage: { type: Number, default: 0 },
+        files: { type: Number, default: 0 },
+        expiresAt: { type: Date, required: true },
+    }],
+
     // Overages (for soft limits)
     isOverQuota: {
         type: Boolean,
@@ -102,13 +149,27 @@ quotaSchema.methods.getEffectiveLimit = async function (limitType) {
     return DefaultQuotas[user.role][limitType];
 };
 
+/**
+ * Storage and file count held by uploads in progress
+ */
+quotaSchema.methods.getReserved = function (now = new Date()) {
+    const active = this.reservations.filter(r => r.expiresAt > now);
+
+    return {
+        storage: active.reduce((sum, r) => sum + r.storage, 0),
+        files: active.reduce((sum, r) => sum + r.files, 0),
+    };
+};
+
 /**
  * Check if storage usage is within limit
+ * (space reserved by uploads in progress counts as used)
  */
 quotaSchema.methods.canUpload = async function (fileSize) {
     const maxStorage = await this.getEffectiveLimit('maxStorage');
     const maxFileSize = await this.getEffectiveLimit('maxFileSize');
     const maxFiles = await this.getEffectiveLimit('maxFiles');
+    const reserved = this.getReserved();
 
     const result = {
         allowed: true,
@@ -127,25 +188,27 @@ quotaSchema.methods.canUpload = async function (fileSize) {
     }
 
     // Check total storage limit
-    if (maxStorage !== -1 && (this.usage.storage + fileSize) > maxStorage) {
+    if (maxStorage !== -1 && (this.usage.storage + reserved.storage + fileSize) > maxStorage) {
         result.allowed = false;
         result.reasons.push({
             code: 'STORAGE_EXCEEDED',
             message: `Upload would exceed storage quota of ${formatBytes(maxStorage)}`,
             limit: maxStorage,
             current: this.usage.storage,
+            reserved: reserved.storage,
             required: fileSize,
         });
     }
 
     // Check file count limit
-    if (maxFiles !== -1 && this.usage.files >= maxFiles) {
+    if (maxFiles !== -1 && this.usage.files + reserved.files >= maxFiles) {
         result.allowed = false;
         result.reasons.push({
             code: 'FILE_COUNT_EXCEEDED',
             message: `Maximum file count of ${maxFiles} reached`,
             limit: maxFiles,
             current: this.usage.files,
+            reserved: reserved.files,
         });
     }
 
@@ -154,63 +217,140 @@ quotaSchema.methods.canUpload = async function (fileSize) {
 
 /**
  * Update usage after upload
+ * @param {string} reservationId - Upload session whose reservation this settles
  */
-quotaSchema.methods.addFile = async function (fileSize) {
-    this.usage.storage += fileSize;
-    this.usage.files += 1;
+quotaSchema.methods.addFile = async function (fileSize, reservationId = null) {
+    await applyUsage(this, {
+        'usage.storage': fileSize,
+        'usage.files': 1,
+    }, { reservationId });
+};
 
-    // Check if over quota
-    const maxStorage = await this.getEffectiveLimit('maxStorage');
-    if (maxStorage !== -1 && this.usage.storage > maxStorage) {
-        this.isOverQuota = true;
-        if (!this.overQuotaSince) {
-            this.overQuotaSince = new Date();
-        }
-    }
+/**
+ * Update usage after storing a new version of an existing file
+ * (the previous content is kept, so only storage grows)
+ * @param {string} reservationId - Upload session whose reservation this settles
+ */
+quotaSchema.methods.addVersion = async function (size, reservationId = null) {
+    await applyUsage(this, { 'usage.storage': size }, { reservationId });
+};
 
-    await this.save();
+/**
+ * Update usage after pruning previous versions
+ */
+quotaSchema.methods.removeVersions = async function (size) {
+    await applyUsage(this, { 'usage.storage': -size });
 };
 
 /**
- * Update usage after delete
+ * Update usage after permanent delete
+ * @param {boolean} fromTrash - File was in trash (also decrements trash usage)
  */
-quotaSchema.methods.removeFile = async function (fileSize) {
-    this.usage.storage = Math.max(0, this.usage.storage - fileSize);
-    this.usage.files = Math.max(0, this.usage.files - 1);
+quotaSchema.methods.removeFile = async function (fileSize, fromTrash = false) {
+    await applyUsage(this, {
+        'usage.storage': -fileSize,
+        'usage.files': -1,
+        ...(fromTrash && {
+            'usage.trash.storage': -fileSize,
+            'usage.trash.files': -1,
+        }),
+    });
+};
 
-    // Check if back under quota
-    const maxStorage = await this.getEffectiveLimit('maxStorage');
-    if (maxStorage === -1 || this.usage.storage <= maxStorage) {
-        this.isOverQuota = false;
-        this.overQuotaSince = null;
-    }
+/**
+ * Update usage after moving a file to trash (still counts toward storage)
+ */
+quotaSchema.methods.trashFile = async function (fileSize) {
+    await applyUsage(this, {
+        'usage.trash.storage': fileSize,
+        'usage.trash.files': 1,
+    });
+};
 
-    await this.save();
+/**
+ * Update usage after restoring a file from trash
+ */
+quotaSchema.methods.restoreFile = async function (fileSize) {
+    await applyUsage(this, {
+        'usage.trash.storage': -fileSize,
+        'usage.trash.files': -1,
+    });
 };
 
 /**
- * Track bandwidth usage
+ * Bandwidth used today and this month
+ * (the stored counters are only reset on the next addBandwidth)
  */
-quotaSchema.methods.addBandwidth = async function (bytes) {
-    // Reset daily counter if needed
-    const now = new Date();
+quotaSchema.methods.getBandwidthUsage = function (now = new Date()) {
+    const period = bandwidthPeriod(now);
     const lastReset = this.usage.bandwidth.lastReset;
 
-    if (!lastReset || now.getDate() !== lastReset.getDate()) {
-        this.usage.bandwidth.daily = 0;
+    return {
+        daily: lastReset >= period.day ? this.usage.bandwidth.daily : 0,
+        monthly: lastReset >= period.month ? this.usage.bandwidth.monthly : 0,
+    };
+};
 
-        // Reset monthly if new month
-        if (!lastReset || now.getMonth() !== lastReset.getMonth()) {
-            this.usage.bandwidth.monthly = 0;
-        }
+/**
+ * Check if a download of this many bytes is within the bandwidth limits
+ */
+quotaSchema.methods.canDownload = async function (bytes) {
+    const maxDaily = await this.getEffectiveLimit('maxBandwidthDaily');
+    const maxMonthly = await this.getEffectiveLimit('maxBandwidthMonthly');
+    const usage = this.getBandwidthUsage();
+    const period = bandwidthPeriod(new Date());
+
+    const result = {
+        allowed: true,
+        reasons: [],
+    };
+
+    if (maxDaily !== -1 && usage.daily + bytes > maxDaily) {
+        result.allowed = false;
+        result.reasons.push({
+            code: 'DAILY_BANDWIDTH_EXCEEDED',
+            message: `Download would exceed daily bandwidth of ${formatBytes(maxDaily)}`,
+            limit: maxDaily,
+            current: usage.daily,
+            required: bytes,
+            resetsAt: period.nextDay,
+        });
+    }
 
-        this.usage.bandwidth.lastReset = now;
+    if (maxMonthly !== -1 && usage.monthly + bytes > maxMonthly) {
+        result.allowed = false;
+        result.reasons.push({
+            code: 'MONTHLY_BANDWIDTH_EXCEEDED',
+            message: `Download would exceed monthly bandwidth of ${formatBytes(maxMonthly)}`,
+            limit: maxMonthly,
+            current: usage.monthly,
+            required: bytes,
+            resetsAt: period.nextMonth,
+        });
     }
 
-    this.usage.bandwidth.daily += bytes;
-    this.usage.bandwidth.monthly += bytes;
+    return result;
+};
 
-    await this.save();
+/**
+ * Track bandwidth usage
+ * Counters restart from zero on a new day / month, in the same atomic update.
+ */
+quotaSchema.methods.addBandwidth = async function (bytes) {
+    const now = new Date();
+    const period = bandwidthPeriod(now);
+    const lastReset = { $ifNull: ['$usage.bandwidth.lastReset', new Date(0)] };
+    const sinceReset = (since, counter) => ({
+        $cond: [{ $gte: [lastReset, since] }, { $add: [{ $ifNull: [counter, 0] }, bytes] }, bytes],
+    });
+
+    await this.constructor.updateOne({ _id: this._id }, [{
+        $set: {
+            'usage.bandwidth.daily': sinceReset(period.day, '$usage.bandwidth.daily'),
+            'usage.bandwidth.monthly': sinceReset(period.month, '$usage.bandwidth.monthly'),
+            'usage.bandwidth.lastReset': { $cond: [{ $gte: [lastReset, period.day] }, lastReset, now] },
+        },
+    }]);
 };
 
 /**
@@ -219,23 +359,37 @@ quotaSchema.methods.addBandwidth = async function (bytes) {
 quotaSchema.methods.getSummary = async function () {
     const maxStorage = await this.getEffectiveLimit('maxStorage');
     const maxFiles = await this.getEffectiveLimit('maxFiles');
+    const maxBandwidthDaily = await this.getEffectiveLimit('maxBandwidthDaily');
+    const maxBandwidthMonthly = await this.getEffectiveLimit('maxBandwidthMonthly');
+    const bandwidth = this.getBandwidthUsage();
+    const reserved = this.getReserved();
 
     return {
         storage: {
             used: this.usage.storage,
+            reserved: reserved.storage,
             limit: maxStorage,
             percentage: maxStorage === -1 ? 0 : (this.usage.storage / maxStorage) * 100,
             unlimited: maxStorage === -1,
         },
         files: {
             count: this.usage.files,
+            reserved: reserved.files,
             limit: maxFiles,
             percentage: maxFiles === -1 ? 0 : (this.usage.files / maxFiles) * 100,
             unlimited: maxFiles === -1,
         },
+        trash: {
+            // Trashed files count toward storage until purged
+            used: this.usage.trash.storage,
+            count: this.usage.trash.files,
+        },
         bandwidth: {
-            daily: this.usage.bandwidth.daily,
-            monthly: this.usage.bandwidth.monthly,
+            daily: bandwidth.daily,
+            dailyLimit: maxBandwidthDaily,
+            monthly: bandwidth.monthly,
+            monthlyLimit: maxBandwidthMonthly,
+            priority: await this.getEffectiveLimit('bandwidthPriority'),
         },
         isOverQuota: this.isOverQuota,
         overQuotaSince: this.overQuotaSince,
@@ -246,52 +400,229 @@ quotaSchema.methods.getSummary = async function () {
  * Static: Get or create quota for user
  */
 quotaSchema.statics.getOrCreate = async function (userId) {
-    let quota = await this.findOne({ userId });
+    const quota = await this.findOne({ userId });
+    if (quota) {
+        return quota;
+    }
+
+    // Upsert, so concurrent first uploads don't race to create it
+    return this.findOneAndUpdate(
+        { userId },
+        { $setOnInsert: { userId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Static: Reserve space for an upload in progress
+ * Checked and taken in one conditional update, so parallel uploads can't
+ * overshoot the limits together. The reservation is settled by addFile /
+ * addVersion, given back by releaseReservation, or dropped once it expires.
+ * @param {string} reservationId - Upload session ID
+ * @param {Object} reservation - { storage, files, expiresAt }
+ * @returns {Promise<Object>} { allowed, reasons } (as canUpload)
+ */
+quotaSchema.statics.reserve = async function (userId, reservationId, { storage, files = 1, expiresAt }) {
+    const { _id } = await this.getOrCreate(userId);
+
+    // Drop expired reservations, and this session's own earlier one (it is replaced)
+    await this.updateOne({ _id }, [{
+        $set: {
+            reservations: {
+                $filter: {
+                    input: { $ifNull: ['$reservations', []] },
+                    cond: {
+                        $and: [
+                            { $gt: ['$$this.expiresAt', '$$NOW'] },
+                            { $ne: ['$$this.sessionId', reservationId] },
+                        ],
+                    },
+                },
+            },
+        },
+    }]);
+
+    for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt++) {
+        const quota = await this.findById(_id);
+        const check = await quota.canUpload(storage);
+        if (!check.allowed) return check;
+
+        const maxStorage = await quota.getEffectiveLimit('maxStorage');
+        const maxFiles = await quota.getEffectiveLimit('maxFiles');
 
-    if (!quota) {
-        quota = await this.create({ userId });
+        const conditions = [];
+        if (maxStorage !== -1) {
+            conditions.push({ $lte: [{ $add: ['$usage.storage', { $sum: '$reservations.storage' }, storage] }, maxStorage] });
+        }
+        if (maxFiles !== -1 && files > 0) {
+            conditions.push({ $lte: [{ $add: ['$usage.files', { $sum: '$reservations.files' }, files] }, maxFiles] });
+        }
+
+        const result = await this.updateOne(
+            { _id, ...(conditions.length > 0 && { $expr: { $and: conditions } }) },
+            { $push: { reservations: { sessionId: reservationId, storage, files, expiresAt } } }
+        );
+        if (result.modifiedCount === 1) return check;
+
+        // Usage changed between the check and the update: check again
     }
 
-    return quota;
+    return {
+        allowed: false,
+        reasons: [{
+            code: 'STORAGE_EXCEEDED',
+            message: 'Other uploads in progress are using the remaining quota, try again later',
+        }],
+    };
 };
 
 /**
- * Static: Sync usage from files (recalculate)
+ * Static: Give back the space reserved for an upload (aborted or failed)
  */
-quotaSchema.statics.syncUsage = async function (userId) {
+quotaSchema.statics.releaseReservation = async function (userId, reservationId) {
+    await this.updateOne({ userId }, { $pull: { reservations: { sessionId: reservationId } } });
+};
+
+/**
+ * Static: Drop reservations of upload sessions that expired
+ * @returns {Promise<number>} Number of quotas updated
+ */
+quotaSchema.statics.releaseExpiredReservations = async function () {
+    const now = new Date();
+    const result = await this.updateMany(
+        { 'reservations.expiresAt': { $lte: now } },
+        { $pull: { reservations: { expiresAt: { $lte: now } } } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Static: Usage counters recomputed from the user's stored files
+ * @returns {Promise<Object>} Counter values keyed by path ('usage.storage', ...)
+ */
+quotaSchema.statics.computeUsage = async function (userId) {
     const File = mongoose.model('File');
 
     const usage = await File.aggregate([
         {
-            $match: {
-                userId: new mongoose.Types.ObjectId(userId),
-                isDeleted: false,
-            },
+            $match: File.storedFilesQuery(userId),
         },
         {
             $group: {
                 _id: null,
-                totalStorage: { $sum: '$size' },
+                totalStorage: { $sum: { $add: ['$size', { $ifNull: ['$versionsSize', 0] }] } },
                 fileCount: { $sum: 1 },
+                trashStorage: {
+                    $sum: { $cond: ['$isDeleted', { $add: ['$size', { $ifNull: ['$versionsSize', 0] }] }, 0] },
+                },
+                trashCount: { $sum: { $cond: ['$isDeleted', 1, 0] } },
             },
         },
     ]);
 
-    const stats = usage[0] || { totalStorage: 0, fileCount: 0 };
+    const stats = usage[0] || { totalStorage: 0, fileCount: 0, trashStorage: 0, trashCount: 0 };
+
+    return {
+        'usage.storage': stats.totalStorage,
+        'usage.files': stats.fileCount,
+        'usage.trash.storage': stats.trashStorage,
+        'usage.trash.files': stats.trashCount,
+    };
+};
+
+/**
+ * Static: Sync usage from files (recalculate)
+ */
+quotaSchema.statics.syncUsage = async function (userId) {
+    const usage = await this.computeUsage(userId);
 
     await this.findOneAndUpdate(
         { userId },
+        { $set: usage },
+        { upsert: true }
+    );
+
+    return usage;
+};
+
+/**
+ * Static: Replace usage counters with corrected values, unless they
+ * changed since they were read
+ * @param {Object} recorded - Counter values as read, by path ('usage.storage', ...)
+ * @param {Object} actual - Corrected values, by path
+ * @returns {Promise<boolean>} Whether the counters were corrected
+ */
+quotaSchema.statics.correctUsage = async function (quota, recorded, actual) {
+    const maxStorage = await quota.getEffectiveLimit('maxStorage');
+
+    // Counters missing from older documents read as 0
+    const unchanged = Object.fromEntries(
+        Object.entries(recorded).map(([path, value]) => [path, value === 0 ? { $in: [0, null] } : value])
+    );
+
+    const result = await this.updateOne({ _id: quota._id, ...unchanged }, [
+        { $set: actual },
+        ...overQuotaStages(maxStorage),
+    ]);
+
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Helper: Atomically apply counter changes (never going below zero),
+ * settle a reservation and refresh the over-quota flag, in one update
+ */
+async function applyUsage(quota, changes, { reservationId = null } = {}) {
+    const maxStorage = await quota.getEffectiveLimit('maxStorage');
+
+    const fields = {};
+    for (const [path, delta] of Object.entries(changes)) {
+        fields[path] = { $max: [0, { $add: [{ $ifNull: [`$${path}`, 0] }, delta] }] };
+    }
+    if (reservationId) {
+        fields.reservations = {
+            $filter: {
+                input: { $ifNull: ['$reservations', []] },
+                cond: { $ne: ['$$this.sessionId', reservationId] },
+            },
+        };
+    }
+
+    await quota.constructor.updateOne({ _id: quota._id }, [
+        { $set: fields },
+        ...overQuotaStages(maxStorage),
+    ]);
+}
+
+/**
+ * Helper: Update pipeline stages recomputing the over-quota flag from usage
+ */
+function overQuotaStages(maxStorage) {
+    return [
         {
             $set: {
-                'usage.storage': stats.totalStorage,
-                'usage.files': stats.fileCount,
+                isOverQuota: maxStorage === -1 ? { $literal: false } : { $gt: ['$usage.storage', maxStorage] },
             },
         },
-        { upsert: true }
-    );
+        {
+            $set: {
+                overQuotaSince: { $cond: ['$isOverQuota', { $ifNull: ['$overQuotaSince', '$$NOW'] }, null] },
+            },
+        },
+    ];
+}
 
-    return stats;
-};
+/**
+ * Helper: Start of the current and next day / month (bandwidth periods)
+ */
+function bandwidthPeriod(now) {
+    return {
+        day: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+        nextDay: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1),
+        month: new Date(now.getFullYear(), now.getMonth(), 1),
+        nextMonth: new Date(now.getFullYear(), now.getMonth() + 1, 1),
+    };
+}
 
 /**
  * Helper: Format bytes
@@ -0,0 +1,51 @@
+/**
+ * Quota Drift Model
+ * Usage counters found wrong by the quota reconciliation, and by how much
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * Counter fields by Quota usage path
+ */
+export const DriftCounters = {
+    'usage.storage': 'storage',
+    'usage.files': 'files',
+    'usage.trash.storage': 'trashStorage',
+    'usage.trash.files': 'trashFiles',
+};
+
+const countersSchema = new mongoose.Schema({
+    storage: { type: Number, default: 0 },
+    files: { type: Number, default: 0 },
+    trashStorage: { type: Number, default: 0 },
+    trashFiles: { type: Number, default: 0 },
+}, { _id: false });
+
+const quotaDriftSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Counters before the correction, and as recomputed from the files
+    recorded: countersSchema,
+    actual: countersSchema,
+    // actual - recorded (positive = usage was undercounted)
+    delta: countersSchema,
+}, {
+    timestamps: { createdAt: 'detectedAt', updatedAt: false },
+});
+
+// Keep the report for a limited time
+quotaDriftSchema.index(
+    { detectedAt: 1 },
+    { expireAfterSeconds: config.quotaReconciliation.reportRetentionDays * 24 * 60 * 60 }
+);
+
+const QuotaDrift = mongoose.model('QuotaDrift', quotaDriftSchema);
+
+export default QuotaDrift;
@@ -0,0 +1,185 @@
+/**
+ * Share Link Model
+ * Unguessable public links to a file with optional password, expiry and download cap
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcrypt';
+
+/**
+ * Random bytes per slug (24 base64url characters)
+ */
+const SLUG_BYTES = 18;
+
+const shareLinkSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: true,
+        index: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Optional protection (bcrypt hash)
+    passwordHash: {
+        type: String,
+        default: null,
+        select: false,
+    },
+
+    // Limits (null = unlimited)
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    maxDownloads: {
+        type: Number,
+        default: null,
+        min: 1,
+    },
+
+    // Counters
+    downloadCount: {
+        type: Number,
+        default: 0,
+    },
+    lastDownloadedAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Revocation
+    isRevoked: {
+        type: Boolean,
+        default: false,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.passwordHash;
+            delete ret.__v;
+            return ret;
+        },
+    },
+});
+
+// Indexes
+shareLinkSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Virtual: Check if link is past its expiry date
+ */
+shareLinkSchema.virtual('isExpired').get(function () {
+    return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+/**
+ * Virtual: Check if link has used up its downloads
+ */
+shareLinkSchema.virtual('isExhausted').get(function () {
+    return this.maxDownloads != null && this.downloadCount >= this.maxDownloads;
+});
+
+/**
+ * Virtual: Check if link can still be used
+ */
+shareLinkSchema.virtual('isActive').get(function () {
+    return !this.isRevoked && !this.isExpired && !this.isExhausted;
+});
+
+/**
+ * Virtual: Downloads left before the link burns (null = unlimited)
+ */
+shareLinkSchema.virtual('remainingDownloads').get(function () {
+    if (this.maxDownloads == null) return null;
+    return Math.max(0, this.maxDownloads - this.downloadCount);
+});
+
+/**
+ * Method: Set (or clear) the link password
+ */
+shareLinkSchema.methods.setPassword = async function (password) {
+    if (!password) {
+        this.passwordHash = null;
+        return;
+    }
+    const salt = await bcrypt.genSalt(10);
+    this.passwordHash = await bcrypt.hash(password, salt);
+};
+
+/**
+ * Method: Compare password
+ * Requires the document to be loaded with +passwordHash
+ */
+shareLinkSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.passwordHash || !candidatePassword) return false;
+    return bcrypt.compare(candidatePassword, this.passwordHash);
+};
+
+/**
+ * Method: Revoke link
+ */
+shareLinkSchema.methods.revoke = async function () {
+    if (this.isRevoked) return this;
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Static: Generate a random URL-safe slug
+ */
+shareLinkSchema.statics.generateSlug = function () {
+    return crypto.randomBytes(SLUG_BYTES).toString('base64url');
+};
+
+/**
+ * Static: Atomically count a download against a link
+ * Fails (returns null) when the link was revoked, expired or used up meanwhile
+ */
+shareLinkSchema.statics.claimDownload = function (linkId) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            _id: linkId,
+            isRevoked: false,
+            $and: [
+                { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+                {
+                    $or: [
+                        { maxDownloads: null },
+                        { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } },
+                    ],
+                },
+            ],
+        },
+        {
+            $inc: { downloadCount: 1 },
+            $set: { lastDownloadedAt: now },
+        },
+        { new: true }
+    );
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
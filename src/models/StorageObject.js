@@ -0,0 +1,94 @@
+/**
+ * Storage Object Model
+ * Reference-counted physical blobs shared by deduplicated File records
+ */
+
+import mongoose from 'mongoose';
+import { StorageTier } from '../providers/storage/StorageProvider.js';
+
+const storageObjectSchema = new mongoose.Schema({
+    // Content hash (SHA-256) - one blob per distinct content
+    hash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    size: {
+        type: Number,
+        required: true,
+    },
+
+    // Physical location
+    storageKey: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    storageTier: {
+        type: String,
+        enum: Object.values(StorageTier),
+        default: StorageTier.HOT,
+    },
+
+    // Number of File records pointing at this blob
+    refCount: {
+        type: Number,
+        default: 1,
+        min: 0,
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Static: Take a reference on an existing live blob
+ * Blobs at refCount 0 are being deleted and cannot be revived
+ */
+storageObjectSchema.statics.acquire = function (hash, size) {
+    return this.findOneAndUpdate(
+        { hash, size, refCount: { $gt: 0 } },
+        { $inc: { refCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Static: Take a reference on a live blob by its storage key
+ */
+storageObjectSchema.statics.acquireKey = function (storageKey) {
+    return this.findOneAndUpdate(
+        { storageKey, refCount: { $gt: 0 } },
+        { $inc: { refCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Static: Drop a reference
+ * @returns {Promise<Object>} { found, isLastReference }
+ */
+storageObjectSchema.statics.release = async function (storageKey) {
+    const blob = await this.findOneAndUpdate(
+        { storageKey, refCount: { $gt: 0 } },
+        { $inc: { refCount: -1 } },
+        { new: true }
+    );
+
+    if (!blob) {
+        return { found: false, isLastReference: false };
+    }
+
+    if (blob.refCount > 0) {
+        return { found: true, isLastReference: false };
+    }
+
+    // Only the caller that removes the zero-count document owns the physical delete
+    const result = await this.deleteOne({ _id: blob._id, refCount: { $lte: 0 } });
+    return { found: true, isLastReference: result.deletedCount === 1 };
+};
+
+const StorageObject = mongoose.model('StorageObject', storageObjectSchema);
+
+export default StorageObject;
@@ -41,6 +41,12 @@ const uploadSessionSchema = new mongoose.Schema({
         required: false,  // Optional - frontend skips hash for large files
     },
 
+    // Instant upload: byte range the client must hash to prove possession
+    possessionChallenge: {
+        offset: Number,
+        length: Number,
+    },
+
     // Target folder (null = root)
     folderId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -48,6 +54,19 @@ const uploadSessionSchema = new mongoose.Schema({
         default: null,
     },
 
+    // Uploads into a folder shared with the uploader: the folder owner owns
+    // the resulting file and is charged for it (null = uploader)
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    shareId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FolderShare',
+        default: null,
+    },
+
     // Chunking
     chunkSize: {
         type: Number,
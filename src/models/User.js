@@ -5,6 +5,7 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import config from '../config/index.js';
 
 /**
  * User roles enum
@@ -15,6 +16,23 @@ export const UserRole = {
     ADMIN: 'admin',
 };
 
+/**
+ * Sign-in session: one per login, kept across refresh token rotation
+ */
+const sessionSchema = new mongoose.Schema({
+    token: String, // Current refresh token
+    expiresAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    // Where the session was last used from (as parsed by requestLogger)
+    ip: { type: String, default: null },
+    country: { type: String, default: null },
+    city: { type: String, default: null },
+    browser: { type: String, default: null },
+    os: { type: String, default: null },
+    device: { type: String, default: null },
+});
+
 const userSchema = new mongoose.Schema({
     email: {
         type: String,
@@ -39,14 +57,37 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null,
+    },
+    // Linked OpenID Connect identity
+    oidc: {
+        issuer: { type: String, default: null },
+        subject: { type: String, default: null },
+    },
+    // TOTP two-factor authentication (secrets encrypted, recovery codes hashed)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, select: false },
+        // Secret being enrolled, until confirmed with a first code
+        pendingSecret: { type: String, select: false },
+        // Last accepted time step (codes can't be replayed)
+        lastUsedStep: { type: Number, default: 0, select: false },
+        recoveryCodes: {
+            type: [{ hash: String, usedAt: { type: Date, default: null } }],
+            select: false,
+        },
+    },
     lastLogin: {
         type: Date,
     },
-    refreshTokens: [{
-        token: String,
-        expiresAt: Date,
-        createdAt: { type: Date, default: Date.now },
-    }],
+    refreshTokens: [sessionSchema],
     // Rate limiting / abuse tracking
     failedLoginAttempts: {
         type: Number,
@@ -67,6 +108,9 @@ const userSchema = new mongoose.Schema({
         transform: (doc, ret) => {
             delete ret.password;
             delete ret.refreshTokens;
+            if (ret.twoFactor) {
+                ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+            }
             delete ret.__v;
             return ret;
         },
@@ -76,7 +120,7 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ createdAt: 1 });
 userSchema.index({ 'refreshTokens.token': 1 });
-userSchema.index({ 'refreshTokens.expiresAt': 1 }, { expireAfterSeconds: 0 });
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 });
 
 /**
  * Pre-save hook to hash password
@@ -136,15 +180,31 @@ userSchema.methods.resetFailedLogins = async function () {
 };
 
 /**
- * Add refresh token
+ * Add refresh token (starts a session)
+ * Expired sessions are dropped; beyond the limit, the least recently used goes.
+ * @param {Object} client - { ip, country, city, browser, os, device }
+ * @returns {Promise<Object>} The session
  */
-userSchema.methods.addRefreshToken = async function (token, expiresAt) {
-    // Limit to 5 active refresh tokens per user
-    if (this.refreshTokens.length >= 5) {
-        this.refreshTokens = this.refreshTokens.slice(-4);
-    }
+userSchema.methods.addRefreshToken = async function (token, expiresAt, client = {}) {
+    const now = new Date();
+    const active = this.refreshTokens
+        .filter(t => t.expiresAt > now)
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    this.refreshTokens = active.slice(Math.max(active.length - config.jwt.maxSessions + 1, 0));
+
+    this.refreshTokens.push({ token, expiresAt, ...client });
+    const session = this.refreshTokens[this.refreshTokens.length - 1];
+
+    await this.save();
+    return session;
+};
 
-    this.refreshTokens.push({ token, expiresAt });
+/**
+ * Replace a session's refresh token (token rotation)
+ * @param {Object} client - Where the session is used from now
+ */
+userSchema.methods.rotateRefreshToken = async function (session, token, expiresAt, client = {}) {
+    Object.assign(session, client, { token, expiresAt, lastUsedAt: new Date() });
     await this.save();
 };
 
@@ -156,6 +216,19 @@ userSchema.methods.removeRefreshToken = async function (token) {
     await this.save();
 };
 
+/**
+ * Remove a session by ID
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+userSchema.methods.removeSession = async function (sessionId) {
+    const session = this.refreshTokens.id(sessionId);
+    if (!session) return false;
+
+    this.refreshTokens.pull(session._id);
+    await this.save();
+    return true;
+};
+
 /**
  * Remove all refresh tokens (logout all devices)
  */
@@ -166,17 +239,26 @@ userSchema.methods.removeAllRefreshTokens = async function () {
 
 /**
  * Validate refresh token
+ * @returns {Object|null} The session the token belongs to
  */
 userSchema.methods.validateRefreshToken = function (token) {
     const tokenDoc = this.refreshTokens.find(t => t.token === token);
-    if (!tokenDoc) return false;
+    if (!tokenDoc) return null;
     if (tokenDoc.expiresAt < new Date()) {
         // Token expired, remove it
         this.refreshTokens = this.refreshTokens.filter(t => t.token !== token);
         this.save(); // Fire and forget
-        return false;
+        return null;
     }
-    return true;
+    return tokenDoc;
+};
+
+/**
+ * Check if a session is still active
+ */
+userSchema.methods.hasSession = function (sessionId) {
+    const session = this.refreshTokens.id(sessionId);
+    return !!session && session.expiresAt > new Date();
 };
 
 /**
@@ -4,7 +4,14 @@
  */
 
 export { default as User, UserRole } from './User.js';
-export { default as File } from './File.js';
+export { default as File, ProcessingStatus } from './File.js';
 export { default as Folder } from './Folder.js';
-export { default as Quota, DefaultQuotas } from './Quota.js';
+export { default as Quota, DefaultQuotas, BandwidthPriority } from './Quota.js';
+export { default as QuotaDrift, DriftCounters } from './QuotaDrift.js';
 export { default as UploadSession } from './UploadSession.js';
+export { default as StorageObject } from './StorageObject.js';
+export { default as ShareLink } from './ShareLink.js';
+export { default as FolderShare, FolderShareType, SharePermission } from './FolderShare.js';
+export { default as AccessKey } from './AccessKey.js';
+export { default as ApiKey, ApiKeyScope } from './ApiKey.js';
+export { default as AccountToken, AccountTokenType } from './AccountToken.js';
@@ -0,0 +1,42 @@
+/**
+ * File Processor Interface
+ * Abstract base class for steps of the post-upload processing pipeline
+ */
+
+/**
+ * Abstract File Processor
+ * Processors run in registration order on each new file or version. Whatever
+ * process() returns is merged into the file's metadata, so later processors
+ * see earlier results in context.metadata.
+ */
+export class FileProcessor {
+    /**
+     * @param {string} name - Unique name, recorded as the step name on the file
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether this processor should run on a file (a skipped step is recorded as such)
+     * @param {Object} file - File document
+     * @param {Object} context - Shared processing context
+     * @returns {boolean}
+     */
+    appliesTo(file, context) {
+        return true;
+    }
+
+    /**
+     * Process a file
+     * Throwing records the step as failed; the other processors still run.
+     * @param {Object} file - File document
+     * @param {Object} context - { head (leading bytes), metadata (results so far), openStream() }
+     * @returns {Promise<Object|null>} Metadata to store on the file (string values)
+     */
+    async process(file, context) {
+        throw new Error('Method not implemented: process()');
+    }
+}
+
+export default FileProcessor;
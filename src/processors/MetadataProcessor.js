@@ -0,0 +1,107 @@
+/**
+ * Metadata Processor
+ * Extracts image dimensions from the file header
+ */
+
+import { FileProcessor } from './FileProcessor.js';
+
+// JPEG start-of-frame markers (0xC0-0xCF, except DHT, JPG and DAC)
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+export class MetadataProcessor extends FileProcessor {
+    constructor() {
+        super('metadata');
+        this.readers = {
+            'image/png': head => this._readPng(head),
+            'image/gif': head => this._readGif(head),
+            'image/bmp': head => this._readBmp(head),
+            'image/jpeg': head => this._readJpeg(head),
+            'image/webp': head => this._readWebp(head),
+        };
+    }
+
+    /**
+     * Images whose format we can read, going by the sniffed type when there is one
+     */
+    appliesTo(file, context) {
+        return !!this.readers[this._type(file, context)];
+    }
+
+    /**
+     * Read width and height
+     */
+    async process(file, context) {
+        const dimensions = this.readers[this._type(file, context)](context.head);
+        if (!dimensions) {
+            // The header is larger than what we read, or the image is malformed
+            return null;
+        }
+
+        return {
+            width: String(dimensions.width),
+            height: String(dimensions.height),
+        };
+    }
+
+    // ==================== Private Methods ====================
+
+    _type(file, context) {
+        const detected = context.metadata.detectedMimeType || file.detectedMimeType;
+        return detected && detected !== 'unknown' ? detected : file.mimeType;
+    }
+
+    _readPng(head) {
+        if (head.length < 24) return null;
+        return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+    }
+
+    _readGif(head) {
+        if (head.length < 10) return null;
+        return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+    }
+
+    _readBmp(head) {
+        if (head.length < 26) return null;
+        // Negative height means rows are stored top-down
+        return { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+    }
+
+    _readJpeg(head) {
+        let offset = 2;
+
+        while (offset + 9 <= head.length) {
+            if (head[offset] !== 0xff) return null;
+
+            const marker = head[offset + 1];
+            if (JPEG_SOF_MARKERS.has(marker)) {
+                return { width: head.readUInt16BE(offset + 7), height: head.readUInt16BE(offset + 5) };
+            }
+
+            offset += 2 + head.readUInt16BE(offset + 2);
+        }
+
+        return null;
+    }
+
+    _readWebp(head) {
+        if (head.length < 30) return null;
+
+        const chunk = head.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = head.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+        }
+
+        return null;
+    }
+}
+
+// Export singleton instance
+const metadataProcessor = new MetadataProcessor();
+export default metadataProcessor;
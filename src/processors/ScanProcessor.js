@@ -0,0 +1,89 @@
+/**
+ * Scan Processor
+ * Virus scanning through a ClamAV daemon (clamd INSTREAM over TCP)
+ */
+
+import net from 'net';
+import config from '../config/index.js';
+import { FileProcessor } from './FileProcessor.js';
+import logger from '../utils/logger.js';
+
+export class ScanProcessor extends FileProcessor {
+    constructor() {
+        super('scan');
+    }
+
+    /**
+     * Only when a ClamAV daemon is configured
+     */
+    appliesTo() {
+        return !!config.processing.clamavHost;
+    }
+
+    /**
+     * Stream the content to clamd and record the verdict
+     */
+    async process(file, context) {
+        const reply = await this._scan(context.openStream());
+
+        // Replies look like "stream: OK" or "stream: <signature> FOUND"
+        const found = reply.match(/^stream: (.+) FOUND$/);
+        if (found) {
+            logger.warn('Infected file detected', { fileId: file._id, signature: found[1] });
+            return { scanResult: 'infected', scanSignature: found[1] };
+        }
+
+        if (reply !== 'stream: OK') {
+            throw new Error(`Virus scan failed: ${reply}`);
+        }
+
+        return { scanResult: 'clean' };
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Send a stream to clamd as length-prefixed chunks and read its reply
+     */
+    _scan(stream) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(config.processing.clamavPort, config.processing.clamavHost);
+            let reply = '';
+
+            const fail = (error) => {
+                stream.destroy();
+                socket.destroy();
+                reject(error);
+            };
+
+            socket.setTimeout(config.processing.clamavTimeout, () => fail(new Error('Virus scan timed out')));
+            socket.on('error', fail);
+            stream.on('error', fail);
+
+            socket.on('data', (data) => { reply += data.toString(); });
+            socket.on('end', () => resolve(reply.replace(/\0/g, '').trim()));
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+
+                stream.on('data', (chunk) => {
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length);
+                    socket.write(size);
+
+                    if (!socket.write(chunk)) {
+                        stream.pause();
+                        socket.once('drain', () => stream.resume());
+                    }
+                });
+
+                // A zero-length chunk ends the stream
+                stream.on('end', () => socket.write(Buffer.alloc(4)));
+            });
+        });
+    }
+}
+
+// Export singleton instance
+const scanProcessor = new ScanProcessor();
+export default scanProcessor;
@@ -0,0 +1,49 @@
+/**
+ * Type Processor
+ * Sniffs the content type of files whose type was not checked at upload
+ * (stored before upload sniffing, or restored from such a version)
+ */
+
+import { FileProcessor } from './FileProcessor.js';
+import { inspectContentType } from '../utils/fileType.js';
+import logger from '../utils/logger.js';
+
+export class TypeProcessor extends FileProcessor {
+    constructor() {
+        super('type');
+    }
+
+    /**
+     * Uploads are sniffed as they arrive; only files without a declared type are left
+     */
+    appliesTo(file) {
+        return !file.declaredMimeType;
+    }
+
+    /**
+     * Record the detected type and whether it differs from the stored one
+     */
+    async process(file, context) {
+        const { detectedMimeType, mismatch } = inspectContentType(file.mimeType, context.head);
+        if (!detectedMimeType) {
+            return { detectedMimeType: 'unknown' };
+        }
+
+        if (mismatch) {
+            logger.warn('File content does not match its declared type', {
+                fileId: file._id,
+                declared: file.mimeType,
+                detected: detectedMimeType,
+            });
+        }
+
+        return {
+            detectedMimeType,
+            mimeTypeMismatch: String(mismatch),
+        };
+    }
+}
+
+// Export singleton instance
+const typeProcessor = new TypeProcessor();
+export default typeProcessor;
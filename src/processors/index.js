@@ -0,0 +1,21 @@
+/**
+ * Processors Index
+ * Default post-upload processing pipeline, in run order
+ * Other processors (e.g. thumbnailing) plug in with fileProcessingService.register().
+ */
+
+import typeProcessor from './TypeProcessor.js';
+import metadataProcessor from './MetadataProcessor.js';
+import scanProcessor from './ScanProcessor.js';
+
+export { FileProcessor } from './FileProcessor.js';
+export { TypeProcessor } from './TypeProcessor.js';
+export { MetadataProcessor } from './MetadataProcessor.js';
+export { ScanProcessor } from './ScanProcessor.js';
+
+// Type sniffing runs first: the others go by the detected type
+export const defaultProcessors = [
+    typeProcessor,
+    metadataProcessor,
+    scanProcessor,
+];
@@ -92,4 +92,159 @@ export class CacheProvider {
     async deletePattern(pattern) {
         throw new Error('Method not implemented: deletePattern()');
     }
+
+    /**
+     * Get the remaining time to live of a key
+     * @param {string} key - Cache key
+     * @returns {Promise<number>} Seconds left, -1 without expiry, -2 when missing
+     */
+    async ttl(key) {
+        throw new Error('Method not implemented: ttl()');
+    }
+
+    /**
+     * Get a binary value
+     * @param {string} key - Cache key
+     * @returns {Promise<Buffer|null>}
+     */
+    async getBuffer(key) {
+        throw new Error('Method not implemented: getBuffer()');
+    }
+
+    /**
+     * Get the byte length of a value
+     * @param {string} key - Cache key
+     * @returns {Promise<number>} 0 when missing
+     */
+    async strlen(key) {
+        throw new Error('Method not implemented: strlen()');
+    }
+
+    /**
+     * Get a value and delete it in one step (single-use values)
+     * @param {string} key - Cache key
+     * @returns {Promise<any>} Value, or null when missing
+     */
+    async getAndDelete(key) {
+        throw new Error('Method not implemented: getAndDelete()');
+    }
+
+    /**
+     * Set a hash field
+     * @param {string} key - Hash key
+     * @param {string} field - Field name
+     * @param {any} value - Field value
+     * @returns {Promise<void>}
+     */
+    async hset(key, field, value) {
+        throw new Error('Method not implemented: hset()');
+    }
+
+    /**
+     * Get a hash field
+     * @param {string} key - Hash key
+     * @param {string} field - Field name
+     * @returns {Promise<any>} Field value or null
+     */
+    async hget(key, field) {
+        throw new Error('Method not implemented: hget()');
+    }
+
+    /**
+     * Get all fields of a hash
+     * @param {string} key - Hash key
+     * @returns {Promise<Object|null>} Field-value map, null when empty
+     */
+    async hgetall(key) {
+        throw new Error('Method not implemented: hgetall()');
+    }
+
+    /**
+     * Delete hash fields
+     * @param {string} key - Hash key
+     * @param {...string} fields - Field names
+     * @returns {Promise<boolean>} Whether any field was deleted
+     */
+    async hdel(key, ...fields) {
+        throw new Error('Method not implemented: hdel()');
+    }
+
+    /**
+     * Add a member to a set
+     * @param {string} key - Set key
+     * @param {string} member - Member
+     * @returns {Promise<void>}
+     */
+    async sadd(key, member) {
+        throw new Error('Method not implemented: sadd()');
+    }
+
+    /**
+     * Check set membership
+     * @param {string} key - Set key
+     * @param {string} member - Member
+     * @returns {Promise<boolean>}
+     */
+    async sismember(key, member) {
+        throw new Error('Method not implemented: sismember()');
+    }
+
+    /**
+     * Get all members of a set
+     * @param {string} key - Set key
+     * @returns {Promise<string[]>}
+     */
+    async smembers(key) {
+        throw new Error('Method not implemented: smembers()');
+    }
+
+    /**
+     * Record a hit in a sliding window, dropping hits older than the window
+     * @param {string} key - Window key
+     * @param {number} windowSeconds - Window length
+     * @returns {Promise<Object>} { count: hits before this one, oldest: timestamp of the oldest hit in ms }
+     */
+    async hitWindow(key, windowSeconds) {
+        throw new Error('Method not implemented: hitWindow()');
+    }
+
+    /**
+     * Take a lock if it is free
+     * @param {string} key - Lock key
+     * @param {string} token - Identifies the holder
+     * @param {number} ttlMs - Lock lifetime in milliseconds
+     * @returns {Promise<boolean>} Whether the lock was taken
+     */
+    async acquireLock(key, token, ttlMs) {
+        throw new Error('Method not implemented: acquireLock()');
+    }
+
+    /**
+     * Extend a lock held with this token
+     * @param {string} key - Lock key
+     * @param {string} token - Token the lock was taken with
+     * @param {number} ttlMs - New lifetime in milliseconds
+     * @returns {Promise<boolean>} False when the lock expired or has another holder
+     */
+    async renewLock(key, token, ttlMs) {
+        throw new Error('Method not implemented: renewLock()');
+    }
+
+    /**
+     * Release a lock held with this token
+     * @param {string} key - Lock key
+     * @param {string} token - Token the lock was taken with
+     * @returns {Promise<boolean>} False when the lock had another holder
+     */
+    async releaseLock(key, token) {
+        throw new Error('Method not implemented: releaseLock()');
+    }
+
+    /**
+     * Connection status ('ready' when usable)
+     * @returns {string}
+     */
+    getStatus() {
+        throw new Error('Method not implemented: getStatus()');
+    }
 }
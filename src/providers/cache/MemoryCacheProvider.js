@@ -0,0 +1,348 @@
+/**
+ * Memory Cache Provider
+ * In-process cache for single-node development and tests; nothing is shared
+ * between processes or survives a restart
+ */
+
+import { CacheProvider } from './CacheProvider.js';
+
+// How often expired keys nobody reads again are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Memory Cache Provider Implementation
+ * Values are stored serialized, as Redis would, so callers see the same types.
+ */
+export class MemoryCacheProvider extends CacheProvider {
+    constructor() {
+        super();
+        this.entries = new Map(); // key -> { type, value, expiresAt }
+        this.sweepId = null;
+    }
+
+    /**
+     * Get a value from cache
+     */
+    async get(key) {
+        const entry = this._read(key, 'string');
+        return entry ? this._parse(entry.value.toString()) : null;
+    }
+
+    /**
+     * Set a value in cache
+     */
+    async set(key, value, ttl = null) {
+        const stored = Buffer.isBuffer(value) ? Buffer.from(value) : this._serialize(value);
+        this._write(key, 'string', stored, ttl ? ttl * 1000 : null);
+    }
+
+    /**
+     * Delete a key
+     */
+    async delete(key) {
+        return this._read(key) !== null && this.entries.delete(key);
+    }
+
+    /**
+     * Check if key exists
+     */
+    async exists(key) {
+        return this._read(key) !== null;
+    }
+
+    /**
+     * Increment a value
+     */
+    async increment(key, amount = 1) {
+        const entry = this._read(key, 'string');
+        const current = entry ? Number(entry.value.toString()) : 0;
+
+        if (!Number.isInteger(current)) {
+            throw new Error('Value is not an integer');
+        }
+
+        const value = current + amount;
+        if (entry) {
+            entry.value = String(value);
+        } else {
+            this._write(key, 'string', String(value));
+        }
+
+        return value;
+    }
+
+    /**
+     * Set expiry on a key
+     */
+    async expire(key, ttl) {
+        const entry = this._read(key);
+        if (!entry) return false;
+
+        entry.expiresAt = Date.now() + ttl * 1000;
+        return true;
+    }
+
+    /**
+     * Get multiple keys
+     */
+    async mget(keys) {
+        const result = {};
+
+        for (const key of keys) {
+            const value = await this.get(key);
+            if (value !== null) result[key] = value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Set multiple keys
+     */
+    async mset(items, ttl = null) {
+        for (const [key, value] of Object.entries(items)) {
+            await this.set(key, value, ttl);
+        }
+    }
+
+    /**
+     * Delete keys matching a glob pattern (* and ?)
+     */
+    async deletePattern(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+        let deletedCount = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (regex.test(key) && this._read(key)) {
+                this.entries.delete(key);
+                deletedCount++;
+            }
+        }
+
+        return deletedCount;
+    }
+
+    /**
+     * Get TTL of a key
+     */
+    async ttl(key) {
+        const entry = this._read(key);
+        if (!entry) return -2;
+        if (!entry.expiresAt) return -1;
+
+        return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    }
+
+    /**
+     * Get a binary value
+     */
+    async getBuffer(key) {
+        const entry = this._read(key, 'string');
+        if (!entry) return null;
+
+        return Buffer.from(entry.value);
+    }
+
+    /**
+     * Get the byte length of a value
+     */
+    async strlen(key) {
+        const entry = this._read(key, 'string');
+        return entry ? Buffer.byteLength(entry.value) : 0;
+    }
+
+    /**
+     * Get a value and delete it in one step
+     */
+    async getAndDelete(key) {
+        const value = await this.get(key);
+        this.entries.delete(key);
+        return value;
+    }
+
+    /**
+     * Set hash field
+     */
+    async hset(key, field, value) {
+        const entry = this._read(key, 'hash') || this._write(key, 'hash', new Map());
+        entry.value.set(field, this._serialize(value));
+    }
+
+    /**
+     * Get hash field
+     */
+    async hget(key, field) {
+        const entry = this._read(key, 'hash');
+        return entry?.value.has(field) ? this._parse(entry.value.get(field)) : null;
+    }
+
+    /**
+     * Get all hash fields
+     */
+    async hgetall(key) {
+        const entry = this._read(key, 'hash');
+        if (!entry) return null;
+
+        const result = {};
+        for (const [field, value] of entry.value) {
+            result[field] = this._parse(value);
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete hash fields
+     */
+    async hdel(key, ...fields) {
+        const entry = this._read(key, 'hash');
+        if (!entry) return false;
+
+        let deleted = 0;
+        for (const field of fields) {
+            if (entry.value.delete(field)) deleted++;
+        }
+
+        // Like Redis, an emptied hash disappears
+        if (entry.value.size === 0) this.entries.delete(key);
+
+        return deleted > 0;
+    }
+
+    /**
+     * Add a member to a set
+     */
+    async sadd(key, member) {
+        const entry = this._read(key, 'set') || this._write(key, 'set', new Set());
+        entry.value.add(String(member));
+    }
+
+    /**
+     * Check set membership
+     */
+    async sismember(key, member) {
+        const entry = this._read(key, 'set');
+        return !!entry && entry.value.has(String(member));
+    }
+
+    /**
+     * Get all members of a set
+     */
+    async smembers(key) {
+        const entry = this._read(key, 'set');
+        return entry ? [...entry.value] : [];
+    }
+
+    /**
+     * Record a hit in a sliding window (hit timestamps, oldest first)
+     */
+    async hitWindow(key, windowSeconds) {
+        const now = Date.now();
+        const entry = this._read(key, 'window') || this._write(key, 'window', []);
+
+        entry.value = entry.value.filter(hit => hit > now - windowSeconds * 1000);
+        const count = entry.value.length;
+
+        entry.value.push(now);
+        entry.expiresAt = now + windowSeconds * 1000;
+
+        return { count, oldest: entry.value[0] };
+    }
+
+    /**
+     * Take a lock if it is free
+     */
+    async acquireLock(key, token, ttlMs) {
+        if (this._read(key)) return false;
+
+        this._write(key, 'string', token, ttlMs);
+        return true;
+    }
+
+    /**
+     * Extend a lock held with this token
+     */
+    async renewLock(key, token, ttlMs) {
+        const entry = this._read(key, 'string');
+        if (entry?.value !== token) return false;
+
+        entry.expiresAt = Date.now() + ttlMs;
+        return true;
+    }
+
+    /**
+     * Release a lock held with this token
+     */
+    async releaseLock(key, token) {
+        const entry = this._read(key, 'string');
+        if (entry?.value !== token) return false;
+
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Always usable
+     */
+    getStatus() {
+        return 'ready';
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Live entry for a key, dropping it once expired
+     * @param {string} type - Expected type; a key holding another type is an error, as in Redis
+     */
+    _read(key, type = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        if (type && entry.type !== type) {
+            throw new Error(`WRONGTYPE ${key} holds a ${entry.type}, not a ${type}`);
+        }
+
+        return entry;
+    }
+
+    _write(key, type, value, ttlMs = null) {
+        const entry = { type, value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        this.entries.set(key, entry);
+        this._startSweep();
+        return entry;
+    }
+
+    _startSweep() {
+        if (this.sweepId) return;
+
+        this.sweepId = setInterval(() => {
+            for (const key of [...this.entries.keys()]) {
+                this._read(key);
+            }
+        }, SWEEP_INTERVAL_MS);
+
+        // Never keep the process alive just to expire keys
+        this.sweepId.unref();
+    }
+
+    _serialize(value) {
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    _parse(value) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+}
+
+// Export singleton instance
+const memoryCacheProvider = new MemoryCacheProvider();
+export default memoryCacheProvider;
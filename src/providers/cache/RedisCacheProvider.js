@@ -4,9 +4,22 @@
  */
 
 import { CacheProvider } from './CacheProvider.js';
-import redis, { cacheClient } from '../../config/redis.js';
+import { cacheClient } from '../../config/redis.js';
 import logger from '../../utils/logger.js';
 
+// Only the holder may extend or drop a lock
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
 /**
  * Redis Cache Provider Implementation
  */
@@ -40,7 +53,7 @@ export class RedisCacheProvider extends CacheProvider {
      */
     async set(key, value, ttl = null) {
         try {
-            const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+            const serialized = this._serialize(value);
 
             if (ttl) {
                 await this.client.setex(key, ttl, serialized);
@@ -141,7 +154,7 @@ export class RedisCacheProvider extends CacheProvider {
             const pipeline = this.client.pipeline();
 
             for (const [key, value] of Object.entries(items)) {
-                const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+                const serialized = this._serialize(value);
 
                 if (ttl) {
                     pipeline.setex(key, ttl, serialized);
@@ -209,7 +222,7 @@ export class RedisCacheProvider extends CacheProvider {
      */
     async hset(key, field, value) {
         try {
-            const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+            const serialized = this._serialize(value);
             await this.client.hset(key, field, serialized);
         } catch (error) {
             logger.error('Cache hset failed', { key, field, error: error.message });
@@ -261,17 +274,176 @@ export class RedisCacheProvider extends CacheProvider {
     }
 
     /**
-     * Delete hash field
+     * Delete hash fields
      */
-    async hdel(key, field) {
+    async hdel(key, ...fields) {
         try {
-            const result = await this.client.hdel(key, field);
+            const result = await this.client.hdel(key, ...fields);
             return result > 0;
         } catch (error) {
-            logger.error('Cache hdel failed', { key, field, error: error.message });
+            logger.error('Cache hdel failed', { key, fields, error: error.message });
             return false;
         }
     }
+
+    /**
+     * Get a binary value
+     */
+    async getBuffer(key) {
+        try {
+            return await this.client.getBuffer(key);
+        } catch (error) {
+            logger.error('Cache getBuffer failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the byte length of a value
+     */
+    async strlen(key) {
+        try {
+            return await this.client.strlen(key);
+        } catch (error) {
+            logger.error('Cache strlen failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a value and delete it in one step
+     */
+    async getAndDelete(key) {
+        try {
+            const [[, value]] = await this.client.multi().get(key).del(key).exec();
+            return this._parse(value);
+        } catch (error) {
+            logger.error('Cache getAndDelete failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Add a member to a set
+     */
+    async sadd(key, member) {
+        try {
+            await this.client.sadd(key, member);
+        } catch (error) {
+            logger.error('Cache sadd failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Check set membership
+     */
+    async sismember(key, member) {
+        try {
+            return (await this.client.sismember(key, member)) === 1;
+        } catch (error) {
+            logger.error('Cache sismember failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all members of a set
+     */
+    async smembers(key) {
+        try {
+            return await this.client.smembers(key);
+        } catch (error) {
+            logger.error('Cache smembers failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Record a hit in a sliding window (sorted set scored by time)
+     */
+    async hitWindow(key, windowSeconds) {
+        const now = Date.now();
+
+        try {
+            const results = await this.client.pipeline()
+                .zremrangebyscore(key, 0, now - windowSeconds * 1000)
+                .zcard(key)
+                .zadd(key, now, `${now}:${Math.random()}`)
+                .expire(key, windowSeconds)
+                .zrange(key, 0, 0, 'WITHSCORES')
+                .exec();
+
+            const oldest = results[4][1];
+
+            return {
+                count: results[1][1],
+                oldest: oldest.length >= 2 ? parseInt(oldest[1], 10) : now,
+            };
+        } catch (error) {
+            logger.error('Cache hitWindow failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Take a lock if it is free
+     */
+    async acquireLock(key, token, ttlMs) {
+        try {
+            return (await this.client.set(key, token, 'PX', ttlMs, 'NX')) === 'OK';
+        } catch (error) {
+            logger.error('Cache acquireLock failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Extend a lock held with this token
+     */
+    async renewLock(key, token, ttlMs) {
+        try {
+            return (await this.client.eval(RENEW_LOCK_SCRIPT, 1, key, token, ttlMs)) === 1;
+        } catch (error) {
+            logger.error('Cache renewLock failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Release a lock held with this token
+     */
+    async releaseLock(key, token) {
+        try {
+            return (await this.client.eval(RELEASE_LOCK_SCRIPT, 1, key, token)) === 1;
+        } catch (error) {
+            logger.error('Cache releaseLock failed', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Connection status of the client
+     */
+    getStatus() {
+        return this.client.status;
+    }
+
+    // ==================== Private Methods ====================
+
+    _serialize(value) {
+        return typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+    }
+
+    _parse(value) {
+        if (!value) return null;
+
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value; // Return as string if not JSON
+        }
+    }
 }
 
 // Export singleton instance
@@ -1,12 +1,31 @@
 /**
  * Cache Provider Factory
+ * Selects the backend from CACHE_PROVIDER (redis | memory)
  */
 
+import config from '../../config/index.js';
+import { sessionClient } from '../../config/redis.js';
 import { RedisCacheProvider } from './RedisCacheProvider.js';
+import { MemoryCacheProvider } from './MemoryCacheProvider.js';
+import redisCacheProvider from './RedisCacheProvider.js';
+import memoryCacheProvider from './MemoryCacheProvider.js';
 
 export { CacheProvider } from './CacheProvider.js';
 export { RedisCacheProvider } from './RedisCacheProvider.js';
+export { MemoryCacheProvider } from './MemoryCacheProvider.js';
 
-// Export default provider
-import redisCacheProvider from './RedisCacheProvider.js';
-export default redisCacheProvider;
+// Short-lived state (upload sessions, tokens, locks) is kept apart from the cache
+const providers = {
+    redis: { cache: redisCacheProvider, session: new RedisCacheProvider(sessionClient) },
+    memory: { cache: memoryCacheProvider, session: new MemoryCacheProvider() },
+};
+
+if (!providers[config.cache.provider]) {
+    throw new Error(`Unknown cache provider: ${config.cache.provider}`);
+}
+
+// Export configured providers
+export const sessionStore = providers[config.cache.provider].session;
+
+const cacheProvider = providers[config.cache.provider].cache;
+export default cacheProvider;
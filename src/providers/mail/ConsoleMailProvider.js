@@ -0,0 +1,24 @@
+/**
+ * Console Mail Provider
+ * Logs emails instead of sending them, for local development
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { MailProvider } from './MailProvider.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Console Mail Provider Implementation
+ */
+export class ConsoleMailProvider extends MailProvider {
+    async send({ to, subject, text }) {
+        const messageId = `<${uuidv4()}@console>`;
+
+        logger.info('Email (console transport)', { to, subject, messageId, text });
+        return { messageId };
+    }
+}
+
+// Export singleton instance
+const consoleMailProvider = new ConsoleMailProvider();
+export default consoleMailProvider;
@@ -0,0 +1,45 @@
+/**
+ * File Mail Provider
+ * Writes each email as an .eml file, for local development and testing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import { MailProvider } from './MailProvider.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * File Mail Provider Implementation
+ */
+export class FileMailProvider extends MailProvider {
+    constructor(options = {}) {
+        super();
+        this.outputPath = options.outputPath || config.mail.outputPath;
+        // Builds the MIME message without sending it anywhere
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    async send({ to, subject, text, html }) {
+        const info = await this.transporter.sendMail({
+            from: config.mail.from,
+            to,
+            subject,
+            text,
+            html,
+        });
+
+        await fs.mkdir(this.outputPath, { recursive: true });
+        const filePath = path.join(this.outputPath, `${Date.now()}-${uuidv4()}.eml`);
+        await fs.writeFile(filePath, info.message);
+
+        logger.info('Email written to file', { to, subject, path: filePath });
+        return { messageId: info.messageId };
+    }
+}
+
+// Export singleton instance
+const fileMailProvider = new FileMailProvider();
+export default fileMailProvider;
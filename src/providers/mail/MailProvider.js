@@ -0,0 +1,20 @@
+/**
+ * Mail Provider Interface
+ * Abstract base class for outgoing email transports
+ */
+
+/**
+ * Abstract Mail Provider
+ */
+export class MailProvider {
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send(message) {
+        throw new Error('Method not implemented: send()');
+    }
+}
+
+export default MailProvider;
@@ -0,0 +1,45 @@
+/**
+ * SMTP Mail Provider
+ * Sends email through an SMTP relay
+ */
+
+import nodemailer from 'nodemailer';
+import config from '../../config/index.js';
+import { MailProvider } from './MailProvider.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * SMTP Mail Provider Implementation
+ */
+export class SmtpMailProvider extends MailProvider {
+    constructor(options = {}) {
+        super();
+        const smtpConfig = { ...config.mail.smtp, ...options };
+
+        this.transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: smtpConfig.port,
+            secure: smtpConfig.secure,
+            auth: smtpConfig.user
+                ? { user: smtpConfig.user, pass: smtpConfig.password }
+                : undefined,
+        });
+    }
+
+    async send({ to, subject, text, html }) {
+        const info = await this.transporter.sendMail({
+            from: config.mail.from,
+            to,
+            subject,
+            text,
+            html,
+        });
+
+        logger.debug('Email sent', { to, subject, messageId: info.messageId });
+        return { messageId: info.messageId };
+    }
+}
+
+// Export singleton instance
+const smtpMailProvider = new SmtpMailProvider();
+export default smtpMailProvider;
@@ -0,0 +1,28 @@
+/**
+ * Mail Provider Factory
+ * Selects the transport from MAIL_TRANSPORT (smtp | file | console)
+ */
+
+import config from '../../config/index.js';
+import smtpMailProvider from './SmtpMailProvider.js';
+import fileMailProvider from './FileMailProvider.js';
+import consoleMailProvider from './ConsoleMailProvider.js';
+
+export { MailProvider } from './MailProvider.js';
+export { SmtpMailProvider } from './SmtpMailProvider.js';
+export { FileMailProvider } from './FileMailProvider.js';
+export { ConsoleMailProvider } from './ConsoleMailProvider.js';
+
+const providers = {
+    smtp: smtpMailProvider,
+    file: fileMailProvider,
+    console: consoleMailProvider,
+};
+
+if (!providers[config.mail.transport]) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+}
+
+// Export configured provider
+const mailProvider = providers[config.mail.transport];
+export default mailProvider;
@@ -0,0 +1,491 @@
+/**
+ * Memory Queue Provider
+ * In-process job queue for single-node development and tests, with the job
+ * options the Bull provider honours (jobId, delay, priority, attempts,
+ * backoff, repeat, removeOnComplete/removeOnFail); jobs are lost on restart
+ */
+
+import logger from '../../utils/logger.js';
+import { QueueProvider } from './QueueProvider.js';
+
+const DEFAULT_JOB_OPTIONS = {
+    removeOnComplete: 100, // Keep last 100 completed jobs
+    removeOnFail: 1000,    // Keep last 1000 failed jobs
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 2000,
+    },
+};
+
+/**
+ * Memory Queue Provider
+ */
+export class MemoryQueueProvider extends QueueProvider {
+    constructor() {
+        super();
+        this.queues = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Get or create a queue
+     */
+    _getQueue(queueName) {
+        if (!this.queues.has(queueName)) {
+            this.queues.set(queueName, {
+                name: queueName,
+                jobs: new Map(),
+                waiting: [],
+                handler: null,
+                concurrency: 1,
+                running: new Set(),
+                paused: false,
+                repeatables: new Map(),
+            });
+        }
+
+        return this.queues.get(queueName);
+    }
+
+    /**
+     * Add a job to the queue
+     */
+    async add(queueName, data, options = {}) {
+        const queue = this._getQueue(queueName);
+
+        const jobOptions = {
+            ...DEFAULT_JOB_OPTIONS,
+            ...options,
+            priority: options.priority || 0,
+            attempts: options.attempts || 3,
+        };
+
+        if (jobOptions.repeat) {
+            return this._addRepeatable(queue, data, jobOptions);
+        }
+
+        // A job id already in the queue means the job is already there
+        if (jobOptions.jobId && queue.jobs.has(String(jobOptions.jobId))) {
+            const existing = queue.jobs.get(String(jobOptions.jobId));
+            return { id: existing.id, queueName, data: existing.data, options: existing.opts };
+        }
+
+        const job = {
+            id: String(jobOptions.jobId ?? this.nextJobId++),
+            data,
+            opts: jobOptions,
+            state: 'waiting',
+            attemptsMade: 0,
+            failedReason: null,
+            stacktrace: [],
+            returnvalue: null,
+            timestamp: Date.now(),
+            processedOn: null,
+            finishedOn: null,
+            timer: null,
+        };
+        queue.jobs.set(job.id, job);
+
+        if (jobOptions.delay > 0) {
+            this._delay(queue, job, jobOptions.delay);
+        } else {
+            this._enqueue(queue, job);
+        }
+
+        logger.debug(`Job added to ${queueName}`, { jobId: job.id, data });
+
+        return { id: job.id, queueName, data, options: jobOptions };
+    }
+
+    /**
+     * Add a repeatable job, replacing earlier schedules of the same job
+     */
+    async addRepeatable(queueName, data, every, options = {}) {
+        return this.add(queueName, data, { ...options, jobId: options.jobId || 'repeat', repeat: { every } });
+    }
+
+    /**
+     * Add multiple jobs at once
+     */
+    async addBulk(queueName, jobs) {
+        const added = [];
+
+        for (const { data, options = {} } of jobs) {
+            const { id } = await this.add(queueName, data, options);
+            added.push({ id, queueName, data });
+        }
+
+        logger.debug(`Bulk jobs added to ${queueName}`, { count: added.length });
+
+        return added;
+    }
+
+    /**
+     * Process jobs from a queue
+     */
+    process(queueName, handler, options = {}) {
+        const queue = this._getQueue(queueName);
+
+        if (queue.handler) {
+            throw new Error(`Queue ${queueName} already has a processor`);
+        }
+
+        queue.handler = handler;
+        queue.concurrency = options.concurrency || 1;
+
+        logger.info(`Queue processor started: ${queueName}`, { concurrency: queue.concurrency });
+        this._drain(queue);
+    }
+
+    /**
+     * Get queue statistics
+     */
+    async getStats(queueName) {
+        const queue = this._getQueue(queueName);
+
+        const counts = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+        for (const job of queue.jobs.values()) {
+            counts[job.state]++;
+        }
+
+        return {
+            queueName,
+            waiting: queue.paused ? 0 : counts.waiting,
+            active: counts.active,
+            completed: counts.completed,
+            failed: counts.failed,
+            delayed: counts.delayed,
+            paused: queue.paused ? counts.waiting : 0,
+            isPaused: queue.paused,
+        };
+    }
+
+    /**
+     * Get all queue statistics
+     */
+    async getAllStats() {
+        const stats = {};
+
+        for (const name of this.queues.keys()) {
+            stats[name] = await this.getStats(name);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Pause a queue (there is only this instance, so local and global are the same)
+     */
+    async pause(queueName, local = false) {
+        const queue = this._getQueue(queueName);
+        queue.paused = true;
+        logger.info(`Queue paused: ${queueName}`, { local });
+    }
+
+    /**
+     * Resume a queue
+     */
+    async resume(queueName, local = false) {
+        const queue = this._getQueue(queueName);
+        queue.paused = false;
+        logger.info(`Queue resumed: ${queueName}`, { local });
+        this._drain(queue);
+    }
+
+    /**
+     * Clean old jobs
+     */
+    async clean(queueName, gracePeriod = 24 * 60 * 60 * 1000, status = 'completed') {
+        const queue = this._getQueue(queueName);
+        const cutoff = Date.now() - gracePeriod;
+        let cleaned = 0;
+
+        for (const job of [...queue.jobs.values()]) {
+            if (job.state === status && (job.finishedOn || job.timestamp) < cutoff) {
+                this._remove(queue, job);
+                cleaned++;
+            }
+        }
+
+        logger.info(`Cleaned jobs from ${queueName}`, { count: cleaned, status });
+        return cleaned;
+    }
+
+    /**
+     * Close all queues, letting running jobs finish
+     */
+    async close() {
+        const queues = [...this.queues.values()];
+
+        // Stop starting jobs everywhere first, so no queue picks up work while others drain
+        for (const queue of queues) {
+            queue.paused = true;
+        }
+
+        // Wait for in-flight jobs before their processors are dropped
+        while (queues.some(queue => queue.running.size > 0)) {
+            await Promise.allSettled(queues.flatMap(queue => [...queue.running]));
+        }
+
+        // Only now drop timers: failed runs may have scheduled retries while draining
+        for (const queue of queues) {
+            for (const repeatable of queue.repeatables.values()) {
+                clearTimeout(repeatable.timer);
+            }
+            for (const job of queue.jobs.values()) {
+                clearTimeout(job.timer);
+            }
+            logger.debug(`Queue closed: ${queue.name}`);
+        }
+
+        this.queues.clear();
+        logger.info('All queues closed');
+    }
+
+    /**
+     * Get a specific job by ID
+     */
+    async getJob(queueName, jobId) {
+        const job = this._getQueue(queueName).jobs.get(String(jobId));
+        return job ? this._formatJob(job) : null;
+    }
+
+    /**
+     * Get the state of a job
+     */
+    async getJobState(queueName, jobId) {
+        const queue = this._getQueue(queueName);
+        const job = queue.jobs.get(String(jobId));
+        if (!job) return null;
+
+        return job.state === 'waiting' && queue.paused ? 'paused' : job.state;
+    }
+
+    /**
+     * Get failed jobs, most recent first
+     */
+    async getFailed(queueName, start = 0, end = -1) {
+        const failed = [...this._getQueue(queueName).jobs.values()]
+            .filter(job => job.state === 'failed')
+            .sort((a, b) => b.finishedOn - a.finishedOn);
+
+        return failed
+            .slice(start, end < 0 ? failed.length + end + 1 : end + 1)
+            .map(job => this._formatJob(job));
+    }
+
+    /**
+     * Retry a failed job
+     */
+    async retryJob(queueName, jobId) {
+        const queue = this._getQueue(queueName);
+        const job = queue.jobs.get(String(jobId));
+
+        if (!job) return false;
+        if (job.state !== 'failed') {
+            throw new Error(`Job ${jobId} has not failed`);
+        }
+
+        job.failedReason = null;
+        job.finishedOn = null;
+        job.processedOn = null;
+        this._enqueue(queue, job);
+
+        logger.info(`Job retried: ${jobId}`, { queueName });
+        return true;
+    }
+
+    /**
+     * Remove a job that isn't running
+     */
+    async removeJob(queueName, jobId) {
+        const queue = this._getQueue(queueName);
+        const job = queue.jobs.get(String(jobId));
+
+        if (!job) return false;
+        if (job.state === 'active') {
+            throw new Error(`Job ${jobId} is running and can not be removed`);
+        }
+
+        this._remove(queue, job);
+        logger.info(`Job removed: ${jobId}`, { queueName });
+        return true;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Schedule a job every repeat.every ms, aligned to multiples of the interval like Bull
+     */
+    _addRepeatable(queue, data, options) {
+        const { repeat, ...jobOptions } = options;
+        const jobId = String(options.jobId || 'repeat');
+        const every = repeat.every;
+
+        const existing = queue.repeatables.get(jobId);
+        if (existing) {
+            if (existing.every === every) {
+                return { id: jobId, queueName: queue.name, data, options };
+            }
+            clearTimeout(existing.timer);
+            logger.info(`Repeatable job replaced in ${queue.name}`, { jobId, every: existing.every });
+        }
+
+        const repeatable = { every, timer: null };
+        const scheduleNext = () => {
+            const next = Math.floor(Date.now() / every) * every + every;
+
+            repeatable.timer = setTimeout(() => {
+                this.add(queue.name, data, { ...jobOptions, jobId: `repeat:${jobId}:${next}` });
+                scheduleNext();
+            }, next - Date.now());
+            repeatable.timer.unref();
+        };
+
+        queue.repeatables.set(jobId, repeatable);
+        scheduleNext();
+
+        return { id: jobId, queueName: queue.name, data, options };
+    }
+
+    /**
+     * Put a job in line, higher priority (lower number, 0 = none) first
+     */
+    _enqueue(queue, job) {
+        job.state = 'waiting';
+        job.timer = null;
+
+        const rank = (j) => j.opts.priority || Number.MAX_SAFE_INTEGER;
+        const index = queue.waiting.findIndex(other => rank(other) > rank(job));
+
+        if (index === -1) queue.waiting.push(job);
+        else queue.waiting.splice(index, 0, job);
+
+        this._drain(queue);
+    }
+
+    _delay(queue, job, delay) {
+        job.state = 'delayed';
+        job.timer = setTimeout(() => this._enqueue(queue, job), delay);
+        job.timer.unref();
+    }
+
+    /**
+     * Start waiting jobs up to the concurrency
+     */
+    _drain(queue) {
+        while (
+            queue.handler &&
+            !queue.paused &&
+            queue.running.size < queue.concurrency &&
+            queue.waiting.length > 0
+        ) {
+            const job = queue.waiting.shift();
+            const run = this._run(queue, job).finally(() => {
+                queue.running.delete(run);
+                this._drain(queue);
+            });
+            queue.running.add(run);
+        }
+    }
+
+    async _run(queue, job) {
+        job.state = 'active';
+        job.processedOn = Date.now();
+
+        logger.debug(`Processing job in ${queue.name}`, { jobId: job.id, data: job.data });
+
+        try {
+            job.returnvalue = await queue.handler(job.data, this._formatJob(job));
+            job.state = 'completed';
+            job.finishedOn = Date.now();
+
+            logger.debug(`Job completed in ${queue.name}`, {
+                jobId: job.id,
+                duration: Date.now() - job.timestamp,
+            });
+
+            this._trim(queue, 'completed', job.opts.removeOnComplete);
+        } catch (error) {
+            job.attemptsMade++;
+            job.failedReason = error.message;
+            job.stacktrace.push(error.stack);
+
+            logger.error(`Job processing failed in ${queue.name}`, {
+                jobId: job.id,
+                error: error.message,
+            });
+
+            if (job.attemptsMade < job.opts.attempts) {
+                this._delay(queue, job, this._backoff(job));
+                return;
+            }
+
+            job.state = 'failed';
+            job.finishedOn = Date.now();
+
+            logger.error(`Job failed in ${queue.name}`, {
+                jobId: job.id,
+                data: job.data,
+                error: error.message,
+                attempts: job.attemptsMade,
+            });
+
+            this._trim(queue, 'failed', job.opts.removeOnFail);
+        }
+    }
+
+    _backoff(job) {
+        const backoff = typeof job.opts.backoff === 'number'
+            ? { type: 'fixed', delay: job.opts.backoff }
+            : job.opts.backoff;
+
+        if (!backoff) return 0;
+
+        return backoff.type === 'exponential'
+            ? backoff.delay * 2 ** (job.attemptsMade - 1)
+            : backoff.delay;
+    }
+
+    /**
+     * Apply removeOnComplete / removeOnFail (true = remove, number = keep that many)
+     */
+    _trim(queue, state, keep) {
+        if (!keep) return;
+
+        const jobs = [...queue.jobs.values()]
+            .filter(job => job.state === state)
+            .sort((a, b) => b.finishedOn - a.finishedOn);
+
+        for (const job of jobs.slice(keep === true ? 0 : keep)) {
+            this._remove(queue, job);
+        }
+    }
+
+    _remove(queue, job) {
+        clearTimeout(job.timer);
+        queue.jobs.delete(job.id);
+        queue.waiting = queue.waiting.filter(other => other !== job);
+    }
+
+    _formatJob(job) {
+        const toDate = (ms) => (ms ? new Date(ms) : null);
+
+        return {
+            id: job.id,
+            data: job.data,
+            attemptsMade: job.attemptsMade,
+            attempts: job.opts.attempts,
+            failedReason: job.failedReason,
+            stacktrace: job.stacktrace,
+            createdAt: toDate(job.timestamp),
+            processedAt: toDate(job.processedOn),
+            finishedAt: toDate(job.finishedOn),
+        };
+    }
+}
+
+// Export singleton instance
+const memoryQueueProvider = new MemoryQueueProvider();
+export default memoryQueueProvider;
@@ -18,6 +18,18 @@ export class QueueProvider {
         throw new Error('Method not implemented: add()');
     }
 
+    /**
+     * Add a job that repeats on a fixed interval
+     * @param {string} queueName - Queue name
+     * @param {Object} data - Job data
+     * @param {number} every - Interval in milliseconds
+     * @param {Object} options - Job options (jobId identifies the schedule)
+     * @returns {Promise<Object>} Job info
+     */
+    async addRepeatable(queueName, data, every, options = {}) {
+        throw new Error('Method not implemented: addRepeatable()');
+    }
+
     /**
      * Process jobs from a queue
      * @param {string} queueName - Queue name
@@ -37,19 +49,62 @@ export class QueueProvider {
         throw new Error('Method not implemented: getStats()');
     }
 
+    /**
+     * Get the state of a job
+     * @param {string} queueName - Queue name
+     * @param {string} jobId - Job ID
+     * @returns {Promise<string|null>} State, or null when the job doesn't exist
+     */
+    async getJobState(queueName, jobId) {
+        throw new Error('Method not implemented: getJobState()');
+    }
+
+    /**
+     * Get failed jobs, most recent first
+     * @param {string} queueName - Queue name
+     * @param {number} start - Offset of the first job
+     * @param {number} end - Offset of the last job (inclusive)
+     * @returns {Promise<Array>} Jobs with their data and failure reason
+     */
+    async getFailed(queueName, start = 0, end = -1) {
+        throw new Error('Method not implemented: getFailed()');
+    }
+
+    /**
+     * Retry a failed job
+     * @param {string} queueName - Queue name
+     * @param {string} jobId - Job ID
+     * @returns {Promise<boolean>} False when the job doesn't exist
+     */
+    async retryJob(queueName, jobId) {
+        throw new Error('Method not implemented: retryJob()');
+    }
+
+    /**
+     * Remove a job that isn't running
+     * @param {string} queueName - Queue name
+     * @param {string} jobId - Job ID
+     * @returns {Promise<boolean>} False when the job doesn't exist
+     */
+    async removeJob(queueName, jobId) {
+        throw new Error('Method not implemented: removeJob()');
+    }
+
     /**
      * Pause a queue
      * @param {string} queueName - Queue name
+     * @param {boolean} local - Only pause this instance's processing
      */
-    async pause(queueName) {
+    async pause(queueName, local = false) {
         throw new Error('Method not implemented: pause()');
     }
 
     /**
      * Resume a queue
      * @param {string} queueName - Queue name
+     * @param {boolean} local - Only resume this instance's processing
      */
-    async resume(queueName) {
+    async resume(queueName, local = false) {
         throw new Error('Method not implemented: resume()');
     }
 
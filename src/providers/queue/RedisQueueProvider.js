@@ -15,6 +15,8 @@ export const QueueNames = {
     EXPIRY: 'storage:expiry',
     MIGRATION: 'storage:migration',
     CLEANUP: 'storage:cleanup',
+    TRASH: 'storage:trash',
+    QUOTA: 'storage:quota',
     FILE_PROCESSING: 'storage:file-processing',
 };
 
@@ -111,6 +113,25 @@ export class RedisQueueProvider extends QueueProvider {
         };
     }
 
+    /**
+     * Add a repeatable job, replacing earlier schedules of the same job
+     */
+    async addRepeatable(queueName, data, every, options = {}) {
+        const queue = this._getQueue(queueName);
+        const jobId = options.jobId || 'repeat';
+
+        // Bull keys a schedule by its interval, so a changed interval would run alongside the old one
+        const repeatables = await queue.getRepeatableJobs();
+        for (const repeatable of repeatables) {
+            if (repeatable.id === jobId && repeatable.every !== every) {
+                await queue.removeRepeatableByKey(repeatable.key);
+                logger.info(`Repeatable job replaced in ${queueName}`, { jobId, every: repeatable.every });
+            }
+        }
+
+        return this.add(queueName, data, { ...options, jobId, repeat: { every } });
+    }
+
     /**
      * Add multiple jobs at once
      */
@@ -170,13 +191,14 @@ export class RedisQueueProvider extends QueueProvider {
     async getStats(queueName) {
         const queue = this._getQueue(queueName);
 
-        const [waiting, active, completed, failed, delayed, paused] = await Promise.all([
+        const [waiting, active, completed, failed, delayed, paused, isPaused] = await Promise.all([
             queue.getWaitingCount(),
             queue.getActiveCount(),
             queue.getCompletedCount(),
             queue.getFailedCount(),
             queue.getDelayedCount(),
             queue.getPausedCount(),
+            queue.isPaused(),
         ]);
 
         return {
@@ -187,6 +209,7 @@ export class RedisQueueProvider extends QueueProvider {
             failed,
             delayed,
             paused,
+            isPaused,
         };
     }
 
@@ -205,20 +228,21 @@ export class RedisQueueProvider extends QueueProvider {
 
     /**
      * Pause a queue
+     * A local pause only stops this instance from taking new jobs
      */
-    async pause(queueName) {
+    async pause(queueName, local = false) {
         const queue = this._getQueue(queueName);
-        await queue.pause();
-        logger.info(`Queue paused: ${queueName}`);
+        await queue.pause(local);
+        logger.info(`Queue paused: ${queueName}`, { local });
     }
 
     /**
      * Resume a queue
      */
-    async resume(queueName) {
+    async resume(queueName, local = false) {
         const queue = this._getQueue(queueName);
-        await queue.resume();
-        logger.info(`Queue resumed: ${queueName}`);
+        await queue.resume(local);
+        logger.info(`Queue resumed: ${queueName}`, { local });
     }
 
     /**
@@ -251,6 +275,29 @@ export class RedisQueueProvider extends QueueProvider {
         return await queue.getJob(jobId);
     }
 
+    /**
+     * Get the state of a job (waiting, active, completed, failed, delayed, paused)
+     * @returns {Promise<string|null>} null when the job doesn't exist
+     */
+    async getJobState(queueName, jobId) {
+        const queue = this._getQueue(queueName);
+        const job = await queue.getJob(jobId);
+        return job ? job.getState() : null;
+    }
+
+    /**
+     * Get failed jobs, most recent first
+     * @param {number} start - Offset of the first job
+     * @param {number} end - Offset of the last job (inclusive)
+     */
+    async getFailed(queueName, start = 0, end = -1) {
+        const queue = this._getQueue(queueName);
+        const jobs = await queue.getFailed(start, end);
+
+        // Jobs removed between listing and loading come back empty
+        return jobs.filter(Boolean).map(job => this._formatJob(job));
+    }
+
     /**
      * Retry a failed job
      */
@@ -266,6 +313,40 @@ export class RedisQueueProvider extends QueueProvider {
 
         return false;
     }
+
+    /**
+     * Remove a job that isn't running
+     */
+    async removeJob(queueName, jobId) {
+        const queue = this._getQueue(queueName);
+        const job = await queue.getJob(jobId);
+
+        if (job) {
+            await job.remove();
+            logger.info(`Job removed: ${jobId}`, { queueName });
+            return true;
+        }
+
+        return false;
+    }
+
+    // ==================== Private Methods ====================
+
+    _formatJob(job) {
+        const toDate = (ms) => (ms ? new Date(ms) : null);
+
+        return {
+            id: job.id,
+            data: job.data,
+            attemptsMade: job.attemptsMade,
+            attempts: job.opts.attempts,
+            failedReason: job.failedReason || null,
+            stacktrace: job.stacktrace || [],
+            createdAt: toDate(job.timestamp),
+            processedAt: toDate(job.processedOn),
+            finishedAt: toDate(job.finishedOn),
+        };
+    }
 }
 
 // Export singleton instance
@@ -1,10 +1,25 @@
 /**
  * Queue Provider Factory
+ * Selects the backend from CACHE_PROVIDER (redis | memory), like the cache
  */
 
+import config from '../../config/index.js';
+import redisQueueProvider from './RedisQueueProvider.js';
+import memoryQueueProvider from './MemoryQueueProvider.js';
+
 export { QueueProvider } from './QueueProvider.js';
 export { RedisQueueProvider, QueueNames } from './RedisQueueProvider.js';
+export { MemoryQueueProvider } from './MemoryQueueProvider.js';
 
-// Export default provider
-import redisQueueProvider from './RedisQueueProvider.js';
-export default redisQueueProvider;
+const providers = {
+    redis: redisQueueProvider,
+    memory: memoryQueueProvider,
+};
+
+if (!providers[config.cache.provider]) {
+    throw new Error(`Unknown queue provider: ${config.cache.provider}`);
+}
+
+// Export configured provider
+const queueProvider = providers[config.cache.provider];
+export default queueProvider;
@@ -0,0 +1,368 @@
+/**
+ * Local Storage Provider
+ * Filesystem-based storage with SSD (hot) and HDD (cold) tier directories
+ */
+
+import crypto from 'crypto';
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import config from '../../config/index.js';
+import { StorageProvider, StorageTier } from './StorageProvider.js';
+import { md5, generateToken } from '../../utils/hash.js';
+import { copyFileWithProgress } from '../../utils/stream.js';
+import { StorageError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Name of the probe file written by health checks
+ * (dot-prefixed so the cleanup worker skips it)
+ */
+const HEALTH_CHECK_FILE = '.healthcheck';
+
+/**
+ * Storage keys must be flat names, never paths
+ */
+const STORAGE_KEY_PATTERN = /^[A-Za-z0-9_\-][A-Za-z0-9_.\-]*$/;
+
+/**
+ * Local Storage Provider Implementation
+ */
+export class LocalStorageProvider extends StorageProvider {
+    constructor(options = {}) {
+        super();
+        this.ssdPath = options.ssdPath || config.storage.ssdPath;
+        this.hddPath = options.hddPath || config.storage.hddPath;
+        this.tempPath = options.tempPath || config.storage.tempPath;
+    }
+
+    /**
+     * Create tier and temp directories
+     */
+    async initialize() {
+        try {
+            await Promise.all([
+                fs.mkdir(this.ssdPath, { recursive: true }),
+                fs.mkdir(this.hddPath, { recursive: true }),
+                fs.mkdir(this.tempPath, { recursive: true }),
+            ]);
+
+            logger.info('Local storage initialized', {
+                ssdPath: this.ssdPath,
+                hddPath: this.hddPath,
+                tempPath: this.tempPath,
+            });
+        } catch (error) {
+            logger.error('Failed to initialize local storage', { error: error.message });
+            throw new StorageError(`Failed to initialize storage: ${error.message}`, 'initialize');
+        }
+    }
+
+    /**
+     * Store a chunk (written to a temp name, then renamed into place)
+     */
+    async writeChunk(sessionId, chunkIndex, data) {
+        const chunkDir = this._getChunkDir(sessionId);
+        const chunkPath = this._getChunkPath(sessionId, chunkIndex);
+        const partialPath = `${chunkPath}.${generateToken(4)}.part`;
+
+        try {
+            await fs.mkdir(chunkDir, { recursive: true });
+            await fs.writeFile(partialPath, data);
+            await fs.rename(partialPath, chunkPath);
+
+            return { index: chunkIndex, size: data.length };
+        } catch (error) {
+            await fs.rm(partialPath, { force: true }).catch(() => { });
+            logger.error('Failed to write chunk', { sessionId, chunkIndex, error: error.message });
+            throw new StorageError(`Failed to write chunk ${chunkIndex}`, 'writeChunk');
+        }
+    }
+
+    /**
+     * Assemble chunks into the final file, hashing while streaming
+     */
+    async assembleChunks(sessionId, storageKey, totalChunks, tier) {
+        const destination = this._getFilePath(storageKey, tier);
+        const assemblingPath = `${destination}.${generateToken(4)}.assembling`;
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        try {
+            // Verify every chunk is present before touching the destination
+            for (let i = 0; i < totalChunks; i++) {
+                await fs.access(this._getChunkPath(sessionId, i));
+            }
+        } catch {
+            throw new StorageError('Cannot assemble file: missing chunks', 'assembleChunks');
+        }
+
+        try {
+            await fs.mkdir(this._getShardDir(storageKey, tier), { recursive: true });
+
+            const output = createWriteStream(assemblingPath);
+            const hashing = new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                },
+            });
+
+            // Chain chunk streams into the hashing transform without closing it in between
+            const source = async function* (provider) {
+                for (let i = 0; i < totalChunks; i++) {
+                    yield* createReadStream(provider._getChunkPath(sessionId, i));
+                }
+            };
+
+            await pipeline(source(this), hashing, output);
+
+            // Flush to disk before the rename makes the file visible
+            const handle = await fs.open(assemblingPath, 'r');
+            try {
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            await fs.rename(assemblingPath, destination);
+        } catch (error) {
+            await fs.rm(assemblingPath, { force: true }).catch(() => { });
+            logger.error('Failed to assemble chunks', { sessionId, storageKey, error: error.message });
+            throw new StorageError(`Failed to assemble file: ${error.message}`, 'assembleChunks');
+        }
+
+        await this.deleteChunks(sessionId);
+
+        logger.debug('Chunks assembled', { sessionId, storageKey, tier, size });
+
+        return {
+            size,
+            hash: hash.digest('hex'),
+        };
+    }
+
+    /**
+     * Delete all chunks of a session
+     */
+    async deleteChunks(sessionId) {
+        try {
+            await fs.rm(this._getChunkDir(sessionId), { recursive: true, force: true });
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete chunks', { sessionId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Get a read stream (optionally for a byte range)
+     */
+    getStream(storageKey, tier, options = {}) {
+        const filePath = this._getFilePath(storageKey, tier);
+        const streamOptions = {};
+
+        if (options.start !== undefined) streamOptions.start = options.start;
+        if (options.end !== undefined) streamOptions.end = options.end;
+
+        return createReadStream(filePath, streamOptions);
+    }
+
+    /**
+     * Check if a file exists
+     */
+    async exists(storageKey, tier) {
+        try {
+            await fs.access(this._getFilePath(storageKey, tier));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Delete a file
+     */
+    async delete(storageKey, tier) {
+        try {
+            await fs.unlink(this._getFilePath(storageKey, tier));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.warn('File to delete not found in storage', { storageKey, tier });
+                return false;
+            }
+            logger.error('Failed to delete file', { storageKey, tier, error: error.message });
+            throw new StorageError(`Failed to delete file: ${error.message}`, 'delete');
+        }
+    }
+
+    /**
+     * Move a file between tiers
+     * Uses rename when both tiers share a filesystem, copy + verify + unlink otherwise
+     */
+    async migrate(storageKey, fromTier, toTier) {
+        if (fromTier === toTier) return;
+
+        const source = this._getFilePath(storageKey, fromTier);
+        const destination = this._getFilePath(storageKey, toTier);
+
+        await fs.mkdir(this._getShardDir(storageKey, toTier), { recursive: true });
+
+        try {
+            await fs.rename(source, destination);
+            return;
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                logger.error('Failed to migrate file', { storageKey, fromTier, toTier, error: error.message });
+                throw new StorageError(`Failed to migrate file: ${error.message}`, 'migrate');
+            }
+        }
+
+        // Cross-device move: copy to a temp name on the target device first
+        const copyPath = `${destination}.${generateToken(4)}.migrating`;
+
+        try {
+            await copyFileWithProgress(source, copyPath);
+
+            const [sourceStat, copyStat] = await Promise.all([fs.stat(source), fs.stat(copyPath)]);
+            if (sourceStat.size !== copyStat.size) {
+                throw new Error(`Size mismatch after copy (${sourceStat.size} != ${copyStat.size})`);
+            }
+
+            const handle = await fs.open(copyPath, 'r');
+            try {
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            await fs.rename(copyPath, destination);
+        } catch (error) {
+            await fs.rm(copyPath, { force: true }).catch(() => { });
+            logger.error('Failed to migrate file across devices', { storageKey, fromTier, toTier, error: error.message });
+            throw new StorageError(`Failed to migrate file: ${error.message}`, 'migrate');
+        }
+
+        await fs.unlink(source);
+    }
+
+    /**
+     * Get disk usage per tier
+     */
+    async getStats() {
+        const [hot, cold, temp] = await Promise.all([
+            this._getDiskStats(this.ssdPath),
+            this._getDiskStats(this.hddPath),
+            this._getDiskStats(this.tempPath),
+        ]);
+
+        return {
+            provider: 'local',
+            [StorageTier.HOT]: hot,
+            [StorageTier.COLD]: cold,
+            temp,
+        };
+    }
+
+    /**
+     * Write and read back a probe file in the temp directory
+     */
+    async healthCheck() {
+        const probePath = join(this.tempPath, HEALTH_CHECK_FILE);
+        const payload = generateToken(8);
+
+        try {
+            await fs.writeFile(probePath, payload);
+            const read = await fs.readFile(probePath, 'utf8');
+            return read === payload;
+        } catch (error) {
+            logger.error('Storage health check failed', { error: error.message });
+            return false;
+        }
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Get base directory for a tier
+     */
+    _getTierPath(tier) {
+        switch (tier) {
+            case StorageTier.HOT:
+                return this.ssdPath;
+            case StorageTier.COLD:
+                return this.hddPath;
+            default:
+                throw new StorageError(`Unknown storage tier: ${tier}`, 'resolve');
+        }
+    }
+
+    /**
+     * Get shard directory for a key (spreads files over 256 subdirectories)
+     */
+    _getShardDir(storageKey, tier) {
+        this._validateKey(storageKey);
+        return join(this._getTierPath(tier), md5(storageKey).substring(0, 2));
+    }
+
+    /**
+     * Get absolute path of a stored file
+     */
+    _getFilePath(storageKey, tier) {
+        return join(this._getShardDir(storageKey, tier), storageKey);
+    }
+
+    /**
+     * Get temp directory of an upload session
+     */
+    _getChunkDir(sessionId) {
+        this._validateKey(sessionId);
+        return join(this.tempPath, sessionId);
+    }
+
+    /**
+     * Get path of a single chunk
+     */
+    _getChunkPath(sessionId, chunkIndex) {
+        return join(this._getChunkDir(sessionId), `chunk_${String(chunkIndex).padStart(6, '0')}`);
+    }
+
+    /**
+     * Reject keys that could escape the storage directories
+     */
+    _validateKey(key) {
+        if (!key || typeof key !== 'string' || !STORAGE_KEY_PATTERN.test(key) || key.includes('..')) {
+            throw new StorageError(`Invalid storage key: ${key}`, 'resolve');
+        }
+    }
+
+    /**
+     * Get filesystem usage for a directory
+     */
+    async _getDiskStats(dirPath) {
+        try {
+            const stats = await fs.statfs(dirPath);
+            const total = stats.blocks * stats.bsize;
+            const free = stats.bavail * stats.bsize;
+            const used = total - stats.bfree * stats.bsize;
+
+            return {
+                path: dirPath,
+                total,
+                used,
+                free,
+                usagePercent: total > 0 ? Math.round((used / total) * 10000) / 100 : 0,
+            };
+        } catch (error) {
+            logger.error('Failed to read disk stats', { path: dirPath, error: error.message });
+            return { path: dirPath, error: error.message };
+        }
+    }
+}
+
+// Export singleton instance
+const localStorageProvider = new LocalStorageProvider();
+export default localStorageProvider;
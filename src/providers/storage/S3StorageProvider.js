@@ -0,0 +1,566 @@
+/**
+ * S3 Storage Provider
+ * S3-compatible object storage (AWS S3, MinIO, etc.)
+ *
+ * Upload chunks are stored as parts of a multipart upload on a staging key,
+ * assembly completes the multipart upload and copies the object to its final key.
+ * Tiers map to storage classes, or to separate buckets when S3_COLD_BUCKET is set.
+ */
+
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import {
+    S3Client,
+    HeadBucketCommand,
+    CreateBucketCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    CopyObjectCommand,
+    PutObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    UploadPartCopyCommand,
+    ListPartsCommand,
+    ListMultipartUploadsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import config from '../../config/index.js';
+import { StorageProvider, StorageTier } from './StorageProvider.js';
+import { StorageError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * S3 multipart limits
+ */
+const MIN_PART_SIZE = 5 * 1024 * 1024;           // 5 MiB (all parts except the last)
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024; // 5 GiB (single CopyObject limit)
+const COPY_PART_SIZE = 512 * 1024 * 1024;         // 512 MiB per UploadPartCopy
+
+/**
+ * S3 Storage Provider Implementation
+ */
+export class S3StorageProvider extends StorageProvider {
+    constructor(options = {}) {
+        super();
+        const s3Config = { ...config.storage.s3, ...options };
+
+        this.bucket = s3Config.bucket;
+        this.coldBucket = s3Config.coldBucket || null;
+        this.keyPrefix = s3Config.keyPrefix || '';
+        this.storageClasses = {
+            [StorageTier.HOT]: s3Config.hotStorageClass,
+            [StorageTier.COLD]: s3Config.coldStorageClass,
+        };
+
+        this.client = new S3Client({
+            endpoint: s3Config.endpoint,
+            region: s3Config.region,
+            forcePathStyle: s3Config.forcePathStyle,
+            credentials: s3Config.accessKeyId
+                ? {
+                    accessKeyId: s3Config.accessKeyId,
+                    secretAccessKey: s3Config.secretAccessKey,
+                }
+                : undefined,
+        });
+
+        // sessionId -> pending multipart upload ID lookup
+        this.uploadIds = new Map();
+    }
+
+    /**
+     * Verify configuration and make sure the bucket(s) exist
+     */
+    async initialize() {
+        if (!this.bucket) {
+            throw new StorageError('S3_BUCKET is required for the s3 storage provider', 'initialize');
+        }
+
+        if (config.upload.chunkSize < MIN_PART_SIZE) {
+            throw new StorageError(
+                `UPLOAD_CHUNK_SIZE must be at least ${MIN_PART_SIZE} bytes for the s3 storage provider`,
+                'initialize'
+            );
+        }
+
+        const buckets = [this.bucket, this.coldBucket].filter(Boolean);
+        for (const bucket of buckets) {
+            await this._ensureBucket(bucket);
+        }
+
+        logger.info('S3 storage initialized', {
+            bucket: this.bucket,
+            coldBucket: this.coldBucket,
+            storageClasses: this.storageClasses,
+        });
+    }
+
+    /**
+     * Upload a chunk as part (chunkIndex + 1) of the session's multipart upload
+     */
+    async writeChunk(sessionId, chunkIndex, data) {
+        try {
+            const uploadId = await this._getOrCreateUploadId(sessionId);
+
+            await this.client.send(new UploadPartCommand({
+                Bucket: this.bucket,
+                Key: this._stagingKey(sessionId),
+                UploadId: uploadId,
+                PartNumber: chunkIndex + 1,
+                Body: data,
+                ContentLength: data.length,
+            }));
+
+            return { index: chunkIndex, size: data.length };
+        } catch (error) {
+            logger.error('Failed to upload part', { sessionId, chunkIndex, error: error.message });
+            throw new StorageError(`Failed to write chunk ${chunkIndex}`, 'writeChunk');
+        }
+    }
+
+    /**
+     * Complete the multipart upload, hash the result, and copy it to its final key
+     */
+    async assembleChunks(sessionId, storageKey, totalChunks, tier) {
+        // Empty files have no parts, so no multipart upload was started
+        if (totalChunks === 0) {
+            return this._putEmptyObject(sessionId, storageKey, tier);
+        }
+
+        const stagingKey = this._stagingKey(sessionId);
+        const uploadId = await this._findUploadId(sessionId);
+
+        if (!uploadId) {
+            throw new StorageError('Cannot assemble file: no multipart upload for session', 'assembleChunks');
+        }
+
+        try {
+            const parts = await this._listParts(stagingKey, uploadId);
+            if (parts.length !== totalChunks) {
+                throw new StorageError(
+                    `Cannot assemble file: expected ${totalChunks} parts, found ${parts.length}`,
+                    'assembleChunks'
+                );
+            }
+
+            await this.client.send(new CompleteMultipartUploadCommand({
+                Bucket: this.bucket,
+                Key: stagingKey,
+                UploadId: uploadId,
+                MultipartUpload: {
+                    Parts: parts.map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag })),
+                },
+            }));
+            this.uploadIds.delete(sessionId);
+
+            const { size, hash } = await this._hashObject(this.bucket, stagingKey);
+
+            await this._copyObject(
+                { bucket: this.bucket, key: stagingKey },
+                { bucket: this._bucketFor(tier), key: this._objectKey(storageKey) },
+                { storageClass: this.storageClasses[tier], size }
+            );
+
+            await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: stagingKey }));
+
+            logger.debug('Multipart upload assembled', { sessionId, storageKey, tier, size });
+
+            return { size, hash };
+        } catch (error) {
+            logger.error('Failed to assemble multipart upload', { sessionId, storageKey, error: error.message });
+            if (error instanceof StorageError) throw error;
+            throw new StorageError(`Failed to assemble file: ${error.message}`, 'assembleChunks');
+        }
+    }
+
+    /**
+     * Abort pending multipart uploads and remove the staging object
+     */
+    async deleteChunks(sessionId) {
+        const stagingKey = this._stagingKey(sessionId);
+
+        try {
+            const uploads = await this._listUploads(stagingKey);
+            for (const upload of uploads) {
+                await this.client.send(new AbortMultipartUploadCommand({
+                    Bucket: this.bucket,
+                    Key: stagingKey,
+                    UploadId: upload.UploadId,
+                }));
+            }
+
+            await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: stagingKey }));
+            this.uploadIds.delete(sessionId);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete chunks', { sessionId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Get a read stream; the object is fetched asynchronously into a PassThrough
+     */
+    getStream(storageKey, tier, options = {}) {
+        const output = new PassThrough();
+        const params = {
+            Bucket: this._bucketFor(tier),
+            Key: this._objectKey(storageKey),
+        };
+
+        if (options.start !== undefined || options.end !== undefined) {
+            params.Range = `bytes=${options.start ?? 0}-${options.end ?? ''}`;
+        }
+
+        this.client.send(new GetObjectCommand(params))
+            .then(({ Body }) => {
+                Body.on('error', (err) => output.destroy(err));
+                Body.pipe(output);
+            })
+            .catch((error) => {
+                logger.error('Failed to open object stream', { storageKey, tier, error: error.message });
+                output.destroy(new StorageError(`Failed to read file: ${error.message}`, 'getStream'));
+            });
+
+        return output;
+    }
+
+    /**
+     * Check if an object exists
+     */
+    async exists(storageKey, tier) {
+        return (await this._headObject(this._bucketFor(tier), this._objectKey(storageKey))) !== null;
+    }
+
+    /**
+     * Delete an object
+     */
+    async delete(storageKey, tier) {
+        const bucket = this._bucketFor(tier);
+        const key = this._objectKey(storageKey);
+
+        try {
+            if (!(await this._headObject(bucket, key))) {
+                logger.warn('Object to delete not found in storage', { storageKey, tier });
+                return false;
+            }
+
+            await this.client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete object', { storageKey, tier, error: error.message });
+            throw new StorageError(`Failed to delete file: ${error.message}`, 'delete');
+        }
+    }
+
+    /**
+     * Move an object between tiers
+     * Same bucket: in-place copy with a new storage class. Separate cold bucket: copy + delete.
+     */
+    async migrate(storageKey, fromTier, toTier) {
+        if (fromTier === toTier) return;
+
+        const key = this._objectKey(storageKey);
+        const sourceBucket = this._bucketFor(fromTier);
+        const targetBucket = this._bucketFor(toTier);
+
+        try {
+            await this._copyObject(
+                { bucket: sourceBucket, key },
+                { bucket: targetBucket, key },
+                { storageClass: this.storageClasses[toTier] }
+            );
+
+            if (sourceBucket !== targetBucket) {
+                await this.client.send(new DeleteObjectCommand({ Bucket: sourceBucket, Key: key }));
+            }
+        } catch (error) {
+            logger.error('Failed to migrate object', { storageKey, fromTier, toTier, error: error.message });
+            throw new StorageError(`Failed to migrate file: ${error.message}`, 'migrate');
+        }
+    }
+
+    /**
+     * Get tier configuration (object stores do not expose cheap usage totals)
+     */
+    async getStats() {
+        return {
+            provider: 's3',
+            [StorageTier.HOT]: {
+                bucket: this._bucketFor(StorageTier.HOT),
+                storageClass: this.storageClasses[StorageTier.HOT],
+            },
+            [StorageTier.COLD]: {
+                bucket: this._bucketFor(StorageTier.COLD),
+                storageClass: this.storageClasses[StorageTier.COLD],
+            },
+            pendingUploads: this.uploadIds.size,
+        };
+    }
+
+    /**
+     * Check that the bucket is reachable
+     */
+    async healthCheck() {
+        try {
+            await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+            return true;
+        } catch (error) {
+            logger.error('Storage health check failed', { error: error.message });
+            return false;
+        }
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Store a 0-byte object at its final key
+     */
+    async _putEmptyObject(sessionId, storageKey, tier) {
+        try {
+            await this.client.send(new PutObjectCommand({
+                Bucket: this._bucketFor(tier),
+                Key: this._objectKey(storageKey),
+                Body: '',
+                ContentLength: 0,
+                StorageClass: this.storageClasses[tier],
+            }));
+
+            logger.debug('Empty upload stored', { sessionId, storageKey, tier });
+
+            return { size: 0, hash: crypto.createHash('sha256').digest('hex') };
+        } catch (error) {
+            logger.error('Failed to store empty upload', { sessionId, storageKey, error: error.message });
+            throw new StorageError(`Failed to assemble file: ${error.message}`, 'assembleChunks');
+        }
+    }
+
+    /**
+     * Bucket holding a tier
+     */
+    _bucketFor(tier) {
+        if (!Object.values(StorageTier).includes(tier)) {
+            throw new StorageError(`Unknown storage tier: ${tier}`, 'resolve');
+        }
+        return tier === StorageTier.COLD && this.coldBucket ? this.coldBucket : this.bucket;
+    }
+
+    /**
+     * Object key of a stored file
+     */
+    _objectKey(storageKey) {
+        return `${this.keyPrefix}files/${storageKey}`;
+    }
+
+    /**
+     * Object key used while a session is uploading
+     */
+    _stagingKey(sessionId) {
+        return `${this.keyPrefix}uploads/${sessionId}`;
+    }
+
+    /**
+     * Create the bucket if it does not exist
+     */
+    async _ensureBucket(bucket) {
+        try {
+            await this.client.send(new HeadBucketCommand({ Bucket: bucket }));
+        } catch (error) {
+            if (error.$metadata?.httpStatusCode !== 404) {
+                throw new StorageError(`Cannot access bucket ${bucket}: ${error.message}`, 'initialize');
+            }
+
+            await this.client.send(new CreateBucketCommand({ Bucket: bucket }));
+            logger.info('S3 bucket created', { bucket });
+        }
+    }
+
+    /**
+     * HeadObject returning null when the object is missing
+     */
+    async _headObject(bucket, key) {
+        try {
+            return await this.client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        } catch (error) {
+            if (error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * List pending multipart uploads for a key, oldest first
+     */
+    async _listUploads(key) {
+        const uploads = [];
+        let keyMarker;
+        let uploadIdMarker;
+
+        do {
+            const result = await this.client.send(new ListMultipartUploadsCommand({
+                Bucket: this.bucket,
+                Prefix: key,
+                KeyMarker: keyMarker,
+                UploadIdMarker: uploadIdMarker,
+            }));
+
+            uploads.push(...(result.Uploads || []).filter(u => u.Key === key));
+            keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+            uploadIdMarker = result.IsTruncated ? result.NextUploadIdMarker : undefined;
+        } while (keyMarker);
+
+        return uploads.sort((a, b) => new Date(a.Initiated) - new Date(b.Initiated));
+    }
+
+    /**
+     * List uploaded parts of a multipart upload
+     */
+    async _listParts(key, uploadId) {
+        const parts = [];
+        let marker;
+
+        do {
+            const result = await this.client.send(new ListPartsCommand({
+                Bucket: this.bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker,
+            }));
+
+            parts.push(...(result.Parts || []));
+            marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+        } while (marker);
+
+        return parts.sort((a, b) => a.PartNumber - b.PartNumber);
+    }
+
+    /**
+     * Find the session's multipart upload (memoized, falls back to listing)
+     */
+    async _findUploadId(sessionId) {
+        if (this.uploadIds.has(sessionId)) {
+            return this.uploadIds.get(sessionId);
+        }
+
+        const [oldest] = await this._listUploads(this._stagingKey(sessionId));
+        if (oldest) {
+            this.uploadIds.set(sessionId, oldest.UploadId);
+            return oldest.UploadId;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find or start the session's multipart upload
+     * Concurrent first chunks (possibly on other instances) may each start an upload;
+     * the oldest one wins and the others are aborted before any part is written to them.
+     */
+    async _getOrCreateUploadId(sessionId) {
+        const existing = await this._findUploadId(sessionId);
+        if (existing) return existing;
+
+        const stagingKey = this._stagingKey(sessionId);
+        const { UploadId: created } = await this.client.send(new CreateMultipartUploadCommand({
+            Bucket: this.bucket,
+            Key: stagingKey,
+        }));
+
+        const [winner] = await this._listUploads(stagingKey);
+        const uploadId = winner ? winner.UploadId : created;
+
+        if (uploadId !== created) {
+            await this.client.send(new AbortMultipartUploadCommand({
+                Bucket: this.bucket,
+                Key: stagingKey,
+                UploadId: created,
+            }));
+        }
+
+        this.uploadIds.set(sessionId, uploadId);
+        return uploadId;
+    }
+
+    /**
+     * Stream an object through SHA-256
+     */
+    async _hashObject(bucket, key) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        for await (const chunk of Body) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+
+        return { size, hash: hash.digest('hex') };
+    }
+
+    /**
+     * Server-side copy, switching to multipart copy above the CopyObject size limit
+     */
+    async _copyObject(source, target, { storageClass, size } = {}) {
+        const copySource = `${source.bucket}/${encodeURIComponent(source.key).replace(/%2F/g, '/')}`;
+
+        if (size === undefined) {
+            const head = await this._headObject(source.bucket, source.key);
+            if (!head) {
+                throw new StorageError(`Object not found: ${source.key}`, 'copy');
+            }
+            size = head.ContentLength;
+        }
+
+        if (size <= MAX_COPY_OBJECT_SIZE) {
+            await this.client.send(new CopyObjectCommand({
+                Bucket: target.bucket,
+                Key: target.key,
+                CopySource: copySource,
+                StorageClass: storageClass,
+                MetadataDirective: 'COPY',
+            }));
+            return;
+        }
+
+        const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+            Bucket: target.bucket,
+            Key: target.key,
+            StorageClass: storageClass,
+        }));
+
+        try {
+            const parts = [];
+            for (let start = 0, partNumber = 1; start < size; start += COPY_PART_SIZE, partNumber++) {
+                const end = Math.min(start + COPY_PART_SIZE, size) - 1;
+                const result = await this.client.send(new UploadPartCopyCommand({
+                    Bucket: target.bucket,
+                    Key: target.key,
+                    UploadId,
+                    PartNumber: partNumber,
+                    CopySource: copySource,
+                    CopySourceRange: `bytes=${start}-${end}`,
+                }));
+                parts.push({ PartNumber: partNumber, ETag: result.CopyPartResult.ETag });
+            }
+
+            await this.client.send(new CompleteMultipartUploadCommand({
+                Bucket: target.bucket,
+                Key: target.key,
+                UploadId,
+                MultipartUpload: { Parts: parts },
+            }));
+        } catch (error) {
+            await this.client.send(new AbortMultipartUploadCommand({
+                Bucket: target.bucket,
+                Key: target.key,
+                UploadId,
+            })).catch(() => { });
+            throw error;
+        }
+    }
+}
+
+// Export singleton instance
+const s3StorageProvider = new S3StorageProvider();
+export default s3StorageProvider;
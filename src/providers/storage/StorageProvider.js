@@ -0,0 +1,117 @@
+/**
+ * Storage Provider Interface
+ * Abstract base class for storage backend implementations
+ */
+
+/**
+ * Storage tiers
+ * HOT = fast storage (SSD), COLD = cheap storage (HDD)
+ */
+export const StorageTier = {
+    HOT: 'hot',
+    COLD: 'cold',
+};
+
+/**
+ * Abstract Storage Provider
+ */
+export class StorageProvider {
+    /**
+     * Prepare the backend (create directories, buckets, etc.)
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        throw new Error('Method not implemented: initialize()');
+    }
+
+    /**
+     * Store a single upload chunk
+     * @param {string} sessionId - Upload session ID
+     * @param {number} chunkIndex - Zero-based chunk index
+     * @param {Buffer} data - Chunk data
+     * @returns {Promise<Object>} Chunk info ({ index, size })
+     */
+    async writeChunk(sessionId, chunkIndex, data) {
+        throw new Error('Method not implemented: writeChunk()');
+    }
+
+    /**
+     * Assemble uploaded chunks into the final object
+     * @param {string} sessionId - Upload session ID
+     * @param {string} storageKey - Destination storage key
+     * @param {number} totalChunks - Number of chunks to assemble
+     * @param {string} tier - Target storage tier
+     * @returns {Promise<Object>} { size, hash } of the assembled file (SHA-256 hex)
+     */
+    async assembleChunks(sessionId, storageKey, totalChunks, tier) {
+        throw new Error('Method not implemented: assembleChunks()');
+    }
+
+    /**
+     * Delete all chunks of an upload session
+     * @param {string} sessionId - Upload session ID
+     * @returns {Promise<boolean>}
+     */
+    async deleteChunks(sessionId) {
+        throw new Error('Method not implemented: deleteChunks()');
+    }
+
+    /**
+     * Get a read stream for a stored file
+     * Must return synchronously; errors are emitted on the stream
+     * @param {string} storageKey - Storage key
+     * @param {string} tier - Storage tier
+     * @param {Object} options - { start, end } byte range (inclusive)
+     * @returns {Readable} File stream
+     */
+    getStream(storageKey, tier, options = {}) {
+        throw new Error('Method not implemented: getStream()');
+    }
+
+    /**
+     * Check if a file exists
+     * @param {string} storageKey - Storage key
+     * @param {string} tier - Storage tier
+     * @returns {Promise<boolean>}
+     */
+    async exists(storageKey, tier) {
+        throw new Error('Method not implemented: exists()');
+    }
+
+    /**
+     * Delete a stored file
+     * @param {string} storageKey - Storage key
+     * @param {string} tier - Storage tier
+     * @returns {Promise<boolean>} True if something was deleted
+     */
+    async delete(storageKey, tier) {
+        throw new Error('Method not implemented: delete()');
+    }
+
+    /**
+     * Move a file between storage tiers
+     * @param {string} storageKey - Storage key
+     * @param {string} fromTier - Source tier
+     * @param {string} toTier - Target tier
+     * @returns {Promise<void>}
+     */
+    async migrate(storageKey, fromTier, toTier) {
+        throw new Error('Method not implemented: migrate()');
+    }
+
+    /**
+     * Get storage usage statistics per tier
+     * @returns {Promise<Object>} Usage statistics
+     */
+    async getStats() {
+        throw new Error('Method not implemented: getStats()');
+    }
+
+    /**
+     * Check that the backend is reachable and writable
+     * @returns {Promise<boolean>}
+     */
+    async healthCheck() {
+        throw new Error('Method not implemented: healthCheck()');
+    }
+}
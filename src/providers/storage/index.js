@@ -0,0 +1,25 @@
+/**
+ * Storage Provider Factory
+ * Selects the backend from STORAGE_PROVIDER (local | s3)
+ */
+
+import config from '../../config/index.js';
+import localStorageProvider from './LocalStorageProvider.js';
+import s3StorageProvider from './S3StorageProvider.js';
+
+export { StorageProvider, StorageTier } from './StorageProvider.js';
+export { LocalStorageProvider } from './LocalStorageProvider.js';
+export { S3StorageProvider } from './S3StorageProvider.js';
+
+const providers = {
+    local: localStorageProvider,
+    s3: s3StorageProvider,
+};
+
+if (!providers[config.storage.provider]) {
+    throw new Error(`Unknown storage provider: ${config.storage.provider}`);
+}
+
+// Export configured provider
+const storageProvider = providers[config.storage.provider];
+export default storageProvider;
@@ -3,7 +3,8 @@
  */
 import { Router } from 'express';
 import * as adminController from '../controllers/adminController.js';
-import authenticate from '../middleware/auth.js';
+import authenticate, { requireScope } from '../middleware/auth.js';
+import { ApiKeyScope } from '../models/index.js';
 import { requireAdmin } from '../middleware/roles.js';
 import { validateObjectId } from '../middleware/security.js';
 
@@ -12,6 +13,7 @@ const router = Router();
 // All admin routes require authentication and admin role
 router.use(authenticate);
 router.use(requireAdmin);
+router.use(requireScope(ApiKeyScope.ADMIN));
 
 // System stats
 router.get('/stats', adminController.getSystemStats);
@@ -22,6 +24,18 @@ router.post('/users/:userId/promote', validateObjectId('userId'), adminControlle
 router.post('/users/:userId/demote', validateObjectId('userId'), adminController.demoteUser);
 router.put('/users/:userId/quota', validateObjectId('userId'), adminController.setUserQuota);
 
+// Quota reconciliation report
+router.get('/quota-drift', adminController.getQuotaDriftReport);
+
+// Job queues
+router.get('/queues', adminController.getQueues);
+router.get('/queues/:queue/failed', adminController.getFailedJobs);
+router.post('/queues/:queue/jobs/:jobId/retry', adminController.retryJob);
+router.delete('/queues/:queue/jobs/:jobId', adminController.removeJob);
+router.post('/queues/:queue/pause', adminController.pauseQueue);
+router.post('/queues/:queue/resume', adminController.resumeQueue);
+router.post('/queues/:queue/run', adminController.runWorker);
+
 // File management
 router.delete('/files/:fileId', validateObjectId('fileId'), adminController.forceDeleteFile);
 router.post('/files/:fileId/migrate', validateObjectId('fileId'), adminController.forceMigrateFile);
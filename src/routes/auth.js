@@ -3,16 +3,50 @@
  */
 import { Router } from 'express';
 import * as authController from '../controllers/authController.js';
-import authenticate from '../middleware/auth.js';
+import authenticate, { requireSession } from '../middleware/auth.js';
 import { authRateLimit } from '../middleware/rateLimiter.js';
+import { validateObjectId } from '../middleware/security.js';
 
 const router = Router();
 
 router.post('/register', authRateLimit, authController.register);
 router.post('/login', authRateLimit, authController.login);
+router.post('/login/2fa', authRateLimit, authController.loginTwoFactor);
+
+// Single sign-on with the OpenID Connect provider
+router.get('/oidc/login', authRateLimit, authController.oidcLogin);
+router.get('/oidc/callback', authRateLimit, authController.oidcCallback);
 router.post('/refresh', authRateLimit, authController.refresh);
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authenticate, requireSession, authController.logout);
 router.get('/me', authenticate, authController.me);
-router.post('/change-password', authenticate, authController.changePassword);
+router.post('/change-password', authenticate, requireSession, authController.changePassword);
+
+// Password reset and email verification (tokens are emailed)
+router.post('/password/forgot', authRateLimit, authController.forgotPassword);
+router.post('/password/reset', authRateLimit, authController.resetPassword);
+router.post('/email/verify', authRateLimit, authController.verifyEmail);
+router.post('/email/verify/resend', authRateLimit, authenticate, requireSession, authController.resendVerification);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', authenticate, requireSession, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, requireSession, authController.setupTwoFactor);
+router.post('/2fa/enable', authRateLimit, authenticate, requireSession, authController.enableTwoFactor);
+router.post('/2fa/disable', authRateLimit, authenticate, requireSession, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authRateLimit, authenticate, requireSession, authController.regenerateRecoveryCodes);
+
+// Signed-in sessions (devices)
+router.get('/sessions', authenticate, requireSession, authController.listSessions);
+router.delete('/sessions', authenticate, requireSession, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', authenticate, requireSession, validateObjectId('sessionId'), authController.revokeSession);
+
+// S3 gateway access keys
+router.get('/access-keys', authenticate, requireSession, authController.listAccessKeys);
+router.post('/access-keys', authenticate, requireSession, authController.createAccessKey);
+router.delete('/access-keys/:keyId', authenticate, requireSession, validateObjectId('keyId'), authController.revokeAccessKey);
+
+// API keys for scripts and CI
+router.get('/api-keys', authenticate, requireSession, authController.listApiKeys);
+router.post('/api-keys', authenticate, requireSession, authController.createApiKey);
+router.delete('/api-keys/:keyId', authenticate, requireSession, validateObjectId('keyId'), authController.revokeApiKey);
 
 export default router;
@@ -3,36 +3,103 @@
  */
 import { Router } from 'express';
 import * as downloadController from '../controllers/downloadController.js';
-import authenticate, { optionalAuth } from '../middleware/auth.js';
+import authenticate, { optionalAuth, requireScope } from '../middleware/auth.js';
 import { downloadRateLimit } from '../middleware/rateLimiter.js';
 import { validateObjectId } from '../middleware/security.js';
+import { ApiKeyScope } from '../models/index.js';
 
 const router = Router();
 
+// API key scopes for reading and changing files
+const canRead = requireScope(ApiKeyScope.DOWNLOAD);
+const canWrite = requireScope(ApiKeyScope.FILES_WRITE);
+
 // Get file info (optional auth)
 router.get(
     '/info/:fileId',
     optionalAuth,
+    canRead,
     validateObjectId('fileId'),
     downloadController.getFileInfo
 );
 
+// Trash listing and empty trash (requires auth)
+router.get('/trash', authenticate, canRead, downloadController.getTrash);
+router.delete('/trash', authenticate, canWrite, downloadController.emptyTrash);
+
+// ZIP of a folder or selection of files (requires auth, rate limited)
+router.get('/zip', authenticate, canRead, downloadRateLimit, downloadController.downloadArchive);
+router.post('/zip', authenticate, canRead, downloadRateLimit, downloadController.downloadArchive);
+
+// Restore file from trash (requires auth)
+router.post(
+    '/:fileId/restore',
+    authenticate,
+    canWrite,
+    validateObjectId('fileId'),
+    downloadController.restoreFile
+);
+
+// Version history (requires auth)
+router.get(
+    '/:fileId/versions',
+    authenticate,
+    canRead,
+    validateObjectId('fileId'),
+    downloadController.listVersions
+);
+router.delete(
+    '/:fileId/versions',
+    authenticate,
+    canWrite,
+    validateObjectId('fileId'),
+    downloadController.pruneVersions
+);
+router.get(
+    '/:fileId/versions/:versionId',
+    authenticate,
+    canRead,
+    downloadRateLimit,
+    validateObjectId('fileId'),
+    validateObjectId('versionId'),
+    downloadController.downloadVersion
+);
+router.post(
+    '/:fileId/versions/:versionId/restore',
+    authenticate,
+    canWrite,
+    validateObjectId('fileId'),
+    validateObjectId('versionId'),
+    downloadController.restoreVersion
+);
+
+// Processing status; ?wait=<seconds> holds the request until processing finishes (requires auth)
+router.get(
+    '/:fileId/processing',
+    authenticate,
+    canRead,
+    validateObjectId('fileId'),
+    downloadController.getProcessingStatus
+);
+
 // Download file (optional auth, rate limited)
 router.get(
     '/:fileId',
     optionalAuth,
+    canRead,
     downloadRateLimit,
     validateObjectId('fileId'),
     downloadController.downloadFile
 );
 
 // User's files (requires auth)
-router.get('/', authenticate, downloadController.getUserFiles);
+router.get('/', authenticate, canRead, downloadController.getUserFiles);
 
-// Delete file (requires auth)
+// Delete file - to trash, or permanently with ?permanent=true (requires auth)
 router.delete(
     '/:fileId',
     authenticate,
+    canWrite,
     validateObjectId('fileId'),
     downloadController.deleteFile
 );
@@ -41,6 +108,7 @@ router.delete(
 router.patch(
     '/:fileId/rename',
     authenticate,
+    canWrite,
     validateObjectId('fileId'),
     downloadController.renameFile
 );
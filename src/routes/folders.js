@@ -3,36 +3,58 @@
  */
 import { Router } from 'express';
 import * as folderController from '../controllers/folderController.js';
-import authenticate from '../middleware/auth.js';
+import authenticate, { requireScope } from '../middleware/auth.js';
 import { validateObjectId } from '../middleware/security.js';
+import { ApiKeyScope } from '../models/index.js';
 
 const router = Router();
 
+// API key scopes
+const canRead = requireScope(ApiKeyScope.DOWNLOAD);
+const canWrite = requireScope(ApiKeyScope.FOLDERS_WRITE);
+const canShare = requireScope(ApiKeyScope.SHARES_WRITE);
+const canWriteFiles = requireScope(ApiKeyScope.FILES_WRITE);
+
 // All folder routes require authentication
 router.use(authenticate);
 
 // Create folder
-router.post('/', folderController.createFolder);
+router.post('/', canWrite, folderController.createFolder);
 
 // List folders (query: parentId)
-router.get('/', folderController.getFolders);
+router.get('/', canRead, folderController.getFolders);
+
+// Folders shared with the current user
+router.get('/shared', canRead, folderController.getSharedWithMe);
+
+// Revoke a folder share
+router.delete('/shares/:shareId', canShare, validateObjectId('shareId'), folderController.revokeShare);
 
 // Get folder contents (files + subfolders)
-router.get('/:folderId/contents', folderController.getFolderContents);
+router.get('/:folderId/contents', canRead, folderController.getFolderContents);
 
 // Get folder info
-router.get('/:folderId', validateObjectId('folderId'), folderController.getFolder);
+router.get('/:folderId', canRead, validateObjectId('folderId'), folderController.getFolder);
 
 // Rename folder
-router.patch('/:folderId', validateObjectId('folderId'), folderController.renameFolder);
+router.patch('/:folderId', canWrite, validateObjectId('folderId'), folderController.renameFolder);
 
 // Move folder
-router.post('/:folderId/move', validateObjectId('folderId'), folderController.moveFolder);
+router.post('/:folderId/move', canWrite, validateObjectId('folderId'), folderController.moveFolder);
 
 // Delete folder
-router.delete('/:folderId', validateObjectId('folderId'), folderController.deleteFolder);
+router.delete('/:folderId', canWrite, validateObjectId('folderId'), folderController.deleteFolder);
+
+// Share folder by link or with a user (body: type, email, permission, expiresAt)
+router.post('/:folderId/shares', canShare, validateObjectId('folderId'), folderController.shareFolder);
+
+// List folder shares
+router.get('/:folderId/shares', canRead, validateObjectId('folderId'), folderController.listShares);
+
+// Restore folder from trash
+router.post('/:folderId/restore', canWrite, validateObjectId('folderId'), folderController.restoreFolder);
 
 // Move file to folder
-router.post('/files/:fileId/move', validateObjectId('fileId'), folderController.moveFile);
+router.post('/files/:fileId/move', canWriteFiles, validateObjectId('fileId'), folderController.moveFile);
 
 export default router;
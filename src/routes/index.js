@@ -7,14 +7,18 @@ import uploadRoutes from './upload.js';
 import downloadRoutes from './download.js';
 import folderRoutes from './folders.js';
 import adminRoutes from './admin.js';
+import shareRoutes from './share.js';
+import tusRoutes from './tus.js';
 
 const router = Router();
 
 router.use('/auth', authRoutes);
 router.use('/upload', uploadRoutes);
+router.use('/tus', tusRoutes);
 router.use('/download', downloadRoutes);
 router.use('/files', downloadRoutes); // Alias
 router.use('/folders', folderRoutes);
+router.use('/share', shareRoutes);
 router.use('/admin', adminRoutes);
 
 export default router;
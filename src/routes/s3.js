@@ -0,0 +1,34 @@
+/**
+ * S3 Routes
+ * S3-compatible API gateway (path-style: /<bucket>/<key>)
+ */
+import { Router } from 'express';
+import * as s3Controller from '../controllers/s3Controller.js';
+import s3Authenticate from '../middleware/s3Auth.js';
+import { uploadRateLimit, downloadRateLimit } from '../middleware/rateLimiter.js';
+
+const router = Router();
+
+router.use(s3Controller.setRequestId);
+router.use(s3Authenticate);
+
+// Service
+router.get('/', downloadRateLimit, s3Controller.listBuckets);
+
+// Buckets ("/<bucket>/" matches here too)
+router.head('/:bucket', downloadRateLimit, s3Controller.headBucket);
+router.get('/:bucket', downloadRateLimit, s3Controller.getBucket);
+router.put('/:bucket', uploadRateLimit, s3Controller.createBucket);
+router.post('/:bucket', uploadRateLimit, s3Controller.postBucket);
+router.delete('/:bucket', uploadRateLimit, s3Controller.deleteBucket);
+
+// Objects
+router.head('/:bucket/*', downloadRateLimit, s3Controller.headObject);
+router.get('/:bucket/*', downloadRateLimit, s3Controller.getObject);
+router.put('/:bucket/*', uploadRateLimit, s3Controller.putObject);
+router.post('/:bucket/*', uploadRateLimit, s3Controller.postObject);
+router.delete('/:bucket/*', uploadRateLimit, s3Controller.deleteObject);
+
+router.use(s3Controller.handleError);
+
+export default router;
@@ -0,0 +1,48 @@
+/**
+ * Share Link Routes
+ */
+import { Router } from 'express';
+import * as shareController from '../controllers/shareController.js';
+import authenticate, { requireScope } from '../middleware/auth.js';
+import { downloadRateLimit } from '../middleware/rateLimiter.js';
+import { validateObjectId } from '../middleware/security.js';
+import { ApiKeyScope } from '../models/index.js';
+
+const router = Router();
+
+// Create share link (requires auth)
+router.post('/', authenticate, requireScope(ApiKeyScope.SHARES_WRITE), shareController.createLink);
+
+// List own share links (requires auth, query: fileId)
+router.get('/', authenticate, requireScope(ApiKeyScope.DOWNLOAD), shareController.listLinks);
+
+// Revoke share link (requires auth)
+router.delete(
+    '/:linkId',
+    authenticate,
+    requireScope(ApiKeyScope.SHARES_WRITE),
+    validateObjectId('linkId'),
+    shareController.revokeLink
+);
+
+// Browse a folder shared by link (query: folderId for subfolders)
+router.get('/folders/:slug', downloadRateLimit, shareController.getSharedFolder);
+
+// ZIP of a folder shared by link (query: folderId for subfolders)
+router.get('/folders/:slug/zip', downloadRateLimit, shareController.downloadSharedFolderArchive);
+
+// Download a file from a folder shared by link
+router.get(
+    '/folders/:slug/files/:fileId',
+    downloadRateLimit,
+    validateObjectId('fileId'),
+    shareController.downloadSharedFolderFile
+);
+
+// Public link info
+router.get('/:slug/info', downloadRateLimit, shareController.getLinkInfo);
+
+// Public link download (rate limited)
+router.get('/:slug', downloadRateLimit, shareController.downloadLink);
+
+export default router;
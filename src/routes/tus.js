@@ -0,0 +1,51 @@
+/**
+ * Tus Routes
+ * tus 1.0 resumable upload endpoint
+ */
+import { Router } from 'express';
+import * as tusController from '../controllers/tusController.js';
+import authenticate, { requireScope } from '../middleware/auth.js';
+import { ApiKeyScope } from '../models/index.js';
+import { uploadRateLimit } from '../middleware/rateLimiter.js';
+import { TUS_VERSION } from '../services/TusService.js';
+
+const router = Router();
+
+// Every tus response carries Tus-Resumable; other requests must speak 1.0.0
+router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+
+    if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        return res.status(412).json({
+            error: {
+                code: 'TUS_VERSION_UNSUPPORTED',
+                message: `Tus-Resumable must be ${TUS_VERSION}`,
+            },
+        });
+    }
+
+    next();
+});
+
+// Server capabilities (no auth, used by clients for discovery)
+router.options('/', tusController.getOptions);
+router.options('/:id', tusController.getOptions);
+
+router.use(authenticate);
+router.use(requireScope(ApiKeyScope.UPLOAD));
+router.use(uploadRateLimit);
+
+// Create upload (headers: Upload-Length, Upload-Metadata)
+router.post('/', tusController.createUpload);
+
+// Current offset
+router.head('/:id', tusController.getUploadInfo);
+
+// Append data (body streamed, not parsed)
+router.patch('/:id', tusController.appendData);
+
+// Terminate upload
+router.delete('/:id', tusController.terminateUpload);
+
+export default router;
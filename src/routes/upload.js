@@ -3,7 +3,8 @@
  */
 import { Router } from 'express';
 import * as uploadController from '../controllers/uploadController.js';
-import authenticate from '../middleware/auth.js';
+import authenticate, { requireScope } from '../middleware/auth.js';
+import { ApiKeyScope } from '../models/index.js';
 import { uploadRateLimit, trackChunkFailure } from '../middleware/rateLimiter.js';
 import { validateObjectId } from '../middleware/security.js';
 import express from 'express';
@@ -12,6 +13,7 @@ const router = Router();
 
 // All upload routes require authentication
 router.use(authenticate);
+router.use(requireScope(ApiKeyScope.UPLOAD));
 router.use(uploadRateLimit);
 
 // Initialize upload session
@@ -34,6 +36,9 @@ router.get('/resume/:sessionId', uploadController.resumeUpload);
 // Complete upload
 router.post('/complete/:sessionId', uploadController.completeUpload);
 
+// Complete upload without chunks (content already stored, requires possession proof)
+router.post('/instant/:sessionId', uploadController.completeInstantUpload);
+
 // Abort upload
 router.delete('/abort/:sessionId', uploadController.abortUpload);
 
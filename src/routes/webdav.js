@@ -0,0 +1,39 @@
+/**
+ * WebDAV Routes
+ * Mountable drive over the user's folder tree (class 1 and 2)
+ */
+import { Router } from 'express';
+import * as webdavController from '../controllers/webdavController.js';
+import webdavAuthenticate from '../middleware/webdavAuth.js';
+import { requireScope } from '../middleware/auth.js';
+import { ApiKeyScope } from '../models/index.js';
+import { uploadRateLimit, downloadRateLimit } from '../middleware/rateLimiter.js';
+
+const router = Router();
+
+// API key scopes (Bearer sk_... keys)
+const canRead = requireScope(ApiKeyScope.DOWNLOAD);
+const canUpload = requireScope(ApiKeyScope.UPLOAD);
+const canWriteFolders = requireScope(ApiKeyScope.FOLDERS_WRITE);
+const canWriteFiles = requireScope(ApiKeyScope.FILES_WRITE);
+
+// Capabilities (no auth, clients probe before sending credentials)
+router.options('*', webdavController.options);
+
+router.use(webdavAuthenticate);
+
+router.propfind('*', canRead, webdavController.propfind);
+router.proppatch('*', canWriteFiles, webdavController.proppatch);
+router.head('*', canRead, webdavController.head);
+router.get('*', canRead, downloadRateLimit, webdavController.get);
+router.put('*', canUpload, uploadRateLimit, webdavController.put);
+router.mkcol('*', canWriteFolders, webdavController.mkcol);
+router.delete('*', canWriteFiles, webdavController.remove);
+router.move('*', canWriteFiles, webdavController.move);
+router.copy('*', canWriteFiles, webdavController.copy);
+router.lock('*', canWriteFiles, webdavController.lock);
+router.unlock('*', canWriteFiles, webdavController.unlock);
+
+router.use(webdavController.handleError);
+
+export default router;
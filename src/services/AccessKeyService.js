@@ -0,0 +1,97 @@
+/**
+ * Access Key Service
+ * Manages per-user S3 gateway credentials
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { AccessKey, User } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+class AccessKeyService {
+    /**
+     * Create an access key
+     * The secret is returned only here; it can't be retrieved again.
+     */
+    async createKey(userId, { name } = {}) {
+        const activeKeys = await AccessKey.countDocuments({ userId, isRevoked: false });
+        if (activeKeys >= config.s3Gateway.maxKeysPerUser) {
+            throw new ValidationError(`Access key limit reached (max ${config.s3Gateway.maxKeysPerUser})`);
+        }
+
+        const secretAccessKey = AccessKey.generateSecret();
+        const key = new AccessKey({
+            userId,
+            accessKeyId: AccessKey.generateAccessKeyId(),
+            name: name ? String(name).slice(0, 100) : null,
+        });
+        key.setSecret(secretAccessKey);
+        await key.save();
+
+        logger.info('Access key created', { userId, accessKeyId: key.accessKeyId });
+
+        return {
+            ...key.toJSON(),
+            secretAccessKey,
+        };
+    }
+
+    /**
+     * List the user's access keys (without secrets)
+     */
+    async listKeys(userId) {
+        const keys = await AccessKey.find({ userId }).sort({ createdAt: -1 });
+        return { keys: keys.map(k => k.toJSON()) };
+    }
+
+    /**
+     * Revoke one of the user's access keys
+     */
+    async revokeKey(userId, keyId) {
+        if (!mongoose.isValidObjectId(keyId)) {
+            throw new ValidationError('Invalid key ID');
+        }
+
+        const key = await AccessKey.findOne({ _id: keyId, userId });
+        if (!key) {
+            throw new NotFoundError('Access key');
+        }
+
+        if (!key.isRevoked) {
+            await key.revoke();
+            logger.info('Access key revoked', { userId, accessKeyId: key.accessKeyId });
+        }
+
+        return key.toJSON();
+    }
+
+    /**
+     * Resolve an access key ID to its secret and active user
+     * @returns {Promise<Object|null>} { accessKey, secret, user }, null if unknown, revoked or inactive
+     */
+    async resolve(accessKeyId) {
+        const accessKey = await AccessKey.findOne({ accessKeyId, isRevoked: false }).select('+secretEncrypted');
+        if (!accessKey) return null;
+
+        const user = await User.findById(accessKey.userId);
+        if (!user || !user.isActive) return null;
+
+        return { accessKey, secret: accessKey.getSecret(), user };
+    }
+
+    /**
+     * Record key usage (at most once a minute)
+     */
+    async touch(accessKey) {
+        if (accessKey.lastUsedAt && Date.now() - accessKey.lastUsedAt.getTime() < 60 * 1000) {
+            return;
+        }
+
+        await AccessKey.updateOne({ _id: accessKey._id }, { lastUsedAt: new Date() });
+    }
+}
+
+// Export singleton instance
+const accessKeyService = new AccessKeyService();
+export default accessKeyService;
@@ -3,11 +3,16 @@
  * Administrative operations for user and file management
  */
 
-import { User, UserRole, File, Quota } from '../models/index.js';
+import mongoose from 'mongoose';
+import { User, UserRole, File, Quota, QuotaDrift, BandwidthPriority } from '../models/index.js';
 import storageTierService from './StorageTierService.js';
 import expiryService from './ExpiryService.js';
+import deduplicationService from './DeduplicationService.js';
+import trashService from './TrashService.js';
+import workerManager from '../workers/index.js';
 import { StorageTier } from '../providers/storage/index.js';
-import { NotFoundError, ValidationError } from '../utils/errors.js';
+import queueProvider, { QueueNames } from '../providers/queue/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 class AdminService {
@@ -30,7 +35,7 @@ class AdminService {
                 return {
                     ...user,
                     storageUsed: quota?.usage?.storage || 0,
-                    fileCount: quota?.usage?.fileCount || 0,
+                    fileCount: quota?.usage?.files || 0,
                 };
             })
         );
@@ -71,22 +76,81 @@ class AdminService {
         if (limits.maxStorage !== undefined) quota.limits.maxStorage = limits.maxStorage;
         if (limits.maxFileSize !== undefined) quota.limits.maxFileSize = limits.maxFileSize;
         if (limits.maxFiles !== undefined) quota.limits.maxFiles = limits.maxFiles;
+        if (limits.maxBandwidthDaily !== undefined) quota.limits.maxBandwidthDaily = limits.maxBandwidthDaily;
+        if (limits.maxBandwidthMonthly !== undefined) quota.limits.maxBandwidthMonthly = limits.maxBandwidthMonthly;
+        if (limits.bandwidthPriority !== undefined) {
+            if (limits.bandwidthPriority !== null && !Object.values(BandwidthPriority).includes(limits.bandwidthPriority)) {
+                throw new ValidationError(`bandwidthPriority must be one of: ${Object.values(BandwidthPriority).join(', ')}`);
+            }
+            quota.limits.bandwidthPriority = limits.bandwidthPriority;
+        }
         await quota.save();
 
         logger.info('Quota updated', { userId, limits });
         return { success: true, quota: await quota.getSummary() };
     }
 
+    /**
+     * Quota counters the reconciliation found wrong, newest first
+     * @param {Object} options - { page, limit, since, userId }
+     */
+    async getQuotaDriftReport(options = {}) {
+        const { page = 1, limit = 20, since, userId } = options;
+        const skip = (page - 1) * limit;
+        const query = {};
+
+        if (since) {
+            const date = new Date(since);
+            if (isNaN(date.getTime())) throw new ValidationError('since must be a date');
+            query.detectedAt = { $gte: date };
+        }
+        if (userId) {
+            if (!mongoose.isValidObjectId(userId)) throw new ValidationError('Invalid userId');
+            query.userId = userId;
+        }
+
+        const [drifts, total, totals] = await Promise.all([
+            QuotaDrift.find(query).sort({ detectedAt: -1 }).skip(skip).limit(limit).populate('userId', 'email role').lean(),
+            QuotaDrift.countDocuments(query),
+            QuotaDrift.aggregate([
+                { $match: query },
+                {
+                    $group: {
+                        _id: null,
+                        users: { $addToSet: '$userId' },
+                        storage: { $sum: { $abs: '$delta.storage' } },
+                        files: { $sum: { $abs: '$delta.files' } },
+                    },
+                },
+            ]),
+        ]);
+
+        return {
+            summary: {
+                corrections: total,
+                users: totals[0]?.users.length || 0,
+                // Absolute amounts corrected
+                storage: totals[0]?.storage || 0,
+                files: totals[0]?.files || 0,
+            },
+            drifts: drifts.map(d => ({
+                id: d._id,
+                userId: d.userId?._id || d.userId,
+                email: d.userId?.email || null,
+                recorded: d.recorded,
+                actual: d.actual,
+                delta: d.delta,
+                detectedAt: d.detectedAt,
+            })),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        };
+    }
+
     async forceDeleteFile(fileId) {
         const file = await File.findById(fileId);
         if (!file) throw new NotFoundError('File');
 
-        const storageProvider = (await import('../providers/storage/index.js')).default;
-        await storageProvider.delete(file.storageKey, file.storageTier);
-        await file.softDelete();
-
-        const quota = await Quota.getOrCreate(file.userId);
-        await quota.removeFile(file.size);
+        await trashService.purgeFile(file);
 
         logger.info('File force deleted', { fileId });
         return { success: true };
@@ -110,11 +174,12 @@ class AdminService {
     }
 
     async getSystemStats() {
-        const [userCounts, fileCount, storageAgg, downloadAgg] = await Promise.all([
+        const [userCounts, fileCount, storageAgg, downloadAgg, dedupStats] = await Promise.all([
             User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
             File.countDocuments({ isDeleted: false }),
             File.aggregate([{ $match: { isDeleted: false } }, { $group: { _id: null, total: { $sum: '$size' } } }]),
             File.aggregate([{ $match: { isDeleted: false } }, { $group: { _id: null, total: { $sum: '$downloads' } } }]),
+            deduplicationService.getStats(),
         ]);
 
         const usersByRole = Object.fromEntries(userCounts.map(u => [u._id, u.count]));
@@ -132,12 +197,119 @@ class AdminService {
             },
             storage: {
                 used: storageAgg[0]?.total || 0,
+                deduplication: dedupStats,
             },
             downloads: {
                 total: downloadAgg[0]?.total || 0,
             },
         };
     }
+
+    /**
+     * Job counts of every queue, with the status of the worker running on it
+     * Worker status is that of the instance serving the request.
+     */
+    async getQueues() {
+        const workers = workerManager.getStatus();
+
+        const queues = await Promise.all(Object.values(QueueNames).map(async (queueName) => {
+            const stats = await queueProvider.getStats(queueName);
+            const worker = workers.find(w => w.queue === queueName);
+
+            return {
+                name: this._queueKey(queueName),
+                ...stats,
+                worker: worker
+                    ? { isRunning: worker.isRunning, concurrency: worker.concurrency, interval: worker.interval }
+                    : null,
+            };
+        }));
+
+        return { queues, isScheduler: workerManager.isScheduler };
+    }
+
+    /**
+     * Failed jobs of a queue, most recent first
+     * @param {Object} options - { page, limit }
+     */
+    async getFailedJobs(name, options = {}) {
+        const { page = 1, limit = 20 } = options;
+        const queueName = this._resolveQueue(name);
+        const start = (page - 1) * limit;
+
+        const [jobs, stats] = await Promise.all([
+            queueProvider.getFailed(queueName, start, start + limit - 1),
+            queueProvider.getStats(queueName),
+        ]);
+
+        return {
+            jobs,
+            pagination: { page, limit, total: stats.failed, pages: Math.ceil(stats.failed / limit) },
+        };
+    }
+
+    async retryJob(name, jobId) {
+        const queueName = this._resolveQueue(name);
+        const state = await queueProvider.getJobState(queueName, jobId);
+
+        if (!state) throw new NotFoundError('Job');
+        if (state !== 'failed') throw new ConflictError(`Only failed jobs can be retried (job is ${state})`);
+
+        await queueProvider.retryJob(queueName, jobId);
+        logger.info('Job retried by admin', { queue: queueName, jobId });
+        return { success: true };
+    }
+
+    async removeJob(name, jobId) {
+        const queueName = this._resolveQueue(name);
+        const state = await queueProvider.getJobState(queueName, jobId);
+
+        if (!state) throw new NotFoundError('Job');
+        if (state === 'active') throw new ConflictError('A running job cannot be removed');
+
+        await queueProvider.removeJob(queueName, jobId);
+        logger.info('Job removed by admin', { queue: queueName, jobId, state });
+        return { success: true };
+    }
+
+    async pauseQueue(name) {
+        const queueName = this._resolveQueue(name);
+        await queueProvider.pause(queueName);
+        return { success: true, isPaused: true };
+    }
+
+    async resumeQueue(name) {
+        const queueName = this._resolveQueue(name);
+        await queueProvider.resume(queueName);
+        return { success: true, isPaused: false };
+    }
+
+    /**
+     * Queue an immediate sweep of the worker on a queue
+     */
+    async runWorker(name) {
+        this._resolveQueue(name);
+
+        const job = await workerManager.runNow(name);
+        if (!job) throw new NotFoundError('Worker');
+
+        return { success: true, jobId: job.id };
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Queues are addressed by the last part of their name (storage:expiry -> expiry)
+     */
+    _queueKey(queueName) {
+        return queueName.split(':').pop();
+    }
+
+    _resolveQueue(name) {
+        const queueName = Object.values(QueueNames).find(q => this._queueKey(q) === name);
+        if (!queueName) throw new NotFoundError('Queue');
+        return queueName;
+    }
 }
 
 const adminService = new AdminService();
@@ -0,0 +1,236 @@
+/**
+ * API Key Service
+ * Manages per-user API keys and resolves them on incoming requests
+ */
+
+import net from 'net';
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { ApiKey, ApiKeyScope, User } from '../models/index.js';
+import { AuthenticationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const MAX_ALLOWED_IPS = 50;
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+ */
+function normalizeIp(ip) {
+    return ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/**
+ * Parse "address" or "address/bits"
+ * @returns {Object|null} { address, bits, family }
+ */
+function parseIpRange(entry) {
+    const [address, bits, extra] = String(entry).trim().split('/');
+    const version = net.isIP(address);
+    if (!version || extra !== undefined) return null;
+
+    const maxBits = version === 4 ? 32 : 128;
+    const prefix = bits === undefined ? maxBits : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxBits) return null;
+
+    return { address, bits: prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+class ApiKeyService {
+    /**
+     * Create an API key
+     * The key is returned only here; only its hash is stored.
+     * @param {Object} options - { name, scopes, expiresAt, allowedIps }
+     */
+    async createKey(user, { name, scopes, expiresAt = null, allowedIps = [] } = {}) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new ValidationError('Key name is required');
+        }
+
+        const validScopes = this._validateScopes(user, scopes);
+        const expiry = this._validateExpiry(expiresAt);
+        const ips = this._validateAllowedIps(allowedIps);
+
+        const activeKeys = await ApiKey.countDocuments({ userId: user._id, isRevoked: false });
+        if (activeKeys >= config.apiKeys.maxKeysPerUser) {
+            throw new ValidationError(`API key limit reached (max ${config.apiKeys.maxKeysPerUser})`);
+        }
+
+        const { key, prefix, keyHash } = ApiKey.generateKey();
+        const apiKey = await ApiKey.create({
+            userId: user._id,
+            name: name.trim().slice(0, 100),
+            prefix,
+            keyHash,
+            scopes: validScopes,
+            allowedIps: ips,
+            expiresAt: expiry,
+        });
+
+        logger.info('API key created', { userId: user._id, keyId: apiKey._id, scopes: validScopes });
+
+        return {
+            ...apiKey.toJSON(),
+            key,
+        };
+    }
+
+    /**
+     * List the user's API keys (without secrets)
+     */
+    async listKeys(userId) {
+        const keys = await ApiKey.find({ userId }).sort({ createdAt: -1 });
+        return { keys: keys.map(k => k.toJSON()) };
+    }
+
+    /**
+     * Revoke one of the user's API keys
+     */
+    async revokeKey(userId, keyId) {
+        if (!mongoose.isValidObjectId(keyId)) {
+            throw new ValidationError('Invalid key ID');
+        }
+
+        const apiKey = await ApiKey.findOne({ _id: keyId, userId });
+        if (!apiKey) {
+            throw new NotFoundError('API key');
+        }
+
+        if (!apiKey.isRevoked) {
+            await apiKey.revoke();
+            logger.info('API key revoked', { userId, keyId: apiKey._id });
+        }
+
+        return apiKey.toJSON();
+    }
+
+    /**
+     * Resolve a presented key to its active user
+     * @param {string} ip - Client address (checked against the key's allowlist)
+     * @returns {Promise<Object>} { apiKey, user }
+     */
+    async authenticate(key, ip) {
+        const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+
+        if (!apiKey || apiKey.isRevoked) {
+            throw new AuthenticationError('Invalid API key');
+        }
+
+        if (apiKey.isExpired()) {
+            throw new AuthenticationError('API key expired');
+        }
+
+        if (!this.isIpAllowed(apiKey, ip)) {
+            logger.warn('API key used from a disallowed address', { keyId: apiKey._id, ip });
+            throw new AuthenticationError('API key not allowed from this address');
+        }
+
+        const user = await User.findById(apiKey.userId);
+        if (!user || !user.isActive) {
+            throw new AuthenticationError('User not found or inactive');
+        }
+
+        this._touch(apiKey, ip).catch(err => {
+            logger.debug('Failed to record API key usage', { error: err.message });
+        });
+
+        return { apiKey, user };
+    }
+
+    /**
+     * Whether a client address is in the key's allowlist (an empty list allows any)
+     */
+    isIpAllowed(apiKey, ip) {
+        if (!apiKey.allowedIps || apiKey.allowedIps.length === 0) return true;
+
+        const address = normalizeIp(ip);
+        const family = net.isIP(address);
+        if (!family) return false;
+
+        const list = new net.BlockList();
+        for (const entry of apiKey.allowedIps) {
+            const range = parseIpRange(entry);
+            if (range) list.addSubnet(range.address, range.bits, range.family);
+        }
+
+        return list.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Scopes must be known, and admin only goes to admins
+     */
+    _validateScopes(user, scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new ValidationError('At least one scope is required', {
+                scopes: Object.values(ApiKeyScope),
+            });
+        }
+
+        const known = Object.values(ApiKeyScope);
+        const unknown = scopes.filter(s => !known.includes(s));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown scope: ${unknown.join(', ')}`, { scopes: known });
+        }
+
+        if (scopes.includes(ApiKeyScope.ADMIN) && !user.isAdmin()) {
+            throw new ValidationError('Only admins can create keys with the admin scope');
+        }
+
+        return [...new Set(scopes)];
+    }
+
+    _validateExpiry(expiresAt) {
+        const { maxLifetimeDays } = config.apiKeys;
+        const maxExpiry = maxLifetimeDays > 0
+            ? new Date(Date.now() + maxLifetimeDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        if (!expiresAt) {
+            // Keys get the longest allowed lifetime when none is given
+            return maxExpiry;
+        }
+
+        const expiry = new Date(expiresAt);
+        if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+            throw new ValidationError('expiresAt must be a future date');
+        }
+        if (maxExpiry && expiry > maxExpiry) {
+            throw new ValidationError(`API keys can't live longer than ${maxLifetimeDays} days`);
+        }
+
+        return expiry;
+    }
+
+    _validateAllowedIps(allowedIps) {
+        if (allowedIps === null || allowedIps === undefined) return [];
+        if (!Array.isArray(allowedIps)) {
+            throw new ValidationError('allowedIps must be an array of addresses or CIDR ranges');
+        }
+        if (allowedIps.length > MAX_ALLOWED_IPS) {
+            throw new ValidationError(`At most ${MAX_ALLOWED_IPS} allowed addresses`);
+        }
+
+        const invalid = allowedIps.filter(entry => !parseIpRange(entry));
+        if (invalid.length > 0) {
+            throw new ValidationError(`Invalid address or CIDR range: ${invalid.join(', ')}`);
+        }
+
+        return allowedIps.map(entry => String(entry).trim());
+    }
+
+    /**
+     * Record key usage (at most once a minute)
+     */
+    async _touch(apiKey, ip) {
+        if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < 60 * 1000) {
+            return;
+        }
+
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) });
+    }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -0,0 +1,232 @@
+/**
+ * Archive Service
+ * Streams folders or file selections as ZIP archives built on the fly
+ */
+
+import { pipeline, Transform } from 'stream';
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { File, Folder, Quota } from '../models/index.js';
+import storageProvider from '../providers/storage/index.js';
+import folderShareService from './FolderShareService.js';
+import downloadService from './DownloadService.js';
+import { createZipStream, zipSize } from '../utils/zip.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+class ArchiveService {
+    /**
+     * Prepare a ZIP of a folder and everything below it
+     * Works for the owner and for anyone a share grants read access to
+     * @param {string} folderId - Folder to archive
+     * @param {Object} principal - { userId, slug }
+     */
+    async prepareFolderArchive(folderId, { userId = null, slug = null } = {}) {
+        const access = await folderShareService.resolveAccess(folderId, { userId, slug });
+        const root = access.folder;
+
+        const folders = (await root.getSubtree()).filter(f => !f.isDeleted);
+        const files = await this._findFiles({
+            userId: access.ownerId,
+            folderId: { $in: folders.map(f => f._id) },
+        });
+
+        // Paths inside the archive start at the archived folder itself
+        const prefixLength = this._parentPath(root).length;
+        const dirOf = new Map(folders.map(f => [f._id.toString(), f.path.slice(prefixLength + 1)]));
+
+        const entries = folders
+            .map(f => dirOf.get(f._id.toString()))
+            .sort()
+            .map(name => ({ name, isDirectory: true, mtime: null }));
+
+        entries.push(...this._fileEntries(files, file => dirOf.get(file.folderId.toString())));
+
+        // Downloads through a share are charged to the folder owner
+        const bandwidthUserId = access.isOwner ? userId : access.ownerId;
+
+        logger.info('Folder archive requested', {
+            folderId,
+            userId,
+            folders: folders.length,
+            files: files.length,
+        });
+
+        return this._buildArchive(`${root.name}.zip`, entries, bandwidthUserId);
+    }
+
+    /**
+     * Prepare a ZIP of selected files, keeping their folder hierarchy
+     */
+    async prepareSelectionArchive(userId, fileIds) {
+        if (!Array.isArray(fileIds) || fileIds.length === 0) {
+            throw new ValidationError('At least one file ID is required');
+        }
+
+        const ids = [...new Set(fileIds.map(String))];
+        if (ids.some(id => !mongoose.isValidObjectId(id))) {
+            throw new ValidationError('Invalid file ID');
+        }
+        if (ids.length > config.archive.maxFiles) {
+            throw new ValidationError(`Too many files (max ${config.archive.maxFiles})`);
+        }
+
+        const files = await this._findFiles({ _id: { $in: ids } });
+        if (files.length !== ids.length) {
+            throw new NotFoundError('File');
+        }
+
+        // Own files keep their full path; shared files are placed relative to the shared folder
+        const dirByFolder = new Map();
+        let sharedFiles = 0;
+
+        for (const file of files) {
+            const folderKey = file.folderId ? file.folderId.toString() : null;
+            const isOwn = file.userId.toString() === userId.toString();
+
+            if (!isOwn) {
+                if (!folderKey) throw new NotFoundError('File');
+                sharedFiles++;
+            }
+
+            const cacheKey = `${isOwn ? 'own' : 'shared'}:${folderKey}`;
+            if (dirByFolder.has(cacheKey)) continue;
+
+            if (!folderKey) {
+                dirByFolder.set(cacheKey, '');
+            } else if (isOwn) {
+                const folder = await Folder.findOne({ _id: folderKey, isDeleted: { $ne: true } });
+                dirByFolder.set(cacheKey, folder ? folder.path.slice(1) : '');
+            } else {
+                const access = await folderShareService.resolveAccess(folderKey, { userId });
+                const shareRoot = await Folder.findById(access.share.folderId);
+                dirByFolder.set(cacheKey, access.folder.path.slice(this._parentPath(shareRoot).length + 1));
+            }
+        }
+
+        const entries = this._fileEntries(files, file => {
+            const isOwn = file.userId.toString() === userId.toString();
+            return dirByFolder.get(`${isOwn ? 'own' : 'shared'}:${file.folderId ? file.folderId.toString() : null}`);
+        });
+
+        logger.info('Selection archive requested', { userId, files: files.length, sharedFiles });
+
+        return this._buildArchive('files.zip', entries, userId);
+    }
+
+    /**
+     * Live, unexpired files matching a query
+     */
+    async _findFiles(query) {
+        const files = await File.find({
+            ...query,
+            isDeleted: false,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        })
+            .select('userId folderId originalName size storageKey storageTier createdAt')
+            .lean();
+
+        if (files.length > config.archive.maxFiles) {
+            throw new ValidationError(`Too many files (max ${config.archive.maxFiles})`);
+        }
+
+        return files;
+    }
+
+    /**
+     * Build archive entries for files, renaming duplicates within a directory
+     */
+    _fileEntries(files, dirFor) {
+        const used = new Set();
+
+        return files
+            .map(file => ({ file, dir: dirFor(file) || '' }))
+            .sort((a, b) => a.dir.localeCompare(b.dir) || a.file.originalName.localeCompare(b.file.originalName))
+            .map(({ file, dir }) => {
+                const name = this._uniqueName(dir, file.originalName, used);
+                return {
+                    name,
+                    size: file.size,
+                    mtime: file.createdAt,
+                    open: () => storageProvider.getStream(file.storageKey, file.storageTier),
+                };
+            });
+    }
+
+    /**
+     * Pick "name (n).ext" when a name is already taken in the directory
+     */
+    _uniqueName(dir, filename, used) {
+        const prefix = dir ? `${dir}/` : '';
+        const dot = filename.lastIndexOf('.');
+        const base = dot > 0 ? filename.slice(0, dot) : filename;
+        const ext = dot > 0 ? filename.slice(dot) : '';
+
+        let candidate = `${prefix}${filename}`;
+        for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+            candidate = `${prefix}${base} (${i})${ext}`;
+        }
+
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Path of a folder's parent ('' for top-level folders)
+     */
+    _parentPath(folder) {
+        return folder.path.slice(0, folder.path.length - folder.name.length - 1);
+    }
+
+    /**
+     * Create the archive stream, headers and bandwidth accounting
+     */
+    async _buildArchive(filename, entries, bandwidthUserId) {
+        const size = zipSize(entries);
+        const speedLimit = await downloadService.checkBandwidth(bandwidthUserId, size);
+
+        // Count what was actually streamed, so aborted downloads are charged fairly
+        let sent = 0;
+        const stream = new Transform({
+            transform(chunk, encoding, callback) {
+                sent += chunk.length;
+                callback(null, chunk);
+            },
+        });
+
+        pipeline(downloadService.throttle(createZipStream(entries), speedLimit), stream, (err) => {
+            if (err) {
+                logger.warn('Archive stream ended early', { filename, sent, error: err.message });
+            }
+        });
+
+        stream.once('close', () => {
+            if (!bandwidthUserId || sent === 0) return;
+
+            Quota.getOrCreate(bandwidthUserId)
+                .then(quota => quota.addBandwidth(sent))
+                .catch(err => {
+                    logger.error('Failed to track bandwidth', { userId: bandwidthUserId, error: err.message });
+                });
+        });
+
+        return {
+            stream,
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"`,
+                'Content-Length': size,
+                'Cache-Control': 'private, no-store',
+            },
+            metadata: {
+                filename,
+                size,
+                entries: entries.length,
+            },
+        };
+    }
+}
+
+// Export singleton instance
+const archiveService = new ArchiveService();
+export default archiveService;
@@ -5,13 +5,16 @@
 
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
-import { User } from '../models/index.js';
-import { sessionClient } from '../config/redis.js';
+import { User, AccountToken, AccountTokenType } from '../models/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import mailService from './MailService.js';
+import twoFactorService from './TwoFactorService.js';
 import { generateToken } from '../utils/hash.js';
 import {
     AuthenticationError,
     ValidationError,
     ConflictError,
+    NotFoundError,
 } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
@@ -21,8 +24,14 @@ import logger from '../utils/logger.js';
 const TokenType = {
     ACCESS: 'access',
     REFRESH: 'refresh',
+    TWO_FACTOR: 'two_factor',
 };
 
+/**
+ * Key prefix for pending two-factor logins (value = wrong codes so far)
+ */
+const CHALLENGE_PREFIX = '2fa_challenge:';
+
 /**
  * Parse duration string to milliseconds
  */
@@ -46,8 +55,9 @@ function parseDuration(duration) {
 class AuthService {
     /**
      * Register a new user
+     * @param {Object} client - Device info for the new session ({ ip, country, city, browser, os, device })
      */
-    async register(email, password) {
+    async register(email, password, client = {}) {
         // Validate input
         if (!email || !password) {
             throw new ValidationError('Email and password are required');
@@ -69,8 +79,13 @@ class AuthService {
 
         logger.info('User registered', { userId: user._id, email: user.email });
 
+        // Registration succeeds even if the verification email can't be sent
+        await this.sendVerificationEmail(user).catch(err => {
+            logger.error('Failed to send verification email', { userId: user._id, error: err.message });
+        });
+
         // Generate tokens
-        const tokens = await this.generateTokens(user);
+        const tokens = await this.generateTokens(user, client);
 
         return {
             user: user.toJSON(),
@@ -80,8 +95,11 @@ class AuthService {
 
     /**
      * Login user
+     * With 2FA enabled, returns a challenge to complete with completeTwoFactorLogin()
+     * instead of tokens.
+     * @param {Object} client - Device info for the new session
      */
-    async login(email, password) {
+    async login(email, password, client = {}) {
         // Validate input
         if (!email || !password) {
             throw new ValidationError('Email and password are required');
@@ -105,32 +123,87 @@ class AuthService {
             throw new AuthenticationError('Invalid email or password');
         }
 
-        // Reset failed attempts and update last login
+        // Reset failed attempts
         await user.resetFailedLogins();
-        user.lastLogin = new Date();
-        await user.save();
 
-        // Generate tokens
-        const tokens = await this.generateTokens(user);
+        if (user.twoFactor?.enabled) {
+            logger.info('Password accepted, two-factor code required', { userId: user._id });
+            return this._createTwoFactorChallenge(user);
+        }
 
-        logger.info('User logged in', { userId: user._id, email: user.email });
+        return this._completeLogin(user, client);
+    }
 
-        return {
-            user: user.toJSON(),
-            ...tokens,
-        };
+    /**
+     * Log in a user whose identity an external provider confirmed (SSO)
+     * Local 2FA still applies.
+     * @param {Object} client - Device info for the new session
+     */
+    async loginExternal(user, client = {}) {
+        if (user.twoFactor?.enabled) {
+            return this._createTwoFactorChallenge(user);
+        }
+
+        return this._completeLogin(user, client);
+    }
+
+    /**
+     * Second login step: check the 2FA code (or a recovery code) for a challenge
+     * @param {Object} credentials - { code, recoveryCode }
+     * @param {Object} client - Device info for the new session
+     */
+    async completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, client = {}) {
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken || '', config.jwt.accessSecret);
+        } catch {
+            throw new AuthenticationError('Login challenge is invalid or has expired');
+        }
+
+        const key = `${CHALLENGE_PREFIX}${payload.jti}`;
+        if (payload.type !== TokenType.TWO_FACTOR || !(await sessionStore.exists(key))) {
+            throw new AuthenticationError('Login challenge is invalid or has expired');
+        }
+
+        const user = await User.findById(payload.sub);
+        if (!user || !user.isActive) {
+            throw new AuthenticationError('User not found or inactive');
+        }
+
+        const method = await twoFactorService.verify(user._id, { code, recoveryCode });
+        if (!method) {
+            // Too many wrong codes end the challenge; the password must be entered again
+            const attempts = await sessionStore.increment(key);
+            if (attempts >= config.twoFactor.maxAttempts) {
+                await sessionStore.delete(key);
+            }
+            throw new AuthenticationError('Invalid two-factor code');
+        }
+
+        // Single use
+        await sessionStore.delete(key);
+
+        const result = await this._completeLogin(user, client);
+        return { ...result, twoFactorMethod: method };
     }
 
     /**
-     * Logout user (invalidate refresh token)
+     * Logout user (end the session and revoke the access token)
+     * The session is found by refresh token, or else by the access token's session.
      */
-    async logout(userId, refreshToken) {
+    async logout(userId, { refreshToken = null, accessToken = null } = {}) {
         const user = await User.findById(userId);
-        if (user && refreshToken) {
-            await user.removeRefreshToken(refreshToken);
+        if (user) {
+            if (refreshToken) {
+                await user.removeRefreshToken(refreshToken);
+            } else if (accessToken) {
+                const sessionId = this.getSessionId(accessToken);
+                if (sessionId) await user.removeSession(sessionId);
+            }
+        }
 
-            // Blacklist the access token
-            // (In production, you might want to blacklist the access token in Redis)
+        if (accessToken) {
+            await this.blacklistToken(accessToken);
         }
 
         logger.info('User logged out', { userId });
@@ -138,20 +211,69 @@ class AuthService {
 
     /**
      * Logout from all devices
+     * @param {string} accessToken - Access token of the request (revoked as well)
      */
-    async logoutAll(userId) {
+    async logoutAll(userId, accessToken = null) {
         const user = await User.findById(userId);
         if (user) {
             await user.removeAllRefreshTokens();
         }
 
+        if (accessToken) {
+            await this.blacklistToken(accessToken);
+        }
+
         logger.info('User logged out from all devices', { userId });
     }
 
+    /**
+     * List the user's active sessions, most recently used first
+     * @param {string} currentSessionId - Session of the request (flagged as current)
+     */
+    async listSessions(userId, currentSessionId = null) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new AuthenticationError('User not found');
+        }
+
+        const now = new Date();
+        const sessions = user.refreshTokens
+            .filter(t => t.expiresAt > now)
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+            .map(t => ({
+                id: t._id,
+                createdAt: t.createdAt,
+                lastUsedAt: t.lastUsedAt,
+                expiresAt: t.expiresAt,
+                ip: t.ip,
+                country: t.country,
+                city: t.city,
+                browser: t.browser,
+                os: t.os,
+                device: t.device,
+                isCurrent: !!currentSessionId && t._id.toString() === currentSessionId,
+            }));
+
+        return { sessions };
+    }
+
+    /**
+     * Revoke one session (signs that device out, including its access tokens)
+     */
+    async revokeSession(userId, sessionId) {
+        const user = await User.findById(userId);
+        if (!user || !(await user.removeSession(sessionId))) {
+            throw new NotFoundError('Session');
+        }
+
+        logger.info('Session revoked', { userId, sessionId });
+    }
+
     /**
      * Refresh access token
+     * @param {Object} client - Where the session is used from now
      */
-    async refreshToken(refreshToken) {
+    async refreshToken(refreshToken, client = {}) {
         if (!refreshToken) {
             throw new AuthenticationError('Refresh token required');
         }
@@ -171,13 +293,13 @@ class AuthService {
             }
 
             // Check if refresh token exists in user's tokens
-            if (!user.validateRefreshToken(refreshToken)) {
+            const session = user.validateRefreshToken(refreshToken);
+            if (!session) {
                 throw new AuthenticationError('Refresh token revoked or expired');
             }
 
-            // Generate new tokens (token rotation)
-            await user.removeRefreshToken(refreshToken);
-            const tokens = await this.generateTokens(user);
+            // Generate new tokens (token rotation, same session)
+            const tokens = await this.generateTokens(user, client, session);
 
             logger.debug('Token refreshed', { userId: user._id });
 
@@ -212,7 +334,7 @@ class AuthService {
             }
 
             // Check if token is blacklisted
-            const isBlacklisted = await this.isTokenBlacklisted(token);
+            const isBlacklisted = await this.isTokenBlacklisted(token, payload);
             if (isBlacklisted) {
                 throw new AuthenticationError('Token has been revoked');
             }
@@ -240,14 +362,27 @@ class AuthService {
             throw new AuthenticationError('User not found or inactive');
         }
 
+        // Access tokens die with their session
+        if (payload.sid && !user.hasSession(payload.sid)) {
+            throw new AuthenticationError('Session has been revoked');
+        }
+
         return user;
     }
 
+    /**
+     * Session ID an access token was issued for
+     */
+    getSessionId(token) {
+        return jwt.decode(token)?.sid || null;
+    }
+
     /**
      * Generate access and refresh tokens
+     * @param {Object} client - Device info for the session
+     * @param {Object} session - Session to rotate (a new one is started when null)
      */
-    async generateTokens(user) {
-        const accessToken = this.generateAccessToken(user);
+    async generateTokens(user, client = {}, session = null) {
         const refreshToken = this.generateRefreshToken(user);
 
         // Calculate refresh token expiry
@@ -255,7 +390,13 @@ class AuthService {
         const expiresAt = new Date(Date.now() + refreshExpiresIn);
 
         // Store refresh token
-        await user.addRefreshToken(refreshToken, expiresAt);
+        if (session) {
+            await user.rotateRefreshToken(session, refreshToken, expiresAt, client);
+        } else {
+            session = await user.addRefreshToken(refreshToken, expiresAt, client);
+        }
+
+        const accessToken = this.generateAccessToken(user, session._id.toString());
 
         return {
             accessToken,
@@ -266,11 +407,14 @@ class AuthService {
 
     /**
      * Generate access token
+     * @param {string} sessionId - Session the token belongs to
      */
-    generateAccessToken(user) {
+    generateAccessToken(user, sessionId = null) {
         return jwt.sign(
             {
                 sub: user._id.toString(),
+                jti: generateToken(16),
+                sid: sessionId || undefined,
                 email: user.email,
                 role: user.role,
                 type: TokenType.ACCESS,
@@ -298,7 +442,7 @@ class AuthService {
     }
 
     /**
-     * Blacklist an access token
+     * Blacklist an access token (by JTI, until it would have expired)
      */
     async blacklistToken(token) {
         try {
@@ -307,7 +451,7 @@ class AuthService {
 
             const ttl = payload.exp - Math.floor(Date.now() / 1000);
             if (ttl > 0) {
-                await sessionClient.setex(`blacklist:${token}`, ttl, '1');
+                await sessionStore.set(`blacklist:${payload.jti || token}`, '1', ttl);
             }
         } catch (error) {
             logger.error('Failed to blacklist token', { error: error.message });
@@ -316,17 +460,106 @@ class AuthService {
 
     /**
      * Check if token is blacklisted
+     * @param {Object} payload - Decoded token, when already verified
      */
-    async isTokenBlacklisted(token) {
+    async isTokenBlacklisted(token, payload = jwt.decode(token)) {
         try {
-            const result = await sessionClient.get(`blacklist:${token}`);
-            return result === '1';
+            return await sessionStore.exists(`blacklist:${payload?.jti || token}`);
         } catch (error) {
             logger.error('Failed to check token blacklist', { error: error.message });
             return false;
         }
     }
 
+    /**
+     * Email a single-use password reset link
+     * Unknown addresses get the same response, so accounts can't be probed.
+     */
+    async requestPasswordReset(email) {
+        if (!email || typeof email !== 'string') {
+            throw new ValidationError('Email is required');
+        }
+
+        const user = await User.findByEmail(email);
+        if (!user || !user.isActive) {
+            logger.info('Password reset requested for unknown account', { email });
+            return;
+        }
+
+        const token = await AccountToken.issue(user, AccountTokenType.PASSWORD_RESET, config.accounts.passwordResetTtl);
+        await mailService.sendPasswordReset(user, token);
+
+        logger.info('Password reset requested', { userId: user._id });
+    }
+
+    /**
+     * Set a new password with a reset token (signs out every session)
+     */
+    async resetPassword(token, newPassword) {
+        if (!newPassword || newPassword.length < 8) {
+            throw new ValidationError('New password must be at least 8 characters');
+        }
+
+        const record = await AccountToken.consume(token, AccountTokenType.PASSWORD_RESET);
+        const user = record && await User.findById(record.userId);
+        if (!user || !user.isActive || user.email !== record.email) {
+            throw new ValidationError('Reset link is invalid or has expired');
+        }
+
+        user.password = newPassword;
+        user.failedLoginAttempts = 0;
+        user.lockoutUntil = null;
+        // The reset link reached the user, which proves the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        await user.removeAllRefreshTokens();
+
+        logger.info('Password reset', { userId: user._id });
+
+        return { message: 'Password has been reset' };
+    }
+
+    /**
+     * Email a verification link for the user's address
+     */
+    async sendVerificationEmail(user) {
+        if (user.emailVerified) {
+            throw new ValidationError('Email address is already verified');
+        }
+
+        const token = await AccountToken.issue(user, AccountTokenType.EMAIL_VERIFICATION, config.accounts.emailVerificationTtl);
+        await mailService.sendEmailVerification(user, token);
+
+        logger.info('Verification email sent', { userId: user._id });
+
+        return { message: 'Verification email sent' };
+    }
+
+    /**
+     * Mark the user's address verified with a verification token
+     */
+    async verifyEmail(token) {
+        const record = await AccountToken.consume(token, AccountTokenType.EMAIL_VERIFICATION);
+        const user = record && await User.findById(record.userId);
+        if (!user || user.email !== record.email) {
+            throw new ValidationError('Verification link is invalid or has expired');
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+
+            logger.info('Email verified', { userId: user._id });
+        }
+
+        return { user: user.toJSON() };
+    }
+
     /**
      * Change password
      */
@@ -355,6 +588,49 @@ class AuthService {
 
         return { message: 'Password changed successfully' };
     }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Issue a short-lived challenge for the second login step
+     */
+    async _createTwoFactorChallenge(user) {
+        const jti = generateToken(16);
+        const ttl = config.twoFactor.challengeTtl;
+
+        const challengeToken = jwt.sign(
+            { sub: user._id.toString(), jti, type: TokenType.TWO_FACTOR },
+            config.jwt.accessSecret,
+            { expiresIn: ttl }
+        );
+        await sessionStore.set(`${CHALLENGE_PREFIX}${jti}`, '0', ttl);
+
+        return {
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn: ttl,
+        };
+    }
+
+    /**
+     * Start a session for a fully authenticated user
+     */
+    async _completeLogin(user, client) {
+        user.lastLogin = new Date();
+        await user.save();
+
+        // Generate tokens
+        const tokens = await this.generateTokens(user, client);
+
+        logger.info('User logged in', { userId: user._id, email: user.email });
+
+        return {
+            user: user.toJSON(),
+            ...tokens,
+            // The user's role requires 2FA, which isn't set up yet
+            ...(twoFactorService.isRequired(user) && !user.twoFactor?.enabled ? { twoFactorSetupRequired: true } : {}),
+        };
+    }
 }
 
 // Export singleton instance
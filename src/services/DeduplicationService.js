@@ -0,0 +1,216 @@
+/**
+ * Deduplication Service
+ * Content-addressed storage: identical uploads share one reference-counted blob
+ */
+
+import { File, StorageObject } from '../models/index.js';
+import storageProvider from '../providers/storage/index.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * MongoDB duplicate key error code
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+class DeduplicationService {
+    /**
+     * Register a freshly assembled blob
+     * If the same content is already stored, the new copy is deleted and the
+     * existing blob is referenced instead.
+     * @returns {Promise<Object>} { storageKey, storageTier, deduplicated }
+     */
+    async register({ hash, size, storageKey, storageTier }) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const existing = await StorageObject.acquire(hash, size);
+
+            if (existing) {
+                await storageProvider.delete(storageKey, storageTier);
+
+                logger.info('Upload deduplicated', {
+                    hash,
+                    size,
+                    storageKey: existing.storageKey,
+                    discardedKey: storageKey,
+                    refCount: existing.refCount,
+                });
+
+                return {
+                    storageKey: existing.storageKey,
+                    storageTier: existing.storageTier,
+                    deduplicated: true,
+                };
+            }
+
+            try {
+                await StorageObject.create({ hash, size, storageKey, storageTier, refCount: 1 });
+                return { storageKey, storageTier, deduplicated: false };
+            } catch (error) {
+                // Another upload of the same content registered first - reference it instead
+                if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+            }
+        }
+
+        // Blob kept flipping between being created and released; keep our own copy unshared
+        logger.warn('Deduplication contention, storing blob unshared', { hash, storageKey });
+        return { storageKey, storageTier, deduplicated: false };
+    }
+
+    /**
+     * Look up a live blob by content hash without taking a reference
+     * @returns {Promise<Object|null>} Blob document or null if not stored
+     */
+    async find(hash, size) {
+        return StorageObject.findOne({ hash, size, refCount: { $gt: 0 } });
+    }
+
+    /**
+     * Take a reference on an existing blob by content hash
+     * @returns {Promise<Object|null>} Blob document or null if not stored
+     */
+    async acquire(hash, size) {
+        return StorageObject.acquire(hash, size);
+    }
+
+    /**
+     * Take a reference on the blob a file or version is stored in, to share it
+     * Blobs stored before deduplication (or unshared after contention) get
+     * tracked first, counting the files and versions already pointing at them.
+     * When another tracked blob holds the same content, that one is shared instead.
+     * @returns {Promise<Object>} { storageKey, storageTier } of the referenced blob
+     */
+    async acquireKey({ hash, size, storageKey, storageTier }) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const blob = await StorageObject.acquireKey(storageKey);
+            if (blob) {
+                return { storageKey: blob.storageKey, storageTier: blob.storageTier };
+            }
+
+            const references = await this._countReferences(storageKey);
+            if (references === 0) {
+                throw new NotFoundError('Stored content');
+            }
+
+            try {
+                await StorageObject.create({ hash, size, storageKey, storageTier, refCount: references + 1 });
+                logger.info('Untracked blob registered', { storageKey, refCount: references + 1 });
+                return { storageKey, storageTier };
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+
+                // Same content tracked under another key: share that blob
+                const existing = await StorageObject.acquire(hash, size);
+                if (existing) {
+                    return { storageKey: existing.storageKey, storageTier: existing.storageTier };
+                }
+                // Registered for this key meanwhile: take the reference on the next attempt
+            }
+        }
+
+        throw new ConflictError('Stored content is being updated, try again');
+    }
+
+    /**
+     * Release a file's reference; deletes the bytes when it was the last one
+     * @returns {Promise<boolean>} True if the physical blob was deleted
+     */
+    async release(file) {
+        const { found, isLastReference } = await StorageObject.release(file.storageKey);
+
+        if (found && !isLastReference) {
+            logger.debug('Blob reference released', { fileId: file._id, storageKey: file.storageKey });
+            return false;
+        }
+
+        if (!found) {
+            // Blob stored before deduplication existed - only delete if nothing else points at it
+            const others = await this._countReferences(file.storageKey, file._id);
+            if (others > 0) return false;
+        }
+
+        await storageProvider.delete(file.storageKey, file.storageTier);
+
+        logger.debug('Blob deleted', { fileId: file._id, storageKey: file.storageKey });
+        return true;
+    }
+
+    /**
+     * Record a tier change for every reference to a blob
+     */
+    async updateTier(storageKey, storageTier) {
+        await StorageObject.updateOne({ storageKey }, { $set: { storageTier } });
+    }
+
+    /**
+     * Get deduplication statistics
+     */
+    async getStats() {
+        const [result] = await StorageObject.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    blobs: { $sum: 1 },
+                    references: { $sum: '$refCount' },
+                    storedBytes: { $sum: '$size' },
+                    logicalBytes: { $sum: { $multiply: ['$size', '$refCount'] } },
+                },
+            },
+        ]);
+
+        const stats = result || { blobs: 0, references: 0, storedBytes: 0, logicalBytes: 0 };
+
+        return {
+            blobs: stats.blobs,
+            references: stats.references,
+            storedBytes: stats.storedBytes,
+            logicalBytes: stats.logicalBytes,
+            savedBytes: stats.logicalBytes - stats.storedBytes,
+        };
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Count the files and previous versions pointing at a blob, leaving out one file
+     * (trashed files still hold their bytes)
+     */
+    async _countReferences(storageKey, excludeFileId = null) {
+        const [result] = await File.aggregate([
+            {
+                $match: {
+                    ...(excludeFileId && { _id: { $ne: excludeFileId } }),
+                    $and: [
+                        { $or: [{ storageKey }, { 'versions.storageKey': storageKey }] },
+                        { $or: [{ isDeleted: false }, { trashExpiresAt: { $ne: null } }] },
+                    ],
+                },
+            },
+            {
+                $group: {
+                    _id: null,
+                    references: {
+                        $sum: {
+                            $add: [
+                                { $cond: [{ $eq: ['$storageKey', storageKey] }, 1, 0] },
+                                {
+                                    $size: {
+                                        $filter: {
+                                            input: { $ifNull: ['$versions', []] },
+                                            cond: { $eq: ['$$this.storageKey', storageKey] },
+                                        },
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                },
+            },
+        ]);
+
+        return result?.references || 0;
+    }
+}
+
+// Export singleton instance
+const deduplicationService = new DeduplicationService();
+export default deduplicationService;
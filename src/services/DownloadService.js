@@ -3,12 +3,16 @@
  * Handles file downloads with streaming and range support
  */
 
+import { pipeline } from 'stream';
 import config from '../config/index.js';
-import { File, Quota } from '../models/index.js';
+import { File, Quota, DefaultQuotas, UserRole } from '../models/index.js';
 import storageProvider from '../providers/storage/index.js';
+import trashService from './TrashService.js';
+import folderShareService from './FolderShareService.js';
+import twoFactorService from './TwoFactorService.js';
 import cacheProvider from '../providers/cache/index.js';
-import { parseRange, contentRangeHeader } from '../utils/stream.js';
-import { NotFoundError, AuthorizationError } from '../utils/errors.js';
+import { parseRange, contentRangeHeader, createThrottleStream } from '../utils/stream.js';
+import { NotFoundError, AuthorizationError, BandwidthLimitError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -51,6 +55,7 @@ class DownloadService {
             isPublic: file.isPublic,
             hasPassword: !!file.password,
             userId: file.userId.toString(),
+            folderId: file.folderId ? file.folderId.toString() : null,
             downloads: file.downloads,
             createdAt: file.createdAt,
             expiresAt: file.expiresAt,
@@ -72,7 +77,23 @@ class DownloadService {
         const metadata = await this.getFileMetadata(fileId);
 
         // Check access
-        await this._checkAccess(metadata, userId, password);
+        const access = await this._checkAccess(metadata, userId, password);
+
+        // Downloads through a folder share are charged to the folder owner
+        const bandwidthUserId = access.viaShare ? metadata.userId : userId;
+
+        return this.streamFile(metadata, { rangeHeader, bandwidthUserId });
+    }
+
+    /**
+     * Open a download stream for a file whose access was already checked
+     * @param {Object} metadata - File metadata from getFileMetadata
+     * @param {Object} options - { rangeHeader, bandwidthUserId, speedLimit } (bandwidth is charged to
+     *   bandwidthUserId; speedLimit skips the bandwidth check when the caller already made it)
+     */
+    async streamFile(metadata, options = {}) {
+        const { rangeHeader, bandwidthUserId } = options;
+        const fileId = metadata.id;
 
         // Parse range if provided
         let range = null;
@@ -80,12 +101,16 @@ class DownloadService {
             range = parseRange(rangeHeader, metadata.size);
         }
 
+        const speedLimit = options.speedLimit ?? await this.checkBandwidth(
+            bandwidthUserId,
+            range ? (range.end - range.start + 1) : metadata.size
+        );
+
         // Get file stream from storage
         const streamOptions = range ? { start: range.start, end: range.end } : {};
-        const stream = storageProvider.getStream(
-            metadata.storageKey,
-            metadata.storageTier,
-            streamOptions
+        const stream = this.throttle(
+            storageProvider.getStream(metadata.storageKey, metadata.storageTier, streamOptions),
+            speedLimit
         );
 
         // Prepare response headers
@@ -100,10 +125,10 @@ class DownloadService {
         }
 
         // Track bandwidth for quota
-        if (userId) {
-            this._trackBandwidth(userId, range ? (range.end - range.start + 1) : metadata.size)
+        if (bandwidthUserId) {
+            this._trackBandwidth(bandwidthUserId, range ? (range.end - range.start + 1) : metadata.size)
                 .catch(err => {
-                    logger.error('Failed to track bandwidth', { userId, error: err.message });
+                    logger.error('Failed to track bandwidth', { userId: bandwidthUserId, error: err.message });
                 });
         }
 
@@ -115,6 +140,53 @@ class DownloadService {
         };
     }
 
+    /**
+     * Apply the bandwidth quota of whoever pays for a download
+     * Over the limit the download is rejected, or slowed down when
+     * BANDWIDTH_OVER_LIMIT_ACTION is 'throttle'.
+     * @param {string} userId - User charged (null for anonymous downloads)
+     * @param {number} bytes - Size of the download
+     * @returns {Promise<number>} Per-connection speed cap in bytes/second (0 = uncapped)
+     */
+    async checkBandwidth(userId, bytes) {
+        const { speeds, overLimitAction, overLimitSpeed } = config.bandwidth;
+
+        if (!userId) {
+            return speeds[DefaultQuotas[UserRole.FREE].bandwidthPriority];
+        }
+
+        const quota = await Quota.getOrCreate(userId);
+        const check = await quota.canDownload(bytes);
+
+        if (!check.allowed) {
+            if (overLimitAction !== 'throttle') {
+                logger.warn('Download rejected over bandwidth quota', { userId, bytes, reasons: check.reasons });
+                throw new BandwidthLimitError(check.reasons[0]);
+            }
+
+            logger.debug('Download throttled over bandwidth quota', { userId, bytes });
+            return overLimitSpeed;
+        }
+
+        return speeds[await quota.getEffectiveLimit('bandwidthPriority')] || 0;
+    }
+
+    /**
+     * Cap the throughput of a download stream
+     * @param {Readable} stream - Source stream
+     * @param {number} bytesPerSecond - Speed cap (0 = uncapped)
+     */
+    throttle(stream, bytesPerSecond) {
+        if (!bytesPerSecond) {
+            return stream;
+        }
+
+        const throttled = createThrottleStream(bytesPerSecond);
+        // Errors and client aborts are passed on through the throttled stream
+        pipeline(stream, throttled, () => {});
+        return throttled;
+    }
+
     /**
      * Get download URL info (for clients)
      */
@@ -145,11 +217,12 @@ class DownloadService {
 
     /**
      * Check access to file
+     * @returns {Promise<Object>} { viaShare } - viaShare when granted by a folder share
      */
     async _checkAccess(metadata, userId, password) {
         // Public files without password are accessible to everyone
         if (metadata.isPublic && !metadata.hasPassword) {
-            return true;
+            return { viaShare: false };
         }
 
         // Check password if required
@@ -159,7 +232,7 @@ class DownloadService {
             }
 
             const file = await File.findById(metadata.id).select('+password');
-            if (!file || file.password !== password) {
+            if (!file || !(await file.comparePassword(password))) {
                 throw new AuthorizationError('Invalid password');
             }
         }
@@ -171,17 +244,41 @@ class DownloadService {
             }
 
             if (metadata.userId !== userId.toString()) {
-                // Check if admin
-                const User = (await import('../models/User.js')).default;
-                const user = await User.findById(userId);
+                // Files in a folder shared with this user
+                if (metadata.folderId && await this._hasFolderShareAccess(metadata.folderId, userId)) {
+                    return { viaShare: true };
+                }
 
-                if (!user || !user.isAdmin()) {
+                if (!(await this._isAdmin(userId))) {
                     throw new AuthorizationError('Access denied');
                 }
             }
         }
 
-        return true;
+        return { viaShare: false };
+    }
+
+    /**
+     * Check whether the user can act as admin (admin role, 2FA enabled where required)
+     */
+    async _isAdmin(userId) {
+        const User = (await import('../models/User.js')).default;
+        const user = await User.findById(userId);
+
+        return !!user && user.isAdmin() && twoFactorService.satisfiesPolicy(user);
+    }
+
+    /**
+     * Check whether a folder share grants the user read access
+     */
+    async _hasFolderShareAccess(folderId, userId) {
+        try {
+            await folderShareService.resolveAccess(folderId, { userId });
+            return true;
+        } catch (error) {
+            if (error instanceof NotFoundError) return false;
+            throw error;
+        }
     }
 
     /**
@@ -289,41 +386,33 @@ class DownloadService {
     }
 
     /**
-     * Delete a file
+     * Delete a file (moves it to trash unless permanent)
      */
-    async deleteFile(fileId, userId) {
+    async deleteFile(fileId, userId, permanent = false) {
         const file = await File.findById(fileId);
 
-        if (!file) {
+        // Tombstones are gone; trashed files can only be deleted permanently
+        if (!file || (file.isDeleted && (!permanent || !file.trashExpiresAt))) {
             throw new NotFoundError('File');
         }
 
         // Check ownership
         if (file.userId.toString() !== userId.toString()) {
-            const User = (await import('../models/User.js')).default;
-            const user = await User.findById(userId);
-
-            if (!user || !user.isAdmin()) {
+            if (!(await this._isAdmin(userId))) {
                 throw new AuthorizationError('Access denied');
             }
         }
 
-        // Delete from storage
-        await storageProvider.delete(file.storageKey, file.storageTier);
+        if (permanent) {
+            const result = await trashService.purgeFile(file);
 
-        // Soft delete in database
-        await file.softDelete();
+            logger.info('File deleted', { fileId, userId, size: file.size });
 
-        // Update quota
-        const quota = await Quota.getOrCreate(file.userId);
-        await quota.removeFile(file.size);
-
-        // Invalidate cache
-        await cacheProvider.delete(`file:${fileId}`);
-
-        logger.info('File deleted', { fileId, userId, size: file.size });
+            return { ...result, message: 'File permanently deleted', size: file.size };
+        }
 
-        return { success: true, message: 'File deleted' };
+        const result = await trashService.trashFile(file);
+        return { ...result, size: file.size };
     }
 
     /**
@@ -338,10 +427,7 @@ class DownloadService {
 
         // Check ownership
         if (file.userId.toString() !== userId.toString()) {
-            const User = (await import('../models/User.js')).default;
-            const user = await User.findById(userId);
-
-            if (!user || !user.isAdmin()) {
+            if (!(await this._isAdmin(userId))) {
                 throw new AuthorizationError('Access denied');
             }
         }
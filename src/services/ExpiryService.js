@@ -5,7 +5,8 @@
 
 import config from '../config/index.js';
 import { File, Quota } from '../models/index.js';
-import storageProvider from '../providers/storage/index.js';
+import deduplicationService from './DeduplicationService.js';
+import versionService from './VersionService.js';
 import cacheProvider from '../providers/cache/index.js';
 import logger from '../utils/logger.js';
 
@@ -126,15 +127,19 @@ class ExpiryService {
      */
     async _deleteFile(file) {
         try {
-            // Delete from storage
-            await storageProvider.delete(file.storageKey, file.storageTier);
-
-            // Soft delete in database
+            // Release blobs (deleted from storage when this was the last reference)
+            await deduplicationService.release(file);
+            await versionService.releaseVersions(file);
+
+            // Soft delete in database, dropping the released version history
+            const storedSize = file.storedSize;
+            file.versions = [];
+            file.versionsSize = 0;
             await file.softDelete();
 
             // Update quota
             const quota = await Quota.getOrCreate(file.userId);
-            await quota.removeFile(file.size);
+            await quota.removeFile(storedSize);
 
             // Invalidate cache
             await cacheProvider.delete(`file:${file._id}`);
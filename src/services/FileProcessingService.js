@@ -0,0 +1,307 @@
+/**
+ * File Processing Service
+ * Post-upload processing pipeline: every new file or version gets a job on the
+ * file processing queue that runs the registered processors in order
+ *
+ * Each processor's outcome is recorded as a step in file.processing, and what
+ * it extracts is merged into file.metadata. State is keyed on the content
+ * version, so a job for replaced content stops without touching the new one.
+ */
+
+import config from '../config/index.js';
+import { File, ProcessingStatus } from '../models/index.js';
+import storageProvider from '../providers/storage/index.js';
+import queueProvider, { QueueNames } from '../providers/queue/index.js';
+import cacheProvider from '../providers/cache/index.js';
+import { defaultProcessors } from '../processors/index.js';
+import { itemJob } from '../workers/QueueWorker.js';
+import { NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Statuses after which a file's processing will not change again
+const SETTLED_STATUSES = [ProcessingStatus.NONE, ProcessingStatus.COMPLETED, ProcessingStatus.FAILED];
+
+class FileProcessingService {
+    constructor() {
+        this.processors = [...defaultProcessors];
+    }
+
+    /**
+     * Add a processor to the end of the pipeline
+     * @param {FileProcessor} processor
+     */
+    register(processor) {
+        if (this.processors.some(p => p.name === processor.name)) {
+            throw new Error(`Processor already registered: ${processor.name}`);
+        }
+
+        this.processors.push(processor);
+        logger.info('File processor registered', { name: processor.name });
+    }
+
+    /**
+     * Mark the current content of a file as pending and queue its processing
+     * Never fails the caller: a file that could not be queued is picked up by the worker sweep.
+     * @returns {Promise<Object>} The file, with its processing state when queued
+     */
+    async enqueue(file) {
+        if (!config.processing.enabled) return file;
+
+        try {
+            // Metadata extracted from the previous content no longer applies
+            const staleKeys = (file.processing?.steps || []).flatMap(step => step.keys);
+
+            const updated = await File.findOneAndUpdate(
+                { _id: file._id, version: file.version, isDeleted: false },
+                {
+                    $set: {
+                        processing: {
+                            status: ProcessingStatus.PENDING,
+                            version: file.version,
+                            steps: this.processors.map(p => ({ name: p.name })),
+                            queuedAt: new Date(),
+                        },
+                    },
+                    ...(staleKeys.length > 0 && {
+                        $unset: Object.fromEntries(staleKeys.map(key => [`metadata.${key}`, ''])),
+                    }),
+                },
+                { new: true }
+            );
+
+            // Replaced by a newer version meanwhile, which queues itself
+            if (!updated) return file;
+
+            const { id, data } = this.jobItem(updated);
+            const job = itemJob(id, data);
+            await queueProvider.add(QueueNames.FILE_PROCESSING, job.data, job.options);
+
+            return updated;
+        } catch (error) {
+            logger.error('Failed to queue file processing', {
+                fileId: file._id,
+                version: file.version,
+                error: error.message,
+            });
+            return file;
+        }
+    }
+
+    /**
+     * Queue item for a file's pending processing (one job per content version)
+     * @returns {{id: string, data: Object}}
+     */
+    jobItem(file) {
+        return {
+            id: `${file._id}:${file.processing.version}`,
+            data: { fileId: String(file._id), version: file.processing.version },
+        };
+    }
+
+    /**
+     * Run the pipeline on one version of a file
+     * Processor errors are recorded on their step; only failing to read the
+     * file throws, so the job is retried.
+     */
+    async process(fileId, version) {
+        const file = await File.findOneAndUpdate(
+            {
+                _id: fileId,
+                isDeleted: false,
+                'processing.version': version,
+                'processing.status': { $in: [ProcessingStatus.PENDING, ProcessingStatus.RUNNING] },
+            },
+            { $set: { 'processing.status': ProcessingStatus.RUNNING, 'processing.startedAt': new Date() } },
+            { new: true }
+        );
+
+        // Deleted, replaced by a newer version, or already processed
+        if (!file) {
+            return { fileId, skipped: true };
+        }
+
+        const context = {
+            head: await this._readHead(file),
+            metadata: {},
+            openStream: () => storageProvider.getStream(file.storageKey, file.storageTier),
+        };
+
+        const steps = [];
+        for (const { name } of file.processing.steps) {
+            const step = await this._runStep(file, name, context);
+
+            const saved = await this._saveStep(file, step, context.metadata);
+            if (!saved) {
+                return { fileId, skipped: true };
+            }
+
+            steps.push(step);
+        }
+
+        const status = steps.some(step => step.status === ProcessingStatus.FAILED)
+            ? ProcessingStatus.FAILED
+            : ProcessingStatus.COMPLETED;
+
+        await File.updateOne(
+            { _id: file._id, 'processing.version': version },
+            { $set: { 'processing.status': status, 'processing.completedAt': new Date() } }
+        );
+        await cacheProvider.delete(`file:${file._id}`);
+
+        logger.info('File processed', {
+            fileId: file._id,
+            version,
+            status,
+            steps: steps.map(step => `${step.name}:${step.status}`).join(','),
+        });
+
+        return { fileId, version, status };
+    }
+
+    /**
+     * Get a file's processing state (owner only)
+     * With wait, holds the request until processing settles or the wait runs out,
+     * so clients are notified of the result without polling in a loop.
+     * @param {Object} options - { wait (seconds, capped at config.processing.maxWait) }
+     */
+    async getStatus(userId, fileId, { wait = 0 } = {}) {
+        const deadline = Date.now() + Math.min(wait * 1000, config.processing.maxWait);
+
+        let file = await this._getFile(userId, fileId);
+        while (!SETTLED_STATUSES.includes(file.processing?.status) && Date.now() < deadline) {
+            const pause = Math.min(config.processing.pollInterval, deadline - Date.now());
+            await new Promise(resolve => setTimeout(resolve, pause));
+            file = await this._getFile(userId, fileId);
+        }
+
+        return this._formatStatus(file);
+    }
+
+    /**
+     * Find files queued long ago whose processing never finished
+     */
+    async getStaleFiles(limit = 100) {
+        return File.findStaleProcessing(new Date(Date.now() - config.processing.staleAfter), limit);
+    }
+
+    /**
+     * Restart the stale period of re-queued files
+     * Files held back by a failed job then don't fill every sweep.
+     */
+    async touchQueued(files) {
+        if (files.length === 0) return;
+
+        await File.updateMany(
+            { _id: { $in: files.map(file => file._id) } },
+            { $set: { 'processing.queuedAt': new Date() } }
+        );
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Run one processor, recording its outcome
+     */
+    async _runStep(file, name, context) {
+        const step = { name, keys: [], startedAt: new Date() };
+        const processor = this.processors.find(p => p.name === name);
+
+        try {
+            if (!processor) {
+                // Queued before a restart that dropped this processor
+                step.status = ProcessingStatus.SKIPPED;
+                step.error = 'Processor not registered';
+            } else if (!processor.appliesTo(file, context)) {
+                step.status = ProcessingStatus.SKIPPED;
+            } else {
+                const output = await processor.process(file, context) || {};
+                Object.assign(context.metadata, output);
+
+                step.keys = Object.keys(output);
+                step.status = ProcessingStatus.COMPLETED;
+            }
+        } catch (error) {
+            step.status = ProcessingStatus.FAILED;
+            step.error = error.message;
+            logger.warn('File processor failed', { fileId: file._id, processor: name, error: error.message });
+        }
+
+        step.completedAt = new Date();
+        return step;
+    }
+
+    /**
+     * Store a step's outcome and the metadata it extracted
+     * @returns {Promise<boolean>} False when the file no longer holds this version
+     */
+    async _saveStep(file, step, metadata) {
+        const $set = { 'processing.steps.$': step };
+        for (const key of step.keys) {
+            $set[`metadata.${key}`] = String(metadata[key]);
+        }
+
+        const result = await File.updateOne(
+            {
+                _id: file._id,
+                isDeleted: false,
+                'processing.version': file.processing.version,
+                'processing.steps.name': step.name,
+            },
+            { $set }
+        );
+
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Leading bytes of the file, shared by all processors
+     */
+    async _readHead(file) {
+        if (file.size === 0) return Buffer.alloc(0);
+
+        const stream = storageProvider.getStream(file.storageKey, file.storageTier, {
+            start: 0,
+            end: Math.min(config.processing.headBytes, file.size) - 1,
+        });
+
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    async _getFile(userId, fileId) {
+        const file = await File.findOne({ _id: fileId, userId, isDeleted: false });
+        if (!file) {
+            throw new NotFoundError('File');
+        }
+        return file;
+    }
+
+    _formatStatus(file) {
+        const processing = file.processing || {};
+
+        return {
+            fileId: file._id,
+            version: processing.version ?? file.version,
+            status: processing.status || ProcessingStatus.NONE,
+            steps: (processing.steps || []).map(step => ({
+                name: step.name,
+                status: step.status,
+                error: step.error,
+                startedAt: step.startedAt,
+                completedAt: step.completedAt,
+            })),
+            queuedAt: processing.queuedAt,
+            startedAt: processing.startedAt,
+            completedAt: processing.completedAt,
+            metadata: Object.fromEntries(file.metadata || []),
+        };
+    }
+}
+
+// Export singleton instance
+const fileProcessingService = new FileProcessingService();
+export default fileProcessingService;
@@ -2,10 +2,19 @@
  * Folder Service
  * Manages folder CRUD operations and file organization
  */
-import { Folder, File } from '../models/index.js';
+import { v4 as uuidv4 } from 'uuid';
+import { Folder, File, FolderShare, Quota } from '../models/index.js';
+import cacheProvider from '../providers/cache/index.js';
+import folderShareService from './FolderShareService.js';
+import deduplicationService from './DeduplicationService.js';
+import fileProcessingService from './FileProcessingService.js';
+import { sanitizeFilename } from '../middleware/security.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
+// How long a copy may hold its quota reservation before it lapses
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
 class FolderService {
     /**
      * Create a new folder
@@ -19,7 +28,7 @@ class FolderService {
 
         // If parent specified, verify it exists and belongs to user
         if (parentId) {
-            const parent = await Folder.findOne({ _id: parentId, userId });
+            const parent = await Folder.findOne({ _id: parentId, userId, isDeleted: { $ne: true } });
             if (!parent) {
                 throw new NotFoundError('Parent folder');
             }
@@ -30,6 +39,7 @@ class FolderService {
             userId,
             parentId: parentId || null,
             name: sanitizedName,
+            isDeleted: { $ne: true },
         });
         if (existing) {
             throw new ValidationError('Folder with this name already exists');
@@ -49,7 +59,7 @@ class FolderService {
      * Get folders in a location
      */
     async getFolders(userId, parentId = null) {
-        const query = { userId, parentId: parentId || null };
+        const query = { userId, parentId: parentId || null, isDeleted: { $ne: true } };
         const folders = await Folder.find(query).sort({ name: 1 }).lean();
 
         return folders.map(f => ({
@@ -64,42 +74,54 @@ class FolderService {
 
     /**
      * Get folder contents (subfolders + files)
+     * Works for the owner and for anyone a share grants access to (options.shareSlug for link shares)
      */
     async getFolderContents(userId, folderId = null, options = {}) {
-        const { page = 1, limit = 50, sort = 'name' } = options;
+        const { page = 1, limit = 50, sort = 'name', shareSlug = null } = options;
         const skip = (page - 1) * limit;
 
         // Get folder info if specified
         let folder = null;
         let breadcrumb = [];
+        let access = null;
+        let ownerId = userId;
 
         if (folderId) {
-            folder = await Folder.findOne({ _id: folderId, userId });
-            if (!folder) {
-                throw new NotFoundError('Folder');
-            }
+            access = await folderShareService.resolveAccess(folderId, { userId, slug: shareSlug });
+            folder = access.folder;
+            ownerId = access.ownerId;
+
             breadcrumb = await folder.getAncestors();
             breadcrumb.push(folder);
+
+            // Recipients don't get to see folders above the shared one
+            if (!access.isOwner) {
+                const rootIndex = breadcrumb.findIndex(f => f._id.equals(access.share.folderId));
+                breadcrumb = breadcrumb.slice(Math.max(rootIndex, 0));
+            }
         }
 
         // Get subfolders
-        const folders = await Folder.find({ userId, parentId: folderId || null })
+        const folders = await Folder.find({ userId: ownerId, parentId: folderId || null, isDeleted: { $ne: true } })
             .sort({ name: 1 })
             .lean();
 
         // Get files in this folder
         const sortOption = sort === 'name' ? { originalName: 1 } : { createdAt: -1 };
         const [files, totalFiles] = await Promise.all([
-            File.find({ userId, folderId: folderId || null, isDeleted: false })
+            File.find({ userId: ownerId, folderId: folderId || null, isDeleted: false })
                 .sort(sortOption)
                 .skip(skip)
                 .limit(limit)
                 .lean(),
-            File.countDocuments({ userId, folderId: folderId || null, isDeleted: false }),
+            File.countDocuments({ userId: ownerId, folderId: folderId || null, isDeleted: false }),
         ]);
 
+        const downloadBase = shareSlug ? `/api/share/folders/${shareSlug}/files` : '/api/download';
+
         return {
             folder: folder ? folder.toJSON() : null,
+            ...(access && !access.isOwner && { permission: access.permission, shared: true }),
             breadcrumb: breadcrumb.map(f => ({ id: f._id, name: f.name })),
             folders: folders.map(f => ({
                 id: f._id,
@@ -116,7 +138,7 @@ class FolderService {
                 type: 'file',
                 createdAt: f.createdAt,
                 expiresAt: f.expiresAt,
-                downloadUrl: `/api/download/${f._id}`,
+                downloadUrl: `${downloadBase}/${f._id}`,
             })),
             pagination: {
                 page,
@@ -131,7 +153,7 @@ class FolderService {
      * Rename a folder
      */
     async renameFolder(userId, folderId, newName) {
-        const folder = await Folder.findOne({ _id: folderId, userId });
+        const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
         if (!folder) {
             throw new NotFoundError('Folder');
         }
@@ -147,6 +169,7 @@ class FolderService {
             parentId: folder.parentId,
             name: sanitizedName,
             _id: { $ne: folderId },
+            isDeleted: { $ne: true },
         });
         if (existing) {
             throw new ValidationError('Folder with this name already exists');
@@ -164,10 +187,10 @@ class FolderService {
     }
 
     /**
-     * Move a folder to new parent
+     * Move a folder to new parent, optionally renaming it on the way
      */
-    async moveFolder(userId, folderId, newParentId) {
-        const folder = await Folder.findOne({ _id: folderId, userId });
+    async moveFolder(userId, folderId, newParentId, newName = null) {
+        const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
         if (!folder) {
             throw new NotFoundError('Folder');
         }
@@ -177,9 +200,14 @@ class FolderService {
             throw new ValidationError('Cannot move folder into itself');
         }
 
+        const name = newName === null ? folder.name : this._sanitizeName(newName);
+        if (!name) {
+            throw new ValidationError('Folder name is required');
+        }
+
         // Verify new parent if specified
         if (newParentId) {
-            const newParent = await Folder.findOne({ _id: newParentId, userId });
+            const newParent = await Folder.findOne({ _id: newParentId, userId, isDeleted: { $ne: true } });
             if (!newParent) {
                 throw new NotFoundError('Target folder');
             }
@@ -194,8 +222,9 @@ class FolderService {
         const existing = await Folder.findOne({
             userId,
             parentId: newParentId || null,
-            name: folder.name,
+            name,
             _id: { $ne: folderId },
+            isDeleted: { $ne: true },
         });
         if (existing) {
             throw new ValidationError('Folder with this name already exists in target location');
@@ -203,24 +232,37 @@ class FolderService {
 
         const oldPath = folder.path;
         folder.parentId = newParentId || null;
+        folder.name = name;
         await folder.save();
 
         // Update descendant paths
         await folder.updateDescendantPaths(oldPath);
 
-        logger.info('Folder moved', { folderId, newParentId });
+        logger.info('Folder moved', { folderId, newParentId, ...(newName !== null && { newName: name }) });
         return folder.toJSON();
     }
 
     /**
-     * Delete a folder and all its contents recursively
+     * Delete a folder and all its contents
+     * Moves everything to trash unless permanent is set
      */
-    async deleteFolder(userId, folderId) {
-        const folder = await Folder.findOne({ _id: folderId, userId });
+    async deleteFolder(userId, folderId, permanent = false) {
+        // Import trash service dynamically to avoid circular deps
+        const trashService = (await import('./TrashService.js')).default;
+
+        const folder = await Folder.findOne({
+            _id: folderId,
+            userId,
+            ...(!permanent && { isDeleted: { $ne: true } }),
+        });
         if (!folder) {
             throw new NotFoundError('Folder');
         }
 
+        if (!permanent) {
+            return trashService.trashFolder(folder);
+        }
+
         // Recursively delete all contents
         await this._deleteFolderRecursive(userId, folderId);
 
@@ -229,13 +271,11 @@ class FolderService {
     }
 
     /**
-     * Recursively delete folder contents
+     * Recursively delete folder contents permanently
      */
     async _deleteFolderRecursive(userId, folderId) {
-        // Import storage provider and quota dynamically to avoid circular deps
-        const storageModule = await import('../providers/storage/index.js');
-        const storageProvider = storageModule.default;
-        const { Quota } = await import('../models/index.js');
+        // Import trash service dynamically to avoid circular deps
+        const trashService = (await import('./TrashService.js')).default;
 
         // Get all subfolders
         const subfolders = await Folder.find({ parentId: folderId, userId });
@@ -261,15 +301,9 @@ class FolderService {
                     size: file.size
                 });
 
-                // Delete from storage
-                const deleted = await storageProvider.delete(file.storageKey, file.storageTier);
-                logger.info('Storage delete result', { fileId: file._id, deleted });
-
-                // Update quota only if file wasn't already soft-deleted
-                if (!file.isDeleted) {
-                    const quota = await Quota.getOrCreate(userId);
-                    await quota.removeFile(file.size);
-                }
+                // Releases the blob (deleted from storage when this was the last
+                // reference) and quota for live and trashed files
+                await trashService.purgeFile(file);
 
                 logger.info('File deleted from storage', {
                     fileId: file._id,
@@ -290,15 +324,16 @@ class FolderService {
         const deleteResult = await File.deleteMany({ folderId, userId });
         logger.info('Deleted file records', { folderId, deletedCount: deleteResult.deletedCount });
 
-        // Delete the folder itself
+        // Delete the folder itself and its shares
         await Folder.deleteOne({ _id: folderId });
+        await FolderShare.deleteMany({ folderId });
         logger.info('Deleted folder', { folderId });
     }
 
     /**
-     * Move a file to a folder
+     * Move a file to a folder, optionally renaming it
      */
-    async moveFile(userId, fileId, folderId) {
+    async moveFile(userId, fileId, folderId, newName = null) {
         const file = await File.findOne({ _id: fileId, userId, isDeleted: false });
         if (!file) {
             throw new NotFoundError('File');
@@ -306,24 +341,93 @@ class FolderService {
 
         // Verify folder if specified
         if (folderId) {
-            const folder = await Folder.findOne({ _id: folderId, userId });
+            const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
             if (!folder) {
                 throw new NotFoundError('Target folder');
             }
         }
 
         file.folderId = folderId || null;
+        if (newName !== null) {
+            file.originalName = sanitizeFilename(newName);
+        }
         await file.save();
 
-        logger.info('File moved', { fileId, folderId });
+        // Cached metadata carries the folder (used for shared folder access)
+        await cacheProvider.delete(`file:${fileId}`);
+
+        logger.info('File moved', { fileId, folderId, ...(newName !== null && { newName: file.originalName }) });
         return { success: true };
     }
 
+    /**
+     * Copy a file into a folder
+     * The copy references the same stored blob and is charged to the owner's quota.
+     */
+    async copyFile(userId, fileId, folderId, newName = null) {
+        const file = await File.findOne({ _id: fileId, userId, isDeleted: false });
+        if (!file) {
+            throw new NotFoundError('File');
+        }
+
+        if (folderId) {
+            const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
+            if (!folder) {
+                throw new NotFoundError('Target folder');
+            }
+        }
+
+        // Reserved up front so parallel uploads and copies can't overshoot the quota together
+        const reservationId = `copy:${uuidv4()}`;
+        const reservation = await Quota.reserve(userId, reservationId, {
+            storage: file.size,
+            expiresAt: new Date(Date.now() + RESERVATION_TTL_MS),
+        });
+        if (!reservation.allowed) {
+            throw new ValidationError(reservation.reasons[0].message, {
+                reasons: reservation.reasons,
+            });
+        }
+
+        let copy;
+        let blob = null;
+        try {
+            blob = await deduplicationService.acquireKey(file);
+
+            copy = await File.create({
+                userId,
+                storageKey: blob.storageKey,
+                originalName: newName === null ? file.originalName : sanitizeFilename(newName),
+                mimeType: file.mimeType,
+                declaredMimeType: file.declaredMimeType,
+                detectedMimeType: file.detectedMimeType,
+                contentTypeMismatch: file.contentTypeMismatch,
+                size: file.size,
+                hash: file.hash,
+                storageTier: blob.storageTier,
+                folderId: folderId || null,
+                expiresAt: file.expiresAt,
+            });
+        } catch (error) {
+            if (blob) {
+                await deduplicationService.release({ _id: null, ...blob });
+            }
+            await Quota.releaseReservation(userId, reservationId);
+            throw error;
+        }
+
+        const quota = await Quota.getOrCreate(userId);
+        await quota.addFile(file.size, reservationId);
+
+        logger.info('File copied', { fileId, copyId: copy._id, folderId });
+        return fileProcessingService.enqueue(copy);
+    }
+
     /**
      * Get folder by ID
      */
     async getFolder(userId, folderId) {
-        const folder = await Folder.findOne({ _id: folderId, userId });
+        const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
         if (!folder) {
             throw new NotFoundError('Folder');
         }
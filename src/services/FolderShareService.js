@@ -0,0 +1,252 @@
+/**
+ * Folder Share Service
+ * Shares folders by link or with users, and resolves who may read or write a folder
+ *
+ * A share on a folder covers its whole subtree. Files uploaded into a shared
+ * folder belong to (and are charged to) the folder owner.
+ */
+
+import mongoose from 'mongoose';
+import { Folder, FolderShare, FolderShareType, SharePermission, User } from '../models/index.js';
+import { NotFoundError, AuthorizationError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Accepted slug format (anything else can't be one of ours)
+ */
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+class FolderShareService {
+    /**
+     * Share a folder by link or with a user (by email)
+     * Sharing again with the same email updates the existing share
+     */
+    async shareFolder(ownerId, folderId, { type = FolderShareType.LINK, email, permission = SharePermission.READ, expiresAt } = {}) {
+        if (!Object.values(FolderShareType).includes(type)) {
+            throw new ValidationError(`Invalid share type: ${type}`);
+        }
+        if (!Object.values(SharePermission).includes(permission)) {
+            throw new ValidationError(`Invalid permission: ${permission}`);
+        }
+
+        const expiry = expiresAt ? new Date(expiresAt) : null;
+        if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+            throw new ValidationError('Expiry must be a valid date in the future');
+        }
+
+        const folder = await Folder.findOne({ _id: folderId, userId: ownerId, isDeleted: { $ne: true } });
+        if (!folder) {
+            throw new NotFoundError('Folder');
+        }
+
+        let share;
+
+        if (type === FolderShareType.USER) {
+            const granteeEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(granteeEmail)) {
+                throw new ValidationError('A valid email is required to share with a user');
+            }
+
+            const owner = await User.findById(ownerId);
+            if (owner && owner.email === granteeEmail) {
+                throw new ValidationError('Cannot share a folder with yourself');
+            }
+
+            share = await FolderShare.findOneAndUpdate(
+                { folderId, type, granteeEmail, isRevoked: false },
+                { $set: { ownerId, permission, expiresAt: expiry } },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
+        } else {
+            share = await FolderShare.create({
+                folderId,
+                ownerId,
+                type,
+                permission,
+                slug: FolderShare.generateSlug(),
+                expiresAt: expiry,
+            });
+        }
+
+        logger.info('Folder shared', {
+            folderId,
+            shareId: share._id,
+            ownerId,
+            type,
+            permission,
+            email: share.granteeEmail,
+        });
+
+        return share.toJSON();
+    }
+
+    /**
+     * List shares on a folder (owner only)
+     */
+    async listShares(ownerId, folderId) {
+        const folder = await Folder.findOne({ _id: folderId, userId: ownerId, isDeleted: { $ne: true } });
+        if (!folder) {
+            throw new NotFoundError('Folder');
+        }
+
+        const shares = await FolderShare.find({ folderId, ownerId, isRevoked: false }).sort({ createdAt: -1 });
+        return { shares: shares.map(s => s.toJSON()) };
+    }
+
+    /**
+     * Revoke a share (owner only)
+     */
+    async revokeShare(ownerId, shareId) {
+        const share = await FolderShare.findOne({ _id: shareId, ownerId });
+        if (!share) {
+            throw new NotFoundError('Share');
+        }
+
+        await share.revoke();
+
+        logger.info('Folder share revoked', { shareId, folderId: share.folderId, ownerId });
+        return { success: true, message: 'Share revoked' };
+    }
+
+    /**
+     * Folders other users shared with this user
+     * Shares are granted to an email address, so they only apply once the user proved owning it.
+     */
+    async listSharedWithMe(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User');
+        }
+
+        if (!user.emailVerified) {
+            return { folders: [] };
+        }
+
+        const shares = await FolderShare.find(FolderShare.activeQuery({
+            type: FolderShareType.USER,
+            granteeEmail: user.email,
+        }))
+            .populate('folderId')
+            .populate('ownerId', 'email')
+            .sort({ createdAt: -1 });
+
+        return {
+            folders: shares
+                .filter(s => s.folderId && !s.folderId.isDeleted)
+                .map(s => ({
+                    id: s.folderId._id,
+                    name: s.folderId.name,
+                    type: 'folder',
+                    shareId: s._id,
+                    permission: s.permission,
+                    owner: s.ownerId?.email,
+                    sharedAt: s.createdAt,
+                    expiresAt: s.expiresAt,
+                    contentsUrl: `/api/folders/${s.folderId._id}/contents`,
+                })),
+        };
+    }
+
+    /**
+     * Resolve access to a folder for a user and/or a share link slug
+     * @param {string} folderId - Folder being accessed
+     * @param {Object} principal - { userId, slug }
+     * @param {string} required - Permission needed (read or write)
+     * @returns {Promise<Object>} { folder, ownerId, permission, isOwner, share }
+     */
+    async resolveAccess(folderId, { userId = null, slug = null } = {}, required = SharePermission.READ) {
+        if (!mongoose.isValidObjectId(folderId)) {
+            throw new NotFoundError('Folder');
+        }
+
+        const folder = await Folder.findOne({ _id: folderId, isDeleted: { $ne: true } });
+        if (!folder) {
+            throw new NotFoundError('Folder');
+        }
+
+        if (userId && folder.userId.toString() === userId.toString()) {
+            return {
+                folder,
+                ownerId: folder.userId,
+                permission: SharePermission.WRITE,
+                isOwner: true,
+                share: null,
+            };
+        }
+
+        const grants = [];
+        if (slug && SLUG_PATTERN.test(slug)) {
+            grants.push({ type: FolderShareType.LINK, slug });
+        }
+        if (userId) {
+            // Only a verified address proves the user is the one the folder was shared with
+            const user = await User.findById(userId);
+            if (user?.emailVerified) {
+                grants.push({ type: FolderShareType.USER, granteeEmail: user.email });
+            }
+        }
+
+        // Shares on the folder itself or any ancestor apply
+        const ancestors = await folder.getAncestors();
+        const folderIds = [folder._id, ...ancestors.map(a => a._id)];
+
+        const shares = grants.length === 0 ? [] : await FolderShare.find({
+            ...FolderShare.activeQuery({ folderId: { $in: folderIds }, ownerId: folder.userId }),
+            $and: [{ $or: grants }],
+        });
+
+        if (shares.length === 0) {
+            throw new NotFoundError('Folder');
+        }
+
+        const share = shares.find(s => s.permission === SharePermission.WRITE) || shares[0];
+
+        if (required === SharePermission.WRITE && share.permission !== SharePermission.WRITE) {
+            throw new AuthorizationError('Write access to this folder is required');
+        }
+
+        return {
+            folder,
+            ownerId: folder.userId,
+            permission: share.permission,
+            isOwner: false,
+            share,
+        };
+    }
+
+    /**
+     * Resolve the folder a share link points at
+     */
+    async resolveLink(slug) {
+        if (!slug || !SLUG_PATTERN.test(slug)) {
+            throw new NotFoundError('Share link');
+        }
+
+        const share = await FolderShare.findOne(FolderShare.activeQuery({ slug, type: FolderShareType.LINK }));
+        if (!share) {
+            throw new NotFoundError('Share link');
+        }
+
+        return share;
+    }
+
+    /**
+     * Check that a share used to start an upload still grants write access
+     */
+    async verifyWriteShare(shareId) {
+        const share = await FolderShare.findOne(FolderShare.activeQuery({
+            _id: shareId,
+            permission: SharePermission.WRITE,
+        }));
+
+        if (!share) {
+            throw new AuthorizationError('Write access to this folder was revoked');
+        }
+
+        return share;
+    }
+}
+
+// Export singleton instance
+const folderShareService = new FolderShareService();
+export default folderShareService;
@@ -0,0 +1,79 @@
+/**
+ * Mail Service
+ * Composes account emails and hands them to the configured mail transport
+ */
+
+import config from '../config/index.js';
+import mailProvider from '../providers/mail/index.js';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Human-readable duration for "expires in ..." lines
+ */
+function formatTtl(seconds) {
+    if (seconds % 86400 === 0) return `${seconds / 86400} day${seconds === 86400 ? '' : 's'}`;
+    if (seconds % 3600 === 0) return `${seconds / 3600} hour${seconds === 3600 ? '' : 's'}`;
+    return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+class MailService {
+    /**
+     * Send a password reset link
+     */
+    async sendPasswordReset(user, token) {
+        const link = this._link('/reset-password', token);
+        const expiry = formatTtl(config.accounts.passwordResetTtl);
+
+        return this._send(user.email, 'Reset your password', [
+            'Someone (hopefully you) asked to reset the password of your account.',
+            `Choose a new password here: ${link}`,
+            `The link expires in ${expiry} and can only be used once.`,
+            'If you didn\'t ask for this, you can ignore this email; your password stays the same.',
+        ], link);
+    }
+
+    /**
+     * Send an email address verification link
+     */
+    async sendEmailVerification(user, token) {
+        const link = this._link('/verify-email', token);
+        const expiry = formatTtl(config.accounts.emailVerificationTtl);
+
+        return this._send(user.email, 'Verify your email address', [
+            'Please confirm that this is your email address.',
+            `Verify it here: ${link}`,
+            `The link expires in ${expiry}.`,
+        ], link);
+    }
+
+    // ==================== Private Methods ====================
+
+    _link(path, token) {
+        const url = new URL(path, config.accounts.appUrl);
+        url.searchParams.set('token', token);
+        return url.toString();
+    }
+
+    /**
+     * Send a plain text email, with an HTML part where the link is clickable
+     */
+    async _send(to, subject, paragraphs, link) {
+        const text = paragraphs.join('\n\n');
+        const html = paragraphs
+            .map(p => `<p>${escapeHtml(p).replace(escapeHtml(link), `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>`)}</p>`)
+            .join('\n');
+
+        return mailProvider.send({ to, subject, text, html });
+    }
+}
+
+// Export singleton instance
+const mailService = new MailService();
+export default mailService;
@@ -0,0 +1,359 @@
+/**
+ * OIDC Service
+ * OpenID Connect single sign-on (authorization code flow with PKCE)
+ *
+ * Users are matched by their linked IdP identity, else by verified email;
+ * unknown emails get a new account when OIDC_CREATE_USERS is on. The login
+ * ends like a password login, with the usual access/refresh token pair.
+ *
+ * The state is also handed to the browser (as a cookie, by the controller) and
+ * must come back with the callback, so a login can only be finished by the
+ * browser that started it.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import { User, UserRole } from '../models/index.js';
+import { AuthenticationError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Key prefix for pending logins (state -> PKCE verifier and nonce)
+ */
+const STATE_PREFIX = 'oidc_state:';
+
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT = 10000;
+const CLOCK_TOLERANCE = 60; // Seconds
+
+/**
+ * Asymmetric algorithms accepted for ID token signatures
+ */
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Roles from least to most privileged (the highest mapped group wins)
+ */
+const ROLE_RANK = [UserRole.FREE, UserRole.PREMIUM, UserRole.ADMIN];
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+class OidcService {
+    constructor() {
+        this.metadata = null;
+        this.metadataFetchedAt = 0;
+        this.keys = new Map(); // kid -> KeyObject
+    }
+
+    /**
+     * Start a login: remember the PKCE verifier and nonce, and build the IdP URL
+     * @returns {Promise<Object>} { url (to redirect the browser to), state (to bind to the browser) }
+     */
+    async createAuthorizationUrl() {
+        this._assertEnabled();
+        const metadata = await this._getMetadata();
+
+        const state = base64url(crypto.randomBytes(24));
+        const nonce = base64url(crypto.randomBytes(24));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+        const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+        await sessionStore.set(
+            `${STATE_PREFIX}${state}`,
+            { codeVerifier, nonce },
+            config.oidc.stateTtl
+        );
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', config.oidc.clientId);
+        url.searchParams.set('redirect_uri', config.oidc.redirectUri);
+        url.searchParams.set('scope', config.oidc.scopes);
+        url.searchParams.set('state', state);
+        url.searchParams.set('nonce', nonce);
+        url.searchParams.set('code_challenge', codeChallenge);
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        return { url: url.toString(), state };
+    }
+
+    /**
+     * Finish a login from the IdP callback
+     * @param {Object} params - Callback query ({ code, state, error, error_description })
+     * @param {string} browserState - State saved in the browser that started the login
+     * @returns {Promise<Object>} The matched or created user
+     */
+    async handleCallback({ code, state, error, error_description: errorDescription }, browserState) {
+        this._assertEnabled();
+
+        if (error) {
+            throw new AuthenticationError(`Identity provider refused the login: ${errorDescription || error}`);
+        }
+        if (!code || !state) {
+            throw new ValidationError('Missing code or state');
+        }
+
+        // Otherwise anyone could sign a victim in as themselves with their own callback URL
+        if (!this._sameState(state, browserState)) {
+            throw new AuthenticationError('Login was not started from this browser, start again');
+        }
+
+        // Single use: a replayed callback finds no state
+        const key = `${STATE_PREFIX}${state}`;
+        const stored = await sessionStore.getAndDelete(key);
+        if (!stored) {
+            throw new AuthenticationError('Login session is invalid or has expired, start again');
+        }
+        const { codeVerifier, nonce } = stored;
+
+        const tokens = await this._exchangeCode(code, codeVerifier);
+        const claims = await this._verifyIdToken(tokens.id_token, nonce);
+
+        return this._resolveUser(claims);
+    }
+
+    // ==================== Private Methods ====================
+
+    _assertEnabled() {
+        if (!config.oidc.enabled) {
+            throw new ValidationError('Single sign-on is not enabled');
+        }
+    }
+
+    _sameState(state, browserState) {
+        if (typeof state !== 'string' || typeof browserState !== 'string') return false;
+
+        const a = Buffer.from(state);
+        const b = Buffer.from(browserState);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Provider metadata from the discovery document (cached)
+     */
+    async _getMetadata() {
+        if (this.metadata && Date.now() - this.metadataFetchedAt < DISCOVERY_TTL) {
+            return this.metadata;
+        }
+
+        const issuer = config.oidc.issuer.replace(/\/$/, '');
+        const metadata = await this._fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+        if (metadata.issuer !== config.oidc.issuer && metadata.issuer !== issuer) {
+            throw new AuthenticationError('Identity provider issuer does not match OIDC_ISSUER');
+        }
+
+        this.metadata = metadata;
+        this.metadataFetchedAt = Date.now();
+        this.keys.clear();
+        return metadata;
+    }
+
+    /**
+     * Exchange the authorization code at the token endpoint
+     */
+    async _exchangeCode(code, codeVerifier) {
+        const metadata = await this._getMetadata();
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: config.oidc.redirectUri,
+            client_id: config.oidc.clientId,
+            code_verifier: codeVerifier,
+        });
+
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+        if (config.oidc.clientSecret) {
+            // client_secret_basic: both parts form-encoded (RFC 6749, section 2.3.1)
+            const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(config.oidc.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        const tokens = await this._fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+        if (!tokens.id_token) {
+            throw new AuthenticationError('Identity provider returned no ID token');
+        }
+        return tokens;
+    }
+
+    /**
+     * Check the ID token signature and claims
+     */
+    async _verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+            throw new AuthenticationError('ID token is malformed or uses an unsupported algorithm');
+        }
+
+        const key = await this._getSigningKey(decoded.header.kid);
+        const metadata = await this._getMetadata();
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, key, {
+                algorithms: ID_TOKEN_ALGORITHMS,
+                issuer: metadata.issuer,
+                audience: config.oidc.clientId,
+                clockTolerance: CLOCK_TOLERANCE,
+            });
+        } catch (error) {
+            throw new AuthenticationError(`ID token rejected: ${error.message}`);
+        }
+
+        if (claims.nonce !== nonce) {
+            throw new AuthenticationError('ID token nonce does not match');
+        }
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.oidc.clientId) {
+            throw new AuthenticationError('ID token was issued to another client');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Public key for a key ID, refetching the JWKS when the IdP rotated keys
+     */
+    async _getSigningKey(kid) {
+        const cacheKey = kid || '';
+        if (!this.keys.has(cacheKey)) {
+            const metadata = await this._getMetadata();
+            const { keys = [] } = await this._fetchJson(metadata.jwks_uri);
+
+            this.keys.clear();
+            for (const jwk of keys) {
+                if (jwk.use && jwk.use !== 'sig') continue;
+                try {
+                    this.keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+                } catch (error) {
+                    logger.debug('Skipping unusable JWK', { kid: jwk.kid, error: error.message });
+                }
+            }
+        }
+
+        // Without a kid, a single published key is unambiguous
+        const key = this.keys.get(cacheKey) || (!kid && this.keys.size === 1 ? [...this.keys.values()][0] : null);
+        if (!key) {
+            throw new AuthenticationError('ID token signing key not found');
+        }
+        return key;
+    }
+
+    /**
+     * Find, link or create the user for verified claims
+     */
+    async _resolveUser(claims) {
+        const issuer = claims.iss;
+        const subject = claims.sub;
+        const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+
+        if (!email || claims.email_verified !== true) {
+            throw new AuthenticationError('Identity provider did not supply a verified email address');
+        }
+
+        const domain = email.split('@')[1];
+        if (config.oidc.allowedDomains.length > 0 && !config.oidc.allowedDomains.includes(domain)) {
+            throw new AuthenticationError(`Sign-in is not allowed for ${domain} addresses`);
+        }
+
+        let user = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': subject });
+
+        if (!user) {
+            user = await User.findByEmail(email);
+
+            if (user?.oidc?.subject && user.oidc.issuer === issuer && user.oidc.subject !== subject) {
+                throw new AuthenticationError('This email is linked to another identity');
+            }
+
+            // Anyone can register an address they don't own; linking such an account would
+            // let its creator share the account with the real owner
+            if (user && !user.emailVerified) {
+                throw new AuthenticationError(
+                    'An account with this email exists but the address is not verified. '
+                    + 'Verify it or reset the password, then sign in again'
+                );
+            }
+        }
+
+        const role = this._mapRole(claims);
+
+        if (!user) {
+            if (!config.oidc.createUsers) {
+                throw new AuthenticationError('No account exists for this email');
+            }
+
+            user = new User({
+                email,
+                // Unusable until the user sets one through password reset
+                password: crypto.randomBytes(32).toString('hex'),
+                role: role || UserRole.FREE,
+                emailVerified: true,
+                emailVerifiedAt: new Date(),
+            });
+            logger.info('User created from single sign-on', { email, issuer });
+        }
+
+        if (!user.isActive) {
+            throw new AuthenticationError('User not found or inactive');
+        }
+
+        user.oidc = { issuer, subject };
+        if (role && user.role !== role) {
+            logger.info('Role updated from identity provider groups', { userId: user._id, from: user.role, to: role });
+            user.role = role;
+        }
+        await user.save();
+
+        return user;
+    }
+
+    /**
+     * Role from the IdP groups claim (null when no mapping is configured or no group is mapped)
+     */
+    _mapRole(claims) {
+        if (config.oidc.groupRoles.length === 0) return null;
+
+        const mapping = new Map(config.oidc.groupRoles.map(pair => {
+            const index = pair.lastIndexOf(':');
+            return [pair.slice(0, index), pair.slice(index + 1)];
+        }));
+
+        const groups = claims[config.oidc.groupsClaim];
+        const userGroups = Array.isArray(groups) ? groups : (typeof groups === 'string' ? [groups] : []);
+
+        let rank = -1;
+        for (const group of userGroups) {
+            rank = Math.max(rank, ROLE_RANK.indexOf(mapping.get(group)));
+        }
+
+        // Unmapped users keep the role they have
+        return rank >= 0 ? ROLE_RANK[rank] : null;
+    }
+
+    async _fetchJson(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+        } catch (error) {
+            logger.error('Identity provider request failed', { url, error: error.message });
+            throw new AuthenticationError('Identity provider is unreachable');
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            logger.warn('Identity provider returned an error', { url, status: response.status, error: body.error });
+            throw new AuthenticationError(
+                `Identity provider error: ${body.error_description || body.error || response.status}`
+            );
+        }
+        return body;
+    }
+}
+
+// Export singleton instance
+const oidcService = new OidcService();
+export default oidcService;
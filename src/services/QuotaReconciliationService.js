@@ -0,0 +1,89 @@
+/**
+ * Quota Reconciliation Service
+ * Recomputes usage counters from the stored files, corrects them and
+ * records any drift found for the admin report
+ */
+
+import config from '../config/index.js';
+import { Quota, QuotaDrift, DriftCounters } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+class QuotaReconciliationService {
+    /**
+     * Reconcile one user's quota
+     * Uploads and deletes update files shortly before the quota, so a mismatch
+     * is only corrected if it is still the same after a pause, and only if the
+     * counters didn't move in the meantime.
+     * @returns {Promise<Object|null>} The drift record, or null when nothing was corrected
+     */
+    async reconcileUser(userId) {
+        const first = await this._measure(userId);
+        if (!first.drifted) return null;
+
+        await new Promise(resolve => setTimeout(resolve, config.quotaReconciliation.confirmDelay));
+
+        const { quota, recorded, actual, delta, drifted } = await this._measure(userId);
+        const persisted = drifted && Object.keys(delta).every(path => delta[path] === first.delta[path]);
+
+        if (!persisted) {
+            logger.debug('Quota mismatch did not persist', { userId });
+            return null;
+        }
+
+        if (!(await Quota.correctUsage(quota, recorded, actual))) {
+            logger.debug('Quota changed while reconciling, left for the next run', { userId });
+            return null;
+        }
+
+        const drift = await QuotaDrift.create({
+            userId,
+            recorded: this._counters(recorded),
+            actual: this._counters(actual),
+            delta: this._counters(delta),
+        });
+
+        logger.warn('Quota drift corrected', { userId, delta: this._counters(delta) });
+
+        return drift;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Compare a user's counters with their files
+     * The quota is read first: anything changing it afterwards makes the
+     * conditional correction fail rather than be overwritten.
+     */
+    async _measure(userId) {
+        const quota = await Quota.getOrCreate(userId);
+        const actual = await Quota.computeUsage(userId);
+
+        const recorded = {};
+        const delta = {};
+        for (const path of Object.keys(DriftCounters)) {
+            recorded[path] = quota.get(path) || 0;
+            delta[path] = actual[path] - recorded[path];
+        }
+
+        return {
+            quota,
+            recorded,
+            actual,
+            delta,
+            drifted: Object.values(delta).some(d => d !== 0),
+        };
+    }
+
+    /**
+     * Counter values by usage path -> drift record fields
+     */
+    _counters(values) {
+        return Object.fromEntries(
+            Object.entries(DriftCounters).map(([path, field]) => [field, values[path]])
+        );
+    }
+}
+
+// Export singleton instance
+const quotaReconciliationService = new QuotaReconciliationService();
+export default quotaReconciliationService;
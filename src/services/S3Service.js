@@ -0,0 +1,794 @@
+/**
+ * S3 Service
+ * Maps the S3 object model onto folders and files
+ *
+ * Buckets are the user's top-level folders; an object key is the path of a
+ * file below its bucket ("photos/2024/beach.jpg" is beach.jpg in the folder
+ * /<bucket>/photos/2024). Folders show up as common prefixes when listing
+ * with a "/" delimiter.
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import { File, Folder, Quota } from '../models/index.js';
+import storageProvider from '../providers/storage/index.js';
+import uploadService from './UploadService.js';
+import downloadService from './DownloadService.js';
+import folderService from './FolderService.js';
+import trashService from './TrashService.js';
+import { md5 } from '../utils/hash.js';
+import { crc32 } from '../utils/zip.js';
+import { S3Error, SessionExpiredError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Session store keys for multipart uploads (target key and uploaded parts)
+ */
+const MULTIPART_PREFIX = 's3_multipart:';
+const PARTS_PREFIX = 's3_parts:';
+
+/**
+ * S3 limits
+ */
+const MAX_PART_NUMBER = 10000;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_KEYS = 1000;
+const MAX_DELETE_KEYS = 1000;
+
+/**
+ * ETag of an empty object (directory markers)
+ */
+const EMPTY_ETAG = '"d41d8cd98f00b204e9800998ecf8427e"';
+
+/**
+ * Characters files and folders can't have in their names
+ */
+const INVALID_NAME_CHARS = /[<>:"\\|?*\x00-\x1f\x7f]/;
+
+/**
+ * x-amz-checksum-* algorithms we can verify
+ */
+const CHECKSUM_ALGORITHMS = ['crc32', 'sha1', 'sha256'];
+
+class S3Service {
+    // ==================== Buckets ====================
+
+    /**
+     * List buckets (top-level folders)
+     */
+    async listBuckets(userId) {
+        const folders = await Folder.find({ userId, parentId: null, isDeleted: { $ne: true } })
+            .sort({ name: 1 })
+            .lean();
+
+        return folders.map(f => ({ name: f.name, createdAt: f.createdAt }));
+    }
+
+    /**
+     * Create a bucket (succeeds when the user already has it)
+     */
+    async createBucket(userId, name) {
+        this._validateName(name, 'InvalidBucketName');
+
+        const existing = await this._findBucket(userId, name);
+        if (existing) return existing;
+
+        await folderService.createFolder(userId, name, null);
+        return this._getBucket(userId, name);
+    }
+
+    /**
+     * Check a bucket exists
+     */
+    async headBucket(userId, name) {
+        return this._getBucket(userId, name);
+    }
+
+    /**
+     * Delete an empty bucket (moves the folder to trash)
+     */
+    async deleteBucket(userId, name) {
+        const bucket = await this._getBucket(userId, name);
+
+        const folders = (await bucket.getSubtree()).filter(f => !f.isDeleted);
+        const fileCount = await File.countDocuments({
+            userId,
+            folderId: { $in: folders.map(f => f._id) },
+            isDeleted: false,
+        });
+
+        if (fileCount > 0) {
+            throw new S3Error('BucketNotEmpty', 'The bucket you tried to delete is not empty', 409);
+        }
+
+        await folderService.deleteFolder(userId, bucket._id);
+        logger.info('S3 bucket deleted', { userId, bucket: name });
+    }
+
+    // ==================== Listing ====================
+
+    /**
+     * List objects (ListObjects and ListObjectsV2)
+     * @param {Object} options - { prefix, delimiter, maxKeys, marker } (marker = start after this key)
+     * @returns {Promise<Object>} { objects, commonPrefixes, isTruncated, nextMarker }
+     */
+    async listObjects(userId, bucketName, { prefix = '', delimiter = '', maxKeys = MAX_KEYS, marker = '' } = {}) {
+        const bucket = await this._getBucket(userId, bucketName);
+        const limit = Math.min(Math.max(maxKeys, 0), MAX_KEYS);
+
+        // Start at the deepest folder the prefix names completely
+        let base = bucket;
+        for (const segment of prefix.split('/').slice(0, -1)) {
+            base = await Folder.findOne({ userId, parentId: base._id, name: segment, isDeleted: { $ne: true } });
+            if (!base) {
+                return { objects: [], commonPrefixes: [], isTruncated: false, nextMarker: null };
+            }
+        }
+
+        // With a "/" delimiter only the base folder and its children matter
+        const folders = delimiter === '/'
+            ? [base, ...(await base.getChildren())]
+            : (await base.getSubtree()).filter(f => !f.isDeleted);
+
+        const dirOf = new Map(folders.map(f => [f._id.toString(), this._keyPrefix(bucket, f)]));
+
+        const files = await File.find({
+            userId,
+            folderId: delimiter === '/' ? base._id : { $in: folders.map(f => f._id) },
+            isDeleted: false,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        })
+            .select('folderId originalName size hash createdAt')
+            .lean();
+
+        const candidates = files.map(file => ({ key: dirOf.get(file.folderId.toString()) + file.originalName, file }));
+
+        // Folders appear as common prefixes (even when empty)
+        if (delimiter) {
+            for (const folder of folders) {
+                if (folder._id.equals(bucket._id)) continue;
+                candidates.push({ key: dirOf.get(folder._id.toString()), file: null });
+            }
+        }
+
+        const entries = [];
+        const seenPrefixes = new Set();
+
+        for (const candidate of candidates) {
+            if (!candidate.key.startsWith(prefix)) continue;
+
+            const rest = candidate.key.slice(prefix.length);
+            const index = delimiter ? rest.indexOf(delimiter) : -1;
+
+            if (index !== -1) {
+                const commonPrefix = prefix + rest.slice(0, index + delimiter.length);
+                if (!seenPrefixes.has(commonPrefix)) {
+                    seenPrefixes.add(commonPrefix);
+                    entries.push({ key: commonPrefix, isPrefix: true });
+                }
+            } else if (candidate.file) {
+                entries.push({ key: candidate.key, file: candidate.file });
+            }
+        }
+
+        entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+        const remaining = marker ? entries.filter(e => e.key > marker) : entries;
+        const page = remaining.slice(0, limit);
+        const isTruncated = remaining.length > page.length;
+
+        return {
+            objects: page.filter(e => !e.isPrefix).map(e => ({
+                key: e.key,
+                size: e.file.size,
+                etag: this.etag(e.file),
+                lastModified: e.file.createdAt,
+            })),
+            commonPrefixes: page.filter(e => e.isPrefix).map(e => e.key),
+            isTruncated,
+            nextMarker: isTruncated && page.length > 0 ? page[page.length - 1].key : null,
+        };
+    }
+
+    // ==================== Objects ====================
+
+    /**
+     * Object metadata (HeadObject)
+     * Keys ending in "/" resolve to folders, reported as empty objects
+     */
+    async headObject(userId, bucketName, key) {
+        const bucket = await this._getBucket(userId, bucketName);
+        const { dirs, name } = this._parseKey(key);
+
+        if (!name) {
+            const folder = await this._findFolder(userId, bucket, dirs);
+            if (!folder) throw this._noSuchKey();
+
+            return { size: 0, etag: EMPTY_ETAG, lastModified: folder.updatedAt, mimeType: 'application/x-directory' };
+        }
+
+        const file = await this._findFile(userId, bucket, dirs, name);
+        if (!file) throw this._noSuchKey();
+
+        return {
+            fileId: file._id,
+            size: file.size,
+            etag: this.etag(file),
+            lastModified: file.createdAt,
+            mimeType: file.mimeType,
+        };
+    }
+
+    /**
+     * Open an object for download (GetObject), with Range support
+     * @returns {Promise<Object>} { object, stream, statusCode, contentRange }
+     */
+    async getObject(userId, bucketName, key, { rangeHeader } = {}) {
+        const object = await this.headObject(userId, bucketName, key);
+
+        if (!object.fileId) {
+            return { object, stream: null, statusCode: 200 };
+        }
+
+        if (rangeHeader && !this._isSatisfiable(rangeHeader, object.size)) {
+            throw new S3Error('InvalidRange', 'The requested range is not satisfiable', 416);
+        }
+
+        const download = await downloadService.prepareDownload(object.fileId.toString(), {
+            userId,
+            rangeHeader,
+        });
+
+        return {
+            object,
+            stream: download.stream,
+            statusCode: download.statusCode,
+            contentRange: download.headers['Content-Range'] || null,
+            contentLength: download.headers['Content-Length'],
+        };
+    }
+
+    /**
+     * Store an object (PutObject), replacing any object with the same key
+     * @param {Object} payload - { body, size, contentType, expect } (see _verifyPayload)
+     * @returns {Promise<Object>} { etag, fileId }
+     */
+    async putObject(userId, bucketName, key, payload) {
+        const bucket = await this._getBucket(userId, bucketName);
+        const { dirs, name } = this._parseKey(key);
+
+        // "dir/" with an empty body creates a folder
+        if (!name) {
+            if (payload.size !== 0) {
+                throw new S3Error('InvalidArgument', 'Keys ending in "/" can only be empty objects', 400);
+            }
+            await this._ensureFolders(userId, bucket, dirs);
+            return { etag: EMPTY_ETAG, fileId: null };
+        }
+
+        const folder = await this._ensureFolders(userId, bucket, dirs);
+
+        const session = await uploadService.initializeUpload(userId, {
+            filename: name,
+            size: payload.size,
+            mimeType: this._mimeType(payload.contentType),
+            folderId: folder._id,
+        });
+
+        let result;
+        try {
+            const digester = this._digester(payload.expect);
+            await uploadService.writeStream(session.sessionId, digester.wrap(payload.body));
+            this._verifyPayload(digester.digests(), payload.expect);
+
+            result = await uploadService.completeUpload(session.sessionId, userId);
+        } catch (error) {
+            await uploadService.abortUpload(session.sessionId, userId).catch(() => { });
+            throw error;
+        }
+
+        await this._replaceExisting(userId, folder._id, name, result.fileId);
+
+        logger.info('S3 object stored', { userId, bucket: bucketName, key, fileId: result.fileId, size: result.size });
+
+        return { etag: this.etag(result), fileId: result.fileId };
+    }
+
+    /**
+     * Delete an object (moves the file to trash)
+     * Missing keys succeed, as on S3; "dir/" removes the folder when it's empty
+     */
+    async deleteObject(userId, bucketName, key) {
+        const bucket = await this._getBucket(userId, bucketName);
+        const { dirs, name } = this._parseKey(key);
+
+        if (!name) {
+            const folder = await this._findFolder(userId, bucket, dirs);
+            if (!folder || folder._id.equals(bucket._id)) return;
+
+            const subtree = (await folder.getSubtree()).filter(f => !f.isDeleted);
+            const hasFiles = await File.exists({
+                userId,
+                folderId: { $in: subtree.map(f => f._id) },
+                isDeleted: false,
+            });
+            if (!hasFiles) {
+                await folderService.deleteFolder(userId, folder._id);
+            }
+            return;
+        }
+
+        const folder = await this._findFolder(userId, bucket, dirs);
+        if (!folder) return;
+
+        const files = await File.find({ userId, folderId: folder._id, originalName: name, isDeleted: false });
+        for (const file of files) {
+            await trashService.trashFile(file);
+        }
+
+        if (files.length > 0) {
+            logger.info('S3 object deleted', { userId, bucket: bucketName, key, files: files.length });
+        }
+    }
+
+    /**
+     * Delete several objects (DeleteObjects)
+     * @returns {Promise<Object>} { deleted: [key], errors: [{ key, code, message }] }
+     */
+    async deleteObjects(userId, bucketName, keys) {
+        if (keys.length === 0 || keys.length > MAX_DELETE_KEYS) {
+            throw new S3Error('MalformedXML', `Between 1 and ${MAX_DELETE_KEYS} keys can be deleted at once`, 400);
+        }
+
+        await this._getBucket(userId, bucketName);
+
+        const deleted = [];
+        const errors = [];
+
+        for (const key of keys) {
+            try {
+                await this.deleteObject(userId, bucketName, key);
+                deleted.push(key);
+            } catch (error) {
+                errors.push({
+                    key,
+                    code: error instanceof S3Error ? error.code : 'InternalError',
+                    message: error.message,
+                });
+            }
+        }
+
+        return { deleted, errors };
+    }
+
+    // ==================== Multipart Uploads ====================
+
+    /**
+     * Start a multipart upload
+     * Backed by an upload session whose size is set when the upload completes.
+     */
+    async createMultipartUpload(userId, bucketName, key, { contentType } = {}) {
+        const bucket = await this._getBucket(userId, bucketName);
+        const { dirs, name } = this._parseKey(key);
+
+        if (!name) {
+            throw new S3Error('InvalidArgument', 'Multipart uploads need an object key', 400);
+        }
+
+        const folder = await this._ensureFolders(userId, bucket, dirs);
+
+        const session = await uploadService.initializeUpload(userId, {
+            filename: name,
+            size: 0,
+            mimeType: this._mimeType(contentType),
+            folderId: folder._id,
+        });
+
+        await sessionStore.set(
+            `${MULTIPART_PREFIX}${session.sessionId}`,
+            { bucket: bucketName, key },
+            config.upload.sessionTtl
+        );
+
+        logger.info('S3 multipart upload started', { userId, bucket: bucketName, key, uploadId: session.sessionId });
+
+        return { uploadId: session.sessionId };
+    }
+
+    /**
+     * Store one part of a multipart upload (parts are re-uploadable)
+     * @param {Object} payload - { body, size, expect }
+     * @returns {Promise<Object>} { etag }
+     */
+    async uploadPart(userId, bucketName, key, uploadId, partNumber, payload) {
+        const session = await this._getMultipartSession(userId, bucketName, key, uploadId);
+
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+            throw new S3Error('InvalidArgument', `Part number must be an integer between 1 and ${MAX_PART_NUMBER}`, 400);
+        }
+
+        if (payload.size > config.s3Gateway.maxPartSize) {
+            throw new S3Error('EntityTooLarge', `Parts can be at most ${config.s3Gateway.maxPartSize} bytes`, 400);
+        }
+
+        await this._checkPartQuota(userId, session, uploadId, partNumber, payload.size);
+
+        const digester = this._digester(payload.expect);
+        const buffers = [];
+        let received = 0;
+
+        for await (const data of digester.wrap(payload.body)) {
+            received += data.length;
+            if (received > payload.size) break;
+            buffers.push(data);
+        }
+
+        if (received !== payload.size) {
+            throw new S3Error('IncompleteBody', 'The request body does not match Content-Length', 400);
+        }
+
+        this._verifyPayload(digester.digests(), payload.expect);
+
+        const data = Buffer.concat(buffers, received);
+        const etag = `"${md5(data)}"`;
+
+        await storageProvider.writeChunk(uploadId, partNumber - 1, data);
+
+        const partsKey = `${PARTS_PREFIX}${uploadId}`;
+        await sessionStore.hset(partsKey, String(partNumber), { size: received, etag });
+        await sessionStore.expire(partsKey, config.upload.sessionTtl);
+
+        return { etag };
+    }
+
+    /**
+     * Assemble a multipart upload into a file
+     * Parts must be listed in order and numbered 1..N without gaps.
+     * @param {Array<Object>} parts - [{ partNumber, etag }]
+     * @returns {Promise<Object>} { etag, fileId }
+     */
+    async completeMultipartUpload(userId, bucketName, key, uploadId, parts) {
+        const session = await this._getMultipartSession(userId, bucketName, key, uploadId);
+
+        if (!Array.isArray(parts) || parts.length === 0) {
+            throw new S3Error('MalformedXML', 'At least one part must be specified', 400);
+        }
+
+        const uploaded = (await sessionStore.hgetall(`${PARTS_PREFIX}${uploadId}`)) || {};
+        let totalSize = 0;
+
+        for (let i = 0; i < parts.length; i++) {
+            const { partNumber, etag } = parts[i];
+
+            if (partNumber !== i + 1) {
+                throw new S3Error('InvalidPartOrder', 'Parts must be numbered consecutively starting at 1', 400);
+            }
+
+            const part = uploaded[String(partNumber)] || null;
+            if (!part || this._unquote(part.etag) !== this._unquote(etag)) {
+                throw new S3Error('InvalidPart', `Part ${partNumber} was not uploaded or its ETag does not match`, 400);
+            }
+
+            if (i < parts.length - 1 && part.size < MIN_PART_SIZE) {
+                throw new S3Error('EntityTooSmall', `Part ${partNumber} is smaller than the minimum part size`, 400);
+            }
+
+            totalSize += part.size;
+        }
+
+        // The stored chunks must be exactly the listed parts
+        if (Object.keys(uploaded).length !== parts.length) {
+            throw new S3Error('InvalidPart', 'Uploaded parts that are not listed can not be discarded', 400);
+        }
+
+        await uploadService.resizeSession(uploadId, userId, totalSize, parts.length);
+
+        for (const { partNumber } of parts) {
+            const part = uploaded[String(partNumber)];
+            await uploadService.commitChunk(uploadId, partNumber - 1, part.size, this._unquote(part.etag));
+        }
+
+        const result = await uploadService.completeUpload(uploadId, userId);
+        await this._deleteMultipartState(uploadId);
+
+        await this._replaceExisting(userId, session.folderId, session.filename, result.fileId);
+
+        logger.info('S3 multipart upload completed', {
+            userId,
+            bucket: bucketName,
+            key,
+            uploadId,
+            parts: parts.length,
+            fileId: result.fileId,
+            size: result.size,
+        });
+
+        return { etag: this.etag(result), fileId: result.fileId };
+    }
+
+    /**
+     * Abort a multipart upload and discard its parts
+     */
+    async abortMultipartUpload(userId, bucketName, key, uploadId) {
+        await this._getMultipartSession(userId, bucketName, key, uploadId);
+
+        await uploadService.abortUpload(uploadId, userId);
+        await this._deleteMultipartState(uploadId);
+
+        logger.info('S3 multipart upload aborted', { userId, bucket: bucketName, key, uploadId });
+    }
+
+    /**
+     * ETag of a stored file
+     * Derived from its SHA-256 with a "-1" suffix, so clients don't mistake it for an MD5
+     */
+    etag(file) {
+        return `"${file.hash.slice(0, 32)}-1"`;
+    }
+
+    // ==================== Private Methods ====================
+
+    async _findBucket(userId, name) {
+        return Folder.findOne({ userId, parentId: null, name, isDeleted: { $ne: true } });
+    }
+
+    async _getBucket(userId, name) {
+        const bucket = name ? await this._findBucket(userId, name) : null;
+        if (!bucket) {
+            throw new S3Error('NoSuchBucket', 'The specified bucket does not exist', 404);
+        }
+        return bucket;
+    }
+
+    /**
+     * Split a key into folder names and file name ('' for keys ending in "/")
+     */
+    _parseKey(key) {
+        if (!key) {
+            throw new S3Error('InvalidArgument', 'Object key is required', 400);
+        }
+
+        const segments = key.split('/');
+        const name = segments.pop();
+
+        for (const segment of segments) {
+            this._validateName(segment, 'InvalidArgument');
+        }
+        if (name) {
+            this._validateName(name, 'InvalidArgument');
+        }
+
+        return { dirs: segments, name };
+    }
+
+    /**
+     * Names must survive sanitization unchanged, or keys wouldn't round-trip
+     */
+    _validateName(name, code) {
+        if (
+            !name ||
+            name === '.' ||
+            name === '..' ||
+            name !== name.trim() ||
+            name.length > config.security.maxFilenameLength ||
+            INVALID_NAME_CHARS.test(name)
+        ) {
+            throw new S3Error(code, `Invalid name "${name}": empty path segments and the characters <>:"\\|?* are not allowed`, 400);
+        }
+    }
+
+    /**
+     * Key prefix of a folder relative to its bucket ("" for the bucket, "a/b/" below it)
+     */
+    _keyPrefix(bucket, folder) {
+        return folder._id.equals(bucket._id) ? '' : `${folder.path.slice(bucket.path.length + 1)}/`;
+    }
+
+    async _findFolder(userId, bucket, dirs) {
+        if (dirs.length === 0) return bucket;
+
+        return Folder.findOne({
+            userId,
+            path: `${bucket.path}/${dirs.join('/')}`,
+            isDeleted: { $ne: true },
+        });
+    }
+
+    async _findFile(userId, bucket, dirs, name) {
+        const folder = await this._findFolder(userId, bucket, dirs);
+        if (!folder) return null;
+
+        return File.findOne({
+            userId,
+            folderId: folder._id,
+            originalName: name,
+            isDeleted: false,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Find or create the folders of a key below the bucket
+     */
+    async _ensureFolders(userId, bucket, dirs) {
+        let parent = bucket;
+
+        for (const name of dirs) {
+            const query = { userId, parentId: parent._id, name, isDeleted: { $ne: true } };
+            let folder = await Folder.findOne(query);
+
+            if (!folder) {
+                try {
+                    await folderService.createFolder(userId, name, parent._id);
+                } catch (error) {
+                    // Created concurrently by another request
+                    logger.debug('Folder create raced', { userId, name, error: error.message });
+                }
+                folder = await Folder.findOne(query);
+                if (!folder) {
+                    throw new S3Error('InternalError', `Failed to create folder "${name}"`, 500);
+                }
+            }
+
+            parent = folder;
+        }
+
+        return parent;
+    }
+
+    /**
+     * Trash older files stored under the same key
+     */
+    async _replaceExisting(userId, folderId, name, keepFileId) {
+        const previous = await File.find({
+            userId,
+            folderId,
+            originalName: name,
+            isDeleted: false,
+            _id: { $ne: keepFileId },
+        });
+
+        for (const file of previous) {
+            await trashService.trashFile(file);
+        }
+    }
+
+    /**
+     * Active multipart session for this user, bucket and key
+     */
+    async _getMultipartSession(userId, bucketName, key, uploadId) {
+        const noSuchUpload = new S3Error('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+
+        const target = await sessionStore.get(`${MULTIPART_PREFIX}${uploadId}`);
+        if (!target) throw noSuchUpload;
+
+        const { bucket, key: uploadKey } = target;
+        if (bucket !== bucketName || uploadKey !== key) throw noSuchUpload;
+
+        try {
+            return await uploadService.getSession(uploadId, userId);
+        } catch (error) {
+            if (error instanceof SessionExpiredError) throw noSuchUpload;
+            throw error;
+        }
+    }
+
+    async _deleteMultipartState(uploadId) {
+        await sessionStore.delete(`${MULTIPART_PREFIX}${uploadId}`);
+        await sessionStore.delete(`${PARTS_PREFIX}${uploadId}`);
+    }
+
+    /**
+     * Refuse parts once the upload could no longer fit in the owner's quota
+     * (the session's reservation grows with the parts received)
+     */
+    async _checkPartQuota(userId, session, uploadId, partNumber, size) {
+        const uploaded = (await sessionStore.hgetall(`${PARTS_PREFIX}${uploadId}`)) || {};
+
+        let total = size;
+        for (const [number, part] of Object.entries(uploaded)) {
+            if (number !== String(partNumber)) total += part.size;
+        }
+
+        const reservation = await Quota.reserve(session.ownerId || userId, uploadId, {
+            storage: total,
+            expiresAt: session.expiresAt,
+        });
+
+        if (!reservation.allowed) {
+            throw new S3Error('AccessDenied', reservation.reasons[0].message, 403);
+        }
+    }
+
+    /**
+     * Generic content types are left to extension-based detection
+     */
+    _mimeType(contentType) {
+        if (!contentType || ['binary/octet-stream', 'application/octet-stream'].includes(contentType)) {
+            return undefined;
+        }
+        return contentType.split(';')[0].trim();
+    }
+
+    _isSatisfiable(rangeHeader, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader);
+        if (!match || (match[1] === '' && match[2] === '')) return true; // ignored, like S3
+
+        if (match[1] === '') return Number(match[2]) > 0 && size > 0;
+        return Number(match[1]) < size;
+    }
+
+    /**
+     * Hash a body while it streams, for the digests the client asked us to check
+     * @param {Object} expect - { contentMd5, sha256, checksumAlgorithm }
+     */
+    _digester(expect = {}) {
+        const hashes = {};
+        let crc = expect.checksumAlgorithm === 'crc32' ? 0 : null;
+
+        if (expect.contentMd5) hashes.md5 = crypto.createHash('md5');
+        if (expect.sha256 || expect.checksumAlgorithm === 'sha256') hashes.sha256 = crypto.createHash('sha256');
+        if (expect.checksumAlgorithm === 'sha1') hashes.sha1 = crypto.createHash('sha1');
+
+        return {
+            async *wrap(body) {
+                for await (const data of body) {
+                    for (const hash of Object.values(hashes)) hash.update(data);
+                    if (crc !== null) crc = crc32(data, crc);
+                    yield data;
+                }
+            },
+            digests() {
+                const digests = {};
+                for (const [name, hash] of Object.entries(hashes)) digests[name] = hash.digest();
+                if (crc !== null) {
+                    digests.crc32 = Buffer.alloc(4);
+                    digests.crc32.writeUInt32BE(crc >>> 0);
+                }
+                return digests;
+            },
+        };
+    }
+
+    /**
+     * Check Content-MD5, a signed x-amz-content-sha256 and x-amz-checksum-* values
+     * @param {Object} expect - { contentMd5 (base64), sha256 (hex), checksumAlgorithm, checksum: () => base64 }
+     */
+    _verifyPayload(digests, expect = {}) {
+        if (expect.contentMd5 && digests.md5.toString('base64') !== expect.contentMd5) {
+            throw new S3Error('BadDigest', 'The Content-MD5 you specified did not match what we received', 400);
+        }
+
+        if (expect.sha256 && digests.sha256.toString('hex') !== expect.sha256.toLowerCase()) {
+            throw new S3Error(
+                'XAmzContentSHA256Mismatch',
+                'The provided x-amz-content-sha256 header does not match what was computed',
+                400
+            );
+        }
+
+        if (CHECKSUM_ALGORITHMS.includes(expect.checksumAlgorithm)) {
+            const value = expect.checksum?.();
+            if (value && digests[expect.checksumAlgorithm].toString('base64') !== value) {
+                throw new S3Error(
+                    'BadDigest',
+                    `The ${expect.checksumAlgorithm.toUpperCase()} checksum you specified did not match what we received`,
+                    400
+                );
+            }
+        }
+    }
+
+    _unquote(etag) {
+        return String(etag || '').replace(/"/g, '');
+    }
+
+    _noSuchKey() {
+        return new S3Error('NoSuchKey', 'The specified key does not exist', 404);
+    }
+}
+
+// Export singleton instance
+const s3Service = new S3Service();
+export default s3Service;
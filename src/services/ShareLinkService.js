@@ -0,0 +1,315 @@
+/**
+ * Share Link Service
+ * Creates, resolves and revokes public share links for files,
+ * and serves folders shared by link
+ */
+
+import mongoose from 'mongoose';
+import { File, ShareLink } from '../models/index.js';
+import downloadService from './DownloadService.js';
+import folderService from './FolderService.js';
+import folderShareService from './FolderShareService.js';
+import twoFactorService from './TwoFactorService.js';
+import { parseRange } from '../utils/stream.js';
+import {
+    NotFoundError,
+    AuthorizationError,
+    ValidationError,
+    ShareLinkUnavailableError,
+} from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Accepted slug format (anything else can't be one of ours)
+ */
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+class ShareLinkService {
+    /**
+     * Create a share link for a file owned by the user
+     * @param {Object} options - { password, expiresAt, expiresIn (seconds), maxDownloads }
+     */
+    async createLink(userId, fileId, options = {}) {
+        const { password, expiresAt, expiresIn, maxDownloads } = options;
+
+        if (!mongoose.isValidObjectId(fileId)) {
+            throw new ValidationError('A valid fileId is required');
+        }
+
+        const file = await File.findOne({ _id: fileId, userId, isDeleted: false });
+        if (!file) {
+            throw new NotFoundError('File');
+        }
+
+        if (password != null && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+            throw new ValidationError('Password must be between 4 and 128 characters');
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+        } else if (expiresIn) {
+            expiry = new Date(Date.now() + Number(expiresIn) * 1000);
+        }
+        if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+            throw new ValidationError('Expiry must be a valid date in the future');
+        }
+
+        if (maxDownloads != null && (!Number.isInteger(Number(maxDownloads)) || Number(maxDownloads) < 1)) {
+            throw new ValidationError('maxDownloads must be a positive integer');
+        }
+
+        const link = new ShareLink({
+            slug: ShareLink.generateSlug(),
+            fileId: file._id,
+            userId,
+            expiresAt: expiry,
+            maxDownloads: maxDownloads != null ? Number(maxDownloads) : null,
+        });
+        await link.setPassword(password);
+        await link.save();
+
+        logger.info('Share link created', {
+            linkId: link._id,
+            fileId,
+            userId,
+            hasPassword: !!password,
+            expiresAt: expiry,
+            maxDownloads: link.maxDownloads,
+        });
+
+        return this._formatLink(link, file);
+    }
+
+    /**
+     * List a user's share links
+     */
+    async listLinks(userId, options = {}) {
+        const { fileId, page = 1, limit = 20 } = options;
+        const skip = (page - 1) * limit;
+
+        const query = { userId };
+        if (fileId) {
+            if (!mongoose.isValidObjectId(fileId)) {
+                throw new ValidationError('Invalid fileId');
+            }
+            query.fileId = fileId;
+        }
+
+        const [links, total] = await Promise.all([
+            ShareLink.find(query)
+                .select('+passwordHash')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('fileId', 'originalName size mimeType isDeleted'),
+            ShareLink.countDocuments(query),
+        ]);
+
+        return {
+            links: links.map(link => this._formatLink(link, link.fileId)),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Revoke a share link (owner or admin)
+     */
+    async revokeLink(userId, linkId) {
+        const link = await ShareLink.findById(linkId);
+        if (!link) {
+            throw new NotFoundError('Share link');
+        }
+
+        if (link.userId.toString() !== userId.toString()) {
+            const User = (await import('../models/User.js')).default;
+            const user = await User.findById(userId);
+
+            if (!user || !user.isAdmin() || !twoFactorService.satisfiesPolicy(user)) {
+                throw new NotFoundError('Share link');
+            }
+        }
+
+        await link.revoke();
+
+        logger.info('Share link revoked', { linkId, userId });
+
+        return { success: true, message: 'Share link revoked' };
+    }
+
+    /**
+     * Public info about a link (no password needed)
+     */
+    async getLinkInfo(slug) {
+        const link = await this._resolve(slug);
+        const metadata = await downloadService.getFileMetadata(link.fileId.toString());
+
+        return {
+            filename: metadata.originalName,
+            mimeType: metadata.mimeType,
+            size: metadata.size,
+            hasPassword: !!link.passwordHash,
+            expiresAt: link.expiresAt,
+            remainingDownloads: link.remainingDownloads,
+            downloadUrl: `/api/share/${link.slug}`,
+        };
+    }
+
+    /**
+     * Prepare a download through a share link
+     * Capped links always serve the whole file so every transfer is counted
+     */
+    async prepareDownload(slug, options = {}) {
+        const { password } = options;
+        let { rangeHeader } = options;
+
+        const link = await this._resolve(slug);
+
+        if (link.passwordHash) {
+            if (!password) {
+                throw new AuthorizationError('Password required');
+            }
+            if (!(await link.comparePassword(password))) {
+                logger.warn('Share link password mismatch', { linkId: link._id });
+                throw new AuthorizationError('Invalid password');
+            }
+        }
+
+        const metadata = await downloadService.getFileMetadata(link.fileId.toString());
+
+        if (link.maxDownloads != null) {
+            rangeHeader = null;
+        }
+
+        // Checked before claiming, so a rejected download doesn't use up the link
+        const range = rangeHeader ? parseRange(rangeHeader, metadata.size) : null;
+        const speedLimit = await downloadService.checkBandwidth(
+            link.userId,
+            range ? (range.end - range.start + 1) : metadata.size
+        );
+
+        // Claim the download atomically so concurrent requests can't exceed the cap
+        if (!rangeHeader) {
+            const claimed = await ShareLink.claimDownload(link._id);
+            if (!claimed) {
+                throw new ShareLinkUnavailableError(this._unavailableReason(link));
+            }
+            link.downloadCount = claimed.downloadCount;
+        }
+
+        // Bandwidth is charged to the link owner
+        const result = await downloadService.streamFile(metadata, {
+            rangeHeader,
+            bandwidthUserId: link.userId,
+            speedLimit,
+        });
+
+        return { ...result, link };
+    }
+
+    /**
+     * Resolve an active folder share link
+     */
+    async getFolderLink(slug) {
+        return folderShareService.resolveLink(slug);
+    }
+
+    /**
+     * Browse a folder shared by link (the shared folder itself when folderId is omitted)
+     */
+    async getFolderContents(slug, folderId = null, options = {}) {
+        const share = await folderShareService.resolveLink(slug);
+
+        return folderService.getFolderContents(null, folderId || share.folderId.toString(), {
+            ...options,
+            shareSlug: slug,
+        });
+    }
+
+    /**
+     * Prepare a download of a file inside a folder shared by link
+     * Bandwidth is charged to the folder owner
+     */
+    async prepareFolderDownload(slug, fileId, options = {}) {
+        const { rangeHeader } = options;
+
+        await folderShareService.resolveLink(slug);
+
+        const metadata = await downloadService.getFileMetadata(fileId);
+        if (!metadata.folderId) {
+            throw new NotFoundError('File');
+        }
+
+        try {
+            await folderShareService.resolveAccess(metadata.folderId, { slug });
+        } catch (error) {
+            if (error instanceof NotFoundError) throw new NotFoundError('File');
+            throw error;
+        }
+
+        return downloadService.streamFile(metadata, {
+            rangeHeader,
+            bandwidthUserId: metadata.userId,
+        });
+    }
+
+    /**
+     * Look up a usable link by slug
+     */
+    async _resolve(slug) {
+        if (!slug || !SLUG_PATTERN.test(slug)) {
+            throw new NotFoundError('Share link');
+        }
+
+        const link = await ShareLink.findOne({ slug }).select('+passwordHash');
+        if (!link) {
+            throw new NotFoundError('Share link');
+        }
+
+        if (!link.isActive) {
+            throw new ShareLinkUnavailableError(this._unavailableReason(link));
+        }
+
+        return link;
+    }
+
+    /**
+     * Why a link can't be used
+     */
+    _unavailableReason(link) {
+        if (link.isRevoked) return 'revoked';
+        if (link.isExpired) return 'expired';
+        return 'download limit reached';
+    }
+
+    /**
+     * Format link for owner-facing responses
+     */
+    _formatLink(link, file = null) {
+        return {
+            id: link._id,
+            slug: link.slug,
+            url: `/api/share/${link.slug}`,
+            fileId: file?._id || link.fileId,
+            filename: file?.originalName,
+            hasPassword: !!link.passwordHash,
+            expiresAt: link.expiresAt,
+            maxDownloads: link.maxDownloads,
+            downloadCount: link.downloadCount,
+            remainingDownloads: link.remainingDownloads,
+            lastDownloadedAt: link.lastDownloadedAt,
+            isRevoked: link.isRevoked,
+            isActive: link.isActive && !file?.isDeleted,
+            createdAt: link.createdAt,
+        };
+    }
+}
+
+// Export singleton instance
+const shareLinkService = new ShareLinkService();
+export default shareLinkService;
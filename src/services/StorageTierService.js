@@ -6,6 +6,7 @@
 import config from '../config/index.js';
 import { File } from '../models/index.js';
 import storageProvider, { StorageTier } from '../providers/storage/index.js';
+import deduplicationService from './DeduplicationService.js';
 import logger from '../utils/logger.js';
 
 class StorageTierService {
@@ -94,6 +95,13 @@ class StorageTierService {
             // Update file record
             await file.updateTier(targetTier);
 
+            // Deduplicated files share the blob, so they moved too
+            await File.updateMany(
+                { storageKey: file.storageKey, _id: { $ne: file._id } },
+                { $set: { storageTier: targetTier, lastMigrationAt: new Date(), migrationStatus: 'completed' } }
+            );
+            await deduplicationService.updateTier(file.storageKey, targetTier);
+
             logger.info('File migrated', {
                 fileId,
                 storageKey: file.storageKey,
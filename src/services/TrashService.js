@@ -0,0 +1,466 @@
+/**
+ * Trash Service
+ * Restorable deletes for files and folders, with scheduled purge
+ *
+ * Trashed files keep their bytes and keep counting toward the owner's storage
+ * quota (reported separately as trash usage) until they are purged.
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { File, Folder, Quota, ShareLink } from '../models/index.js';
+import cacheProvider from '../providers/cache/index.js';
+import deduplicationService from './DeduplicationService.js';
+import versionService from './VersionService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+class TrashService {
+    /**
+     * Move a file to trash
+     */
+    async trashFile(file, trashRootId = null) {
+        if (file.isDeleted) {
+            throw new NotFoundError('File');
+        }
+
+        if (!(await file.moveToTrash(config.trash.retentionDays, trashRootId))) {
+            throw new NotFoundError('File');
+        }
+
+        try {
+            const quota = await Quota.getOrCreate(file.userId);
+            await quota.trashFile(file.storedSize);
+        } catch (error) {
+            // Put the file back rather than leave it in trash without its trash usage
+            await File.updateOne(
+                { _id: file._id, isDeleted: true, trashExpiresAt: file.trashExpiresAt },
+                { $set: { isDeleted: false, deletedAt: null, trashExpiresAt: null, trashRootId: null } }
+            );
+            throw error;
+        }
+
+        await cacheProvider.delete(`file:${file._id}`);
+
+        logger.info('File moved to trash', {
+            fileId: file._id,
+            userId: file.userId,
+            trashExpiresAt: file.trashExpiresAt,
+        });
+
+        return {
+            success: true,
+            message: 'File moved to trash',
+            trashExpiresAt: file.trashExpiresAt,
+        };
+    }
+
+    /**
+     * Move a folder, its subfolders and their files to trash
+     */
+    async trashFolder(folder) {
+        const now = new Date();
+        const trashExpiresAt = new Date(now.getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000);
+
+        const subtree = (await folder.getSubtree()).filter(f => !f.isDeleted);
+        const folderIds = subtree.map(f => f._id);
+
+        const files = await File.find({
+            userId: folder.userId,
+            folderId: { $in: folderIds },
+            isDeleted: false,
+        });
+
+        // Folders first, so a moved file is never left under a root folder that isn't in trash
+        // (trash lists and restores such files through that folder)
+        await Folder.updateMany(
+            { _id: { $in: folderIds } },
+            {
+                $set: {
+                    isDeleted: true,
+                    deletedAt: now,
+                    trashExpiresAt,
+                    trashRootId: folder._id,
+                },
+            }
+        );
+
+        const trashed = [];
+        try {
+            for (const file of files) {
+                try {
+                    await this.trashFile(file, folder._id);
+                    trashed.push(file);
+                } catch (error) {
+                    // Trashed on its own meanwhile
+                    if (!(error instanceof NotFoundError)) throw error;
+                }
+            }
+        } catch (error) {
+            await this._undoTrashFolder(folder, folderIds, trashed);
+            throw error;
+        }
+
+        logger.info('Folder moved to trash', {
+            folderId: folder._id,
+            folders: folderIds.length,
+            files: files.length,
+        });
+
+        return {
+            success: true,
+            message: 'Folder moved to trash',
+            folders: folderIds.length,
+            files: files.length,
+            trashExpiresAt,
+        };
+    }
+
+    /**
+     * List a user's trash (folders that were deleted, and files deleted on their own)
+     */
+    async listTrash(userId, options = {}) {
+        const { page = 1, limit = 50 } = options;
+        const skip = (page - 1) * limit;
+
+        const fileQuery = {
+            userId,
+            isDeleted: true,
+            trashExpiresAt: { $ne: null },
+            trashRootId: null,
+        };
+
+        const [folders, files, totalFiles, quota] = await Promise.all([
+            Folder.find({ userId, isDeleted: true, $expr: { $eq: ['$trashRootId', '$_id'] } })
+                .sort({ deletedAt: -1 })
+                .lean(),
+            File.find(fileQuery)
+                .sort({ deletedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            File.countDocuments(fileQuery),
+            Quota.getOrCreate(userId),
+        ]);
+
+        // Size of each trashed folder's contents
+        const folderSizes = await File.aggregate([
+            {
+                $match: {
+                    userId: new mongoose.Types.ObjectId(userId),
+                    trashRootId: { $in: folders.map(f => f._id) },
+                },
+            },
+            { $group: { _id: '$trashRootId', size: { $sum: '$size' }, count: { $sum: 1 } } },
+        ]);
+        const sizeByFolder = new Map(folderSizes.map(s => [s._id.toString(), s]));
+
+        return {
+            folders: folders.map(f => ({
+                id: f._id,
+                name: f.name,
+                path: f.path,
+                type: 'folder',
+                size: sizeByFolder.get(f._id.toString())?.size || 0,
+                fileCount: sizeByFolder.get(f._id.toString())?.count || 0,
+                deletedAt: f.deletedAt,
+                trashExpiresAt: f.trashExpiresAt,
+            })),
+            files: files.map(f => ({
+                id: f._id,
+                filename: f.originalName,
+                mimeType: f.mimeType,
+                size: f.size,
+                type: 'file',
+                folderId: f.folderId,
+                deletedAt: f.deletedAt,
+                trashExpiresAt: f.trashExpiresAt,
+            })),
+            usage: {
+                storage: quota.usage.trash.storage,
+                files: quota.usage.trash.files,
+                countsTowardQuota: true,
+            },
+            retentionDays: config.trash.retentionDays,
+            pagination: {
+                page,
+                limit,
+                totalFiles,
+                totalFolders: folders.length,
+            },
+        };
+    }
+
+    /**
+     * Restore a file from trash
+     * Files whose folder is gone or still in trash are restored to the root
+     */
+    async restoreFile(userId, fileId) {
+        const file = await File.findOne({
+            _id: fileId,
+            userId,
+            isDeleted: true,
+            trashExpiresAt: { $ne: null },
+        });
+
+        if (!file) {
+            throw new NotFoundError('File in trash');
+        }
+
+        let folderId = file.folderId;
+        if (folderId) {
+            const folder = await Folder.findOne({ _id: folderId, userId, isDeleted: { $ne: true } });
+            if (!folder) folderId = null;
+        }
+
+        await file.restoreFromTrash(folderId);
+
+        const quota = await Quota.getOrCreate(userId);
+        await quota.restoreFile(file.storedSize);
+
+        logger.info('File restored from trash', { fileId, userId, folderId });
+
+        return { success: true, message: 'File restored', folderId };
+    }
+
+    /**
+     * Restore a deleted folder with everything that was trashed along with it
+     */
+    async restoreFolder(userId, folderId) {
+        const folder = await Folder.findOne({
+            _id: folderId,
+            userId,
+            isDeleted: true,
+            trashRootId: folderId,
+        });
+
+        if (!folder) {
+            throw new NotFoundError('Folder in trash');
+        }
+
+        // Restore to root if the original parent is gone or in trash
+        let parentId = folder.parentId;
+        if (parentId) {
+            const parent = await Folder.findOne({ _id: parentId, userId, isDeleted: { $ne: true } });
+            if (!parent) parentId = null;
+        }
+
+        // Avoid clashing with a live folder created meanwhile
+        const name = await this._getAvailableName(userId, parentId, folder.name);
+
+        const oldPath = folder.path;
+        folder.parentId = parentId;
+        folder.name = name;
+        folder.isDeleted = false;
+        folder.deletedAt = null;
+        folder.trashExpiresAt = null;
+        folder.trashRootId = null;
+        await folder.save();
+        await folder.updateDescendantPaths(oldPath);
+
+        await Folder.updateMany(
+            { userId, trashRootId: folder._id },
+            { $set: { isDeleted: false, deletedAt: null, trashExpiresAt: null, trashRootId: null } }
+        );
+
+        const files = await File.find({ userId, isDeleted: true, trashRootId: folder._id });
+        const quota = await Quota.getOrCreate(userId);
+
+        for (const file of files) {
+            await file.restoreFromTrash();
+            await quota.restoreFile(file.storedSize);
+        }
+
+        logger.info('Folder restored from trash', { folderId, userId, files: files.length });
+
+        return {
+            success: true,
+            message: 'Folder restored',
+            folder: folder.toJSON(),
+            files: files.length,
+        };
+    }
+
+    /**
+     * Permanently delete everything in a user's trash
+     */
+    async emptyTrash(userId) {
+        const files = await File.find({ userId, isDeleted: true, trashExpiresAt: { $ne: null } });
+
+        let purged = 0;
+        let bytes = 0;
+
+        for (const file of files) {
+            await this.purgeFile(file);
+            purged++;
+            bytes += file.storedSize;
+        }
+
+        const folders = await Folder.deleteMany({ userId, isDeleted: true });
+
+        logger.info('Trash emptied', { userId, files: purged, folders: folders.deletedCount, bytes });
+
+        return {
+            success: true,
+            files: purged,
+            folders: folders.deletedCount,
+            bytesFreed: bytes,
+        };
+    }
+
+    /**
+     * Permanently delete a file (live or trashed)
+     * Releases its blob and removes it from the owner's quota
+     */
+    async purgeFile(file) {
+        const fromTrash = file.isDeleted && !!file.trashExpiresAt;
+
+        // Files deleted before the trash existed already released their bytes and quota
+        if (file.isDeleted && !fromTrash) {
+            await File.deleteOne({ _id: file._id });
+            await ShareLink.deleteMany({ fileId: file._id });
+            return { success: true, fileId: file._id };
+        }
+
+        await deduplicationService.release(file);
+        await versionService.releaseVersions(file);
+        await File.deleteOne({ _id: file._id });
+        await ShareLink.deleteMany({ fileId: file._id });
+
+        const quota = await Quota.getOrCreate(file.userId);
+        await quota.removeFile(file.storedSize, fromTrash);
+
+        await cacheProvider.delete(`file:${file._id}`);
+
+        logger.info('File permanently deleted', {
+            fileId: file._id,
+            userId: file.userId,
+            size: file.size,
+            fromTrash,
+        });
+
+        return { success: true, fileId: file._id };
+    }
+
+    /**
+     * Purge trash items past their retention
+     */
+    async purgeExpiredBatch(limit = 100) {
+        const files = await File.findPurgeableFiles(limit);
+
+        const results = {
+            processed: 0,
+            purged: 0,
+            failed: 0,
+            folders: 0,
+            errors: [],
+        };
+
+        for (const file of files) {
+            results.processed++;
+
+            try {
+                await this.purgeFile(file);
+                results.purged++;
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ fileId: file._id, error: error.message });
+                logger.error('Failed to purge trashed file', { fileId: file._id, error: error.message });
+            }
+        }
+
+        results.folders = await this.purgeExpiredFolders(limit);
+
+        if (results.processed > 0 || results.folders > 0) {
+            logger.info('Trash purge batch processed', results);
+        }
+
+        return results;
+    }
+
+    /**
+     * Purge a trashed file if its retention has run out
+     */
+    async purgeExpiredFile(fileId) {
+        const file = await File.findOne({
+            _id: fileId,
+            isDeleted: true,
+            trashExpiresAt: { $lte: new Date() },
+        });
+
+        // Restored or already purged since it was found
+        if (!file) {
+            return { success: false, message: 'File not purgeable' };
+        }
+
+        return this.purgeFile(file);
+    }
+
+    /**
+     * Delete trashed folders past their retention
+     * Expired folders go once none of their trashed files are left
+     * @returns {Promise<number>} Number of folders deleted
+     */
+    async purgeExpiredFolders(limit = 100) {
+        const expiredFolders = await Folder.find({
+            isDeleted: true,
+            trashExpiresAt: { $lte: new Date() },
+        }).limit(limit);
+
+        let deleted = 0;
+
+        for (const folder of expiredFolders) {
+            const remaining = await File.countDocuments({ folderId: folder._id, isDeleted: true, trashExpiresAt: { $ne: null } });
+            if (remaining === 0) {
+                await Folder.deleteOne({ _id: folder._id });
+                deleted++;
+            }
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Put back a folder whose move to trash failed partway, with the files already moved
+     */
+    async _undoTrashFolder(folder, folderIds, trashedFiles) {
+        const quota = await Quota.getOrCreate(folder.userId);
+
+        for (const file of trashedFiles) {
+            await file.restoreFromTrash();
+            await quota.restoreFile(file.storedSize);
+            await cacheProvider.delete(`file:${file._id}`);
+        }
+
+        await Folder.updateMany(
+            { _id: { $in: folderIds }, trashRootId: folder._id },
+            { $set: { isDeleted: false, deletedAt: null, trashExpiresAt: null, trashRootId: null } }
+        );
+
+        logger.warn('Folder move to trash undone', { folderId: folder._id, files: trashedFiles.length });
+    }
+
+    /**
+     * Find a folder name not used by a live sibling
+     */
+    async _getAvailableName(userId, parentId, name) {
+        let candidate = name;
+
+        for (let i = 1; ; i++) {
+            const existing = await Folder.findOne({
+                userId,
+                parentId: parentId || null,
+                name: candidate,
+                isDeleted: { $ne: true },
+            });
+            if (!existing) return candidate;
+
+            candidate = `${name} (restored${i > 1 ? ` ${i}` : ''})`;
+            if (i > 100) throw new ValidationError('Could not find a free name for restored folder');
+        }
+    }
+}
+
+// Export singleton instance
+const trashService = new TrashService();
+export default trashService;
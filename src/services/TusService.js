@@ -0,0 +1,329 @@
+/**
+ * Tus Service
+ * tus 1.0 resumable upload protocol on top of UploadService sessions
+ *
+ * Supports the core protocol plus the creation, termination, checksum and
+ * expiration extensions. PATCH bodies of any size are re-cut into the
+ * session's fixed-size chunks; bytes that don't fill a whole chunk yet are
+ * kept in the session store until the next PATCH arrives.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import { UploadSession } from '../models/index.js';
+import storageProvider from '../providers/storage/index.js';
+import uploadService from './UploadService.js';
+import { md5 } from '../utils/hash.js';
+import { UploadError, ValidationError, SessionExpiredError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+export const TUS_VERSION = '1.0.0';
+export const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+
+/**
+ * Upload-Checksum algorithms (tus names → node crypto names)
+ */
+export const TUS_CHECKSUM_ALGORITHMS = {
+    md5: 'md5',
+    sha1: 'sha1',
+    sha256: 'sha256',
+};
+
+/**
+ * Keys for partial chunk data and PATCH locks
+ */
+const TAIL_PREFIX = 'tus_tail:';
+const LOCK_PREFIX = 'tus_lock:';
+
+/**
+ * How long a PATCH may hold the upload lock (refreshed per chunk)
+ */
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+class TusService {
+    /**
+     * Create an upload (creation extension)
+     * @param {Object} options - { length, metadata } where metadata is the parsed Upload-Metadata
+     * @returns {Promise<Object>} { sessionId, expiresAt, completed, file }
+     */
+    async createUpload(userId, { length, metadata = {} }) {
+        const size = Number(length);
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new ValidationError('Upload-Length must be a non-negative integer');
+        }
+
+        const filename = metadata.filename || metadata.name;
+        if (!filename) {
+            throw new ValidationError('Upload-Metadata must include a filename');
+        }
+
+        const result = await uploadService.initializeUpload(userId, {
+            filename,
+            size,
+            hash: metadata.hash || metadata.sha256,
+            mimeType: metadata.filetype || metadata.type,
+            folderId: metadata.folderId || null,
+            shareToken: metadata.shareToken,
+        });
+
+        logger.info('Tus upload created', { sessionId: result.sessionId, userId, size });
+
+        // Clients never PATCH an empty upload (its offset already equals its length): complete it now
+        if (size === 0) {
+            const file = await uploadService.completeUpload(result.sessionId, userId);
+
+            logger.info('Tus upload completed', { sessionId: result.sessionId, userId, fileId: file.fileId });
+
+            return { sessionId: result.sessionId, expiresAt: null, completed: true, file };
+        }
+
+        return {
+            sessionId: result.sessionId,
+            expiresAt: result.expiresAt,
+            completed: false,
+        };
+    }
+
+    /**
+     * Current state of an upload (HEAD)
+     * Completed uploads report their full length so clients don't re-send them
+     */
+    async getUploadInfo(sessionId, userId) {
+        let session;
+        try {
+            session = await uploadService.getSession(sessionId, userId);
+        } catch (error) {
+            if (!(error instanceof SessionExpiredError)) throw error;
+
+            const completed = await UploadSession.findOne({ sessionId, userId, status: 'completed' });
+            if (!completed) throw error;
+
+            return {
+                offset: completed.totalSize,
+                length: completed.totalSize,
+                expiresAt: null,
+                fileId: completed.fileId,
+            };
+        }
+
+        return {
+            offset: await this._getOffset(session),
+            length: session.totalSize,
+            expiresAt: session.expiresAt,
+        };
+    }
+
+    /**
+     * Append a PATCH body to an upload
+     * @param {Readable} body - Request body stream
+     * @param {Object} options - { offset, checksum } from Upload-Offset and Upload-Checksum
+     * @returns {Promise<Object>} { offset, expiresAt, completed, file }
+     */
+    async appendData(sessionId, userId, body, { offset, checksum }) {
+        const session = await uploadService.getSession(sessionId, userId);
+
+        const expectedChecksum = checksum ? this._parseChecksum(checksum) : null;
+
+        const lockToken = await this._acquireLock(sessionId);
+        try {
+            const currentOffset = await this._getOffset(session);
+            if (Number(offset) !== currentOffset) {
+                throw new UploadError(
+                    `Upload-Offset ${offset} does not match current offset ${currentOffset}`,
+                    409,
+                    'OFFSET_MISMATCH'
+                );
+            }
+
+            const result = await this._receive(session, body, currentOffset, expectedChecksum, lockToken);
+
+            if (result.offset < session.totalSize) {
+                return { offset: result.offset, expiresAt: session.expiresAt, completed: false };
+            }
+
+            // All bytes are in: assemble the file
+            const file = await uploadService.completeUpload(sessionId, userId);
+            await sessionStore.delete(`${TAIL_PREFIX}${sessionId}`);
+
+            logger.info('Tus upload completed', { sessionId, userId, fileId: file.fileId });
+
+            return { offset: result.offset, expiresAt: null, completed: true, file };
+        } finally {
+            await this._releaseLock(sessionId, lockToken);
+        }
+    }
+
+    /**
+     * Terminate an upload (termination extension)
+     */
+    async terminateUpload(sessionId, userId) {
+        await uploadService.getSession(sessionId, userId);
+        await uploadService.abortUpload(sessionId, userId);
+        await sessionStore.delete(`${TAIL_PREFIX}${sessionId}`);
+
+        logger.info('Tus upload terminated', { sessionId, userId });
+    }
+
+    /**
+     * Parse an Upload-Metadata header ("key base64value,key2 base64value2,flag")
+     */
+    parseMetadata(header) {
+        const metadata = {};
+        if (!header) return metadata;
+
+        for (const pair of header.split(',')) {
+            const [key, value] = pair.trim().split(' ');
+            if (!key) continue;
+            metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Read a PATCH body, writing every completed chunk to storage
+     * Without a checksum, bytes received before a failure or dropped connection are kept.
+     * With a checksum, nothing from this PATCH is kept unless it matches.
+     */
+    async _receive(session, body, startOffset, expectedChecksum, lockToken) {
+        const { sessionId, chunkSize, totalSize } = session;
+        const tailKey = `${TAIL_PREFIX}${sessionId}`;
+
+        const tail = await sessionStore.getBuffer(tailKey);
+        let buffers = tail ? [tail] : [];
+        let buffered = tail ? tail.length : 0;
+        let chunkIndex = Math.floor((startOffset - buffered) / chunkSize);
+        let received = 0;
+
+        const hash = expectedChecksum ? crypto.createHash(expectedChecksum.algorithm) : null;
+        const pendingCommits = [];
+
+        const expectedSize = (index) => Math.min(chunkSize, totalSize - index * chunkSize);
+
+        const flushChunks = async () => {
+            while (chunkIndex * chunkSize < totalSize && buffered >= expectedSize(chunkIndex)) {
+                const size = expectedSize(chunkIndex);
+                const all = Buffer.concat(buffers, buffered);
+                const chunk = all.subarray(0, size);
+
+                await storageProvider.writeChunk(sessionId, chunkIndex, chunk);
+                const commit = { index: chunkIndex, size, hash: md5(chunk) };
+
+                if (hash) {
+                    pendingCommits.push(commit);
+                } else {
+                    await uploadService.commitChunk(sessionId, commit.index, commit.size, commit.hash);
+                }
+
+                // Only drop the bytes once they are safely stored
+                buffers = [all.subarray(size)];
+                buffered -= size;
+                chunkIndex++;
+
+                await this._refreshLock(sessionId, lockToken);
+            }
+        };
+
+        let failure = null;
+
+        try {
+            for await (const data of body) {
+                if (startOffset + received + data.length > totalSize) {
+                    throw new UploadError('PATCH body exceeds Upload-Length', 413, 'UPLOAD_LENGTH_EXCEEDED');
+                }
+
+                received += data.length;
+                if (hash) hash.update(data);
+                buffers.push(data);
+                buffered += data.length;
+
+                await flushChunks();
+            }
+        } catch (error) {
+            failure = error;
+            logger.warn('Tus PATCH ended early', { sessionId, received, error: error.message });
+        }
+
+        if (hash) {
+            if (failure) throw failure;
+
+            const actual = hash.digest('base64');
+            if (actual !== expectedChecksum.value) {
+                throw new UploadError('Upload-Checksum does not match', 460, 'CHECKSUM_MISMATCH');
+            }
+
+            for (const commit of pendingCommits) {
+                await uploadService.commitChunk(sessionId, commit.index, commit.size, commit.hash);
+            }
+        }
+
+        // Keep bytes that don't fill a chunk yet for the next PATCH
+        if (buffered > 0) {
+            await sessionStore.set(tailKey, Buffer.concat(buffers, buffered), config.upload.sessionTtl);
+        } else {
+            await sessionStore.delete(tailKey);
+        }
+
+        if (failure) throw failure;
+
+        return { offset: startOffset + received };
+    }
+
+    /**
+     * Offset = contiguous stored chunks + bytes waiting for the next chunk
+     */
+    async _getOffset(session) {
+        const completed = new Set(await uploadService.getCompletedChunks(session.sessionId));
+
+        let contiguous = 0;
+        while (completed.has(contiguous)) contiguous++;
+
+        if (contiguous >= session.totalChunks) {
+            return session.totalSize;
+        }
+
+        const tailLength = await sessionStore.strlen(`${TAIL_PREFIX}${session.sessionId}`);
+        return contiguous * session.chunkSize + tailLength;
+    }
+
+    /**
+     * Parse an Upload-Checksum header ("<algorithm> <base64 digest>")
+     */
+    _parseChecksum(header) {
+        const [algorithm, value] = String(header).trim().split(' ');
+
+        if (!TUS_CHECKSUM_ALGORITHMS[algorithm] || !value) {
+            throw new UploadError(`Unsupported checksum algorithm: ${algorithm}`, 400, 'CHECKSUM_ALGORITHM_UNSUPPORTED');
+        }
+
+        return { algorithm: TUS_CHECKSUM_ALGORITHMS[algorithm], value };
+    }
+
+    /**
+     * Only one PATCH may write to an upload at a time
+     */
+    async _acquireLock(sessionId) {
+        const token = uuidv4();
+        const acquired = await sessionStore.acquireLock(`${LOCK_PREFIX}${sessionId}`, token, LOCK_TTL_MS);
+
+        if (!acquired) {
+            throw new UploadError('Upload is locked by another request', 423, 'UPLOAD_LOCKED');
+        }
+
+        return token;
+    }
+
+    async _refreshLock(sessionId, token) {
+        await sessionStore.renewLock(`${LOCK_PREFIX}${sessionId}`, token, LOCK_TTL_MS);
+    }
+
+    async _releaseLock(sessionId, token) {
+        await sessionStore.releaseLock(`${LOCK_PREFIX}${sessionId}`, token);
+    }
+}
+
+// Export singleton instance
+const tusService = new TusService();
+export default tusService;
@@ -0,0 +1,235 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification and recovery codes
+ *
+ * TOTP secrets are stored encrypted (they are needed to compute codes);
+ * recovery codes are stored as SHA-256 hashes and shown once.
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { User } from '../models/index.js';
+import { encryptSecret, decryptSecret, sha256 } from '../utils/hash.js';
+import { generateSecret, verifyCode, otpauthUri, base32Encode } from '../utils/totp.js';
+import { AuthenticationError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Key source for encrypting stored secrets
+ */
+function encryptionKey() {
+    return config.twoFactor.secretEncryptionKey || `two-factor:${config.jwt.accessSecret}`;
+}
+
+/**
+ * Recovery codes are compared without case, spaces or dashes
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+class TwoFactorService {
+    /**
+     * Whether the user's role must have 2FA enabled
+     */
+    isRequired(user) {
+        return config.twoFactor.requiredRoles.includes(user.role);
+    }
+
+    /**
+     * Whether the user may use their role's privileges (2FA enabled where required)
+     */
+    satisfiesPolicy(user) {
+        return !this.isRequired(user) || !!user.twoFactor?.enabled;
+    }
+
+    /**
+     * 2FA status of a user
+     */
+    async getStatus(userId) {
+        const user = await this._load(userId);
+
+        return {
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            required: this.isRequired(user),
+            recoveryCodesRemaining: user.twoFactor.enabled
+                ? user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+                : 0,
+        };
+    }
+
+    /**
+     * Start enrollment: a new secret to add to an authenticator app
+     * It only takes effect once confirmed with enable().
+     */
+    async beginSetup(userId) {
+        const user = await this._load(userId);
+        if (user.twoFactor.enabled) {
+            throw new ValidationError('Two-factor authentication is already enabled');
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = encryptSecret(secret, encryptionKey());
+        await user.save();
+
+        return {
+            secret,
+            otpauthUri: otpauthUri({ secret, account: user.email, issuer: config.twoFactor.issuer }),
+        };
+    }
+
+    /**
+     * Finish enrollment with a code from the app
+     * Other sessions are signed out, as they were not established with 2FA.
+     * @param {string} currentSessionId - Session of the request (kept)
+     * @returns {Promise<Object>} { recoveryCodes } (shown once)
+     */
+    async enable(userId, code, currentSessionId = null) {
+        const user = await this._load(userId);
+        if (user.twoFactor.enabled) {
+            throw new ValidationError('Two-factor authentication is already enabled');
+        }
+        if (!user.twoFactor.pendingSecret) {
+            throw new ValidationError('Start two-factor setup first');
+        }
+
+        const secret = decryptSecret(user.twoFactor.pendingSecret, encryptionKey());
+        const step = verifyCode(secret, code);
+        if (step === null) {
+            throw new ValidationError('Invalid two-factor code');
+        }
+
+        const recoveryCodes = this._generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = recoveryCodes.map(c => ({ hash: sha256(normalizeRecoveryCode(c)) }));
+        user.refreshTokens = user.refreshTokens.filter(t => t._id.toString() === currentSessionId);
+        await user.save();
+
+        logger.info('Two-factor authentication enabled', { userId });
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Turn 2FA off (needs the password and a current code or recovery code)
+     */
+    async disable(userId, { password, code, recoveryCode }) {
+        const user = await this._load(userId);
+        if (!user.twoFactor.enabled) {
+            throw new ValidationError('Two-factor authentication is not enabled');
+        }
+        if (this.isRequired(user)) {
+            throw new ValidationError(`Two-factor authentication is required for the ${user.role} role`);
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            throw new AuthenticationError('Password is incorrect');
+        }
+        if (!(await this.verify(user._id, { code, recoveryCode }))) {
+            throw new AuthenticationError('Invalid two-factor code');
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+            },
+        });
+
+        logger.info('Two-factor authentication disabled', { userId });
+    }
+
+    /**
+     * Replace the recovery codes (needs a current code)
+     * @returns {Promise<Object>} { recoveryCodes } (shown once)
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        const user = await this._load(userId);
+        if (!user.twoFactor.enabled) {
+            throw new ValidationError('Two-factor authentication is not enabled');
+        }
+        if (!(await this.verify(user._id, { code }))) {
+            throw new AuthenticationError('Invalid two-factor code');
+        }
+
+        const recoveryCodes = this._generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(c => ({ hash: sha256(normalizeRecoveryCode(c)), usedAt: null })) },
+        });
+
+        logger.info('Recovery codes regenerated', { userId });
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Check a TOTP code or a recovery code, using it up
+     * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted, null otherwise
+     */
+    async verify(userId, { code, recoveryCode }) {
+        const user = await this._load(userId);
+        if (!user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+        if (code) {
+            const secret = decryptSecret(user.twoFactor.secret, encryptionKey());
+            const step = verifyCode(secret, code, { afterStep: user.twoFactor.lastUsedStep || 0 });
+            if (step === null) return null;
+
+            // Conditional on the last step, so one code can't be used twice concurrently
+            const result = await User.updateOne(
+                { _id: user._id, 'twoFactor.lastUsedStep': user.twoFactor.lastUsedStep },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            return result.modifiedCount === 1 ? 'totp' : null;
+        }
+
+        if (recoveryCode) {
+            const hash = sha256(normalizeRecoveryCode(recoveryCode));
+            const result = await User.updateOne(
+                { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+                { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+            );
+            if (result.modifiedCount !== 1) return null;
+
+            logger.info('Recovery code used', { userId });
+            return 'recovery_code';
+        }
+
+        return null;
+    }
+
+    // ==================== Private Methods ====================
+
+    async _load(userId) {
+        const user = await User.findById(userId).select(SECRET_FIELDS);
+        if (!user) {
+            throw new AuthenticationError('User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Random recovery codes ("xxxxx-xxxxx")
+     */
+    _generateRecoveryCodes() {
+        return Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+            const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    }
+}
+
+// Export singleton instance
+const twoFactorService = new TwoFactorService();
+export default twoFactorService;
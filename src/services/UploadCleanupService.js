@@ -4,7 +4,7 @@
  */
 import fs from 'fs/promises';
 import path from 'path';
-import { UploadSession } from '../models/index.js';
+import { UploadSession, Quota } from '../models/index.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
@@ -71,7 +71,8 @@ class UploadCleanupService {
                     bytesFreed += stats.bytes;
                     foldersCleaned += stats.deleted ? 1 : 0;
 
-                    // Delete session from database
+                    // Give back reserved quota, then delete session from database
+                    await Quota.releaseReservation(session.ownerId || session.userId, session.sessionId);
                     await UploadSession.deleteOne({ _id: session._id });
                     sessionsCleaned++;
                 } catch (err) {
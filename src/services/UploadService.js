@@ -3,33 +3,42 @@
  * Handles chunked file uploads with resume support
  */
 
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config/index.js';
-import { sessionClient } from '../config/redis.js';
-import { File, UploadSession, Quota } from '../models/index.js';
+import { File, UploadSession, Quota, SharePermission, User } from '../models/index.js';
 import storageProvider, { StorageTier } from '../providers/storage/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import deduplicationService from './DeduplicationService.js';
+import folderShareService from './FolderShareService.js';
+import versionService from './VersionService.js';
+import fileProcessingService from './FileProcessingService.js';
 import { md5, sha256, verifyHash } from '../utils/hash.js';
-import { sanitizeFilename, validateFileType } from '../middleware/security.js';
+import { sanitizeFilename, validateFileType, validateFileContent } from '../middleware/security.js';
 import { getMimeType } from '../utils/stream.js';
+import { SNIFF_LENGTH } from '../utils/fileType.js';
 import {
     ValidationError,
     UploadError,
     ChunkValidationError,
     SessionExpiredError,
     FileSizeLimitError,
+    EmailNotVerifiedError,
 } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 /**
- * Redis key prefix for upload sessions
+ * Key prefix for upload sessions
  */
 const SESSION_PREFIX = 'upload_session:';
 
 class UploadService {
     /**
      * Initialize an upload session
+     * Uploading into a folder shared with write access (by email, or by link via
+     * shareToken) stores the file for the folder owner, against the owner's quota.
      */
-    async initializeUpload(userId, { filename, size, hash, mimeType, folderId }) {
+    async initializeUpload(userId, { filename, size, hash, mimeType, folderId, shareToken }) {
         // Validate filename
         const sanitizedFilename = sanitizeFilename(filename);
 
@@ -39,14 +48,25 @@ class UploadService {
         // Validate file type
         validateFileType(detectedMimeType, sanitizedFilename);
 
-        // Check user quota
-        const quota = await Quota.getOrCreate(userId);
-        const canUpload = await quota.canUpload(size);
+        if (config.accounts.requireVerifiedEmailForUploads) {
+            const uploader = await User.findById(userId).select('emailVerified');
+            if (!uploader?.emailVerified) {
+                throw new EmailNotVerifiedError('Verify your email address before uploading');
+            }
+        }
 
-        if (!canUpload.allowed) {
-            throw new ValidationError(canUpload.reasons[0].message, {
-                reasons: canUpload.reasons,
-            });
+        // Resolve target folder and who the file will belong to
+        let ownerId = userId;
+        let shareId = null;
+
+        if (folderId) {
+            const access = await folderShareService.resolveAccess(
+                folderId,
+                { userId, slug: shareToken },
+                SharePermission.WRITE
+            );
+            ownerId = access.ownerId;
+            shareId = access.share?._id || null;
         }
 
         // Calculate chunks
@@ -55,30 +75,47 @@ class UploadService {
 
         // Generate session ID
         const sessionId = uuidv4();
+        const expiresAt = new Date(Date.now() + config.upload.sessionTtl * 1000);
+
+        // Hold the space in the owner's quota until the upload completes or ends
+        await this._reserveQuota(ownerId, sessionId, size, expiresAt);
 
         // Create session in MongoDB for persistence
-        const session = await UploadSession.create({
-            sessionId,
-            userId,
-            filename: sanitizedFilename,
-            mimeType: detectedMimeType,
-            totalSize: size,
-            expectedHash: hash,
-            folderId: folderId || null,
-            chunkSize,
-            totalChunks,
-            expiresAt: new Date(Date.now() + config.upload.sessionTtl * 1000),
-        });
+        let session;
+        try {
+            session = await UploadSession.create({
+                sessionId,
+                userId,
+                filename: sanitizedFilename,
+                mimeType: detectedMimeType,
+                totalSize: size,
+                expectedHash: hash ? hash.toLowerCase() : undefined,
+                folderId: folderId || null,
+                ownerId: shareId ? ownerId : null,
+                shareId,
+                chunkSize,
+                totalChunks,
+                expiresAt,
+            });
+        } catch (error) {
+            await Quota.releaseReservation(ownerId, sessionId);
+            throw error;
+        }
+
+        // Offer a chunk-less upload when this content is already stored
+        const instantUpload = await this._createPossessionChallenge(session);
 
-        // Cache session data in Redis for fast access
+        // Cache session data for fast access
         await this._cacheSession(session);
 
         logger.info('Upload session created', {
             sessionId,
             userId,
+            ...(shareId && { ownerId, shareId }),
             filename: sanitizedFilename,
             size,
             totalChunks,
+            instantUploadAvailable: !!instantUpload,
         });
 
         return {
@@ -87,6 +124,7 @@ class UploadService {
             totalChunks,
             expiresAt: session.expiresAt,
             uploadUrls: this._generateChunkUrls(sessionId, totalChunks),
+            ...(instantUpload && { instantUpload }),
         };
     }
 
@@ -145,18 +183,16 @@ class UploadService {
             );
         }
 
+        // Turn away disguised content before the rest is uploaded
+        if (chunkIndex === 0) {
+            validateFileContent(session.mimeType, chunkData, session.filename);
+        }
+
         // Store chunk
         await storageProvider.writeChunk(sessionId, chunkIndex, chunkData);
 
         // Mark chunk as completed
-        const computedHash = md5(chunkData);
-        await this._markChunkComplete(sessionId, chunkIndex, chunkData.length, computedHash);
-
-        // Update MongoDB session
-        const dbSession = await UploadSession.findOne({ sessionId });
-        if (dbSession) {
-            await dbSession.markChunkComplete(chunkIndex, chunkData.length, computedHash);
-        }
+        await this.commitChunk(sessionId, chunkIndex, chunkData.length, md5(chunkData));
 
         const progress = await this._getProgress(sessionId);
 
@@ -175,6 +211,127 @@ class UploadService {
         };
     }
 
+    /**
+     * Record a chunk already written to storage as complete
+     */
+    async commitChunk(sessionId, chunkIndex, size, hash) {
+        await this._markChunkComplete(sessionId, chunkIndex, size, hash);
+
+        // Update MongoDB session
+        const dbSession = await UploadSession.findOne({ sessionId });
+        if (dbSession) {
+            await dbSession.markChunkComplete(chunkIndex, size, hash);
+        }
+    }
+
+    /**
+     * Write a whole upload from a stream, cutting it into the session's chunks
+     * @param {AsyncIterable<Buffer>} source - File contents (exactly the session's size)
+     * @returns {Promise<number>} Bytes written
+     */
+    async writeStream(sessionId, source) {
+        const session = await this._getSession(sessionId);
+
+        if (!session) {
+            throw new SessionExpiredError(sessionId);
+        }
+
+        let buffers = [];
+        let buffered = 0;
+        let chunkIndex = 0;
+        let received = 0;
+
+        const flush = async (size) => {
+            const all = Buffer.concat(buffers, buffered);
+            const chunk = all.subarray(0, size);
+
+            if (chunkIndex === 0) {
+                validateFileContent(session.mimeType, chunk, session.filename);
+            }
+
+            await storageProvider.writeChunk(sessionId, chunkIndex, chunk);
+            await this.commitChunk(sessionId, chunkIndex, size, md5(chunk));
+
+            buffers = [all.subarray(size)];
+            buffered -= size;
+            chunkIndex++;
+        };
+
+        for await (const data of source) {
+            received += data.length;
+            if (received > session.totalSize) {
+                throw new UploadError('Upload exceeds the declared size', 400, 'SIZE_MISMATCH');
+            }
+
+            buffers.push(data);
+            buffered += data.length;
+
+            while (buffered >= session.chunkSize) {
+                await flush(session.chunkSize);
+            }
+        }
+
+        if (received !== session.totalSize) {
+            throw new UploadError(
+                `Upload incomplete. Expected ${session.totalSize} bytes, received ${received}`,
+                400,
+                'SIZE_MISMATCH'
+            );
+        }
+
+        if (buffered > 0) {
+            await flush(buffered);
+        }
+
+        return received;
+    }
+
+    /**
+     * Set the final size of a session opened before its size was known
+     * (S3 multipart uploads), reserving the owner's quota for that size
+     */
+    async resizeSession(sessionId, userId, totalSize, totalChunks) {
+        const session = await this.getSession(sessionId, userId);
+
+        await this._reserveQuota(session.ownerId || userId, sessionId, totalSize, session.expiresAt);
+
+        const dbSession = await UploadSession.findOneAndUpdate(
+            { sessionId },
+            { totalSize, totalChunks },
+            { new: true }
+        );
+
+        if (!dbSession) {
+            throw new SessionExpiredError(sessionId);
+        }
+
+        await this._cacheSession(dbSession);
+    }
+
+    /**
+     * Get an active session, verifying it belongs to the user
+     */
+    async getSession(sessionId, userId) {
+        const session = await this._getSession(sessionId);
+
+        if (!session) {
+            throw new SessionExpiredError(sessionId);
+        }
+
+        if (session.userId.toString() !== userId.toString()) {
+            throw new ValidationError('Unauthorized access to upload session');
+        }
+
+        return session;
+    }
+
+    /**
+     * Get chunk indexes already stored for a session
+     */
+    async getCompletedChunks(sessionId) {
+        return this._getCompletedChunks(sessionId);
+    }
+
     /**
      * Get upload status
      */
@@ -232,6 +389,16 @@ class UploadService {
             );
         }
 
+        // Uploads into a shared folder need the share to still grant write access
+        if (session.shareId) {
+            await folderShareService.verifyWriteShare(session.shareId);
+        }
+
+        const ownerId = session.ownerId || userId;
+
+        // Check the quota again: renews the reservation, or takes a new one if it lapsed
+        await this._reserveQuota(ownerId, sessionId, session.totalSize, session.expiresAt);
+
         // Update session status
         const dbSession = await UploadSession.findOne({ sessionId });
         if (dbSession) {
@@ -240,10 +407,10 @@ class UploadService {
 
         try {
             // Generate storage key
-            const storageKey = this._generateStorageKey(userId, session.filename);
+            const storageKey = this._generateStorageKey(ownerId, session.filename);
 
-            // Determine storage tier based on user role
-            const tier = await this._getStorageTier(userId);
+            // Determine storage tier based on owner role
+            const tier = await this._getStorageTier(ownerId);
 
             // Assemble chunks
             const result = await storageProvider.assembleChunks(
@@ -260,48 +427,59 @@ class UploadService {
                 throw new UploadError('File hash verification failed', 400, 'HASH_MISMATCH');
             }
 
-            // Create file record
-            const file = await File.create({
-                userId,
-                storageKey,
-                originalName: session.filename,
-                mimeType: session.mimeType,
-                size: result.size,
+            // Chunks may have come through a protocol that doesn't check them as they arrive
+            let contentType;
+            try {
+                contentType = await this._inspectContent(session, { storageKey, storageTier: tier, size: result.size });
+            } catch (error) {
+                await storageProvider.delete(storageKey, tier);
+                throw error;
+            }
+
+            // Reference an existing blob if this content is already stored
+            const blob = await deduplicationService.register({
                 hash: result.hash,
+                size: result.size,
+                storageKey,
                 storageTier: tier,
-                folderId: session.folderId || null,
-                expiresAt: await this._getExpiryDate(userId),
             });
 
-            // Update quota
-            const quota = await Quota.getOrCreate(userId);
-            await quota.addFile(result.size);
+            // Create file record and charge quota; without a file the blob reference is given back
+            let file;
+            try {
+                file = await this._createFile(userId, session, {
+                    storageKey: blob.storageKey,
+                    storageTier: blob.storageTier,
+                    size: result.size,
+                    hash: result.hash,
+                    contentType,
+                });
+            } catch (error) {
+                await deduplicationService.release({ _id: null, storageKey: blob.storageKey, storageTier: blob.storageTier });
+                throw error;
+            }
 
             // Mark session as completed
             if (dbSession) {
-                await dbSession.markCompleted(file._id, tier);
+                await dbSession.markCompleted(file._id, blob.storageTier);
             }
 
-            // Clean up Redis cache
+            // Clean up session cache
             await this._deleteSessionCache(sessionId);
 
             logger.info('Upload completed', {
                 sessionId,
                 fileId: file._id,
-                storageKey,
+                storageKey: blob.storageKey,
                 size: result.size,
                 hash: result.hash,
-                tier,
+                tier: blob.storageTier,
+                deduplicated: blob.deduplicated,
             });
 
             return {
-                fileId: file._id,
-                filename: file.originalName,
-                size: file.size,
-                hash: file.hash,
-                mimeType: file.mimeType,
-                downloadUrl: file.downloadUrl,
-                expiresAt: file.expiresAt,
+                ...this._formatFileResult(file),
+                deduplicated: blob.deduplicated,
             };
         } catch (error) {
             // Mark session as failed
@@ -309,11 +487,103 @@ class UploadService {
                 await dbSession.markFailed(error);
             }
 
-            // Clean up chunks
+            // Clean up chunks and give back the reserved quota
             await storageProvider.deleteChunks(sessionId);
+            await Quota.releaseReservation(ownerId, sessionId);
+
+            throw error;
+        }
+    }
+
+    /**
+     * Complete an upload without transferring chunks
+     * Only possible when init issued a possession challenge (content already stored);
+     * the client proves it has the file by hashing the challenged byte range.
+     */
+    async completeInstantUpload(sessionId, userId, proof) {
+        const session = await this._getSession(sessionId);
+
+        if (!session) {
+            throw new SessionExpiredError(sessionId);
+        }
+
+        // Verify ownership
+        if (session.userId.toString() !== userId.toString()) {
+            throw new ValidationError('Unauthorized access to upload session');
+        }
+
+        if (!proof) {
+            throw new ValidationError('Possession proof is required');
+        }
+
+        if (session.shareId) {
+            await folderShareService.verifyWriteShare(session.shareId);
+        }
+
+        await this._reserveQuota(session.ownerId || userId, sessionId, session.totalSize, session.expiresAt);
+
+        // Consume the challenge atomically so each one can be answered only once
+        const dbSession = await UploadSession.findOneAndUpdate(
+            { sessionId, 'possessionChallenge.length': { $gt: 0 } },
+            { $unset: { possessionChallenge: 1 } }
+        );
+
+        if (!dbSession) {
+            throw new UploadError('Instant upload not available for this session', 400, 'INSTANT_UPLOAD_UNAVAILABLE');
+        }
 
+        const { offset, length } = dbSession.possessionChallenge;
+        const stored = await deduplicationService.find(session.expectedHash, session.totalSize);
+
+        if (!stored) {
+            throw new UploadError('Content is no longer stored, upload chunks instead', 409, 'INSTANT_UPLOAD_UNAVAILABLE');
+        }
+
+        const actualProof = await this._hashRange(stored, offset, length);
+        if (!verifyHash(actualProof, proof)) {
+            logger.warn('Possession proof mismatch', { sessionId, userId });
+            throw new UploadError('Possession proof verification failed', 400, 'PROOF_MISMATCH');
+        }
+
+        // The stored content must be acceptable under this upload's declared type too
+        const contentType = await this._inspectContent(session, stored);
+
+        // Take the reference only after the proof checked out
+        const blob = await deduplicationService.acquire(session.expectedHash, session.totalSize);
+        if (!blob) {
+            throw new UploadError('Content is no longer stored, upload chunks instead', 409, 'INSTANT_UPLOAD_UNAVAILABLE');
+        }
+
+        let file;
+        try {
+            file = await this._createFile(userId, session, {
+                storageKey: blob.storageKey,
+                storageTier: blob.storageTier,
+                size: blob.size,
+                hash: blob.hash,
+                contentType,
+            });
+        } catch (error) {
+            await deduplicationService.release({ _id: null, storageKey: blob.storageKey, storageTier: blob.storageTier });
             throw error;
         }
+
+        await dbSession.markCompleted(file._id, blob.storageTier);
+        await this._deleteSessionCache(sessionId);
+
+        logger.info('Instant upload completed', {
+            sessionId,
+            fileId: file._id,
+            storageKey: blob.storageKey,
+            size: blob.size,
+            hash: blob.hash,
+        });
+
+        return {
+            ...this._formatFileResult(file),
+            deduplicated: true,
+            instant: true,
+        };
     }
 
     /**
@@ -333,6 +603,7 @@ class UploadService {
 
         // Clean up chunks
         await storageProvider.deleteChunks(sessionId);
+        await Quota.releaseReservation(session.ownerId || userId, sessionId);
 
         // Update MongoDB session
         const dbSession = await UploadSession.findOne({ sessionId });
@@ -340,7 +611,7 @@ class UploadService {
             await dbSession.markFailed({ message: 'Aborted by user', code: 'ABORTED' });
         }
 
-        // Clean up Redis cache
+        // Clean up session cache
         await this._deleteSessionCache(sessionId);
 
         logger.info('Upload aborted', { sessionId, userId });
@@ -374,7 +645,163 @@ class UploadService {
     // ==================== Private Methods ====================
 
     /**
-     * Cache session in Redis
+     * Reserve quota for an upload session (replacing its earlier reservation)
+     */
+    async _reserveQuota(ownerId, sessionId, size, expiresAt) {
+        const reservation = await Quota.reserve(ownerId, sessionId, { storage: size, expiresAt });
+
+        if (!reservation.allowed) {
+            throw new ValidationError(reservation.reasons[0].message, {
+                reasons: reservation.reasons,
+            });
+        }
+    }
+
+    /**
+     * Create the file record for a stored blob and charge the owner's quota
+     * (charged per user, even for deduplicated content), settling the session's
+     * reservation. With versioning, an upload to an existing name becomes that
+     * file's new version instead.
+     */
+    async _createFile(userId, session, { storageKey, storageTier, size, hash, contentType }) {
+        const ownerId = session.ownerId || userId;
+        const uploadedBy = ownerId.toString() !== userId.toString() ? userId : null;
+        const expiresAt = await this._getExpiryDate(ownerId);
+        const types = {
+            mimeType: contentType.mimeType,
+            declaredMimeType: contentType.declaredMimeType,
+            detectedMimeType: contentType.detectedMimeType,
+            contentTypeMismatch: contentType.mismatch,
+        };
+
+        if (contentType.mismatch) {
+            logger.warn('Upload content type mismatch flagged', {
+                sessionId: session.sessionId,
+                filename: session.filename,
+                declaredMimeType: contentType.declaredMimeType,
+                detectedMimeType: contentType.detectedMimeType,
+            });
+        }
+
+        if (config.versioning.enabled) {
+            const versioned = await versionService.storeVersion(ownerId, session.folderId, session.filename, {
+                storageKey,
+                storageTier,
+                size,
+                hash,
+                ...types,
+                uploadedBy,
+                expiresAt,
+            }, session.sessionId);
+            if (versioned) return fileProcessingService.enqueue(versioned);
+        }
+
+        const file = await File.create({
+            userId: ownerId,
+            uploadedBy,
+            storageKey,
+            originalName: session.filename,
+            ...types,
+            size,
+            hash,
+            storageTier,
+            folderId: session.folderId || null,
+            expiresAt,
+        });
+
+        const quota = await Quota.getOrCreate(ownerId);
+        await quota.addFile(size, session.sessionId);
+
+        return fileProcessingService.enqueue(file);
+    }
+
+    /**
+     * Build the client-facing result of a completed upload
+     */
+    _formatFileResult(file) {
+        return {
+            fileId: file._id,
+            filename: file.originalName,
+            size: file.size,
+            hash: file.hash,
+            mimeType: file.mimeType,
+            ...(file.contentTypeMismatch && { declaredMimeType: file.declaredMimeType }),
+            downloadUrl: file.downloadUrl,
+            expiresAt: file.expiresAt,
+            version: file.version,
+            processing: file.processing?.status,
+        };
+    }
+
+    /**
+     * Issue a possession challenge if the expected content is already stored
+     * @returns {Promise<Object|null>} Challenge info for the client, or null
+     */
+    async _createPossessionChallenge(session) {
+        if (!config.upload.instantUploadEnabled || !session.expectedHash || session.totalSize <= 0) {
+            return null;
+        }
+
+        const stored = await deduplicationService.find(session.expectedHash, session.totalSize);
+        if (!stored) {
+            return null;
+        }
+
+        const length = Math.min(config.upload.instantProofBytes, session.totalSize);
+        const offset = crypto.randomInt(0, session.totalSize - length + 1);
+
+        session.possessionChallenge = { offset, length };
+        await session.save();
+
+        return {
+            algorithm: 'sha256',
+            offset,
+            length,
+            url: `/api/upload/instant/${session.sessionId}`,
+            method: 'POST',
+        };
+    }
+
+    /**
+     * Sniff the type of a stored blob and validate it against the session's declared type
+     * @returns {Promise<Object>} Content type result of validateFileContent
+     */
+    async _inspectContent(session, blob) {
+        const head = [];
+
+        if (blob.size > 0) {
+            const stream = storageProvider.getStream(blob.storageKey, blob.storageTier, {
+                start: 0,
+                end: Math.min(SNIFF_LENGTH, blob.size) - 1,
+            });
+
+            for await (const chunk of stream) {
+                head.push(chunk);
+            }
+        }
+
+        return validateFileContent(session.mimeType, Buffer.concat(head), session.filename);
+    }
+
+    /**
+     * SHA-256 of a byte range of a stored blob
+     */
+    async _hashRange(blob, offset, length) {
+        const hash = crypto.createHash('sha256');
+        const stream = storageProvider.getStream(blob.storageKey, blob.storageTier, {
+            start: offset,
+            end: offset + length - 1,
+        });
+
+        for await (const chunk of stream) {
+            hash.update(chunk);
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Cache session state
      */
     async _cacheSession(session) {
         const key = `${SESSION_PREFIX}${session.sessionId}`;
@@ -386,17 +813,15 @@ class UploadService {
             totalSize: session.totalSize,
             expectedHash: session.expectedHash,
             folderId: session.folderId ? session.folderId.toString() : null,
+            ownerId: session.ownerId ? session.ownerId.toString() : null,
+            shareId: session.shareId ? session.shareId.toString() : null,
             chunkSize: session.chunkSize,
             totalChunks: session.totalChunks,
             status: session.status,
             expiresAt: session.expiresAt.toISOString(),
         };
 
-        await sessionClient.setex(
-            key,
-            config.upload.sessionTtl,
-            JSON.stringify(data)
-        );
+        await sessionStore.set(key, data, config.upload.sessionTtl);
     }
 
     /**
@@ -406,11 +831,10 @@ class UploadService {
         const key = `${SESSION_PREFIX}${sessionId}`;
 
         // Try cache first
-        const cached = await sessionClient.get(key);
+        const cached = await sessionStore.get(key);
         if (cached) {
-            const data = JSON.parse(cached);
-            data.expiresAt = new Date(data.expiresAt);
-            return data;
+            cached.expiresAt = new Date(cached.expiresAt);
+            return cached;
         }
 
         // Fall back to DB
@@ -430,6 +854,9 @@ class UploadService {
                 mimeType: dbSession.mimeType,
                 totalSize: dbSession.totalSize,
                 expectedHash: dbSession.expectedHash,
+                folderId: dbSession.folderId ? dbSession.folderId.toString() : null,
+                ownerId: dbSession.ownerId ? dbSession.ownerId.toString() : null,
+                shareId: dbSession.shareId ? dbSession.shareId.toString() : null,
                 chunkSize: dbSession.chunkSize,
                 totalChunks: dbSession.totalChunks,
                 status: dbSession.status,
@@ -447,7 +874,8 @@ class UploadService {
         const sessionKey = `${SESSION_PREFIX}${sessionId}`;
         const chunksKey = `${SESSION_PREFIX}${sessionId}:chunks`;
 
-        await sessionClient.del(sessionKey, chunksKey);
+        await sessionStore.delete(sessionKey);
+        await sessionStore.delete(chunksKey);
     }
 
     /**
@@ -455,25 +883,24 @@ class UploadService {
      */
     async _isChunkUploaded(sessionId, chunkIndex) {
         const key = `${SESSION_PREFIX}${sessionId}:chunks`;
-        const result = await sessionClient.sismember(key, chunkIndex.toString());
-        return result === 1;
+        return sessionStore.sismember(key, chunkIndex.toString());
     }
 
     /**
-     * Mark chunk as complete in Redis
+     * Mark chunk as complete
      */
     async _markChunkComplete(sessionId, chunkIndex, size, hash) {
         const key = `${SESSION_PREFIX}${sessionId}:chunks`;
-        await sessionClient.sadd(key, chunkIndex.toString());
-        await sessionClient.expire(key, config.upload.sessionTtl);
+        await sessionStore.sadd(key, chunkIndex.toString());
+        await sessionStore.expire(key, config.upload.sessionTtl);
     }
 
     /**
-     * Get completed chunks from Redis
+     * Get completed chunks
      */
     async _getCompletedChunks(sessionId) {
         const key = `${SESSION_PREFIX}${sessionId}:chunks`;
-        const chunks = await sessionClient.smembers(key);
+        const chunks = await sessionStore.smembers(key);
         return chunks.map(c => parseInt(c, 10)).sort((a, b) => a - b);
     }
 
@@ -0,0 +1,374 @@
+/**
+ * Version Service
+ * File version history: new versions on upload, listing, restore and pruning
+ *
+ * The current content of a file lives on the File document; previous
+ * contents are kept in file.versions, each holding its own blob reference.
+ * Every retained version counts toward the owner's storage quota.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { File, Quota, StorageObject } from '../models/index.js';
+import cacheProvider from '../providers/cache/index.js';
+import deduplicationService from './DeduplicationService.js';
+import fileProcessingService from './FileProcessingService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Attempts at swapping in a new version while other uploads race for the same file
+ */
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * How long a restore may hold its quota reservation before it lapses
+ */
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+class VersionService {
+    /**
+     * Store uploaded content as the new version of the live file with the same name
+     * @param {Object} content - { storageKey, storageTier, size, hash, mimeType, declaredMimeType,
+     *                             detectedMimeType, contentTypeMismatch, uploadedBy, expiresAt }
+     * @param {string} reservationId - Upload session whose quota reservation this settles
+     * @returns {Promise<Object|null>} Updated file, or null when there is no file to version
+     */
+    async storeVersion(ownerId, folderId, name, content, reservationId = null) {
+        for (let attempt = 0; attempt < MAX_VERSION_ATTEMPTS; attempt++) {
+            const current = await File.findOne({
+                userId: ownerId,
+                folderId: folderId || null,
+                originalName: name,
+                isDeleted: false,
+            }).sort({ createdAt: -1 });
+
+            if (!current) return null;
+
+            const file = await this._pushVersion(current, content);
+            if (!file) continue;
+
+            const quota = await Quota.getOrCreate(ownerId);
+            await quota.addVersion(content.size, reservationId);
+
+            await cacheProvider.delete(`file:${file._id}`);
+
+            logger.info('File version stored', {
+                fileId: file._id,
+                version: file.version,
+                size: content.size,
+                retainedVersions: file.versions.length,
+            });
+
+            await this._applyRetention(file);
+            return file;
+        }
+
+        logger.warn('Version contention, storing upload as a separate file', { ownerId, folderId, name });
+        return null;
+    }
+
+    /**
+     * List a file's versions, newest first
+     */
+    async listVersions(userId, fileId) {
+        const file = await this._getFile(userId, fileId);
+
+        const versions = [
+            {
+                id: null,
+                version: file.version,
+                size: file.size,
+                hash: file.hash,
+                mimeType: file.mimeType,
+                uploadedBy: file.uploadedBy,
+                createdAt: file.versionCreatedAt || file.createdAt,
+                isCurrent: true,
+            },
+            ...[...file.versions].reverse().map(v => this._formatVersion(v)),
+        ];
+
+        return {
+            fileId: file._id,
+            filename: file.originalName,
+            currentVersion: file.version,
+            storedSize: file.storedSize,
+            versions,
+        };
+    }
+
+    /**
+     * Download metadata for a previous version (as getFileMetadata returns for files)
+     */
+    async getVersionMetadata(userId, fileId, versionId) {
+        const file = await this._getFile(userId, fileId);
+        const version = this._getVersion(file, versionId);
+
+        return {
+            id: file._id.toString(),
+            storageKey: version.storageKey,
+            storageTier: await this._currentTier(version),
+            originalName: file.originalName,
+            mimeType: version.mimeType || file.mimeType,
+            size: version.size,
+            isPublic: false,
+            hasPassword: false,
+            userId: file.userId.toString(),
+            folderId: file.folderId ? file.folderId.toString() : null,
+            createdAt: version.createdAt,
+            version: version.version,
+        };
+    }
+
+    /**
+     * Restore a previous version: its content becomes a new current version
+     * (history is kept; the restored content is charged again like any new version)
+     */
+    async restoreVersion(userId, fileId, versionId) {
+        const file = await this._getFile(userId, fileId);
+        const version = this._getVersion(file, versionId);
+
+        // Reserved up front so parallel uploads and restores can't overshoot the quota together
+        const reservationId = `restore:${uuidv4()}`;
+        const reservation = await Quota.reserve(file.userId, reservationId, {
+            storage: version.size,
+            files: 0,
+            expiresAt: new Date(Date.now() + RESERVATION_TTL_MS),
+        });
+        if (!reservation.allowed) {
+            throw new ValidationError(reservation.reasons[0].message, {
+                reasons: reservation.reasons,
+            });
+        }
+
+        let updated;
+        let blob = null;
+        try {
+            // The new version takes its own reference on the blob
+            blob = await deduplicationService.acquireKey(version);
+
+            updated = await this._pushVersion(file, {
+                storageKey: blob.storageKey,
+                storageTier: blob.storageTier,
+                size: version.size,
+                hash: version.hash,
+                mimeType: version.mimeType || file.mimeType,
+                declaredMimeType: version.declaredMimeType,
+                detectedMimeType: version.detectedMimeType,
+                contentTypeMismatch: version.contentTypeMismatch,
+                uploadedBy: userId.toString() === file.userId.toString() ? null : userId,
+                expiresAt: file.expiresAt,
+            });
+
+            if (!updated) {
+                throw new ValidationError('File changed while restoring, try again');
+            }
+        } catch (error) {
+            if (blob) {
+                await deduplicationService.release({ _id: null, ...blob });
+            }
+            await Quota.releaseReservation(file.userId, reservationId);
+            throw error;
+        }
+
+        const quota = await Quota.getOrCreate(file.userId);
+        await quota.addVersion(version.size, reservationId);
+        await cacheProvider.delete(`file:${file._id}`);
+        await fileProcessingService.enqueue(updated);
+
+        logger.info('File version restored', {
+            fileId: file._id,
+            restoredVersion: version.version,
+            version: updated.version,
+        });
+
+        await this._applyRetention(updated);
+
+        return {
+            fileId: updated._id,
+            restoredVersion: version.version,
+            version: updated.version,
+            size: updated.size,
+            hash: updated.hash,
+        };
+    }
+
+    /**
+     * Prune previous versions
+     * @param {Object} options - { keep (newest versions to keep), olderThanDays }
+     */
+    async pruneVersions(userId, fileId, { keep = null, olderThanDays = null } = {}) {
+        if (keep === null && olderThanDays === null) {
+            throw new ValidationError('Specify keep or olderThanDays');
+        }
+        if ((keep !== null && (!Number.isInteger(keep) || keep < 0)) ||
+            (olderThanDays !== null && (!Number.isInteger(olderThanDays) || olderThanDays < 0))) {
+            throw new ValidationError('keep and olderThanDays must be non-negative integers');
+        }
+
+        const file = await this._getFile(userId, fileId);
+        const result = await this._prune(file, { keep, olderThanDays });
+
+        logger.info('File versions pruned', { fileId: file._id, ...result });
+        return result;
+    }
+
+    /**
+     * Release the blobs of all previous versions (file is being permanently deleted)
+     */
+    async releaseVersions(file) {
+        for (const version of file.versions || []) {
+            await deduplicationService.release({
+                _id: file._id,
+                storageKey: version.storageKey,
+                storageTier: version.storageTier,
+            });
+        }
+    }
+
+    // ==================== Private Methods ====================
+
+    async _getFile(userId, fileId) {
+        const file = await File.findOne({ _id: fileId, userId, isDeleted: false });
+        if (!file) {
+            throw new NotFoundError('File');
+        }
+        return file;
+    }
+
+    _getVersion(file, versionId) {
+        const version = file.versions.id(versionId);
+        if (!version) {
+            throw new NotFoundError('Version');
+        }
+        return version;
+    }
+
+    /**
+     * Make content the current version, moving the current content into history
+     * Only succeeds if nobody else changed the current version meanwhile.
+     * @returns {Promise<Object|null>} Updated file, null if it changed concurrently
+     */
+    async _pushVersion(file, content) {
+        return File.findOneAndUpdate(
+            { _id: file._id, version: file.version, isDeleted: false },
+            {
+                $push: {
+                    versions: {
+                        version: file.version,
+                        storageKey: file.storageKey,
+                        storageTier: file.storageTier,
+                        size: file.size,
+                        hash: file.hash,
+                        mimeType: file.mimeType,
+                        declaredMimeType: file.declaredMimeType,
+                        detectedMimeType: file.detectedMimeType,
+                        contentTypeMismatch: file.contentTypeMismatch,
+                        uploadedBy: file.uploadedBy,
+                        createdAt: file.versionCreatedAt || file.createdAt,
+                    },
+                },
+                $inc: { version: 1, versionsSize: file.size },
+                $set: {
+                    storageKey: content.storageKey,
+                    storageTier: content.storageTier,
+                    size: content.size,
+                    hash: content.hash,
+                    mimeType: content.mimeType || file.mimeType,
+                    declaredMimeType: content.declaredMimeType || null,
+                    detectedMimeType: content.detectedMimeType || null,
+                    contentTypeMismatch: !!content.contentTypeMismatch,
+                    uploadedBy: content.uploadedBy || null,
+                    versionCreatedAt: new Date(),
+                    expiresAt: content.expiresAt,
+                    lastAccessAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+    }
+
+    /**
+     * Apply the configured retention (count and age) after a new version
+     */
+    async _applyRetention(file) {
+        const { maxVersions, maxAgeDays } = config.versioning;
+        if (!maxVersions && !maxAgeDays) return;
+
+        await this._prune(file, {
+            keep: maxVersions || null,
+            olderThanDays: maxAgeDays || null,
+        });
+    }
+
+    /**
+     * Remove versions beyond the newest `keep` or older than `olderThanDays`
+     * @returns {Promise<Object>} { pruned, bytesFreed, remaining }
+     */
+    async _prune(file, { keep, olderThanDays }) {
+        const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+        const newestFirst = [...file.versions].reverse();
+
+        const doomed = newestFirst.filter((v, index) =>
+            (keep !== null && index >= keep) ||
+            (cutoff !== null && new Date(v.createdAt).getTime() < cutoff)
+        );
+
+        let pruned = 0;
+        let bytesFreed = 0;
+
+        for (const version of doomed) {
+            // Pull each version on its own so concurrent prunes never free one twice
+            const result = await File.updateOne(
+                { _id: file._id, 'versions._id': version._id },
+                {
+                    $pull: { versions: { _id: version._id } },
+                    $inc: { versionsSize: -version.size },
+                }
+            );
+            if (result.modifiedCount !== 1) continue;
+
+            // The file itself may still point at the blob (as its current content or another version)
+            await deduplicationService.release({
+                _id: null,
+                storageKey: version.storageKey,
+                storageTier: version.storageTier,
+            });
+
+            pruned++;
+            bytesFreed += version.size;
+        }
+
+        if (bytesFreed > 0) {
+            const quota = await Quota.getOrCreate(file.userId);
+            await quota.removeVersions(bytesFreed);
+        }
+
+        return { pruned, bytesFreed, remaining: file.versions.length - pruned };
+    }
+
+    /**
+     * Tier of a version's blob (it may have moved since the version was stored)
+     */
+    async _currentTier(version) {
+        const blob = await StorageObject.findOne({ storageKey: version.storageKey }).select('storageTier').lean();
+        return blob?.storageTier || version.storageTier;
+    }
+
+    _formatVersion(version) {
+        return {
+            id: version._id,
+            version: version.version,
+            size: version.size,
+            hash: version.hash,
+            mimeType: version.mimeType,
+            uploadedBy: version.uploadedBy,
+            createdAt: version.createdAt,
+            isCurrent: false,
+        };
+    }
+}
+
+// Export singleton instance
+const versionService = new VersionService();
+export default versionService;
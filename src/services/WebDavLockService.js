@@ -0,0 +1,185 @@
+/**
+ * WebDAV Lock Service
+ * Write locks (RFC 4918 class 2) kept in the session store, one hash of locks per user
+ *
+ * Locks are keyed by resource path ("/Documents/report.docx"). A depth
+ * infinity lock on a collection covers everything below it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+import { WebDavError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const LOCKS_PREFIX = 'webdav_locks:';
+
+export const LockScope = {
+    EXCLUSIVE: 'exclusive',
+    SHARED: 'shared',
+};
+
+function isBelow(path, ancestor) {
+    return ancestor === '/' ? path !== '/' : path.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Whether a lock applies to a path (taken on it, or depth infinity above it)
+ */
+export function lockApplies(lock, path) {
+    return lock.path === path || (lock.depth === 'infinity' && isBelow(path, lock.path));
+}
+
+class WebDavLockService {
+    /**
+     * Create a lock
+     * @param {Object} options - { scope, depth ('0' | 'infinity'), owner (XML), timeout (seconds) }
+     */
+    async lock(userId, path, { scope, depth, owner = null, timeout }) {
+        const locks = await this._load(userId);
+
+        const conflict = locks.find(l =>
+            this._overlaps(l, path, depth) &&
+            (l.scope === LockScope.EXCLUSIVE || scope === LockScope.EXCLUSIVE)
+        );
+        if (conflict) {
+            throw new WebDavError('The resource is locked', 423, 'no-conflicting-lock');
+        }
+
+        const seconds = this.clampTimeout(timeout);
+        const lock = {
+            token: `opaquelocktoken:${uuidv4()}`,
+            path,
+            scope,
+            depth,
+            owner,
+            timeout: seconds,
+            expiresAt: Date.now() + seconds * 1000,
+        };
+
+        await this._save(userId, lock);
+
+        logger.debug('WebDAV lock created', { userId, path, scope, depth, token: lock.token });
+        return lock;
+    }
+
+    /**
+     * Refresh a lock that applies to the path (LOCK without a body)
+     * @param {Array<string>} tokens - Tokens submitted in the If header
+     */
+    async refresh(userId, path, tokens, timeout) {
+        const locks = await this.getLocks(userId, path);
+        const lock = locks.find(l => tokens.includes(l.token));
+
+        if (!lock) {
+            throw new WebDavError('No matching lock to refresh', 412, 'lock-token-matches-request-uri');
+        }
+
+        lock.timeout = this.clampTimeout(timeout);
+        lock.expiresAt = Date.now() + lock.timeout * 1000;
+        await this._save(userId, lock);
+
+        return lock;
+    }
+
+    /**
+     * Remove a lock; the token must belong to a lock applying to the path
+     */
+    async unlock(userId, path, token) {
+        const locks = await this.getLocks(userId, path);
+        if (!locks.some(l => l.token === token)) {
+            throw new WebDavError('Lock token does not match the resource', 409, 'lock-token-matches-request-uri');
+        }
+
+        await sessionStore.hdel(`${LOCKS_PREFIX}${userId}`, token);
+        logger.debug('WebDAV lock removed', { userId, path, token });
+    }
+
+    /**
+     * Active locks applying to a path (on it or a depth infinity lock above it)
+     * @param {Object} options - { descendants: also locks below the path }
+     */
+    async getLocks(userId, path, { descendants = false } = {}) {
+        const locks = await this._load(userId);
+
+        return locks.filter(l => lockApplies(l, path) || (descendants && isBelow(l.path, path)));
+    }
+
+    /**
+     * Refuse to modify a locked resource unless the request submits the lock token
+     * @param {Array<string>} tokens - Tokens submitted in the If header
+     * @param {Object} options - { descendants: the whole subtree is modified (DELETE, MOVE) }
+     */
+    async checkWrite(userId, path, tokens, { descendants = false } = {}) {
+        const locks = await this.getLocks(userId, path, { descendants });
+        const missing = locks.find(l => !tokens.includes(l.token));
+
+        if (missing) {
+            throw new WebDavError('The resource is locked', 423, 'lock-token-submitted');
+        }
+    }
+
+    /**
+     * Drop locks on a path and everything below it (after DELETE or MOVE)
+     */
+    async release(userId, path) {
+        const locks = await this._load(userId);
+        const tokens = locks.filter(l => l.path === path || isBelow(l.path, path)).map(l => l.token);
+
+        if (tokens.length > 0) {
+            await sessionStore.hdel(`${LOCKS_PREFIX}${userId}`, ...tokens);
+        }
+    }
+
+    /**
+     * Lock timeout within the configured bounds
+     * @param {number|null} seconds - Requested timeout (null = default)
+     */
+    clampTimeout(seconds) {
+        if (!seconds || seconds <= 0) return config.webdav.lockTimeout;
+        return Math.min(seconds, config.webdav.maxLockTimeout);
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Whether an existing lock and a new lock on path (with depth) cover a common resource
+     */
+    _overlaps(lock, path, depth) {
+        return lockApplies(lock, path) || (depth === 'infinity' && isBelow(lock.path, path));
+    }
+
+    /**
+     * Load the user's locks, dropping expired ones
+     */
+    async _load(userId) {
+        const key = `${LOCKS_PREFIX}${userId}`;
+        const stored = (await sessionStore.hgetall(key)) || {};
+
+        const now = Date.now();
+        const locks = [];
+        const expired = [];
+
+        for (const [token, lock] of Object.entries(stored)) {
+            if (lock.expiresAt <= now) expired.push(token);
+            else locks.push(lock);
+        }
+
+        if (expired.length > 0) {
+            await sessionStore.hdel(key, ...expired);
+        }
+
+        return locks;
+    }
+
+    async _save(userId, lock) {
+        const key = `${LOCKS_PREFIX}${userId}`;
+        await sessionStore.hset(key, lock.token, lock);
+        // The hash outlives its longest possible lock
+        await sessionStore.expire(key, config.webdav.maxLockTimeout);
+    }
+}
+
+// Export singleton instance
+const webDavLockService = new WebDavLockService();
+export default webDavLockService;
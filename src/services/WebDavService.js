@@ -0,0 +1,359 @@
+/**
+ * WebDAV Service
+ * Maps WebDAV resources onto the user's folder tree
+ *
+ * A resource path is a folder path ("/Documents/Projects", as stored on
+ * Folder.path) or a file name below one ("/Documents/report.pdf"). "/" is the
+ * user's root, holding the top-level folders and the files without a folder.
+ */
+
+import config from '../config/index.js';
+import { File, Folder, Quota } from '../models/index.js';
+import uploadService from './UploadService.js';
+import folderService from './FolderService.js';
+import trashService from './TrashService.js';
+import webDavLockService from './WebDavLockService.js';
+import { WebDavError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Characters files and folders can't have in their names
+ */
+const INVALID_NAME_CHARS = /[<>:"\\|?*\x00-\x1f\x7f]/;
+
+export const ResourceType = {
+    ROOT: 'root',
+    FOLDER: 'folder',
+    FILE: 'file',
+};
+
+class WebDavService {
+    /**
+     * Split a resource path into its parent path and name
+     */
+    splitPath(path) {
+        const index = path.lastIndexOf('/');
+        return {
+            parentPath: index <= 0 ? '/' : path.slice(0, index),
+            name: path.slice(index + 1),
+        };
+    }
+
+    /**
+     * Look up the resource at a path
+     * @returns {Promise<Object|null>} { type, path, folder, file } (folder is null for the root)
+     */
+    async resolve(userId, path) {
+        if (path === '/') {
+            return { type: ResourceType.ROOT, path, folder: null, file: null };
+        }
+
+        const folder = await Folder.findOne({ userId, path, isDeleted: { $ne: true } });
+        if (folder) {
+            return { type: ResourceType.FOLDER, path, folder, file: null };
+        }
+
+        const { parentPath, name } = this.splitPath(path);
+        const parent = await this.resolve(userId, parentPath);
+        if (!parent || parent.type === ResourceType.FILE) return null;
+
+        const file = await File.findOne({
+            userId,
+            folderId: parent.folder?._id || null,
+            originalName: name,
+            isDeleted: false,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }).sort({ createdAt: -1 });
+
+        return file ? { type: ResourceType.FILE, path, folder: parent.folder, file } : null;
+    }
+
+    /**
+     * Resolve a path's parent collection, for creating a member in it
+     * @returns {Promise<Object>} { parent, name } (parent.folder is null for the root)
+     */
+    async resolveParent(userId, path) {
+        const { parentPath, name } = this.splitPath(path);
+        this._validateName(name);
+
+        const parent = await this.resolve(userId, parentPath);
+        if (!parent || parent.type === ResourceType.FILE) {
+            throw new WebDavError('Parent collection does not exist', 409);
+        }
+
+        return { parent, name };
+    }
+
+    /**
+     * Members of a collection
+     * @returns {Promise<Array<Object>>} Resources, folders first
+     */
+    async listMembers(userId, resource) {
+        const folderId = resource.folder?._id || null;
+        const prefix = resource.path === '/' ? '' : resource.path;
+
+        const [folders, files] = await Promise.all([
+            Folder.find({ userId, parentId: folderId, isDeleted: { $ne: true } }).sort({ name: 1 }),
+            File.find({
+                userId,
+                folderId,
+                isDeleted: false,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+            }).sort({ originalName: 1, createdAt: -1 }),
+        ]);
+
+        // Older files stored under the same name are shadowed by the newest
+        const seen = new Set(folders.map(f => f.name));
+        const members = folders.map(folder => ({
+            type: ResourceType.FOLDER,
+            path: `${prefix}/${folder.name}`,
+            folder,
+            file: null,
+        }));
+
+        for (const file of files) {
+            if (seen.has(file.originalName)) continue;
+            seen.add(file.originalName);
+            members.push({ type: ResourceType.FILE, path: `${prefix}/${file.originalName}`, folder: resource.folder, file });
+        }
+
+        return members;
+    }
+
+    /**
+     * Quota figures for the quota-used-bytes / quota-available-bytes properties
+     */
+    async getQuota(userId) {
+        const quota = await Quota.getOrCreate(userId);
+        const maxStorage = await quota.getEffectiveLimit('maxStorage');
+
+        return {
+            used: quota.usage.storage,
+            available: maxStorage === -1 ? null : Math.max(maxStorage - quota.usage.storage, 0),
+        };
+    }
+
+    /**
+     * Store a file from a request body, replacing the file at the path
+     * @param {Object} payload - { body (async iterable), size, contentType }
+     * @returns {Promise<Object>} { created, fileId }
+     */
+    async putFile(userId, path, { body, size, contentType }) {
+        const existing = await this.resolve(userId, path);
+        if (existing && existing.type !== ResourceType.FILE) {
+            throw new WebDavError('Cannot PUT to a collection', 405);
+        }
+
+        const { parent, name } = await this.resolveParent(userId, path);
+        const folderId = parent.folder?._id || null;
+
+        const session = await uploadService.initializeUpload(userId, {
+            filename: name,
+            size,
+            mimeType: this._mimeType(contentType),
+            folderId,
+        });
+
+        let result;
+        try {
+            await uploadService.writeStream(session.sessionId, body);
+            result = await uploadService.completeUpload(session.sessionId, userId);
+        } catch (error) {
+            await uploadService.abortUpload(session.sessionId, userId).catch(() => { });
+            throw error;
+        }
+
+        await this._replaceExisting(userId, folderId, name, result.fileId);
+
+        logger.info('WebDAV file stored', { userId, path, fileId: result.fileId, size: result.size });
+
+        return { created: !existing, fileId: result.fileId };
+    }
+
+    /**
+     * Create a collection (MKCOL)
+     */
+    async createCollection(userId, path) {
+        if (await this.resolve(userId, path)) {
+            throw new WebDavError('Resource already exists', 405);
+        }
+
+        const { parent, name } = await this.resolveParent(userId, path);
+        return folderService.createFolder(userId, name, parent.folder?._id || null);
+    }
+
+    /**
+     * Delete a resource (moves it to trash)
+     */
+    async remove(userId, resource) {
+        if (resource.type === ResourceType.ROOT) {
+            throw new WebDavError('Cannot delete the root collection', 403);
+        }
+
+        if (resource.type === ResourceType.FOLDER) {
+            await folderService.deleteFolder(userId, resource.folder._id);
+        } else {
+            const files = await File.find({
+                userId,
+                folderId: resource.folder?._id || null,
+                originalName: resource.file.originalName,
+                isDeleted: false,
+            });
+            for (const file of files) {
+                await trashService.trashFile(file);
+            }
+        }
+
+        await webDavLockService.release(userId, resource.path);
+        logger.info('WebDAV resource deleted', { userId, path: resource.path, type: resource.type });
+    }
+
+    /**
+     * Move a resource (MOVE)
+     * @returns {Promise<Object>} { created } (false when a destination was overwritten)
+     */
+    async move(userId, resource, destinationPath, { overwrite = true } = {}) {
+        const target = await this._prepareDestination(userId, resource, destinationPath, overwrite);
+
+        if (resource.type === ResourceType.FOLDER) {
+            await folderService.moveFolder(userId, resource.folder._id, target.parentId, target.name);
+        } else {
+            await folderService.moveFile(userId, resource.file._id, target.parentId, target.name);
+        }
+
+        // Locks stay with the URL they were taken on
+        await webDavLockService.release(userId, resource.path);
+
+        logger.info('WebDAV resource moved', { userId, from: resource.path, to: destinationPath });
+        return { created: !target.replaced };
+    }
+
+    /**
+     * Copy a resource (COPY)
+     * @param {Object} options - { overwrite, depth ('0' copies a collection without its members) }
+     * @returns {Promise<Object>} { created }
+     */
+    async copy(userId, resource, destinationPath, { overwrite = true, depth = 'infinity' } = {}) {
+        const target = await this._prepareDestination(userId, resource, destinationPath, overwrite);
+
+        if (resource.type === ResourceType.FOLDER) {
+            const copy = await folderService.createFolder(userId, target.name, target.parentId);
+            if (depth !== '0') {
+                await this._copyMembers(userId, resource.folder, copy.id);
+            }
+        } else {
+            await folderService.copyFile(userId, resource.file._id, target.parentId, target.name);
+        }
+
+        logger.info('WebDAV resource copied', { userId, from: resource.path, to: destinationPath });
+        return { created: !target.replaced };
+    }
+
+    /**
+     * Entity tag of a file (content hash based)
+     */
+    etag(file) {
+        return `"${file.hash.slice(0, 32)}"`;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Check a MOVE/COPY destination, deleting what's there when overwriting
+     * @returns {Promise<Object>} { parentId, name, replaced }
+     */
+    async _prepareDestination(userId, resource, destinationPath, overwrite) {
+        if (resource.type === ResourceType.ROOT) {
+            throw new WebDavError('Cannot move or copy the root collection', 403);
+        }
+
+        if (
+            destinationPath === resource.path ||
+            (resource.type === ResourceType.FOLDER && destinationPath.startsWith(`${resource.path}/`))
+        ) {
+            throw new WebDavError('Source and destination overlap', 403);
+        }
+
+        const { parent, name } = await this.resolveParent(userId, destinationPath);
+        const existing = await this.resolve(userId, destinationPath);
+
+        if (existing) {
+            if (!overwrite) {
+                throw new WebDavError('Destination exists and Overwrite is F', 412);
+            }
+            await this.remove(userId, existing);
+        }
+
+        return { parentId: parent.folder?._id || null, name, replaced: !!existing };
+    }
+
+    /**
+     * Copy the folders and files below a folder into another one
+     */
+    async _copyMembers(userId, source, targetFolderId) {
+        const [folders, files] = await Promise.all([
+            source.getChildren(),
+            File.find({ userId, folderId: source._id, isDeleted: false }).sort({ createdAt: -1 }),
+        ]);
+
+        const copied = new Set();
+        for (const file of files) {
+            // Only the newest file of each name is visible, so only it is copied
+            if (copied.has(file.originalName)) continue;
+            copied.add(file.originalName);
+            await folderService.copyFile(userId, file._id, targetFolderId);
+        }
+
+        for (const folder of folders) {
+            const copy = await folderService.createFolder(userId, folder.name, targetFolderId);
+            await this._copyMembers(userId, folder, copy.id);
+        }
+    }
+
+    /**
+     * Trash older files stored under the same name
+     */
+    async _replaceExisting(userId, folderId, name, keepFileId) {
+        const previous = await File.find({
+            userId,
+            folderId,
+            originalName: name,
+            isDeleted: false,
+            _id: { $ne: keepFileId },
+        });
+
+        for (const file of previous) {
+            await trashService.trashFile(file);
+        }
+    }
+
+    /**
+     * Names must survive sanitization unchanged, or paths wouldn't round-trip
+     */
+    _validateName(name) {
+        if (
+            !name ||
+            name === '.' ||
+            name === '..' ||
+            name !== name.trim() ||
+            name.length > config.security.maxFilenameLength ||
+            INVALID_NAME_CHARS.test(name)
+        ) {
+            throw new WebDavError(`Invalid name "${name}": the characters <>:"\\|?* are not allowed`, 400);
+        }
+    }
+
+    /**
+     * Generic content types are left to extension-based detection
+     */
+    _mimeType(contentType) {
+        if (!contentType || contentType.startsWith('application/octet-stream')) {
+            return undefined;
+        }
+        return contentType.split(';')[0].trim();
+    }
+}
+
+// Export singleton instance
+const webDavService = new WebDavService();
+export default webDavService;
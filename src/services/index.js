@@ -7,3 +7,15 @@ export { default as downloadService } from './DownloadService.js';
 export { default as storageTierService } from './StorageTierService.js';
 export { default as expiryService } from './ExpiryService.js';
 export { default as adminService } from './AdminService.js';
+export { default as deduplicationService } from './DeduplicationService.js';
+export { default as trashService } from './TrashService.js';
+export { default as versionService } from './VersionService.js';
+export { default as shareLinkService } from './ShareLinkService.js';
+export { default as folderShareService } from './FolderShareService.js';
+export { default as archiveService } from './ArchiveService.js';
+export { default as tusService } from './TusService.js';
+export { default as accessKeyService } from './AccessKeyService.js';
+export { default as apiKeyService } from './ApiKeyService.js';
+export { default as s3Service } from './S3Service.js';
+export { default as webDavService } from './WebDavService.js';
+export { default as webDavLockService } from './WebDavLockService.js';
@@ -0,0 +1,136 @@
+/**
+ * WebDAV XML Utilities
+ * Namespace-aware parsing of request bodies and serialization of elements
+ * for responses (DAV: elements use the "D:" prefix)
+ */
+
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { WebDavError } from './errors.js';
+
+export const DAV_NS = 'DAV:';
+
+const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+});
+
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function malformed() {
+    return new WebDavError('Request body is not well-formed XML', 400);
+}
+
+/**
+ * Convert a preserveOrder node into { ns, name, attributes, children, text }
+ */
+function toElement(node, namespaces) {
+    const tag = Object.keys(node).find(key => key !== ':@');
+    const attributes = node[':@'] || {};
+
+    const scope = { ...namespaces };
+    for (const [name, value] of Object.entries(attributes)) {
+        if (name === 'xmlns') scope[''] = value;
+        else if (name.startsWith('xmlns:')) scope[name.slice(6)] = value;
+    }
+
+    const index = tag.indexOf(':');
+    const prefix = index === -1 ? '' : tag.slice(0, index);
+    if (prefix && scope[prefix] === undefined) {
+        throw malformed();
+    }
+
+    const element = {
+        ns: scope[prefix] || '',
+        name: index === -1 ? tag : tag.slice(index + 1),
+        attributes: Object.fromEntries(Object.entries(attributes).filter(([name]) => !/^xmlns(:|$)/.test(name))),
+        children: [],
+        text: '',
+    };
+
+    for (const child of node[tag]) {
+        if ('#text' in child) {
+            element.text += child['#text'];
+        } else {
+            element.children.push(toElement(child, scope));
+        }
+    }
+
+    return element;
+}
+
+/**
+ * Parse a request body
+ * @returns {Object|null} Root element, null for an empty body
+ */
+export function parseDavXml(text) {
+    if (!text || !text.trim()) return null;
+
+    // Entity declarations aren't needed by any WebDAV request
+    if (/<!DOCTYPE/i.test(text) || XMLValidator.validate(text) !== true) {
+        throw malformed();
+    }
+
+    const root = parser.parse(text).find(node => !Object.keys(node).some(key => key.startsWith('?')));
+    if (!root) throw malformed();
+
+    return toElement(root, {});
+}
+
+/**
+ * Child elements with the given name (DAV: namespace unless told otherwise)
+ */
+export function findChildren(element, name, ns = DAV_NS) {
+    return element ? element.children.filter(c => c.name === name && c.ns === ns) : [];
+}
+
+export function findChild(element, name, ns = DAV_NS) {
+    return findChildren(element, name, ns)[0] || null;
+}
+
+/**
+ * Open tag for a property or element, declaring its namespace when it isn't DAV:
+ */
+export function openTag(ns, name, attributes = {}) {
+    const attrs = Object.entries(attributes).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+
+    if (ns === DAV_NS) return `D:${name}${attrs}`;
+    return `${name} xmlns="${escapeXml(ns)}"${attrs}`;
+}
+
+export function closeTag(ns, name) {
+    return ns === DAV_NS ? `D:${name}` : name;
+}
+
+/**
+ * Serialize a parsed element back to XML (lock owners are echoed verbatim)
+ */
+export function serializeElement(element) {
+    const content = element.children.map(serializeElement).join('') + escapeXml(element.text);
+    const open = openTag(element.ns, element.name, element.attributes);
+
+    return content ? `<${open}>${content}</${closeTag(element.ns, element.name)}>` : `<${open}/>`;
+}
+
+/**
+ * Empty element, e.g. a property name in a 404 propstat
+ */
+export function emptyElement(ns, name) {
+    return `<${openTag(ns, name)}/>`;
+}
+
+/**
+ * Wrap a body in the XML declaration and a DAV: root element
+ */
+export function davDocument(rootName, body) {
+    return `<?xml version="1.0" encoding="utf-8"?>\n<D:${rootName} xmlns:D="DAV:">${body}</D:${rootName}>`;
+}
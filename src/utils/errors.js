@@ -65,6 +65,24 @@ export class AuthorizationError extends AppError {
     }
 }
 
+/**
+ * Email Not Verified Error (403)
+ */
+export class EmailNotVerifiedError extends AppError {
+    constructor(message = 'Verify your email address first') {
+        super(message, 403, 'EMAIL_NOT_VERIFIED');
+    }
+}
+
+/**
+ * Two-Factor Required Error (403, the user's role must enable 2FA first)
+ */
+export class TwoFactorRequiredError extends AppError {
+    constructor(message = 'Two-factor authentication must be enabled for this account') {
+        super(message, 403, 'TWO_FACTOR_REQUIRED');
+    }
+}
+
 /**
  * Not Found Error (404)
  */
@@ -105,6 +123,31 @@ export class RateLimitError extends AppError {
     }
 }
 
+/**
+ * Bandwidth Limit Error (429)
+ */
+export class BandwidthLimitError extends AppError {
+    constructor(reason) {
+        super(reason.message, 429, reason.code);
+        this.limit = reason.limit;
+        this.resetsAt = reason.resetsAt;
+        this.retryAfter = Math.max(1, Math.ceil((reason.resetsAt - Date.now()) / 1000));
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.code,
+                message: this.message,
+                statusCode: this.statusCode,
+                limit: this.limit,
+                resetsAt: this.resetsAt,
+                retryAfter: this.retryAfter,
+            },
+        };
+    }
+}
+
 /**
  * Storage Error (500)
  */
@@ -115,6 +158,35 @@ export class StorageError extends AppError {
     }
 }
 
+/**
+ * Share Link Unavailable Error (410)
+ */
+export class ShareLinkUnavailableError extends AppError {
+    constructor(reason = 'expired') {
+        super(`Share link is no longer available (${reason})`, 410, 'SHARE_LINK_UNAVAILABLE');
+        this.reason = reason;
+    }
+}
+
+/**
+ * S3 Gateway Error (code is the S3 error code, e.g. NoSuchKey)
+ */
+export class S3Error extends AppError {
+    constructor(code, message, statusCode = 400) {
+        super(message, statusCode, code);
+    }
+}
+
+/**
+ * WebDAV Error (condition is the DAV precondition element, e.g. lock-token-submitted)
+ */
+export class WebDavError extends AppError {
+    constructor(message, statusCode = 400, condition = null) {
+        super(message, statusCode, 'WEBDAV_ERROR');
+        this.condition = condition;
+    }
+}
+
 /**
  * Upload Error (400/500)
  */
@@ -0,0 +1,289 @@
+/**
+ * File Type Utilities
+ * Content type detection from a file's leading (magic) bytes
+ */
+
+/**
+ * Leading bytes detection looks at (enough for container headers and the
+ * first entries of a ZIP)
+ */
+export const SNIFF_LENGTH = 8192;
+
+/**
+ * Known signatures, checked in order
+ * Each entry matches bytes at an offset, then either names the type or runs
+ * `detect` for formats whose type depends on more than a fixed prefix.
+ */
+const SIGNATURES = [
+    // Executables
+    { bytes: [0x4d, 0x5a], detect: detectDosExecutable }, // MZ
+    { mimeType: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] }, // ELF
+    { mimeType: 'application/x-mach-binary', bytes: [0xfe, 0xed, 0xfa, 0xce] },
+    { mimeType: 'application/x-mach-binary', bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+    { mimeType: 'application/x-mach-binary', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+    { mimeType: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+    { bytes: [0xca, 0xfe, 0xba, 0xbe], detect: detectCafeBabe },
+
+    // Images
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { bytes: [0x42, 0x4d], detect: detectBmp }, // BM
+    { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+
+    // Media containers
+    { bytes: [0x52, 0x49, 0x46, 0x46], detect: detectRiff }, // RIFF
+    { bytes: [0x66, 0x74, 0x79, 0x70], offset: 4, detect: detectIsoMedia }, // ftyp
+    { bytes: [0x1a, 0x45, 0xdf, 0xa3], detect: detectMatroska }, // EBML
+    { mimeType: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] }, // OggS
+    { mimeType: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] }, // fLaC
+    { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] }, // ID3 tag
+    { mimeType: 'audio/mpeg', bytes: [0xff, 0xfb] }, // MPEG-1 Layer 3 frame
+    { mimeType: 'audio/mpeg', bytes: [0xff, 0xf3] }, // MPEG-2 Layer 3 frame
+
+    // Documents and archives
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+    { bytes: [0x50, 0x4b, 0x03, 0x04], detect: detectZip },
+    { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] }, // Empty ZIP
+    { mimeType: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+    { bytes: [0x42, 0x5a, 0x68], detect: detectBzip2 }, // BZh
+    { mimeType: 'application/x-xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+    { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { mimeType: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] }, // Rar!
+];
+
+/**
+ * Generic container types, and the more specific types stored in them
+ * A file declared as one of these is not a mismatch (a .docx is a ZIP).
+ */
+const CONTAINER_TYPES = {
+    'application/zip': [
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.text',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'application/vnd.oasis.opendocument.presentation',
+        'application/epub+zip',
+        'application/java-archive',
+        'application/vnd.android.package-archive',
+    ],
+    'application/x-ole-storage': [
+        'application/msword',
+        'application/vnd.ms-excel',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.ms-outlook',
+        'application/x-msi',
+    ],
+    'video/mp4': ['audio/mp4', 'audio/x-m4a', 'video/x-m4v', 'video/3gpp'],
+    'image/heic': ['image/heif'],
+    'audio/ogg': ['application/ogg', 'video/ogg', 'audio/opus'],
+    'video/x-matroska': ['audio/x-matroska', 'video/webm', 'audio/webm'],
+    'video/webm': ['audio/webm'],
+};
+
+/**
+ * Alternative names of the same type
+ */
+const TYPE_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-ms-bmp': 'image/bmp',
+    'audio/mp3': 'audio/mpeg',
+    'audio/x-wav': 'audio/wav',
+    'audio/wave': 'audio/wav',
+    'audio/x-flac': 'audio/flac',
+    'application/x-zip-compressed': 'application/zip',
+    'application/x-gzip': 'application/gzip',
+    'application/x-rar-compressed': 'application/vnd.rar',
+    'application/x-dosexec': 'application/x-msdownload',
+};
+
+/**
+ * Declared types that say nothing about the content
+ */
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Detect a file's type from its leading bytes
+ * @param {Buffer} buffer - Start of the file
+ * @returns {string|null} Detected MIME type, or null when no signature matches
+ */
+export function detectMimeType(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+
+    for (const signature of SIGNATURES) {
+        if (!matchesSignature(buffer, signature)) continue;
+
+        const mimeType = signature.detect ? signature.detect(buffer) : signature.mimeType;
+        if (mimeType) return mimeType;
+    }
+
+    return null;
+}
+
+/**
+ * Compare a declared type with what the content turned out to be
+ * @param {string} declaredMimeType - Type given by the client (or the extension)
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object} { mimeType (type to store and serve), detectedMimeType, mismatch }
+ */
+export function inspectContentType(declaredMimeType, buffer) {
+    const detectedMimeType = detectMimeType(buffer);
+
+    // Plain text and unknown formats have no signature: nothing to check
+    if (!detectedMimeType) {
+        return { mimeType: declaredMimeType, detectedMimeType: null, mismatch: false };
+    }
+
+    if (!declaredMimeType || GENERIC_TYPES.includes(normalizeMimeType(declaredMimeType))) {
+        return { mimeType: detectedMimeType, detectedMimeType, mismatch: false };
+    }
+
+    if (!isCompatibleType(declaredMimeType, detectedMimeType)) {
+        return { mimeType: detectedMimeType, detectedMimeType, mismatch: true };
+    }
+
+    // Keep the more specific of the two (a file declared as a ZIP may turn out to be a .docx)
+    const refined = (CONTAINER_TYPES[normalizeMimeType(declaredMimeType)] || []).includes(detectedMimeType);
+    return {
+        mimeType: refined ? detectedMimeType : declaredMimeType,
+        detectedMimeType,
+        mismatch: false,
+    };
+}
+
+/**
+ * Check whether a declared type fits the detected one (same type, or one is
+ * a container format of the other)
+ * @returns {boolean}
+ */
+export function isCompatibleType(declaredMimeType, detectedMimeType) {
+    const declared = normalizeMimeType(declaredMimeType);
+    const detected = normalizeMimeType(detectedMimeType);
+
+    return declared === detected
+        || (CONTAINER_TYPES[detected] || []).includes(declared)
+        || (CONTAINER_TYPES[declared] || []).includes(detected);
+}
+
+/**
+ * Lowercase a type, drop its parameters and resolve aliases
+ * @param {string} mimeType - e.g. "Image/JPG; charset=binary"
+ * @returns {string} e.g. "image/jpeg"
+ */
+export function normalizeMimeType(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Check whether a buffer starts with a signature
+ * @param {Buffer} buffer - Start of the file
+ * @param {Object} signature - { bytes, offset }
+ * @returns {boolean}
+ */
+export function matchesSignature(buffer, { bytes, offset = 0 }) {
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+
+    return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// ==================== Format Detection ====================
+
+/**
+ * DOS/PE executables: the header ends with the offset of the PE header
+ * (text that happens to start with "MZ" has an implausible one there)
+ */
+function detectDosExecutable(buffer) {
+    if (buffer.length < 64) return null;
+
+    const peOffset = buffer.readUInt32LE(0x3c);
+    if (peOffset + 4 <= buffer.length) {
+        return buffer.toString('latin1', peOffset, peOffset + 4) === 'PE\0\0' ? 'application/x-msdownload' : null;
+    }
+
+    return peOffset < 0x100000 ? 'application/x-msdownload' : null;
+}
+
+/**
+ * BMP: the two reserved header fields are zero
+ */
+function detectBmp(buffer) {
+    return buffer.length >= 14 && buffer.readUInt32LE(6) === 0 ? 'image/bmp' : null;
+}
+
+/**
+ * bzip2: BZh is followed by the block size digit
+ */
+function detectBzip2(buffer) {
+    return buffer[3] >= 0x31 && buffer[3] <= 0x39 ? 'application/x-bzip2' : null;
+}
+
+/**
+ * CAFEBABE starts both Mach-O universal binaries and Java classes; a universal
+ * binary follows it with a small architecture count, a class with its version (45+)
+ */
+function detectCafeBabe(buffer) {
+    if (buffer.length < 8) return null;
+    return buffer.readUInt32BE(4) < 45 ? 'application/x-mach-binary' : 'application/java-vm';
+}
+
+function detectRiff(buffer) {
+    const format = buffer.toString('latin1', 8, 12);
+
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+
+    return null;
+}
+
+/**
+ * ISO base media (MP4, QuickTime, HEIF): the major brand names the format
+ */
+function detectIsoMedia(buffer) {
+    const brand = buffer.toString('latin1', 8, 12);
+
+    if (['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ') return 'audio/mp4';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+
+    return 'video/mp4';
+}
+
+function detectMatroska(buffer) {
+    return buffer.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska';
+}
+
+/**
+ * ZIP-based formats, told apart by the names of their first entries
+ */
+function detectZip(buffer) {
+    // OpenDocument and EPUB store their type uncompressed as the first entry
+    if (buffer.toString('latin1', 30, 38) === 'mimetype') {
+        const size = Math.min(buffer.readUInt32LE(22), 100);
+        const declared = buffer.toString('latin1', 38, 38 + size);
+        if (/^[\w.+-]+\/[\w.+-]+$/.test(declared)) return declared;
+    }
+
+    const head = buffer.toString('latin1');
+
+    if (head.includes('[Content_Types].xml') || head.includes('_rels/.rels')) {
+        if (head.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        if (head.includes('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        if (head.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    }
+    if (head.includes('AndroidManifest.xml')) return 'application/vnd.android.package-archive';
+    if (head.includes('META-INF/MANIFEST.MF')) return 'application/java-archive';
+
+    return 'application/zip';
+}
@@ -83,3 +83,33 @@ export function verifyHash(actual, expected) {
         return false;
     }
 }
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} keySource - Any string; hashed into the encryption key
+ * @returns {string} iv:tag:ciphertext (base64)
+ */
+export function encryptSecret(plaintext, keySource) {
+    const key = crypto.createHash('sha256').update(keySource).digest();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ * @param {string} stored - iv:tag:ciphertext (base64)
+ * @param {string} keySource - Same key source used to encrypt
+ * @returns {string} The secret
+ */
+export function decryptSecret(stored, keySource) {
+    const key = crypto.createHash('sha256').update(keySource).digest();
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
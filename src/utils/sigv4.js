@@ -0,0 +1,389 @@
+/**
+ * AWS Signature Version 4 Utilities
+ * Canonical request building, signature derivation and aws-chunked decoding
+ * for the S3-compatible gateway
+ */
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+export const SIGV4_ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * Special x-amz-content-sha256 values
+ */
+export const PayloadHash = {
+    UNSIGNED: 'UNSIGNED-PAYLOAD',
+    STREAMING_SIGNED: 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+    STREAMING_SIGNED_TRAILER: 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER',
+    STREAMING_UNSIGNED_TRAILER: 'STREAMING-UNSIGNED-PAYLOAD-TRAILER',
+};
+
+export const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+/**
+ * Longest aws-chunked header or trailer line accepted
+ */
+const MAX_LINE_LENGTH = 4096;
+
+/**
+ * Error for a bad aws-chunked body (code is the matching S3 error code)
+ */
+function chunkedError(message, code = 'IncompleteBody') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+export function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode per SigV4 (RFC 3986 unreserved characters stay as-is)
+ * @param {string} value - Value to encode
+ * @param {boolean} encodeSlash - Encode '/' too (false for paths)
+ */
+export function uriEncode(value, encodeSlash = true) {
+    const encoded = encodeURIComponent(value)
+        .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Canonical URI: every path segment decoded, then encoded exactly once
+ */
+export function canonicalUri(path) {
+    return path
+        .split('/')
+        .map(segment => uriEncode(safeDecode(segment)))
+        .join('/') || '/';
+}
+
+/**
+ * Canonical query string from the raw query, sorted by encoded name then value
+ * @param {string} rawQuery - Query string without '?'
+ * @param {Array<string>} exclude - Parameters left out (X-Amz-Signature for presigned URLs)
+ */
+export function canonicalQueryString(rawQuery, exclude = []) {
+    if (!rawQuery) return '';
+
+    return rawQuery
+        .split('&')
+        .filter(Boolean)
+        .map(pair => {
+            const index = pair.indexOf('=');
+            const name = index === -1 ? pair : pair.slice(0, index);
+            const value = index === -1 ? '' : pair.slice(index + 1);
+            return [uriEncode(safeDecode(name)), uriEncode(safeDecode(value))];
+        })
+        .filter(([name]) => !exclude.includes(name))
+        .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+/**
+ * Canonical headers block for the signed header names
+ */
+export function canonicalHeaders(headers, signedHeaders) {
+    return signedHeaders
+        .map(name => {
+            const value = headers[name];
+            const joined = Array.isArray(value) ? value.join(',') : (value ?? '');
+            return `${name}:${String(joined).trim().replace(/\s+/g, ' ')}\n`;
+        })
+        .join('');
+}
+
+/**
+ * Build the canonical request
+ */
+export function canonicalRequest({ method, path, rawQuery, headers, signedHeaders, payloadHash, excludeQuery = [] }) {
+    return [
+        method,
+        canonicalUri(path),
+        canonicalQueryString(rawQuery, excludeQuery),
+        canonicalHeaders(headers, signedHeaders),
+        signedHeaders.join(';'),
+        payloadHash,
+    ].join('\n');
+}
+
+/**
+ * Credential scope ("20240101/us-east-1/s3/aws4_request")
+ */
+export function credentialScope({ date, region, service }) {
+    return `${date}/${region}/${service}/aws4_request`;
+}
+
+export function stringToSign(amzDate, scope, request) {
+    return [SIGV4_ALGORITHM, amzDate, scope, sha256Hex(request)].join('\n');
+}
+
+/**
+ * Derive the signing key for a date, region and service
+ */
+export function signingKey(secret, date, region, service) {
+    const dateKey = hmac(`AWS4${secret}`, date);
+    const regionKey = hmac(dateKey, region);
+    const serviceKey = hmac(regionKey, service);
+    return hmac(serviceKey, 'aws4_request');
+}
+
+export function sign(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+export function signaturesMatch(actual, expected) {
+    if (typeof actual !== 'string' || typeof expected !== 'string' || actual.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+/**
+ * Parse a Credential value ("AKID/20240101/us-east-1/s3/aws4_request")
+ * @returns {Object|null} { accessKeyId, date, region, service }
+ */
+export function parseCredential(credential) {
+    const parts = String(credential || '').split('/');
+    if (parts.length !== 5 || parts[4] !== 'aws4_request') return null;
+
+    const [accessKeyId, date, region, service] = parts;
+    if (!accessKeyId || !/^\d{8}$/.test(date) || !region || !service) return null;
+
+    return { accessKeyId, date, region, service };
+}
+
+/**
+ * Parse an "AWS4-HMAC-SHA256 Credential=..., SignedHeaders=..., Signature=..." header
+ * @returns {Object|null} { credential, signedHeaders, signature }
+ */
+export function parseAuthorizationHeader(header) {
+    if (!header || !header.startsWith(`${SIGV4_ALGORITHM} `)) return null;
+
+    const fields = {};
+    for (const part of header.slice(SIGV4_ALGORITHM.length + 1).split(',')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        fields[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+
+    const credential = parseCredential(fields.Credential);
+    if (!credential || !fields.SignedHeaders || !fields.Signature) return null;
+
+    return {
+        credential,
+        signedHeaders: fields.SignedHeaders.split(';'),
+        signature: fields.Signature,
+    };
+}
+
+/**
+ * Parse an ISO 8601 basic timestamp ("20240101T120000Z")
+ */
+export function parseAmzDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    if (!match) return null;
+
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    return new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+}
+
+/**
+ * Signer for the chunk and trailer signatures of a streaming upload
+ * Each signature chains from the previous one, starting at the request's seed signature.
+ */
+export function createChunkSigner({ key, amzDate, scope, seedSignature }) {
+    let previous = seedSignature;
+
+    return {
+        chunk(chunkHash) {
+            previous = sign(key, [
+                'AWS4-HMAC-SHA256-PAYLOAD',
+                amzDate,
+                scope,
+                previous,
+                EMPTY_SHA256,
+                chunkHash,
+            ].join('\n'));
+            return previous;
+        },
+        trailer(canonicalTrailers) {
+            previous = sign(key, [
+                'AWS4-HMAC-SHA256-TRAILER',
+                amzDate,
+                scope,
+                previous,
+                sha256Hex(canonicalTrailers),
+            ].join('\n'));
+            return previous;
+        },
+    };
+}
+
+/**
+ * Decoder for aws-chunked request bodies
+ * Emits the payload; trailing headers (checksums) are available in `trailers` once it ends.
+ * With a signer, every chunk signature (and the trailer signature) is verified.
+ */
+export class AwsChunkedDecoder extends Transform {
+    constructor({ signer = null } = {}) {
+        super();
+        this.signer = signer;
+        this.buffer = Buffer.alloc(0);
+        this.state = 'header';
+        this.remaining = 0;
+        this.chunkHash = null;
+        this.chunkSignature = null;
+        this.trailers = {};
+        this.canonicalTrailers = '';
+        this.trailerSignature = null;
+    }
+
+    _transform(data, encoding, callback) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+        try {
+            this._parse();
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (this.state !== 'done') {
+            return callback(chunkedError('Incomplete aws-chunked body'));
+        }
+        callback();
+    }
+
+    _parse() {
+        while (this.buffer.length > 0 && this.state !== 'done') {
+            if (this.state === 'header') {
+                const line = this._readLine();
+                if (line === null) return;
+                this._startChunk(line);
+            } else if (this.state === 'data') {
+                const take = Math.min(this.remaining, this.buffer.length);
+                const data = this.buffer.subarray(0, take);
+
+                this.chunkHash.update(data);
+                this.push(data);
+
+                this.buffer = this.buffer.subarray(take);
+                this.remaining -= take;
+                if (this.remaining === 0) this.state = 'data-end';
+            } else if (this.state === 'data-end') {
+                if (this.buffer.length < 2) return;
+                if (this.buffer[0] !== 0x0d || this.buffer[1] !== 0x0a) {
+                    throw chunkedError('Malformed aws-chunked body');
+                }
+                this.buffer = this.buffer.subarray(2);
+                this._verifyChunk();
+                this.state = 'header';
+            } else if (this.state === 'trailer') {
+                const line = this._readLine();
+                if (line === null) return;
+                this._readTrailer(line);
+            }
+        }
+    }
+
+    _startChunk(line) {
+        const [sizeHex, ...extensions] = line.split(';');
+        const size = parseInt(sizeHex, 16);
+
+        if (!/^[0-9a-fA-F]+$/.test(sizeHex) || isNaN(size)) {
+            throw chunkedError('Malformed aws-chunked chunk size');
+        }
+
+        const signature = extensions.find(e => e.startsWith('chunk-signature='));
+        this.chunkSignature = signature ? signature.slice('chunk-signature='.length) : null;
+
+        if (this.signer && !this.chunkSignature) {
+            throw chunkedError('Missing chunk signature', 'SignatureDoesNotMatch');
+        }
+
+        this.remaining = size;
+        this.chunkHash = crypto.createHash('sha256');
+
+        if (size === 0) {
+            this._verifyChunk();
+            this.state = 'trailer';
+        } else {
+            this.state = 'data';
+        }
+    }
+
+    _verifyChunk() {
+        if (!this.signer) return;
+
+        const expected = this.signer.chunk(this.chunkHash.digest('hex'));
+        if (!signaturesMatch(this.chunkSignature, expected)) {
+            throw chunkedError('Chunk signature does not match', 'SignatureDoesNotMatch');
+        }
+    }
+
+    _readTrailer(line) {
+        // Blank line ends the body
+        if (line === '') {
+            if (this.signer && this.canonicalTrailers) {
+                const expected = this.signer.trailer(this.canonicalTrailers);
+                if (!signaturesMatch(this.trailerSignature, expected)) {
+                    throw chunkedError('Trailer signature does not match', 'SignatureDoesNotMatch');
+                }
+            }
+            this.state = 'done';
+            return;
+        }
+
+        const index = line.indexOf(':');
+        if (index === -1) {
+            throw chunkedError('Malformed aws-chunked trailer');
+        }
+
+        const name = line.slice(0, index).trim().toLowerCase();
+        const value = line.slice(index + 1).trim();
+
+        if (name === 'x-amz-trailer-signature') {
+            this.trailerSignature = value;
+        } else {
+            this.trailers[name] = value;
+            this.canonicalTrailers += `${name}:${value}\n`;
+        }
+    }
+
+    _readLine() {
+        const end = this.buffer.indexOf('\r\n');
+
+        if (end === -1) {
+            if (this.buffer.length > MAX_LINE_LENGTH) {
+                throw chunkedError('Malformed aws-chunked body');
+            }
+            return null;
+        }
+
+        const line = this.buffer.subarray(0, end).toString('latin1');
+        this.buffer = this.buffer.subarray(end + 2);
+        return line;
+    }
+}
@@ -79,6 +79,31 @@ export function createProgressStream(onProgress) {
     });
 }
 
+/**
+ * Create a transform stream that caps throughput
+ * Each chunk is held until the previous ones have had their time at the
+ * given rate, so idle periods don't build up a burst.
+ * @param {number} bytesPerSecond - Maximum rate
+ * @returns {Transform} Transform stream
+ */
+export function createThrottleStream(bytesPerSecond) {
+    let nextSendAt = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const now = Date.now();
+            const sendAt = Math.max(nextSendAt, now);
+            nextSendAt = sendAt + (chunk.length / bytesPerSecond) * 1000;
+
+            if (sendAt > now) {
+                setTimeout(() => callback(null, chunk), sendAt - now);
+            } else {
+                callback(null, chunk);
+            }
+        },
+    });
+}
+
 /**
  * Copy file with progress tracking
  * @param {string} source - Source file path
@@ -106,6 +131,8 @@ export async function safePipe(source, destination) {
 
 /**
  * Get MIME type from file extension
+ * Only a guess at the declared type: uploads are checked against their
+ * content with utils/fileType.js
  * @param {string} filename - Filename with extension
  * @returns {string} MIME type
  */
@@ -0,0 +1,128 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps)
+ * as used by authenticator apps
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+/**
+ * Base32 encode (RFC 4648, without padding)
+ */
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 decode (case-insensitive, ignores padding and spaces)
+ */
+export function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new secret (base32)
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step for a moment
+ * @param {number} time - Milliseconds since the epoch
+ */
+export function timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for a secret at a time step (HOTP, RFC 4226)
+ */
+export function generateCode(secret, step = timeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {Object} options - { window (steps either side), afterStep (reject steps up to this one, against replay) }
+ * @returns {number|null} The matching time step, or null
+ */
+export function verifyCode(secret, code, { window = 1, afterStep = 0, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (step <= afterStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ */
+export function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,311 @@
+/**
+ * ZIP Utilities
+ * Streaming ZIP writer (store mode, ZIP64) for on-the-fly archive downloads
+ *
+ * Entries are stored uncompressed with a trailing data descriptor, so the
+ * archive can be produced in a single pass without buffering file contents,
+ * and its exact size is known before the first byte is written.
+ */
+
+import { Readable } from 'stream';
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const DATA_DESCRIPTOR_SIG = 0x08074b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const ZIP64_END_SIG = 0x06064b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const END_SIG = 0x06054b50;
+
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+// General purpose flags: bit 3 (sizes/CRC in data descriptor), bit 11 (UTF-8 names)
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+// Version made by: Unix host (3), spec 4.5
+const VERSION_MADE_BY = (3 << 8) | 45;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+
+// Unix mode in the high 16 bits of external attributes (plus MS-DOS directory bit)
+const FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+const DIRECTORY_ATTRIBUTES = ((0o040755 << 16) | 0x10) >>> 0;
+
+/**
+ * CRC-32 lookup table
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Update a running CRC-32 with a buffer
+ * @param {Buffer} buffer - Data
+ * @param {number} crc - Previous CRC (0 to start)
+ * @returns {number} Updated CRC
+ */
+export function crc32(buffer, crc = 0) {
+    let c = (crc ^ MAX_32) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ MAX_32) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ */
+function toDosDateTime(value) {
+    const date = value ? new Date(value) : new Date();
+    const year = Math.max(date.getFullYear(), 1980);
+
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Lay out entries: header sizes, offsets and which ones need ZIP64 fields
+ */
+function planArchive(entries) {
+    const planned = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.isDirectory ? `${entry.name.replace(/\/+$/, '')}/` : entry.name, 'utf8');
+        const size = entry.isDirectory ? 0 : entry.size;
+        const zip64 = size >= MAX_32;
+
+        const localHeaderSize = 30 + name.length + (zip64 ? 20 : 0);
+        const descriptorSize = entry.isDirectory ? 0 : (zip64 ? 24 : 16);
+
+        planned.push({
+            entry,
+            name,
+            size,
+            zip64,
+            offset,
+            ...toDosDateTime(entry.mtime),
+        });
+
+        offset += localHeaderSize + size + descriptorSize;
+    }
+
+    let centralSize = 0;
+    for (const item of planned) {
+        centralSize += 46 + item.name.length + centralExtraLength(item);
+    }
+
+    const needsZip64End = planned.length >= MAX_16 || offset >= MAX_32 || centralSize >= MAX_32;
+    const endSize = 22 + (needsZip64End ? 56 + 20 : 0);
+
+    return {
+        entries: planned,
+        centralOffset: offset,
+        centralSize,
+        needsZip64End,
+        totalSize: offset + centralSize + endSize,
+    };
+}
+
+/**
+ * Length of the ZIP64 extra field in a central directory header
+ */
+function centralExtraLength(item) {
+    let fields = item.zip64 ? 2 : 0;
+    if (item.offset >= MAX_32) fields++;
+    return fields > 0 ? 4 + fields * 8 : 0;
+}
+
+function localHeader(item) {
+    const { name, zip64, entry } = item;
+    const buf = Buffer.alloc(30 + name.length + (zip64 ? 20 : 0));
+    const flags = FLAG_UTF8 | (entry.isDirectory ? 0 : FLAG_DATA_DESCRIPTOR);
+
+    buf.writeUInt32LE(LOCAL_HEADER_SIG, 0);
+    buf.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+    buf.writeUInt16LE(flags, 6);
+    buf.writeUInt16LE(0, 8); // stored
+    buf.writeUInt16LE(item.time, 10);
+    buf.writeUInt16LE(item.date, 12);
+    // CRC and sizes follow in the data descriptor
+    buf.writeUInt32LE(0, 14);
+    buf.writeUInt32LE(zip64 ? MAX_32 : 0, 18);
+    buf.writeUInt32LE(zip64 ? MAX_32 : 0, 22);
+    buf.writeUInt16LE(name.length, 26);
+    buf.writeUInt16LE(zip64 ? 20 : 0, 28);
+    name.copy(buf, 30);
+
+    if (zip64) {
+        const extra = 30 + name.length;
+        buf.writeUInt16LE(ZIP64_EXTRA_ID, extra);
+        buf.writeUInt16LE(16, extra + 2);
+        // Sizes are zero here and given in the data descriptor
+    }
+
+    return buf;
+}
+
+function dataDescriptor(item, crc) {
+    const buf = Buffer.alloc(item.zip64 ? 24 : 16);
+
+    buf.writeUInt32LE(DATA_DESCRIPTOR_SIG, 0);
+    buf.writeUInt32LE(crc, 4);
+
+    if (item.zip64) {
+        buf.writeBigUInt64LE(BigInt(item.size), 8);
+        buf.writeBigUInt64LE(BigInt(item.size), 16);
+    } else {
+        buf.writeUInt32LE(item.size, 8);
+        buf.writeUInt32LE(item.size, 12);
+    }
+
+    return buf;
+}
+
+function centralHeader(item) {
+    const { name, zip64, entry } = item;
+    const extraLength = centralExtraLength(item);
+    const buf = Buffer.alloc(46 + name.length + extraLength);
+    const flags = FLAG_UTF8 | (entry.isDirectory ? 0 : FLAG_DATA_DESCRIPTOR);
+
+    buf.writeUInt32LE(CENTRAL_HEADER_SIG, 0);
+    buf.writeUInt16LE(VERSION_MADE_BY, 4);
+    buf.writeUInt16LE(extraLength > 0 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+    buf.writeUInt16LE(flags, 8);
+    buf.writeUInt16LE(0, 10); // stored
+    buf.writeUInt16LE(item.time, 12);
+    buf.writeUInt16LE(item.date, 14);
+    buf.writeUInt32LE(item.crc || 0, 16);
+    buf.writeUInt32LE(zip64 ? MAX_32 : item.size, 20);
+    buf.writeUInt32LE(zip64 ? MAX_32 : item.size, 24);
+    buf.writeUInt16LE(name.length, 28);
+    buf.writeUInt16LE(extraLength, 30);
+    buf.writeUInt16LE(0, 32); // comment length
+    buf.writeUInt16LE(0, 34); // disk number
+    buf.writeUInt16LE(0, 36); // internal attributes
+    buf.writeUInt32LE(entry.isDirectory ? DIRECTORY_ATTRIBUTES : FILE_ATTRIBUTES, 38);
+    buf.writeUInt32LE(item.offset >= MAX_32 ? MAX_32 : item.offset, 42);
+    name.copy(buf, 46);
+
+    if (extraLength > 0) {
+        let pos = 46 + name.length;
+        buf.writeUInt16LE(ZIP64_EXTRA_ID, pos);
+        buf.writeUInt16LE(extraLength - 4, pos + 2);
+        pos += 4;
+
+        if (zip64) {
+            buf.writeBigUInt64LE(BigInt(item.size), pos);
+            buf.writeBigUInt64LE(BigInt(item.size), pos + 8);
+            pos += 16;
+        }
+        if (item.offset >= MAX_32) {
+            buf.writeBigUInt64LE(BigInt(item.offset), pos);
+        }
+    }
+
+    return buf;
+}
+
+function endRecords(plan) {
+    const { entries, centralOffset, centralSize, needsZip64End } = plan;
+    const buffers = [];
+
+    if (needsZip64End) {
+        const zip64End = Buffer.alloc(56);
+        zip64End.writeUInt32LE(ZIP64_END_SIG, 0);
+        zip64End.writeBigUInt64LE(44n, 4); // size of the rest of this record
+        zip64End.writeUInt16LE(VERSION_MADE_BY, 12);
+        zip64End.writeUInt16LE(VERSION_ZIP64, 14);
+        zip64End.writeUInt32LE(0, 16); // this disk
+        zip64End.writeUInt32LE(0, 20); // disk with central directory
+        zip64End.writeBigUInt64LE(BigInt(entries.length), 24);
+        zip64End.writeBigUInt64LE(BigInt(entries.length), 32);
+        zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+        zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+        buffers.push(zip64End);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(ZIP64_LOCATOR_SIG, 0);
+        locator.writeUInt32LE(0, 4);
+        locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+        locator.writeUInt32LE(1, 16); // total disks
+        buffers.push(locator);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_SIG, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 8);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 10);
+    end.writeUInt32LE(Math.min(centralSize, MAX_32), 12);
+    end.writeUInt32LE(Math.min(centralOffset, MAX_32), 16);
+    end.writeUInt16LE(0, 20); // comment length
+    buffers.push(end);
+
+    return Buffer.concat(buffers);
+}
+
+/**
+ * Exact size of the archive createZipStream will produce
+ * @param {Array<Object>} entries - Archive entries (see createZipStream)
+ * @returns {number} Size in bytes
+ */
+export function zipSize(entries) {
+    return planArchive(entries).totalSize;
+}
+
+/**
+ * Create a ZIP archive stream
+ * File contents are pulled from each entry's open() one at a time, with backpressure.
+ * @param {Array<Object>} entries - { name, size, mtime, isDirectory, open: () => Readable }
+ * @returns {Readable} Archive stream
+ */
+export function createZipStream(entries) {
+    const plan = planArchive(entries);
+
+    async function* generate() {
+        for (const item of plan.entries) {
+            yield localHeader(item);
+
+            if (item.entry.isDirectory) continue;
+
+            let crc = 0;
+            let written = 0;
+
+            for await (const chunk of item.entry.open()) {
+                crc = crc32(chunk, crc);
+                written += chunk.length;
+                yield chunk;
+            }
+
+            // Sizes were promised up front (headers and Content-Length)
+            if (written !== item.size) {
+                throw new Error(`Size mismatch for ${item.entry.name}: expected ${item.size}, read ${written}`);
+            }
+
+            item.crc = crc;
+            yield dataDescriptor(item, crc);
+        }
+
+        for (const item of plan.entries) {
+            yield centralHeader(item);
+        }
+
+        yield endRecords(plan);
+    }
+
+    return Readable.from(generate(), { objectMode: false });
+}
@@ -0,0 +1,155 @@
+/**
+ * Queue Worker
+ * Base class for workers that run on a job queue: a repeatable sweep job
+ * finds the work and queues one job per item, which any instance may process
+ */
+import config from '../config/index.js';
+import queueProvider from '../providers/queue/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Job types on a worker queue
+ */
+export const JobType = {
+    SWEEP: 'sweep',
+    ITEM: 'item',
+};
+
+// Job id of the repeatable sweep (Bull schedule keys can't contain ':')
+const SWEEP_JOB_ID = 'sweep';
+
+/**
+ * Build a per-item job: deduplicated by id, retried with backoff, and kept only when it fails
+ * @param {string} id - Job id; an item with a queued or failed job is not queued again
+ * @returns {{data: Object, options: Object}}
+ */
+export function itemJob(id, data) {
+    return {
+        data: { type: JobType.ITEM, ...data },
+        options: {
+            jobId: id,
+            attempts: config.workers.jobAttempts,
+            backoff: { type: 'exponential', delay: config.workers.jobBackoff },
+            removeOnComplete: true,
+        },
+    };
+}
+
+export class QueueWorker {
+    /**
+     * @param {string} name - Worker name used in logs
+     * @param {string} queueName - Queue the worker runs on
+     * @param {Object} options - { interval, concurrency }
+     */
+    constructor(name, queueName, { interval, concurrency }) {
+        this.name = name;
+        this.queueName = queueName;
+        this.interval = interval;
+        this.concurrency = concurrency;
+        this.isRunning = false;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Start processing jobs on this instance
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        // Bull allows one handler per queue, so a restart only resumes it
+        if (this.isProcessing) {
+            await queueProvider.resume(this.queueName, true);
+        } else {
+            queueProvider.process(
+                this.queueName,
+                (data, job) => this._handle(data, job),
+                { concurrency: this.concurrency }
+            );
+            this.isProcessing = true;
+        }
+
+        this.isRunning = true;
+        logger.info(`${this.name} worker started`, {
+            queue: this.queueName,
+            concurrency: this.concurrency,
+        });
+    }
+
+    /**
+     * Stop taking jobs on this instance; active jobs finish
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        await queueProvider.pause(this.queueName, true);
+        this.isRunning = false;
+        logger.info(`${this.name} worker stopped`);
+    }
+
+    /**
+     * Register the repeatable sweep (scheduler only)
+     */
+    async schedule() {
+        await queueProvider.addRepeatable(
+            this.queueName,
+            { type: JobType.SWEEP },
+            this.interval,
+            { jobId: SWEEP_JOB_ID, attempts: 1 }
+        );
+    }
+
+    /**
+     * Queue a sweep to run now
+     */
+    async runNow() {
+        return queueProvider.add(this.queueName, { type: JobType.SWEEP }, { attempts: 1 });
+    }
+
+    /**
+     * Queue one job per item, skipping items that already have one
+     * A job that failed for good is kept for inspection and holds its item
+     * back from later sweeps until it is retried or removed.
+     * @param {Array<{id: string, data: Object}>} items
+     * @returns {Promise<number>} Number of items submitted
+     */
+    async enqueue(items) {
+        if (items.length === 0) return 0;
+
+        await queueProvider.addBulk(this.queueName, items.map(({ id, data }) => itemJob(id, data)));
+
+        return items.length;
+    }
+
+    /**
+     * Find work and queue it (implemented by each worker)
+     * @returns {Promise<Object>} Sweep summary
+     */
+    async sweep() {
+        throw new Error('Method not implemented: sweep()');
+    }
+
+    /**
+     * Process one queued item (implemented by each worker)
+     * Throwing fails the attempt, and the job is retried.
+     */
+    async processItem(data) {
+        throw new Error('Method not implemented: processItem()');
+    }
+
+    // ==================== Private Methods ====================
+
+    async _handle(data) {
+        if (data.type !== JobType.SWEEP) {
+            return this.processItem(data);
+        }
+
+        logger.debug(`${this.name} sweep running...`);
+
+        const result = await this.sweep();
+        if (result.queued > 0) {
+            logger.info(`${this.name} sweep queued jobs`, result);
+        }
+
+        return result;
+    }
+}
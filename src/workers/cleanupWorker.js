@@ -5,83 +5,69 @@
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import config from '../config/index.js';
-import { UploadSession } from '../models/index.js';
+import { UploadSession, Quota } from '../models/index.js';
 import storageProvider from '../providers/storage/index.js';
+import { QueueNames } from '../providers/queue/index.js';
 import logger from '../utils/logger.js';
+import { QueueWorker } from './QueueWorker.js';
 
-class CleanupWorker {
+class CleanupWorker extends QueueWorker {
     constructor() {
-        this.isRunning = false;
-        this.intervalId = null;
+        super('Cleanup', QueueNames.CLEANUP, {
+            interval: config.workers.cleanupInterval,
+            concurrency: config.workers.cleanupConcurrency,
+        });
     }
 
-    async start() {
-        if (this.isRunning) return;
-
-        this.isRunning = true;
-        logger.info('Cleanup worker started');
-
-        await this.run();
-
-        this.intervalId = setInterval(
-            () => this.run(),
-            config.workers.cleanupInterval
+    /**
+     * Queue a cleanup job for each expired upload session, then tidy up
+     * temp directories, old sessions and stale quota reservations
+     */
+    async sweep() {
+        const sessions = await UploadSession.findExpiredSessions(
+            config.workers.batchSize
         );
-    }
-
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-        this.isRunning = false;
-        logger.info('Cleanup worker stopped');
-    }
-
-    async run() {
-        if (!this.isRunning) return;
-
-        try {
-            logger.debug('Cleanup worker running...');
 
-            // Clean expired upload sessions
-            await this.cleanExpiredSessions();
+        const queued = await this.enqueue(sessions.map(session => ({
+            id: session.sessionId,
+            data: { sessionId: session.sessionId },
+        })));
 
-            // Clean orphaned temp directories
-            await this.cleanOrphanedTempDirs();
+        // Clean orphaned temp directories
+        await this.cleanOrphanedTempDirs();
 
-            // Clean old completed/failed sessions from DB
-            await this.cleanOldSessions();
+        // Clean old completed/failed sessions from DB
+        await this.cleanOldSessions();
 
-        } catch (error) {
-            logger.error('Cleanup worker error', { error: error.message });
+        // Sessions may also have been removed by the TTL index: drop their quota reservations
+        const released = await Quota.releaseExpiredReservations();
+        if (released > 0) {
+            logger.info('Expired quota reservations released', { quotas: released });
         }
-    }
 
-    async cleanExpiredSessions() {
-        const sessions = await UploadSession.findExpiredSessions(
-            config.workers.batchSize
-        );
+        return { queued };
+    }
 
-        let cleaned = 0;
-
-        for (const session of sessions) {
-            try {
-                await storageProvider.deleteChunks(session.sessionId);
-                session.status = 'expired';
-                await session.save();
-                cleaned++;
-            } catch (error) {
-                logger.error('Failed to clean session', {
-                    sessionId: session.sessionId,
-                    error: error.message,
-                });
-            }
+    /**
+     * Delete one expired session's chunks
+     */
+    async processItem({ sessionId }) {
+        const session = await UploadSession.findOne({
+            sessionId,
+            status: { $in: ['pending', 'uploading', 'assembling'] },
+            expiresAt: { $lte: new Date() },
+        });
+
+        // Completed, extended or already cleaned since it was found
+        if (!session) {
+            return { cleaned: false };
         }
 
-        if (cleaned > 0) {
-            logger.info('Expired sessions cleaned', { count: cleaned });
-        }
+        await storageProvider.deleteChunks(session.sessionId);
+        session.status = 'expired';
+        await session.save();
+
+        return { cleaned: true };
     }
 
     async cleanOrphanedTempDirs() {
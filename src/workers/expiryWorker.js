@@ -4,54 +4,43 @@
  */
 import config from '../config/index.js';
 import expiryService from '../services/ExpiryService.js';
-import logger from '../utils/logger.js';
+import { QueueNames } from '../providers/queue/index.js';
+import { QueueWorker } from './QueueWorker.js';
 
-class ExpiryWorker {
+class ExpiryWorker extends QueueWorker {
     constructor() {
-        this.isRunning = false;
-        this.intervalId = null;
+        super('Expiry', QueueNames.EXPIRY, {
+            interval: config.workers.expiryInterval,
+            concurrency: config.workers.expiryConcurrency,
+        });
     }
 
-    async start() {
-        if (this.isRunning) return;
+    /**
+     * Queue a deletion job for each expired file
+     */
+    async sweep() {
+        const files = await expiryService.getExpiredFiles(config.workers.batchSize);
 
-        this.isRunning = true;
-        logger.info('Expiry worker started');
+        const queued = await this.enqueue(files.map(file => ({
+            id: String(file._id),
+            data: { fileId: String(file._id) },
+        })));
 
-        // Run immediately, then on interval
-        await this.run();
-
-        this.intervalId = setInterval(
-            () => this.run(),
-            config.workers.expiryInterval
-        );
-    }
-
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-        this.isRunning = false;
-        logger.info('Expiry worker stopped');
+        return { queued };
     }
 
-    async run() {
-        if (!this.isRunning) return;
+    /**
+     * Delete one expired file
+     */
+    async processItem({ fileId }) {
+        const result = await expiryService.deleteExpiredFile(fileId);
 
-        try {
-            logger.debug('Expiry worker running...');
-
-            const result = await expiryService.processExpiredBatch(
-                config.workers.batchSize
-            );
-
-            if (result.processed > 0) {
-                logger.info('Expiry worker completed batch', result);
-            }
-        } catch (error) {
-            logger.error('Expiry worker error', { error: error.message });
+        // Files gone or no longer expired need nothing; a failed delete is retried
+        if (!result.success && result.error) {
+            throw new Error(result.error);
         }
+
+        return result;
     }
 }
 
@@ -5,6 +5,12 @@
 import expiryWorker from './expiryWorker.js';
 import migrationWorker from './migrationWorker.js';
 import cleanupWorker from './cleanupWorker.js';
+import trashWorker from './trashWorker.js';
+import quotaWorker from './quotaWorker.js';
+import processingWorker from './processingWorker.js';
+import schedulerLock from './schedulerLock.js';
+import config from '../config/index.js';
+import queueProvider from '../providers/queue/index.js';
 import logger from '../utils/logger.js';
 
 class WorkerManager {
@@ -13,9 +19,18 @@ class WorkerManager {
             { name: 'expiry', instance: expiryWorker },
             { name: 'migration', instance: migrationWorker },
             { name: 'cleanup', instance: cleanupWorker },
+            { name: 'trash', instance: trashWorker },
+            { name: 'quota', instance: quotaWorker },
+            { name: 'file-processing', instance: processingWorker },
         ];
+        this.isScheduler = false;
+        this.electionId = null;
     }
 
+    /**
+     * Start processing jobs on this instance and join the scheduler election
+     * Every instance processes jobs; only the lock holder schedules sweeps.
+     */
     async startAll() {
         logger.info('Starting all workers...');
 
@@ -29,14 +44,27 @@ class WorkerManager {
                 });
             }
         }
+
+        await this._elect();
+
+        // Renew well before the lock expires; standby instances retry as often
+        this.electionId = setInterval(
+            () => this._elect(),
+            config.workers.schedulerLockTtl / 3
+        );
     }
 
-    stopAll() {
+    async stopAll() {
         logger.info('Stopping all workers...');
 
+        if (this.electionId) {
+            clearInterval(this.electionId);
+            this.electionId = null;
+        }
+
         for (const worker of this.workers) {
             try {
-                worker.instance.stop();
+                await worker.instance.stop();
                 logger.info(`Worker stopped: ${worker.name}`);
             } catch (error) {
                 logger.error(`Failed to stop worker: ${worker.name}`, {
@@ -44,14 +72,81 @@ class WorkerManager {
                 });
             }
         }
+
+        // Hand over scheduling right away instead of waiting for the lock to expire
+        if (this.isScheduler) {
+            try {
+                await schedulerLock.release();
+            } catch (error) {
+                logger.error('Failed to release scheduler lock', { error: error.message });
+            }
+            this.isScheduler = false;
+        }
+    }
+
+    /**
+     * Queue a sweep of one worker to run now
+     * @returns {Promise<Object|null>} The queued job, or null for an unknown worker
+     */
+    async runNow(name) {
+        const worker = this.workers.find(w => w.name === name);
+        if (!worker) return null;
+
+        logger.info(`Worker run requested: ${name}`);
+        return worker.instance.runNow();
     }
 
     getStatus() {
         return this.workers.map(w => ({
             name: w.name,
+            queue: w.instance.queueName,
             isRunning: w.instance.isRunning,
+            concurrency: w.instance.concurrency,
+            interval: w.instance.interval,
         }));
     }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Keep or take the scheduler lock
+     */
+    async _elect() {
+        try {
+            if (this.isScheduler) {
+                if (await schedulerLock.renew()) return;
+
+                this.isScheduler = false;
+                logger.warn('Scheduler lock lost');
+            }
+
+            if (await schedulerLock.acquire()) {
+                this.isScheduler = true;
+                logger.info('Scheduler lock acquired');
+                await this._scheduleAll();
+            }
+        } catch (error) {
+            logger.error('Scheduler election failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Register the repeatable sweeps and run each sweep once now
+     * The schedules live in Redis, so they keep running when this instance
+     * goes away; a new scheduler re-registers them with its own intervals.
+     */
+    async _scheduleAll() {
+        for (const worker of this.workers) {
+            try {
+                await worker.instance.schedule();
+                await worker.instance.runNow();
+            } catch (error) {
+                logger.error(`Failed to schedule worker: ${worker.name}`, {
+                    error: error.message,
+                });
+            }
+        }
+    }
 }
 
 const workerManager = new WorkerManager();
@@ -62,11 +157,14 @@ if (process.argv[1]?.endsWith('workers/index.js')) {
     import('../config/database.js').then(async (db) => {
         await db.default.connect();
         import('../config/redis.js').then(async (redis) => {
-            await redis.default.connect();
+            if (config.cache.provider === 'redis') {
+                await redis.default.connect();
+            }
             await workerManager.startAll();
 
-            process.on('SIGINT', () => {
-                workerManager.stopAll();
+            process.on('SIGINT', async () => {
+                await workerManager.stopAll();
+                await queueProvider.close();
                 process.exit(0);
             });
         });
@@ -0,0 +1,40 @@
+/**
+ * Processing Worker
+ * Runs the post-upload processing pipeline on new files and versions
+ */
+import config from '../config/index.js';
+import fileProcessingService from '../services/FileProcessingService.js';
+import { QueueNames } from '../providers/queue/index.js';
+import { QueueWorker } from './QueueWorker.js';
+
+class ProcessingWorker extends QueueWorker {
+    constructor() {
+        super('File processing', QueueNames.FILE_PROCESSING, {
+            interval: config.workers.processingInterval,
+            concurrency: config.workers.processingConcurrency,
+        });
+    }
+
+    /**
+     * Queue files again whose processing was lost (queueing failed, or the job vanished)
+     * Uploads queue their own jobs; this only catches what fell through.
+     */
+    async sweep() {
+        const files = await fileProcessingService.getStaleFiles(config.workers.batchSize);
+
+        const queued = await this.enqueue(files.map(file => fileProcessingService.jobItem(file)));
+        await fileProcessingService.touchQueued(files);
+
+        return { queued };
+    }
+
+    /**
+     * Process one version of a file
+     */
+    async processItem({ fileId, version }) {
+        return fileProcessingService.process(fileId, version);
+    }
+}
+
+const processingWorker = new ProcessingWorker();
+export default processingWorker;
@@ -0,0 +1,50 @@
+/**
+ * Quota Worker
+ * Reconciles usage counters with the stored files
+ */
+import config from '../config/index.js';
+import { User } from '../models/index.js';
+import quotaReconciliationService from '../services/QuotaReconciliationService.js';
+import { QueueNames } from '../providers/queue/index.js';
+import { QueueWorker } from './QueueWorker.js';
+
+class QuotaWorker extends QueueWorker {
+    constructor() {
+        super('Quota', QueueNames.QUOTA, {
+            interval: config.workers.quotaInterval,
+            concurrency: config.workers.quotaConcurrency,
+        });
+    }
+
+    /**
+     * Queue a reconciliation job for every user
+     */
+    async sweep() {
+        let queued = 0;
+        let batch = [];
+
+        const cursor = User.find({}).select('_id').lean().cursor();
+        for await (const user of cursor) {
+            batch.push({ id: String(user._id), data: { userId: String(user._id) } });
+
+            if (batch.length >= config.workers.batchSize) {
+                queued += await this.enqueue(batch);
+                batch = [];
+            }
+        }
+        queued += await this.enqueue(batch);
+
+        return { queued };
+    }
+
+    /**
+     * Reconcile one user's quota
+     */
+    async processItem({ userId }) {
+        const drift = await quotaReconciliationService.reconcileUser(userId);
+        return { corrected: !!drift };
+    }
+}
+
+const quotaWorker = new QuotaWorker();
+export default quotaWorker;
@@ -0,0 +1,43 @@
+/**
+ * Scheduler Lock
+ * Distributed lock electing the one instance that schedules worker sweeps
+ */
+import { randomUUID } from 'crypto';
+import config from '../config/index.js';
+import { sessionStore } from '../providers/cache/index.js';
+
+const LOCK_KEY = 'workers:scheduler';
+
+class SchedulerLock {
+    constructor() {
+        this.token = randomUUID();
+        this.ttl = config.workers.schedulerLockTtl;
+    }
+
+    /**
+     * Take the lock if no instance holds it
+     * @returns {Promise<boolean>} Whether this instance now holds it
+     */
+    async acquire() {
+        return sessionStore.acquireLock(LOCK_KEY, this.token, this.ttl);
+    }
+
+    /**
+     * Extend the lock
+     * @returns {Promise<boolean>} False when the lock expired and was lost
+     */
+    async renew() {
+        return sessionStore.renewLock(LOCK_KEY, this.token, this.ttl);
+    }
+
+    /**
+     * Give up the lock so another instance can take over
+     */
+    async release() {
+        await sessionStore.releaseLock(LOCK_KEY, this.token);
+    }
+}
+
+// Export singleton instance
+const schedulerLock = new SchedulerLock();
+export default schedulerLock;
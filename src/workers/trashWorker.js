@@ -0,0 +1,45 @@
+/**
+ * Trash Worker
+ * Purges trashed files past their retention period
+ */
+import config from '../config/index.js';
+import { File } from '../models/index.js';
+import trashService from '../services/TrashService.js';
+import { QueueNames } from '../providers/queue/index.js';
+import { QueueWorker } from './QueueWorker.js';
+
+class TrashWorker extends QueueWorker {
+    constructor() {
+        super('Trash', QueueNames.TRASH, {
+            interval: config.workers.trashInterval,
+            concurrency: config.workers.trashConcurrency,
+        });
+    }
+
+    /**
+     * Queue a purge job for each expired trashed file, then drop emptied folders
+     * Folders whose files are still queued go on a later sweep.
+     */
+    async sweep() {
+        const files = await File.findPurgeableFiles(config.workers.batchSize);
+
+        const queued = await this.enqueue(files.map(file => ({
+            id: String(file._id),
+            data: { fileId: String(file._id) },
+        })));
+
+        const folders = await trashService.purgeExpiredFolders(config.workers.batchSize);
+
+        return { queued, folders };
+    }
+
+    /**
+     * Purge one trashed file
+     */
+    async processItem({ fileId }) {
+        return trashService.purgeExpiredFile(fileId);
+    }
+}
+
+const trashWorker = new TrashWorker();
+export default trashWorker;
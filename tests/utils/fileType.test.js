@@ -0,0 +1,192 @@
+/**
+ * File type detection tests
+ * Fixtures are the leading bytes of each format, padded where detection reads further
+ */
+
+import {
+    detectMimeType,
+    inspectContentType,
+    isCompatibleType,
+    matchesSignature,
+    normalizeMimeType,
+} from '../../src/utils/fileType.js';
+
+function bytes(...parts) {
+    return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))));
+}
+
+/**
+ * Local file header of a stored ZIP entry, followed by its data
+ */
+function zipEntry(name, data = '') {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    return bytes(header, name, data);
+}
+
+function dosExecutable(peOffset, length = 256) {
+    const buffer = Buffer.alloc(length);
+    buffer.write('MZ', 0, 'latin1');
+    buffer.writeUInt32LE(peOffset, 0x3c);
+    if (peOffset + 4 <= length) buffer.write('PE\0\0', peOffset, 'latin1');
+    return buffer;
+}
+
+describe('detectMimeType', () => {
+    test.each([
+        ['image/png', bytes('\x89PNG\r\n\x1a\n', Buffer.alloc(16))],
+        ['image/jpeg', bytes('\xff\xd8\xff\xe0', Buffer.alloc(16))],
+        ['image/gif', bytes('GIF89a', Buffer.alloc(16))],
+        ['image/bmp', bytes('BM', Buffer.alloc(16))],
+        ['image/tiff', bytes('II*\x00', Buffer.alloc(8))],
+        ['image/tiff', bytes('MM\x00*', Buffer.alloc(8))],
+        ['image/webp', bytes('RIFF\x00\x00\x00\x00WEBPVP8 ')],
+        ['audio/wav', bytes('RIFF\x00\x00\x00\x00WAVEfmt ')],
+        ['video/x-msvideo', bytes('RIFF\x00\x00\x00\x00AVI LIST')],
+        ['video/mp4', bytes('\x00\x00\x00\x20ftypisom')],
+        ['video/quicktime', bytes('\x00\x00\x00\x14ftypqt  ')],
+        ['audio/mp4', bytes('\x00\x00\x00\x20ftypM4A ')],
+        ['image/heic', bytes('\x00\x00\x00\x18ftypheic')],
+        ['image/avif', bytes('\x00\x00\x00\x1cftypavif')],
+        ['video/3gpp', bytes('\x00\x00\x00\x14ftyp3gp4')],
+        ['video/webm', bytes('\x1a\x45\xdf\xa3\x9f\x42\x86\x81\x01\x42\x82\x84webm')],
+        ['video/x-matroska', bytes('\x1a\x45\xdf\xa3\xa3\x42\x86\x81\x01\x42\x82\x88matroska')],
+        ['audio/ogg', bytes('OggS\x00\x02')],
+        ['audio/flac', bytes('fLaC\x00\x00\x00\x22')],
+        ['audio/mpeg', bytes('ID3\x04\x00')],
+        ['audio/mpeg', bytes('\xff\xfb\x90\x00')],
+        ['application/pdf', bytes('%PDF-1.7\n')],
+        ['application/zip', bytes('PK\x05\x06', Buffer.alloc(18))],
+        ['application/x-ole-storage', bytes('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1', Buffer.alloc(8))],
+        ['application/gzip', bytes('\x1f\x8b\x08\x00')],
+        ['application/x-bzip2', bytes('BZh91AY&SY')],
+        ['application/x-xz', bytes('\xfd7zXZ\x00\x00')],
+        ['application/x-7z-compressed', bytes("7z\xbc\xaf'\x1c\x00\x04")],
+        ['application/vnd.rar', bytes('Rar!\x1a\x07\x01\x00')],
+        ['application/x-executable', bytes('\x7fELF\x02\x01\x01')],
+        ['application/x-mach-binary', bytes('\xcf\xfa\xed\xfe\x07\x00\x00\x01')],
+        ['application/x-mach-binary', bytes('\xca\xfe\xba\xbe\x00\x00\x00\x02')],
+        ['application/java-vm', bytes('\xca\xfe\xba\xbe\x00\x00\x00\x34')],
+        ['application/x-msdownload', dosExecutable(0x80)],
+    ])('%s', (mimeType, buffer) => {
+        expect(detectMimeType(buffer)).toBe(mimeType);
+    });
+
+    test('no signature: text, empty and missing buffers', () => {
+        expect(detectMimeType(Buffer.from('just some text\n'))).toBeNull();
+        expect(detectMimeType(Buffer.alloc(0))).toBeNull();
+        expect(detectMimeType(null)).toBeNull();
+    });
+
+    test('look-alike prefixes are not matched', () => {
+        // "BM" text: reserved fields aren't zero
+        expect(detectMimeType(Buffer.from('BMW owners manual, 2nd edition'))).toBeNull();
+        // "BZh" not followed by a block size
+        expect(detectMimeType(Buffer.from('BZhello'))).toBeNull();
+        // "MZ" text: no PE header where the DOS header points
+        expect(detectMimeType(dosExecutable(0x40, 256).fill(0x20, 0x40))).toBeNull();
+        expect(detectMimeType(Buffer.from('MZ is short'))).toBeNull();
+    });
+
+    test('DOS executable whose PE header is past the sniffed bytes', () => {
+        expect(detectMimeType(dosExecutable(0x2000, 128))).toBe('application/x-msdownload');
+        expect(detectMimeType(dosExecutable(0x7fffffff, 128))).toBeNull();
+    });
+
+    describe('ZIP-based formats', () => {
+        test.each([
+            ['application/vnd.oasis.opendocument.text'],
+            ['application/vnd.oasis.opendocument.spreadsheet'],
+            ['application/epub+zip'],
+        ])('%s from its stored mimetype entry', (mimeType) => {
+            const buffer = bytes(zipEntry('mimetype', mimeType), zipEntry('content.xml'));
+            expect(detectMimeType(buffer)).toBe(mimeType);
+        });
+
+        test.each([
+            ['word/document.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+            ['xl/workbook.xml', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+            ['ppt/presentation.xml', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        ])('Office Open XML with %s', (part, mimeType) => {
+            const buffer = bytes(zipEntry('[Content_Types].xml'), zipEntry('_rels/.rels'), zipEntry(part));
+            expect(detectMimeType(buffer)).toBe(mimeType);
+        });
+
+        test('Android package and Java archive', () => {
+            expect(detectMimeType(bytes(zipEntry('AndroidManifest.xml'), zipEntry('classes.dex'))))
+                .toBe('application/vnd.android.package-archive');
+            expect(detectMimeType(bytes(zipEntry('META-INF/MANIFEST.MF'))))
+                .toBe('application/java-archive');
+        });
+
+        test('anything else is a plain ZIP', () => {
+            expect(detectMimeType(bytes(zipEntry('photos/a.jpg')))).toBe('application/zip');
+            // A mimetype entry that isn't a type
+            expect(detectMimeType(bytes(zipEntry('mimetype', 'not a type')))).toBe('application/zip');
+        });
+    });
+});
+
+describe('inspectContentType', () => {
+    const png = bytes('\x89PNG\r\n\x1a\n', Buffer.alloc(16));
+    const docx = bytes(zipEntry('[Content_Types].xml'), zipEntry('word/document.xml'));
+
+    test('matching type', () => {
+        expect(inspectContentType('image/png', png))
+            .toEqual({ mimeType: 'image/png', detectedMimeType: 'image/png', mismatch: false });
+    });
+
+    test('mismatch: the detected type is stored', () => {
+        expect(inspectContentType('application/pdf', png))
+            .toEqual({ mimeType: 'image/png', detectedMimeType: 'image/png', mismatch: true });
+    });
+
+    test('generic or missing declared type takes the detected one', () => {
+        expect(inspectContentType('application/octet-stream', png).mimeType).toBe('image/png');
+        expect(inspectContentType(undefined, png).mismatch).toBe(false);
+    });
+
+    test('content without a signature keeps the declared type', () => {
+        expect(inspectContentType('text/csv', Buffer.from('a,b\n1,2\n')))
+            .toEqual({ mimeType: 'text/csv', detectedMimeType: null, mismatch: false });
+    });
+
+    test('a container declaration is refined to the specific type', () => {
+        expect(inspectContentType('application/zip', docx)).toEqual({
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            detectedMimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            mismatch: false,
+        });
+    });
+
+    test('aliases and parameters are not mismatches', () => {
+        const jpeg = bytes('\xff\xd8\xff\xe0', Buffer.alloc(16));
+        const result = inspectContentType('image/JPG; charset=binary', jpeg);
+
+        expect(result.mismatch).toBe(false);
+        expect(result.mimeType).toBe('image/JPG; charset=binary');
+    });
+});
+
+describe('type helpers', () => {
+    test('normalizeMimeType', () => {
+        expect(normalizeMimeType('Image/JPG; charset=binary')).toBe('image/jpeg');
+        expect(normalizeMimeType('application/x-zip-compressed')).toBe('application/zip');
+        expect(normalizeMimeType(undefined)).toBe('');
+    });
+
+    test('isCompatibleType accepts containers either way', () => {
+        expect(isCompatibleType('application/msword', 'application/x-ole-storage')).toBe(true);
+        expect(isCompatibleType('application/zip', 'application/epub+zip')).toBe(true);
+        expect(isCompatibleType('audio/webm', 'video/webm')).toBe(true);
+        expect(isCompatibleType('image/png', 'image/jpeg')).toBe(false);
+    });
+
+    test('matchesSignature checks bounds and offsets', () => {
+        expect(matchesSignature(Buffer.from('xxxxftyp'), { bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 })).toBe(true);
+        expect(matchesSignature(Buffer.from('xxxxfty'), { bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 })).toBe(false);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * TOTP tests
+ * Vectors from RFC 4648 (base32), RFC 4226 (HOTP) and RFC 6238 (TOTP, SHA-1),
+ * truncated to the 6 digits authenticator apps use
+ */
+
+import {
+    base32Decode,
+    base32Encode,
+    generateCode,
+    generateSecret,
+    otpauthUri,
+    timeStep,
+    verifyCode,
+} from '../../src/utils/totp.js';
+
+// ASCII "12345678901234567890", the RFC 4226 / RFC 6238 SHA-1 secret
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+    test.each([
+        ['', ''],
+        ['f', 'MY'],
+        ['fo', 'MZXQ'],
+        ['foo', 'MZXW6'],
+        ['foob', 'MZXW6YQ'],
+        ['fooba', 'MZXW6YTB'],
+        ['foobar', 'MZXW6YTBOI'],
+    ])('%j encodes to %j (RFC 4648, unpadded)', (plain, encoded) => {
+        expect(base32Encode(Buffer.from(plain))).toBe(encoded);
+        expect(base32Decode(encoded).toString()).toBe(plain);
+    });
+
+    test('decoding ignores case, spaces and padding', () => {
+        expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    test('decoding rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+
+    test('the RFC secret round-trips', () => {
+        expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    });
+
+    test('generated secrets are 160 bits', () => {
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+});
+
+describe('HOTP (RFC 4226 appendix D)', () => {
+    test.each([
+        [0, '755224'],
+        [1, '287082'],
+        [2, '359152'],
+        [3, '969429'],
+        [4, '338314'],
+        [5, '254676'],
+        [6, '287922'],
+        [7, '162583'],
+        [8, '399871'],
+        [9, '520489'],
+    ])('counter %i', (counter, code) => {
+        expect(generateCode(RFC_SECRET, counter)).toBe(code);
+    });
+});
+
+describe('TOTP (RFC 6238 appendix B)', () => {
+    test.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130'],
+    ])('at %i seconds', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, timeStep(seconds * 1000))).toBe(code);
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1111111111 * 1000;
+    const step = timeStep(time);
+
+    test('accepts the current code and returns its step', () => {
+        expect(verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+    });
+
+    test('accepts codes one step either side, not further', () => {
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+    });
+
+    test('rejects steps already used', () => {
+        expect(verifyCode(RFC_SECRET, '050471', { time, afterStep: step })).toBeNull();
+    });
+
+    test('ignores spaces and rejects malformed codes', () => {
+        expect(verifyCode(RFC_SECRET, '050 471', { time })).toBe(step);
+        expect(verifyCode(RFC_SECRET, '50471', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, null, { time })).toBeNull();
+    });
+});
+
+test('otpauth URI', () => {
+    const uri = new URL(otpauthUri({ secret: RFC_SECRET, account: 'ann@example.com', issuer: 'Files' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Files:ann@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+        secret: RFC_SECRET,
+        issuer: 'Files',
+        algorithm: 'SHA1',
+        digits: '6',
+        period: '30',
+    });
+});
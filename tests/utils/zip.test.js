@@ -0,0 +1,186 @@
+/**
+ * ZIP writer tests
+ * Archives are read back by walking their records as a ZIP reader would
+ */
+
+import { Readable } from 'stream';
+import { crc32, createZipStream, zipSize } from '../../src/utils/zip.js';
+
+const MAX_32 = 0xffffffff;
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function fileEntry(name, content, mtime = new Date(2024, 0, 15, 10, 30, 20)) {
+    const data = Buffer.from(content);
+    return { name, size: data.length, mtime, open: () => Readable.from([data]) };
+}
+
+/**
+ * Locate the end of central directory record and read the central headers it points at
+ */
+function readCentralDirectory(archive) {
+    const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = archive.readUInt16LE(endOffset + 10);
+    const centralSize = archive.readUInt32LE(endOffset + 12);
+    const centralOffset = archive.readUInt32LE(endOffset + 16);
+
+    const headers = [];
+    let pos = centralOffset;
+    for (let i = 0; i < count; i++) {
+        expect(archive.readUInt32LE(pos)).toBe(0x02014b50);
+        const nameLength = archive.readUInt16LE(pos + 28);
+        const extraLength = archive.readUInt16LE(pos + 30);
+
+        headers.push({
+            flags: archive.readUInt16LE(pos + 8),
+            crc: archive.readUInt32LE(pos + 16),
+            compressedSize: archive.readUInt32LE(pos + 20),
+            size: archive.readUInt32LE(pos + 24),
+            attributes: archive.readUInt32LE(pos + 38),
+            offset: archive.readUInt32LE(pos + 42),
+            name: archive.toString('utf8', pos + 46, pos + 46 + nameLength),
+        });
+        pos += 46 + nameLength + extraLength;
+    }
+
+    expect(pos - centralOffset).toBe(centralSize);
+    expect(pos).toBe(endOffset);
+    return { endOffset, headers };
+}
+
+describe('crc32', () => {
+    test('check value', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+
+    test('can be computed incrementally', () => {
+        const crc = crc32(Buffer.from('6789'), crc32(Buffer.from('12345')));
+        expect(crc).toBe(0xcbf43926);
+    });
+});
+
+describe('createZipStream', () => {
+    const entries = () => [
+        { name: 'docs', isDirectory: true, mtime: new Date(2024, 0, 15) },
+        fileEntry('docs/hello.txt', 'Hello, world\n'),
+        fileEntry('résumé.txt', ''),
+    ];
+
+    test('size is known before writing', async () => {
+        const archive = await collect(createZipStream(entries()));
+        expect(archive.length).toBe(zipSize(entries()));
+    });
+
+    test('local headers, data descriptors and central directory agree', async () => {
+        const archive = await collect(createZipStream(entries()));
+        const { endOffset, headers } = readCentralDirectory(archive);
+
+        expect(headers.map(h => h.name)).toEqual(['docs/', 'docs/hello.txt', 'résumé.txt']);
+        expect(archive.readUInt16LE(endOffset + 8)).toBe(3);
+
+        const hello = headers[1];
+        const content = Buffer.from('Hello, world\n');
+        expect(hello.crc).toBe(crc32(content));
+        expect(hello.size).toBe(content.length);
+        expect(hello.compressedSize).toBe(content.length);
+        // UTF-8 names, sizes in the data descriptor
+        expect(hello.flags).toBe(0x0808);
+
+        // Local header: stored, sizes deferred
+        const local = hello.offset;
+        expect(archive.readUInt32LE(local)).toBe(0x04034b50);
+        expect(archive.readUInt16LE(local + 8)).toBe(0);
+        expect(archive.readUInt32LE(local + 18)).toBe(0);
+        const nameLength = archive.readUInt16LE(local + 26);
+        const dataStart = local + 30 + nameLength + archive.readUInt16LE(local + 28);
+        expect(archive.subarray(dataStart, dataStart + content.length)).toEqual(content);
+
+        // Data descriptor right after the data
+        const descriptor = dataStart + content.length;
+        expect(archive.readUInt32LE(descriptor)).toBe(0x08074b50);
+        expect(archive.readUInt32LE(descriptor + 4)).toBe(crc32(content));
+        expect(archive.readUInt32LE(descriptor + 8)).toBe(content.length);
+        expect(archive.readUInt32LE(descriptor + 12)).toBe(content.length);
+    });
+
+    test('directories have no data and carry the directory attribute', async () => {
+        const archive = await collect(createZipStream(entries()));
+        const [dir] = readCentralDirectory(archive).headers;
+
+        expect(dir.flags & 0x0008).toBe(0);
+        expect(dir.size).toBe(0);
+        expect(dir.attributes & 0x10).toBe(0x10);
+        expect(dir.attributes >>> 16).toBe(0o040755);
+    });
+
+    test('DOS timestamps', async () => {
+        const archive = await collect(createZipStream([fileEntry('a.txt', 'a')]));
+        expect(archive.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+        expect(archive.readUInt16LE(12)).toBe(((2024 - 1980) << 9) | (1 << 5) | 15);
+    });
+
+    test('fails when an entry is shorter than promised', async () => {
+        const entry = { ...fileEntry('short.txt', 'abc'), size: 10 };
+        await expect(collect(createZipStream([entry]))).rejects.toThrow('Size mismatch for short.txt');
+    });
+});
+
+describe('ZIP64', () => {
+    test('entries of 4 GiB or more get a ZIP64 local header and descriptor', async () => {
+        const size = MAX_32 + 1;
+        const entries = [{ name: 'big.bin', size, open: () => Readable.from([]) }];
+
+        // Only the local header is read; the content is never opened
+        const iterator = createZipStream(entries)[Symbol.asyncIterator]();
+        const { value: header } = await iterator.next();
+        await iterator.return();
+
+        expect(header.readUInt16LE(4)).toBe(45);
+        expect(header.readUInt32LE(18)).toBe(MAX_32);
+        expect(header.readUInt32LE(22)).toBe(MAX_32);
+        expect(header.readUInt16LE(28)).toBe(20);
+        expect(header.toString('utf8', 30, 37)).toBe('big.bin');
+        expect(header.readUInt16LE(37)).toBe(0x0001);
+        expect(header.readUInt16LE(39)).toBe(16);
+
+        // Local header (30 + name + 20), data, ZIP64 descriptor (24),
+        // central header with a 20-byte ZIP64 extra, then the ZIP64 end records and the end record
+        const local = 30 + 7 + 20;
+        const central = 46 + 7 + 20;
+        expect(zipSize(entries)).toBe(local + size + 24 + central + 56 + 20 + 22);
+    });
+
+    test('65535 entries or more need the ZIP64 end of central directory', async () => {
+        const count = 0xffff;
+        const entries = Array.from({ length: count }, (_, i) => ({ name: `d${i}`, isDirectory: true }));
+
+        const archive = await collect(createZipStream(entries));
+        expect(archive.length).toBe(zipSize(entries));
+
+        const end = archive.length - 22;
+        const locator = end - 20;
+        const zip64End = locator - 56;
+
+        expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+        expect(archive.readUInt16LE(end + 8)).toBe(0xffff);
+        expect(archive.readUInt16LE(end + 10)).toBe(0xffff);
+
+        expect(archive.readUInt32LE(locator)).toBe(0x07064b50);
+        expect(archive.readBigUInt64LE(locator + 8)).toBe(BigInt(zip64End));
+        expect(archive.readUInt32LE(locator + 16)).toBe(1);
+
+        expect(archive.readUInt32LE(zip64End)).toBe(0x06064b50);
+        expect(archive.readBigUInt64LE(zip64End + 4)).toBe(44n);
+        expect(archive.readBigUInt64LE(zip64End + 24)).toBe(BigInt(count));
+        expect(archive.readBigUInt64LE(zip64End + 32)).toBe(BigInt(count));
+
+        const centralSize = Number(archive.readBigUInt64LE(zip64End + 40));
+        const centralOffset = Number(archive.readBigUInt64LE(zip64End + 48));
+        expect(centralOffset + centralSize).toBe(zip64End);
+        expect(archive.readUInt32LE(centralOffset)).toBe(0x02014b50);
+    });
+});